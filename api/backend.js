@@ -1,108 +1,59 @@
 const serverless = require('serverless-http');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const { createAnalysisCore } = require('../services/analysis');
+const { createAnalysisHandlers } = require('../services/analysis/handlers');
+const { createOpenApiValidator, createRouteCosts } = require('../services/openapi');
+const { createRateLimiter, readRateLimitConfig } = require('../services/rateLimit');
+const { createApiKeyService } = require('../services/apiKeys');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requestTracing } = require('../services/observability');
+const { corsOrigins } = require('../services/config');
+
+// Vercel-variant van de analyse-API: dezelfde kern en handlers als server.js, dus dezelfde responses.
+// Een ongeldige config gooit hier een ConfigError met alle fouten, die in de function-logs terechtkomt.
+const handlers = createAnalysisHandlers(createAnalysisCore());
 
 const app = express();
 
+app.use(requestTracing());
+// CORS_ORIGINS, op Vercel (NODE_ENV=production) standaard uit config/production.json
 app.use(cors({
-  origin: ['https://t-xt-woad.vercel.app', /\.vercel\.app$/],
+  origin: corsOrigins(),
   credentials: true
 }));
 app.use(express.json());
+// Zelfde punten en plannen als server.js; de tellers leven per function-instance
+const rateLimitConfig = readRateLimitConfig();
+if (rateLimitConfig.enabled) {
+  app.use(rateLimit({
+    limiter: createRateLimiter(),
+    apiKeys: createApiKeyService(),
+    costOf: createRouteCosts(),
+    requireKey: rateLimitConfig.requireKey
+  }));
+}
+app.use(createOpenApiValidator().middleware());
+
+const router = express.Router();
 
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'Malthus.ai Backend API', 
+router.get('/', (req, res) => {
+  res.json({
+    message: 'Malthus.ai Backend API',
     status: 'running',
     timestamp: new Date().toISOString()
   });
 });
 
-app.post('/analyze', async (req, res) => {
-  const { symbol } = req.body;
-  
-  if (!symbol) {
-    return res.status(400).json({ error: 'Symbol required' });
-  }
-
-  try {
-    console.log(`Analyzing ${symbol}`);
-    
-    // Parallelle calls met strikte timeouts
-    const [priceData, newsData] = await Promise.allSettled([
-      fetchPriceData(symbol),
-      fetchNewsData(symbol)
-    ]);
-
-    const price = priceData.status === 'fulfilled' ? priceData.value : null;
-    const news = newsData.status === 'fulfilled' ? newsData.value : [];
+router.get('/status', handlers.status);
+router.post('/analyze', handlers.analyze);
+router.get('/news/:symbol', handlers.news);
+// Vóór /earnings/:symbol, anders wordt "calendar" als symbool gelezen
+router.get('/earnings/calendar', handlers.earningsCalendar);
+router.get('/earnings/:symbol', handlers.earnings);
 
-    if (!price) {
-      throw new Error('Unable to fetch price data');
-    }
-
-    res.json({
-      symbol: symbol.toUpperCase(),
-      company: price.longName || `${symbol.toUpperCase()} Inc.`,
-      currentPrice: price.regularMarketPrice,
-      priceChangePercent: price.changePercent,
-      assetType: 'stock',
-      sector: 'Technology',
-      sentiment: {
-        overall: news.length > 0 ? 'neutral' : 'neutral',
-        score: 0,
-        articles: news.slice(0, 3)
-      },
-      fundamentals: {
-        type: 'stock',
-        peRatio: price.trailingPE || 0,
-        marketCap: (price.marketCap || 0) / 1000000000,
-        eps: price.trailingEps || 0,
-        roe: 15.2
-      },
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Analysis error:', error.message);
-    res.status(500).json({ 
-      error: 'Unable to analyze symbol', 
-      details: error.message 
-    });
-  }
-});
-
-async function fetchPriceData(symbol) {
-  const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`, {
-    timeout: 6000,
-    headers: { 'User-Agent': 'Mozilla/5.0' }
-  });
-
-  const result = response.data.chart.result[0];
-  const meta = result.meta;
-  
-  return {
-    regularMarketPrice: meta.regularMarketPrice,
-    longName: meta.longName,
-    changePercent: ((meta.regularMarketPrice - meta.previousClose) / meta.previousClose) * 100,
-    trailingPE: meta.trailingPE,
-    marketCap: meta.marketCap,
-    trailingEps: meta.trailingEps
-  };
-}
-
-async function fetchNewsData(symbol) {
-  try {
-    const response = await axios.get(`https://query1.finance.yahoo.com/v1/finance/search`, {
-      params: { q: symbol, quotesCount: 1, newsCount: 5 },
-      timeout: 3000
-    });
-    
-    return response.data.news || [];
-  } catch (error) {
-    return [];
-  }
-}
+// De rewrite in vercel.json houdt het oorspronkelijke pad (/api/...) aan; zonder prefix werkt het ook
+app.use('/api', router);
+app.use('/', router);
 
-module.exports = serverless(app);
\ No newline at end of file
+module.exports = serverless(app);
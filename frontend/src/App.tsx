@@ -1,176 +1,205 @@
-import React, { useState, useMemo } from 'react';
-import { TrendingUp, Clock, CheckCircle, BarChart3, Zap, AlertCircle, Activity, Volume2, DollarSign, Building2, Target, Percent, Shield, Coins, Globe, TrendingDown, Users } from 'lucide-react';
-import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, PieChart, Pie, Cell, BarChart, Bar } from 'recharts';
-
-interface ChartData {
-  time: string;
-  open: number;
-  high: number;
-  low: number;
-  close: number;
+import React, { useState, useMemo, useEffect } from 'react';
+import { TrendingUp, Clock, CheckCircle, BarChart3, Zap, AlertCircle, Activity, Volume2, DollarSign, Building2, Target, Percent, Shield, Coins, Globe, TrendingDown, Users, GitCompare } from 'lucide-react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend, PieChart, Pie, Cell, BarChart, Bar } from 'recharts';
+import { createApiClient, ApiError, AnalysisResponse, Candle, ComparisonResponse, ComparisonResult, CryptoFundamentals, GetCandlesQuery, StockFundamentals } from './api/client';
+
+// Candles as the charts use them: volume, index and display date are always filled in
+interface ChartData extends Candle {
   volume: number;
-  displayDate?: string;
-  index?: number;
-  sma20?: number | null;
-  sma50?: number | null;
-  ema12?: number | null;
+  displayDate: string;
+  index: number;
 }
 
-interface StockFundamentals {
-  type: 'stock';
-  marketCap: number;
-  peRatio: number;
-  eps: number;
-  dividendYield: number;
-  debtToEquity: number;
-  revenueGrowthYoY: number;
-  revenueGrowthQoQ: number;
-  earningsGrowthYoY: number;
-  earningsGrowthQoQ: number;
-  bookValue: number;
-  roe: number;
-  grossMargin?: number;
-  operatingMargin?: number;
-  beta?: number;
+// The analysis response with its candles normalized for the charts
+interface AnalysisData extends Omit<AnalysisResponse, 'chartData'> {
+  chartData: ChartData[];
 }
 
-interface CryptoFundamentals {
-  type: 'crypto';
-  marketCap: number;
-  volume24h: number;
-  circulatingSupply: number;
-  maxSupply: number | string;
-  totalSupply: number;
-  marketDominance: number;
-  priceChange7d: string;
-  priceChange30d: string;
-  allTimeHigh: number;
-  allTimeLow: number;
-  athDistance: string;
-  volatility: string;
-  liquidityScore: string;
-  hodlerRatio: string;
-  exchangeInflow?: {
-    inflow: string;
-    outflow: string;
-    netFlow: string;
-    trend: string;
-  };
-  whaleActivity?: {
-    largeTransactions: number;
-    whaleNetFlow: string;
-    topHoldersPercent: string;
-    activity: string;
-  };
-  networkHealth?: {
-    hashRate: string;
-    networkGrowth: string;
-    activeAddresses: number;
-    transactionCount: number;
-  };
-}
+type TimeRange = '1D' | '1W' | '1M' | '3M' | '6M' | '1Y';
+
+type Mode = 'analyze' | 'compare';
 
-type FundamentalData = StockFundamentals | CryptoFundamentals;
-
-interface SentimentData {
-  distribution: { positive: number; neutral: number; negative: number };
-  overall: string;
-  score: number;
-  articles: Array<{
-    headline: string;
-    summary: string;
-    source: string;
-    sentiment: string;
-    publishedAt: string;
-    impact: 'high' | 'medium' | 'low';
-    url?: string;
-  }>;
+interface LiveQuote {
+  symbol: string;
+  price: number;
+  change: number;
+  changePercent: number;
 }
 
-interface AnalysisData {
+interface LiveCandle {
   symbol: string;
-  company: string;
-  currentPrice: number;
-  chartData: ChartData[];
-  fundamentals: FundamentalData;
-  sentiment: SentimentData;
-  assetType: string;
-  sector: string;
-  priceChange: number;
-  priceChangePercent: number;
-  dataSource: string;
-  timestamp: string;
+  candle: Pick<ChartData, 'time' | 'open' | 'high' | 'low' | 'close' | 'volume'>;
 }
 
+// '' keeps the instrument's own currency; the rest is converted by the backend
+const DISPLAY_CURRENCIES = ['', 'USD', 'EUR', 'GBP', 'JPY', 'CHF'];
+
+const API_BASE_URL = 'http://localhost:3001';
+// Optional; without a key the backend applies its anonymous rate limit
+const API_KEY = process.env.REACT_APP_API_KEY || '';
+
+// Generated from the backend's OpenAPI spec (npm run generate:client)
+const api = createApiClient({ baseUrl: API_BASE_URL, headers: API_KEY ? { 'X-API-Key': API_KEY } : {} });
+
+// Query for /api/candles per range button; 1Y comes with the analysis itself
+const RANGE_QUERIES: Record<TimeRange, GetCandlesQuery> = {
+  '1D': { range: '1d', interval: '5m' },
+  '1W': { range: '5d', interval: '15m' },
+  '1M': { range: '1mo', interval: '1d' },
+  '3M': { range: '3mo', interval: '1d' },
+  '6M': { range: '6mo', interval: '1d' },
+  '1Y': { range: '1y', interval: '1d' }
+};
+
+// One colour per compared symbol, in the order of the request
+const COMPARE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+
+const formatMoney = (value: number, currency = 'USD', digits = 2) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+
+// Amounts in billions, as the fundamentals report them
+const formatCurrency = (value: number, currency = 'USD') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 }).format(value * 1e9);
+
+const normalizeChartData = (rows: Candle[]): ChartData[] =>
+  rows.map((item, index) => ({
+    ...item,
+    displayDate: item.displayDate || new Date(item.time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    volume: item.volume ?? 0,
+    index
+  }));
+
+// Live daily candle from /api/stream: update today's bar or start a new one. Intraday series are left alone.
+const mergeLiveCandle = (rows: ChartData[], candle: LiveCandle['candle']): ChartData[] => {
+  const last = rows[rows.length - 1];
+  if (!last || last.time.length !== candle.time.length || last.time > candle.time) return rows;
+  if (last.time === candle.time) return [...rows.slice(0, -1), { ...last, ...candle }];
+  return [...rows, {
+    ...candle,
+    index: rows.length,
+    displayDate: new Date(candle.time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  }];
+};
+
 const App: React.FC = () => {
   const [input, setInput] = useState('');
   const [analysis, setAnalysis] = useState<AnalysisData | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState<'overview' | 'fundamentals'>('overview');
-  const [selectedTimeRange, setSelectedTimeRange] = useState<'1D' | '1W' | '1M' | '3M' | '6M' | '1Y'>('1Y');
+  const [selectedTimeRange, setSelectedTimeRange] = useState<TimeRange>('1Y');
+  const [rangeChartData, setRangeChartData] = useState<ChartData[] | null>(null);
+  const [displayCurrency, setDisplayCurrency] = useState('');
+  const [streamStatus, setStreamStatus] = useState<'connecting' | 'live' | 'reconnecting'>('connecting');
+  const [mode, setMode] = useState<Mode>('analyze');
+  const [comparison, setComparison] = useState<ComparisonResponse | null>(null);
+  const [compareRange, setCompareRange] = useState<TimeRange>('1Y');
+
+  const streamSymbol = analysis?.symbol;
+  // Only ask the stream to convert when the analysis itself was converted
+  const streamCurrency = analysis?.fx ? analysis.currency : '';
+
+  useEffect(() => {
+    if (!streamSymbol) return;
+    setStreamStatus('connecting');
+
+    const source = new EventSource(api.streamUrl({ symbols: streamSymbol, currency: streamCurrency, ...(API_KEY ? { api_key: API_KEY } : {}) }));
+
+    source.onopen = () => setStreamStatus('live');
+    // EventSource reconnects by itself and resumes from the last event id
+    source.onerror = () => setStreamStatus('reconnecting');
+
+    source.addEventListener('quote', (event) => {
+      const tick: LiveQuote = JSON.parse((event as MessageEvent).data);
+      setAnalysis(prev => (prev && prev.symbol === tick.symbol
+        ? { ...prev, currentPrice: tick.price, priceChange: tick.change, priceChangePercent: tick.changePercent }
+        : prev));
+    });
+
+    source.addEventListener('candle', (event) => {
+      const update: LiveCandle = JSON.parse((event as MessageEvent).data);
+      setAnalysis(prev => (prev && prev.symbol === update.symbol
+        ? { ...prev, chartData: mergeLiveCandle(prev.chartData, update.candle) }
+        : prev));
+      setRangeChartData(prev => (prev ? mergeLiveCandle(prev, update.candle) : prev));
+    });
+
+    return () => source.close();
+  }, [streamSymbol, streamCurrency]);
 
   const filteredChartData = useMemo(() => {
+    if (rangeChartData) return rangeChartData;
     if (!analysis?.chartData) return [];
     const ranges = { '1D': 1, '1W': 7, '1M': 30, '3M': 90, '6M': 180, '1Y': 365 };
     return analysis.chartData.slice(-ranges[selectedTimeRange]);
-  }, [analysis?.chartData, selectedTimeRange]);
+  }, [analysis?.chartData, rangeChartData, selectedTimeRange]);
+
+  const selectTimeRange = async (range: TimeRange) => {
+    setSelectedTimeRange(range);
+    setRangeChartData(null);
+    if (!analysis || range === '1Y') return;
+
+    try {
+      const data = await api.getCandles(analysis.symbol, { ...RANGE_QUERIES[range], currency: displayCurrency });
+      if (data.candles.length) setRangeChartData(normalizeChartData(data.candles));
+    } catch (err) {
+      // Fall back to slicing the daily series from the analysis
+      setRangeChartData(null);
+    }
+  };
+
+  // One row per aligned timestamp with a rebased value per symbol, as recharts wants it
+  const comparisonChartData = useMemo(
+    () => (comparison ? comparison.series.map(point => ({ displayDate: point.displayDate, ...point.values })) : []),
+    [comparison]
+  );
+
+  const selectMode = (next: Mode) => {
+    setMode(next);
+    setError('');
+  };
+
+  // "NVDA, AMD SPY" → NVDA,AMD,SPY; the range buttons re-run the current comparison
+  const compareStocks = async (text: string, range: TimeRange = compareRange) => {
+    const symbols = text.split(/[\s,]+/).filter(Boolean).join(',');
+    if (!symbols) return;
+    setLoading(true);
+    setError('');
+    setCompareRange(range);
+
+    try {
+      const data = await api.compareSymbols({ symbols, ...RANGE_QUERIES[range], ...(displayCurrency ? { currency: displayCurrency } : {}) });
+      setComparison(data);
+    } catch (err: any) {
+      const message = err instanceof ApiError && err.fieldMessage ? `${err.message} (${err.fieldMessage})` : err.message;
+      setError(message || 'Failed to compare symbols');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const analyzeStock = async () => {
     if (!input.trim()) return;
     setLoading(true);
     setError('');
     setAnalysis(null);
+    setRangeChartData(null);
+    setSelectedTimeRange('1Y');
 
     try {
-      const response = await fetch('http://localhost:3001/api/analyze', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ symbol: input.trim().toUpperCase() }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to analyze symbol');
-      }
-
-      const data = await response.json();
-      const processedData: AnalysisData = {
-        ...data,
-        chartData: data.chartData?.map((item: any, index: number) => ({
-          ...item,
-          displayDate: new Date(item.time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-          open: parseFloat(item.open?.toString() || '0'),
-          high: parseFloat(item.high?.toString() || '0'),
-          low: parseFloat(item.low?.toString() || '0'),
-          close: parseFloat(item.close?.toString() || '0'),
-          volume: parseInt(item.volume?.toString() || '0'),
-          index,
-          sma20: item.sma20,
-          sma50: item.sma50,
-          ema12: item.ema12
-        })) || []
-      };
-      
-      setAnalysis(processedData);
+      const data = await api.analyze({ symbol: input.trim().toUpperCase(), ...(displayCurrency ? { currency: displayCurrency } : {}) });
+      setAnalysis({ ...data, chartData: normalizeChartData(data.chartData) });
       setInput('');
     } catch (err: any) {
-      setError(err.message || 'Failed to analyze symbol');
+      // Validation errors name the offending field
+      const message = err instanceof ApiError && err.fieldMessage ? `${err.message} (${err.fieldMessage})` : err.message;
+      setError(message || 'Failed to analyze symbol');
     } finally {
       setLoading(false);
     }
   };
 
-  const formatCurrency = (value: number) => {
-    if (value >= 1000) return `${(value / 1000).toFixed(1)}T`;
-    if (value >= 1) return `${value.toFixed(1)}B`;
-    return `${(value * 1000).toFixed(0)}M`;
-  };
-
-  const formatPercent = (value: number | string) => {
-    const numValue = typeof value === 'string' ? parseFloat(value) : value;
-    return `${numValue >= 0 ? '+' : ''}${numValue.toFixed(1)}%`;
-  };
+  const formatPercent = (value: number) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
 
   const formatLargeNumber = (value: number) => {
     if (value >= 1000000000) return `${(value / 1000000000).toFixed(1)}B`;
@@ -179,14 +208,21 @@ const App: React.FC = () => {
     return value.toLocaleString();
   };
 
-  const renderStockFundamentals = (fundamentals: StockFundamentals) => (
+  const formatMetric = (value: number | null, format: (value: number) => string) =>
+    value === null || value === undefined ? 'N/A' : format(value);
+
+  const renderStockFundamentals = (fundamentals: StockFundamentals, currency: string) => (
     <>
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
         {[
-          { label: 'Market Cap', value: formatCurrency(fundamentals.marketCap), icon: DollarSign, color: 'blue' },
-          { label: 'P/E Ratio', value: fundamentals.peRatio.toFixed(1), icon: Target, color: 'green' },
-          { label: 'EPS', value: `$${fundamentals.eps.toFixed(2)}`, icon: Percent, color: 'yellow' },
-          { label: 'Dividend Yield', value: `${fundamentals.dividendYield.toFixed(2)}%`, icon: Percent, color: 'purple' }
+          { key: 'marketCap', label: 'Market Cap', value: formatMetric(fundamentals.marketCap, v => formatCurrency(v, currency)), icon: DollarSign, color: 'blue' },
+          { key: 'peRatio', label: 'P/E Ratio', value: formatMetric(fundamentals.peRatio, v => v.toFixed(1)), icon: Target, color: 'green' },
+          { key: 'eps', label: 'EPS', value: formatMetric(fundamentals.eps, v => formatMoney(v, currency)), icon: Percent, color: 'yellow' },
+          { key: 'dividendYield', label: 'Dividend Yield', value: formatMetric(fundamentals.dividendYield, v => `${v.toFixed(2)}%`), icon: Percent, color: 'purple' },
+          { key: 'roe', label: 'Return on Equity', value: formatMetric(fundamentals.roe, v => `${v.toFixed(1)}%`), icon: Target, color: 'green' },
+          { key: 'debtToEquity', label: 'Debt / Equity', value: formatMetric(fundamentals.debtToEquity, v => `${v.toFixed(1)}%`), icon: Shield, color: 'red' },
+          { key: 'grossMargin', label: 'Gross Margin', value: formatMetric(fundamentals.grossMargin, v => `${v.toFixed(1)}%`), icon: Percent, color: 'blue' },
+          { key: 'beta', label: 'Beta', value: formatMetric(fundamentals.beta, v => v.toFixed(2)), icon: Activity, color: 'yellow' }
         ].map((metric, i) => (
           <div key={i} className={`bg-gradient-to-br from-${metric.color}-50 to-${metric.color}-100 p-6 rounded-2xl border border-${metric.color}-200`}>
             <div className="flex items-center gap-3 mb-4">
@@ -195,7 +231,10 @@ const App: React.FC = () => {
               </div>
               <h4 className="text-gray-800 font-semibold">{metric.label}</h4>
             </div>
-            <div className="text-2xl font-bold text-gray-900">{metric.value}</div>
+            <div className="text-2xl font-bold text-gray-900" title={fundamentals.unavailable?.[metric.key]}>{metric.value}</div>
+            {fundamentals.unavailable?.[metric.key] && (
+              <div className="text-xs text-gray-500 mt-1">{fundamentals.unavailable[metric.key]}</div>
+            )}
           </div>
         ))}
       </div>
@@ -203,12 +242,12 @@ const App: React.FC = () => {
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
         {[
           { title: 'Revenue Growth', icon: TrendingUp, data: [
-            { label: 'Year over Year', value: fundamentals.revenueGrowthYoY },
-            { label: 'Quarter over Quarter', value: fundamentals.revenueGrowthQoQ }
+            { key: 'revenueGrowthYoY', label: 'Year over Year', value: fundamentals.revenueGrowthYoY },
+            { key: 'revenueGrowthQoQ', label: 'Quarter over Quarter', value: fundamentals.revenueGrowthQoQ }
           ]},
           { title: 'Earnings Growth', icon: BarChart3, data: [
-            { label: 'Year over Year', value: fundamentals.earningsGrowthYoY },
-            { label: 'Quarter over Quarter', value: fundamentals.earningsGrowthQoQ }
+            { key: 'earningsGrowthYoY', label: 'Year over Year', value: fundamentals.earningsGrowthYoY },
+            { key: 'earningsGrowthQoQ', label: 'Quarter over Quarter', value: fundamentals.earningsGrowthQoQ }
           ]}
         ].map((section, i) => (
           <div key={i} className="bg-gray-50 p-6 rounded-2xl">
@@ -220,8 +259,11 @@ const App: React.FC = () => {
               {section.data.map((item, j) => (
                 <div key={j} className="flex justify-between items-center">
                   <span className="text-gray-600">{item.label}:</span>
-                  <span className={`font-bold text-lg ${item.value >= 0 ? 'text-green-600' : 'text-red-500'}`}>
-                    {formatPercent(item.value)}
+                  <span
+                    className={`font-bold text-lg ${item.value === null ? 'text-gray-400' : item.value >= 0 ? 'text-green-600' : 'text-red-500'}`}
+                    title={fundamentals.unavailable?.[item.key]}
+                  >
+                    {formatMetric(item.value, formatPercent)}
                   </span>
                 </div>
               ))}
@@ -229,15 +271,21 @@ const App: React.FC = () => {
           </div>
         ))}
       </div>
+
+      {fundamentals.statementsSource && (
+        <p className="text-xs text-gray-500 mt-6">
+          Ratios derived from {fundamentals.statementsSource} financial statements{fundamentals.statementsAsOf ? ` as of ${fundamentals.statementsAsOf}` : ''}.
+        </p>
+      )}
     </>
   );
 
-  const renderCryptoFundamentals = (fundamentals: CryptoFundamentals) => (
+  const renderCryptoFundamentals = (fundamentals: CryptoFundamentals, currency: string) => (
     <>
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
         {[
-          { label: 'Market Cap', value: formatCurrency(fundamentals.marketCap), icon: DollarSign, color: 'blue' },
-          { label: '24h Volume', value: `${fundamentals.volume24h.toFixed(0)}M`, icon: Activity, color: 'green' },
+          { label: 'Market Cap', value: formatCurrency(fundamentals.marketCap, currency), icon: DollarSign, color: 'blue' },
+          { label: '24h Volume', value: formatCurrency(fundamentals.volume24h / 1000, currency), icon: Activity, color: 'green' },
           { label: 'Market Dominance', value: `${fundamentals.marketDominance.toFixed(1)}%`, icon: Globe, color: 'purple' },
           { label: 'Circulating Supply', value: formatLargeNumber(fundamentals.circulatingSupply), icon: Coins, color: 'yellow' }
         ].map((metric, i) => (
@@ -263,7 +311,7 @@ const App: React.FC = () => {
             <div className="flex justify-between">
               <span className="text-blue-700">Max Supply:</span>
               <span className="font-bold text-blue-900">
-                {typeof fundamentals.maxSupply === 'string' ? fundamentals.maxSupply : formatLargeNumber(fundamentals.maxSupply)}
+                {formatMetric(fundamentals.maxSupply, formatLargeNumber)}
               </span>
             </div>
             <div className="flex justify-between">
@@ -285,13 +333,13 @@ const App: React.FC = () => {
           <div className="space-y-3">
             <div className="flex justify-between">
               <span className="text-green-700">7D Change:</span>
-              <span className={`font-bold ${parseFloat(fundamentals.priceChange7d) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+              <span className={`font-bold ${fundamentals.priceChange7d >= 0 ? 'text-green-600' : 'text-red-600'}`}>
                 {formatPercent(fundamentals.priceChange7d)}
               </span>
             </div>
             <div className="flex justify-between">
               <span className="text-green-700">30D Change:</span>
-              <span className={`font-bold ${parseFloat(fundamentals.priceChange30d) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+              <span className={`font-bold ${fundamentals.priceChange30d >= 0 ? 'text-green-600' : 'text-red-600'}`}>
                 {formatPercent(fundamentals.priceChange30d)}
               </span>
             </div>
@@ -339,7 +387,7 @@ const App: React.FC = () => {
           </h4>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
             <div className="text-center">
-              <div className="text-2xl font-bold text-gray-900">{fundamentals.networkHealth.hashRate}</div>
+              <div className="text-2xl font-bold text-gray-900">{formatMetric(fundamentals.networkHealth.hashRate, formatLargeNumber)}</div>
               <div className="text-sm text-gray-600">Hash Rate</div>
             </div>
             <div className="text-center">
@@ -360,6 +408,116 @@ const App: React.FC = () => {
     </>
   );
 
+  // Side-by-side rows of the comparison table; a missing field (failed provider, crypto without P/E) shows N/A
+  const comparisonRows: { label: string; value: (result: ComparisonResult) => string }[] = [
+    { label: 'Total Return', value: r => formatMetric(r.performance?.totalReturnPct ?? null, formatPercent) },
+    { label: 'CAGR', value: r => formatMetric(r.performance?.cagrPct ?? null, formatPercent) },
+    { label: 'Max Drawdown', value: r => formatMetric(r.performance?.maxDrawdownPct ?? null, v => `${v.toFixed(1)}%`) },
+    { label: 'Volatility', value: r => formatMetric(r.performance?.volatilityPct ?? null, v => `${v.toFixed(1)}%`) },
+    { label: 'Sharpe', value: r => formatMetric(r.performance?.sharpe ?? null, v => v.toFixed(2)) },
+    { label: 'Price', value: r => formatMetric(r.quote?.currentPrice ?? null, v => formatMoney(v, r.currency)) },
+    { label: 'Market Cap', value: r => formatMetric(r.fundamentals?.marketCap ?? null, v => formatCurrency(v, r.currency)) },
+    { label: 'P/E Ratio', value: r => formatMetric(r.fundamentals?.type === 'stock' ? r.fundamentals.peRatio : null, v => v.toFixed(1)) },
+    { label: 'Beta', value: r => formatMetric(r.fundamentals?.type === 'stock' ? r.fundamentals.beta : null, v => v.toFixed(2)) },
+    { label: 'Sentiment', value: r => (r.sentiment ? `${r.sentiment.overall} (${r.sentiment.score.toFixed(1)})` : 'N/A') }
+  ];
+
+  const renderComparison = (data: ComparisonResponse) => (
+    <div className="space-y-8">
+      <div className="bg-white rounded-2xl shadow-lg p-8">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-6">
+          <div>
+            <h3 className="text-2xl font-bold text-gray-800">Relative Performance</h3>
+            <p className="text-gray-600 text-lg">{data.correlation.symbols.join(' vs ')} • rebased to {data.base} on {comparisonChartData[0]?.displayDate}</p>
+          </div>
+          <div className="flex bg-gray-100 rounded-xl p-1 mt-4 sm:mt-0">
+            {(['1M', '3M', '6M', '1Y'] as const).map(range => (
+              <button
+                key={range}
+                onClick={() => compareStocks(data.symbols.join(','), range)}
+                disabled={loading}
+                className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
+                  compareRange === range ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:text-blue-600 hover:bg-white'
+                }`}
+              >
+                {range}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="h-96 border-2 border-gray-200 rounded-xl p-4 bg-gray-50">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={comparisonChartData}>
+              <XAxis dataKey="displayDate" stroke="#6b7280" fontSize={12} />
+              <YAxis stroke="#6b7280" fontSize={12} domain={['auto', 'auto']} tickFormatter={v => v.toFixed(0)} />
+              <Tooltip formatter={(value: number) => value.toFixed(1)} />
+              <Legend />
+              {data.correlation.symbols.map((symbol, i) => (
+                <Line key={symbol} type="monotone" dataKey={symbol} stroke={COMPARE_COLORS[i % COMPARE_COLORS.length]} strokeWidth={2} dot={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div className="bg-white rounded-2xl shadow-lg p-8 overflow-x-auto">
+          <h3 className="text-2xl font-bold mb-6 text-gray-800">Side by Side</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr>
+                <th />
+                {data.results.map(result => <th key={result.symbol} className="px-3 py-2 text-right font-mono">{result.symbol}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {comparisonRows.map(row => (
+                <tr key={row.label} className="border-t border-gray-100">
+                  <td className="py-2 pr-3 text-gray-600">{row.label}</td>
+                  {data.results.map(result => (
+                    <td key={result.symbol} className="px-3 py-2 text-right font-semibold text-gray-900" title={result.error}>
+                      {result.success ? row.value(result) : 'N/A'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg p-8 overflow-x-auto">
+          <h3 className="text-2xl font-bold mb-2 text-gray-800">Return Correlation</h3>
+          <p className="text-sm text-gray-500 mb-6">Pearson correlation of {data.correlation.observations} period returns</p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr>
+                <th />
+                {data.correlation.symbols.map(symbol => <th key={symbol} className="px-3 py-2 text-center font-mono">{symbol}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {data.correlation.matrix.map((row, i) => (
+                <tr key={data.correlation.symbols[i]}>
+                  <td className="py-2 pr-3 font-mono font-semibold">{data.correlation.symbols[i]}</td>
+                  {row.map((value, j) => (
+                    <td
+                      key={j}
+                      className="px-3 py-2 text-center font-semibold text-gray-900"
+                      style={{ backgroundColor: value === null ? undefined : value >= 0 ? `rgba(16, 185, 129, ${value * 0.5})` : `rgba(239, 68, 68, ${-value * 0.5})` }}
+                    >
+                      {value === null ? 'N/A' : value.toFixed(2)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-white shadow-sm border-b">
@@ -389,24 +547,66 @@ const App: React.FC = () => {
 
           <div className="max-w-md mx-auto">
             <div className="bg-white rounded-2xl shadow-lg p-6">
-              <label className="block text-sm font-medium text-gray-700 mb-3 text-left">Enter Symbol</label>
+              <div className="flex bg-gray-100 rounded-xl p-1 mb-4">
+                {[
+                  { id: 'analyze', label: 'Analyze', icon: Zap },
+                  { id: 'compare', label: 'Compare', icon: GitCompare }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => selectMode(option.id as Mode)}
+                    disabled={loading}
+                    className={`flex-1 px-3 py-2 rounded-lg text-sm font-semibold flex items-center justify-center gap-2 transition-all ${
+                      mode === option.id ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:text-blue-600 hover:bg-white'
+                    }`}
+                  >
+                    <option.icon size={16} />
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <label className="block text-sm font-medium text-gray-700 mb-3 text-left">{mode === 'compare' ? 'Enter Symbols' : 'Enter Symbol'}</label>
               <div className="flex gap-3">
                 <input
                   type="text"
                   value={input}
                   onChange={(e) => setInput(e.target.value.toUpperCase())}
-                  onKeyPress={(e) => e.key === 'Enter' && analyzeStock()}
-                  placeholder="e.g. AAPL, BTC"
+                  onKeyPress={(e) => e.key === 'Enter' && (mode === 'compare' ? compareStocks(input) : analyzeStock())}
+                  placeholder={mode === 'compare' ? 'e.g. NVDA, AMD, SPY' : 'e.g. AAPL, BTC'}
                   disabled={loading}
                   className="flex-1 px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-lg font-mono uppercase"
                 />
-                <button
-                  onClick={analyzeStock}
-                  disabled={loading || !input.trim()}
-                  className="px-6 py-3 bg-gradient-to-r from-blue-600 to-green-500 text-white rounded-xl hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 font-medium transition-all"
+                {mode === 'compare' ? (
+                  <button
+                    onClick={() => compareStocks(input)}
+                    disabled={loading || !input.trim()}
+                    className="px-6 py-3 bg-gradient-to-r from-blue-600 to-green-500 text-white rounded-xl hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 font-medium transition-all"
+                  >
+                    {loading ? <><Clock className="w-5 h-5 animate-spin" />Comparing...</> : <><GitCompare className="w-5 h-5" />Compare</>}
+                  </button>
+                ) : (
+                  <button
+                    onClick={analyzeStock}
+                    disabled={loading || !input.trim()}
+                    className="px-6 py-3 bg-gradient-to-r from-blue-600 to-green-500 text-white rounded-xl hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 font-medium transition-all"
+                  >
+                    {loading ? <><Clock className="w-5 h-5 animate-spin" />Analyzing...</> : <><Zap className="w-5 h-5" />Analyze</>}
+                  </button>
+                )}
+              </div>
+              <div className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                <label htmlFor="display-currency">Show prices in</label>
+                <select
+                  id="display-currency"
+                  value={displayCurrency}
+                  onChange={(e) => setDisplayCurrency(e.target.value)}
+                  disabled={loading}
+                  className="px-2 py-1 border border-gray-200 rounded-lg bg-white"
                 >
-                  {loading ? <><Clock className="w-5 h-5 animate-spin" />Analyzing...</> : <><Zap className="w-5 h-5" />Analyze</>}
-                </button>
+                  {DISPLAY_CURRENCIES.map(code => (
+                    <option key={code} value={code}>{code || 'Native currency'}</option>
+                  ))}
+                </select>
               </div>
               {error && (
                 <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-xl flex items-start gap-3">
@@ -418,22 +618,34 @@ const App: React.FC = () => {
           </div>
         </div>
 
-        {analysis && (
+        {mode === 'compare' && comparison && renderComparison(comparison)}
+
+        {mode === 'analyze' && analysis && (
           <div className="space-y-8">
             <div className="bg-white rounded-2xl shadow-lg overflow-hidden">
               <div className="bg-gradient-to-r from-blue-600 to-green-500 px-8 py-6 text-white">
                 <div className="flex items-center justify-between">
                   <div>
-                    <h2 className="text-2xl font-bold">{analysis.company}</h2>
-                    <p className="text-blue-100">{analysis.symbol} • {analysis.sector}</p>
+                    <h2 className="text-2xl font-bold">{analysis.company || analysis.symbol}</h2>
+                    <p className="text-blue-100">{analysis.sector ? `${analysis.symbol} • ${analysis.sector}` : analysis.symbol}</p>
                   </div>
                   <div className="text-right">
-                    <div className="text-3xl font-bold">${analysis.currentPrice?.toFixed(2)}</div>
+                    <div className="text-3xl font-bold">{formatMoney(analysis.currentPrice, analysis.currency)}</div>
                     <div className={`flex items-center gap-2 mt-1 ${analysis.priceChangePercent >= 0 ? 'text-green-300' : 'text-red-300'}`}>
                       <span className="text-sm">{formatPercent(analysis.priceChangePercent)}</span>
                       <CheckCircle className="w-5 h-5" />
-                      <span className="text-sm">Live Data</span>
+                      <span className="text-sm">{streamStatus === 'live' ? 'Live Data' : streamStatus === 'reconnecting' ? 'Reconnecting…' : 'Connecting…'}</span>
                     </div>
+                    {analysis.fx && (
+                      <div className="text-xs text-blue-100 mt-1">
+                        Converted from {analysis.fx.from} at {analysis.fx.rate} ({analysis.fx.source}, {analysis.fx.asOf})
+                      </div>
+                    )}
+                    {analysis.skippedProviders.length > 0 && (
+                      <div className="text-xs text-yellow-200 mt-1">
+                        Partial data: {analysis.skippedProviders.map(skipped => skipped.provider).filter((name, index, names) => names.indexOf(name) === index).join(', ')} temporarily unavailable
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -465,13 +677,13 @@ const App: React.FC = () => {
                   <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-6">
                     <div>
                       <h3 className="text-2xl font-bold text-gray-800">Price & Technical Analysis</h3>
-                      <p className="text-gray-600 text-lg">Interactive charts • {analysis.chartData.length} data points</p>
+                      <p className="text-gray-600 text-lg">Interactive charts • {filteredChartData.length} data points</p>
                     </div>
                     <div className="flex bg-gray-100 rounded-xl p-1 mt-4 sm:mt-0">
                       {(['1D', '1W', '1M', '3M', '6M', '1Y'] as const).map(range => (
                         <button
                           key={range}
-                          onClick={() => setSelectedTimeRange(range)}
+                          onClick={() => selectTimeRange(range)}
                           className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
                             selectedTimeRange === range ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 hover:text-blue-600 hover:bg-white'
                           }`}
@@ -486,7 +698,7 @@ const App: React.FC = () => {
                     <ResponsiveContainer width="100%" height="100%">
                       <LineChart data={filteredChartData}>
                         <XAxis dataKey="displayDate" stroke="#6b7280" fontSize={12} />
-                        <YAxis stroke="#6b7280" fontSize={12} tickFormatter={v => `$${v.toFixed(2)}`} />
+                        <YAxis stroke="#6b7280" fontSize={12} tickFormatter={v => formatMoney(v, analysis.currency)} />
                         <Tooltip content={({ active, payload }) => {
                           if (!active || !payload?.[0]) return null;
                           const data = payload[0].payload;
@@ -494,10 +706,10 @@ const App: React.FC = () => {
                             <div className="bg-white p-4 border-2 border-blue-500 rounded-xl shadow-lg">
                               <p className="font-bold mb-2">Date: {data.displayDate}</p>
                               <div className="text-sm space-y-1">
-                                <div>Open: ${data.open?.toFixed(2)}</div>
-                                <div>High: ${data.high?.toFixed(2)}</div>
-                                <div>Low: ${data.low?.toFixed(2)}</div>
-                                <div>Close: ${data.close?.toFixed(2)}</div>
+                                <div>Open: {formatMoney(data.open, analysis.currency)}</div>
+                                <div>High: {formatMoney(data.high, analysis.currency)}</div>
+                                <div>Low: {formatMoney(data.low, analysis.currency)}</div>
+                                <div>Close: {formatMoney(data.close, analysis.currency)}</div>
                                 <div>Volume: {data.volume?.toLocaleString()}</div>
                               </div>
                             </div>
@@ -520,8 +732,8 @@ const App: React.FC = () => {
                   </h3>
                   
                   {analysis.fundamentals.type === 'crypto' 
-                    ? renderCryptoFundamentals(analysis.fundamentals)
-                    : renderStockFundamentals(analysis.fundamentals)
+                    ? renderCryptoFundamentals(analysis.fundamentals, analysis.currency)
+                    : renderStockFundamentals(analysis.fundamentals, analysis.currency)
                   }
                 </div>
               )}
@@ -604,6 +816,7 @@ const App: React.FC = () => {
                               article.sentiment === 'negative' ? 'bg-red-500' : 'bg-gray-500'
                             }`}>
                               {article.sentiment}
+                              {article.sentimentScore !== undefined && ` ${article.sentimentScore > 0 ? '+' : ''}${article.sentimentScore.toFixed(2)}`}
                             </span>
                           </div>
                         </div>
@@ -621,7 +834,7 @@ const App: React.FC = () => {
           </div>
         )}
 
-        {!analysis && !loading && (
+        {!(mode === 'compare' ? comparison : analysis) && !loading && (
           <div className="bg-white rounded-2xl shadow-lg p-12 text-center">
             <div className="w-20 h-20 bg-gradient-to-r from-blue-600 to-green-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
               <TrendingUp size={40} className="text-white" />
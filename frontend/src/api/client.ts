@@ -0,0 +1,1263 @@
+// Generated by scripts/generate-client.js from the OpenAPI spec (services/openapi). Do not edit by hand;
+// run `npm run generate:client` in the backend after changing the spec.
+// Malthus.ai market analysis API 1.0.0
+
+export interface ErrorBody {
+  error: string;
+  /** Field-level problems for validation errors, otherwise an upstream message */
+  details?: FieldError[] | string | null;
+}
+
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+export interface RateLimitError {
+  error: string;
+  details: string;
+  plan: string;
+  cost: number;
+  limit: number;
+  remaining: number;
+  retryAfterSeconds: number;
+}
+
+/** Cache status per data type that went into the response */
+export type CacheInfo = Record<string, {
+  status: "hit" | "stale" | "miss";
+  ageSeconds: number;
+  ttlSeconds: number;
+}>;
+
+export interface FxInfo {
+  from: string;
+  to: string;
+  rate: number;
+  asOf: string;
+  source: string;
+  cache?: {
+    status?: string;
+    ageSeconds?: number;
+    ttlSeconds?: number;
+  };
+  /** Only with candles. daily: each candle at the reference rate of its date (from/to span the rates used); spot: no rate history, every candle at `rate` (asOf) */
+  chart?: {
+    applied: "daily" | "spot";
+    from?: string;
+    to?: string;
+    asOf?: string;
+    source?: string;
+    error?: string;
+  };
+}
+
+export interface Candle {
+  /** YYYY-MM-DD for daily candles, an ISO timestamp for intraday */
+  time: string;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume?: number | null;
+  displayDate?: string;
+  index?: number;
+  sma20?: number | null;
+  sma50?: number | null;
+  ema12?: number | null;
+}
+
+export interface StockFundamentals {
+  type: "stock";
+  /** Billions in the response currency */
+  marketCap: number | null;
+  peRatio: number | null;
+  eps: number | null;
+  /** Percent */
+  dividendYield: number | null;
+  debtToEquity: number | null;
+  revenueGrowthYoY: number | null;
+  revenueGrowthQoQ: number | null;
+  earningsGrowthYoY: number | null;
+  earningsGrowthQoQ: number | null;
+  bookValue: number | null;
+  roe: number | null;
+  grossMargin: number | null;
+  operatingMargin: number | null;
+  beta: number | null;
+  /** Why a metric is null, keyed by metric name */
+  unavailable?: Record<string, string>;
+  statementsSource?: string | null;
+  statementsAsOf?: string | null;
+}
+
+export interface CryptoFundamentals {
+  type: "crypto";
+  /** Billions in the response currency */
+  marketCap: number;
+  /** Millions in the response currency */
+  volume24h: number;
+  circulatingSupply: number;
+  maxSupply: number | null;
+  totalSupply: number;
+  marketDominance: number;
+  priceChange7d: number;
+  priceChange30d: number;
+  allTimeHigh: number;
+  allTimeLow: number;
+  athDistance: number;
+  volatility: number;
+  liquidityScore: number;
+  hodlerRatio: number;
+  exchangeInflow?: {
+    inflow: number;
+    outflow: number;
+    netFlow: number;
+    trend: "accumulation" | "distribution";
+  };
+  whaleActivity?: {
+    largeTransactions: number;
+    whaleNetFlow: number;
+    topHoldersPercent: number;
+    activity: "high" | "medium" | "low";
+  };
+  networkHealth?: {
+    hashRate: number | null;
+    networkGrowth: number;
+    activeAddresses: number;
+    transactionCount: number;
+  };
+}
+
+export type Fundamentals = StockFundamentals | CryptoFundamentals;
+
+export interface Story {
+  id: string;
+  articleCount: number;
+  sources: string[];
+  sentiment: {
+    overall: "positive" | "negative" | "neutral";
+    score: number;
+  };
+  firstPublishedAt: string;
+  lastPublishedAt: string;
+  related: {
+    headline: string;
+    source: string;
+    provider?: string;
+    url?: string | null;
+    publishedAt?: string;
+    sentimentScore?: number;
+  }[];
+}
+
+export interface NewsArticle {
+  headline: string;
+  summary?: string | null;
+  source: string;
+  url?: string | null;
+  publishedAt: string;
+  provider?: string;
+  sourceTier?: string;
+  sentiment: "positive" | "negative" | "neutral";
+  sentimentScore: number;
+  vendorSentimentScore?: number;
+  impact: "low" | "medium" | "high";
+  relevanceScore?: number;
+  category?: "earnings" | "analyst" | "corporate" | "legal" | "general";
+  story?: Story;
+}
+
+export interface SentimentDistribution {
+  positive: number;
+  neutral: number;
+  negative: number;
+}
+
+export interface Sentiment {
+  overall: "positive" | "negative" | "neutral";
+  score: number;
+  distribution: SentimentDistribution;
+  vendorBlended?: number;
+  articles: NewsArticle[];
+}
+
+export interface QuarterlyEarnings {
+  success: boolean;
+  source?: string;
+  latestQuarter?: {
+    period: string;
+    year?: string;
+    revenue?: number | null;
+    netIncome?: number | null;
+    eps?: number | null;
+    revenueGrowthYoY?: number | null;
+    earningsGrowthYoY?: number | null;
+  };
+  outlook?: {
+    nextEarningsDate: string | null;
+    nextEarningsTime?: string | null;
+    analystExpectations?: string;
+    guidance?: string;
+  };
+  historicalQuarters?: {
+    period: string;
+    revenue?: number | null;
+    netIncome?: number | null;
+    eps?: number | null;
+  }[];
+  message?: string;
+  error?: string;
+}
+
+export interface EarningsEvent {
+  symbol: string;
+  date: string;
+  time?: string | null;
+  fiscalPeriod?: string | null;
+  fiscalDateEnding?: string | null;
+  epsEstimate?: number | null;
+  epsActual?: number | null;
+  revenueEstimate?: number | null;
+  revenueActual?: number | null;
+  sources: string[];
+}
+
+export interface SurpriseHistory {
+  source?: string;
+  fetchedAt?: string;
+  streak?: {
+    result: "beat" | "miss" | "inline";
+    length: number;
+  } | null;
+  beats: number;
+  misses: number;
+  inline: number;
+  beatRate?: number | null;
+  averageSurprisePercent?: number | null;
+  quarters: {
+    fiscalPeriod?: string | null;
+    fiscalDateEnding?: string | null;
+    reportedDate?: string | null;
+    reportTime?: string | null;
+    epsActual: number | null;
+    epsEstimate: number | null;
+    surprise?: number | null;
+    surprisePercent?: number | null;
+    result: "beat" | "miss" | "inline";
+  }[];
+}
+
+export interface ProviderOutcome {
+  answered: Array<Record<string, Record<string, unknown>>>;
+  failed: Array<Record<string, Record<string, unknown>>>;
+}
+
+export interface AnalyzeRequest {
+  symbol: string;
+  /** ISO code to convert prices to, e.g. EUR */
+  currency?: string;
+}
+
+export interface AnalysisResponse {
+  symbol: string;
+  company: string | null;
+  currentPrice: number;
+  priceChange: number;
+  priceChangePercent: number;
+  currency: string;
+  nativeCurrency: string;
+  fx: FxInfo | null;
+  assetType: "stock" | "etf" | "crypto" | "index";
+  sector: string | null;
+  chartData: Candle[];
+  fundamentals: Fundamentals;
+  sentiment: Sentiment;
+  earnings: QuarterlyEarnings;
+  timestamp: string;
+  dataSource: string;
+  enhancedFeatures: Record<string, boolean>;
+  skippedProviders: SkippedProvider[];
+  cache: CacheInfo;
+}
+
+export interface SkippedProvider {
+  provider: string;
+  method: string;
+  /** Open circuit breaker or used-up upstream quota */
+  reason: "circuit_open" | "quota";
+  retryAt: string | null;
+}
+
+export interface ProviderQuota {
+  daily: {
+    limit: number;
+    used: number;
+    remaining: number;
+    reserve: number;
+    resetsAt: string;
+  } | null;
+  perMinute: {
+    limit: number;
+    used: number;
+    remaining: number;
+  } | null;
+  /** Share of the daily budget one call uses; 0 without a daily limit */
+  cost: number;
+  deferred: number;
+  blockedUntil: string | null;
+}
+
+export interface ProviderHealth {
+  name: string;
+  configured: boolean;
+  state: "closed" | "half_open" | "open";
+  consecutiveFailures: number;
+  /** Share of successful calls in the recent window */
+  successRate: number | null;
+  latencyMs: {
+    avg: number | null;
+    p95: number | null;
+  };
+  window: number;
+  totals: {
+    calls: number;
+    failures: number;
+    skipped: number;
+  };
+  lastError: {
+    message: string;
+    outcome: string;
+    method?: string;
+    at: string;
+  } | null;
+  lastSuccessAt: string | null;
+  openedAt: string | null;
+  retryAt: string | null;
+  /** Upstream budget; null for providers without limits */
+  quota: ProviderQuota | null;
+  capabilities: string[];
+}
+
+export interface ProviderStatus {
+  status: "ok" | "degraded" | "down";
+  checkedAt: string;
+  providers: Record<string, ProviderHealth>;
+  capabilities: Record<string, {
+    providers: string[];
+    available: string[];
+  }>;
+}
+
+export interface BatchRequest {
+  /** Array of tickers or a comma-separated string */
+  symbols: string[] | string;
+  fields?: Array<"quote" | "chart" | "fundamentals" | "sentiment" | "earnings">;
+  currency?: string;
+}
+
+export interface BatchResult {
+  symbol: string;
+  success: boolean;
+  assetType?: "stock" | "etf" | "crypto" | "index";
+  company?: string;
+  currency?: string;
+  nativeCurrency?: string;
+  fx?: FxInfo | null;
+  quote?: {
+    currentPrice: number;
+    priceChange: number;
+    priceChangePercent: number;
+    marketCap: number | null;
+    volume: number | null;
+  };
+  chart?: Candle[] | null;
+  fundamentals?: Fundamentals | null;
+  sentiment?: {
+    overall: "positive" | "negative" | "neutral";
+    score: number;
+    distribution?: SentimentDistribution;
+    articleCount: number;
+  } | null;
+  earnings?: QuarterlyEarnings | null;
+  errors?: Record<string, string>;
+  error?: string;
+  cache?: CacheInfo;
+}
+
+export interface BatchResponse {
+  requested: number;
+  succeeded: number;
+  failed: number;
+  fields: Array<"quote" | "chart" | "fundamentals" | "sentiment" | "earnings">;
+  currency: string | null;
+  results: BatchResult[];
+  timestamp: string;
+}
+
+export interface ComparisonPerformance {
+  totalReturnPct: number;
+  cagrPct?: number | null;
+  maxDrawdownPct: number;
+  sharpe?: number | null;
+  volatilityPct?: number | null;
+}
+
+export interface ComparisonResponse {
+  symbols: string[];
+  range: string;
+  interval: string;
+  currency: string | null;
+  /** Every series starts at this value */
+  base: number;
+  from: string;
+  to: string;
+  series: {
+    time: string;
+    displayDate: string;
+    /** Rebased close per symbol */
+    values: Record<string, number>;
+  }[];
+  correlation: {
+    /** Row and column order of the matrix */
+    symbols: string[];
+    /** Number of aligned period returns */
+    observations: number;
+    /** Pearson correlation of period returns; null with fewer than 3 observations */
+    matrix: Array<Array<number | null>>;
+  };
+  results: ComparisonResult[];
+  timestamp: string;
+}
+
+export interface WatchlistInput {
+  name: string;
+  symbols?: string[];
+}
+
+export interface WatchlistUpdate {
+  name?: string;
+  symbols?: string[];
+}
+
+export interface Watchlist {
+  id: string;
+  name: string;
+  symbols: string[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WatchlistList {
+  count: number;
+  watchlists: Watchlist[];
+}
+
+export interface WatchlistSummary {
+  id: string;
+  name: string;
+  members: {
+    symbol: string;
+    success: boolean;
+    assetType?: "stock" | "etf" | "crypto" | "index";
+    name?: string;
+    currentPrice?: number;
+    priceChangePercent?: number;
+    currency?: string;
+    sentiment?: {
+      overall: "positive" | "negative" | "neutral";
+      score: number;
+    };
+    error?: string;
+  }[];
+  timestamp: string;
+}
+
+export interface AlertRuleInput {
+  symbol: string;
+  type: "price_cross" | "change_pct" | "rsi_band" | "sentiment";
+  /** Parameters of the rule type, e.g. { "price": 200, "direction": "above" } for price_cross */
+  params?: Record<string, unknown>;
+  name?: string | null;
+  webhooks?: string[];
+  cooldownSeconds?: number;
+  enabled?: boolean;
+}
+
+export interface AlertRuleUpdate {
+  params?: Record<string, unknown>;
+  name?: string | null;
+  webhooks?: string[];
+  cooldownSeconds?: number;
+  enabled?: boolean;
+}
+
+export interface AlertRule {
+  id: string;
+  symbol: string;
+  type: "price_cross" | "change_pct" | "rsi_band" | "sentiment";
+  params: Record<string, unknown>;
+  name: string | null;
+  webhooks: string[];
+  cooldownSeconds: number;
+  enabled: boolean;
+  state: Record<string, unknown>;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface AlertRuleList {
+  count: number;
+  rules: AlertRule[];
+  engine: {
+    scheduler: string;
+    intervalSeconds: number;
+    lastRun: Record<string, unknown> | null;
+  };
+}
+
+export interface AlertEvent {
+  id: string;
+  ruleId: string;
+  ruleName?: string | null;
+  symbol: string;
+  type: string;
+  params?: Record<string, unknown>;
+  value?: number | null;
+  message: string;
+  triggeredAt: string;
+  deliveries?: Array<Record<string, unknown>>;
+}
+
+export interface AlertHistory {
+  count: number;
+  events: AlertEvent[];
+}
+
+export interface AlertEvaluation {
+  startedAt: string;
+  durationMs: number;
+  evaluated: number;
+  triggered: number;
+  events: AlertEvent[];
+}
+
+export interface PortfolioInput {
+  name: string;
+}
+
+export interface Portfolio {
+  id: string;
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PortfolioList {
+  count: number;
+  portfolios: {
+    id: string;
+    name: string;
+    createdAt: string;
+    updatedAt: string;
+    transactionCount: number;
+  }[];
+}
+
+export interface Holding {
+  symbol: string;
+  assetType?: "stock" | "etf" | "crypto" | "index";
+  sector?: string | null;
+  quantity: number;
+  averageCost?: number;
+  costBasis: number;
+  currentPrice: number | null;
+  marketValue: number | null;
+  unrealizedPnL?: number | null;
+  unrealizedPnLPercent?: number | null;
+  realizedPnL?: number;
+  dividends?: number;
+  weight?: number | null;
+  error?: string;
+}
+
+export interface PortfolioValuation {
+  id: string;
+  name: string;
+  holdings: Holding[];
+  closedPositions: {
+    symbol: string;
+    realizedPnL: number;
+    dividends: number;
+  }[];
+  totals: {
+    marketValue: number;
+    costBasis: number;
+    unrealizedPnL: number;
+    unrealizedPnLPercent: number | null;
+    realizedPnL: number;
+    dividends: number;
+    accountFees: number;
+    totalPnL: number;
+  };
+  allocation: {
+    byAssetType: {
+      assetType: string;
+      marketValue: number;
+      weight: number | null;
+    }[];
+    bySector: {
+      sector: string;
+      marketValue: number;
+      weight: number | null;
+    }[];
+  };
+  pricedHoldings: number;
+  timestamp: string;
+}
+
+export interface TransactionInput {
+  type: "buy" | "sell" | "dividend" | "fee";
+  /** Defaults to today */
+  date?: string;
+  symbol?: string;
+  quantity?: number;
+  price?: number;
+  fee?: number;
+  amount?: number;
+}
+
+export interface Transaction {
+  id: string;
+  type: "buy" | "sell" | "dividend" | "fee";
+  date: string;
+  symbol?: string | null;
+  quantity?: number;
+  price?: number;
+  fee?: number;
+  amount?: number;
+  createdAt: string;
+}
+
+export interface TransactionList {
+  count: number;
+  transactions: Transaction[];
+}
+
+export interface EquityCurve {
+  id: string;
+  range: string;
+  from: string;
+  to: string;
+  points: {
+    date: string;
+    marketValue: number;
+    costBasis: number;
+    unrealizedPnL: number;
+    realizedPnL: number;
+    totalPnL: number;
+  }[];
+}
+
+export interface BacktestCondition {
+  left: string | number;
+  op: "crossesAbove" | "crossesBelow" | ">" | "<" | ">=" | "<=";
+  right: string | number;
+}
+
+/** { all: [...] } or { any: [...] } with 1-10 conditions; a bare array means all */
+export type BacktestRuleSet = {
+  all?: BacktestCondition[];
+  any?: BacktestCondition[];
+} | BacktestCondition[];
+
+export interface BacktestRequest {
+  symbol: string;
+  from?: string;
+  to?: string;
+  interval?: "1d" | "1wk";
+  initialCapital?: number;
+  strategy?: {
+    /** Series names mapped to specs like "sma:20". Omitted: the SMA 20/50 crossover including its entry and exit; supplied: entry is required and exit has no default (a stop-loss or take-profit can replace it) */
+    indicators?: Record<string, string>;
+    entry?: BacktestRuleSet;
+    exit?: BacktestRuleSet | null;
+    stopLossPct?: number | null;
+    takeProfitPct?: number | null;
+    sizing?: {
+      type?: "percent" | "amount" | "units";
+      value?: number;
+    };
+    fees?: {
+      percent?: number;
+      fixed?: number;
+    };
+  };
+}
+
+export interface BacktestMetrics {
+  finalEquity: number;
+  totalReturnPct: number;
+  cagrPct?: number | null;
+  maxDrawdownPct: number;
+  sharpe?: number | null;
+  volatilityPct?: number | null;
+  trades?: number;
+  winRatePct?: number | null;
+  profitFactor?: number | null;
+  averageTradePct?: number | null;
+  exposurePct?: number;
+  totalFees?: number;
+}
+
+export interface BacktestReport {
+  symbol: string;
+  assetType: "stock" | "etf" | "crypto" | "index";
+  interval: "1d" | "1wk";
+  initialCapital: number;
+  period: {
+    requestedFrom: string;
+    requestedTo: string;
+    /** First candle in the test; can be after requestedFrom (weekends, holidays) */
+    from: string;
+    to: string;
+    candles: number;
+  };
+  metrics: BacktestMetrics;
+  buyAndHold: BacktestMetrics;
+  comparison: {
+    excessReturnPct: number;
+    outperformed: boolean;
+  };
+  trades: {
+    entryTime: string;
+    entryPrice: number;
+    exitTime: string;
+    exitPrice: number;
+    quantity: number;
+    fees: number;
+    pnl: number;
+    returnPct: number;
+    bars: number;
+    exitReason: string;
+  }[];
+  equityCurve: {
+    time: string;
+    equity: number;
+    buyAndHold: number;
+    drawdownPct: number;
+  }[];
+  timestamp: string;
+}
+
+export interface Instrument {
+  symbol: string;
+  name: string;
+  exchange?: string | null;
+  assetType: "stock" | "etf" | "crypto" | "index";
+  currency?: string | null;
+  score?: number;
+}
+
+export interface IndexInfo {
+  size: number;
+  source: string;
+  updatedAt: string | null;
+}
+
+export interface SearchResponse {
+  query: string;
+  count: number;
+  results: Instrument[];
+  index: IndexInfo;
+}
+
+export interface NewsResponse {
+  symbol: string;
+  totalArticles: number;
+  returnedArticles: number;
+  totalSourceArticles: number;
+  articles: NewsArticle[];
+  nextCursor: string | null;
+  filters: Record<string, unknown>;
+  sources: string[];
+  providers: ProviderOutcome;
+  timestamp: string;
+  cache: CacheInfo;
+}
+
+export interface CandlesResponse {
+  symbol: string;
+  range: string;
+  interval: string;
+  currency: string;
+  nativeCurrency: string;
+  fx: FxInfo | null;
+  count: number;
+  candles: Candle[];
+  timestamp: string;
+  cache: CacheInfo;
+}
+
+export interface IndicatorsResponse {
+  symbol: string;
+  range: string;
+  interval: string;
+  count: number;
+  /** Keyed by the normalized spec, e.g. "sma:20" or "macd:12:26:9" */
+  indicators: Record<string, {
+    name: string;
+    params: Record<string, number>;
+    values: Array<Record<string, string | number | null>>;
+  }>;
+  timestamp: string;
+  cache: CacheInfo;
+}
+
+export interface StreamStatus {
+  clients: number;
+  pollSeconds: number;
+  heartbeatSeconds: number;
+  bufferedEvents: number;
+  lastEventId: string | null;
+  symbols: Array<Record<string, unknown>>;
+  maxSymbols: number;
+  timestamp: string;
+}
+
+export interface EarningsResponse {
+  symbol: string;
+  earnings: QuarterlyEarnings;
+  nextEarnings: EarningsEvent | null;
+  surprises: SurpriseHistory | null;
+  timestamp: string;
+  cache: CacheInfo;
+}
+
+export interface EarningsCalendar {
+  from: string;
+  to: string;
+  count: number;
+  events: EarningsEvent[];
+  syncedAt?: string | null;
+  providers?: ProviderOutcome;
+  timestamp: string;
+}
+
+export interface ServiceInfo {
+  message: string;
+  timestamp: string;
+  dataSources: string[];
+  features: string[];
+  apiStatus: Record<string, boolean>;
+  providers: Record<string, string[]>;
+  instruments: IndexInfo;
+}
+
+export interface CacheSummary {
+  entries: number;
+  stats: {
+    hits: number;
+    stale: number;
+    misses: number;
+    errors: number;
+  };
+  policies: Record<string, {
+    ttl: number;
+    stale: number;
+  }>;
+}
+
+export interface CachePurge {
+  symbol: string;
+  purged: number;
+  keys: string[];
+  timestamp: string;
+}
+
+export interface ApiKeyInput {
+  name: string;
+  /** Defaults to free */
+  plan?: "free" | "pro";
+}
+
+export interface ApiKeyUpdate {
+  name?: string;
+  plan?: "free" | "pro";
+  disabled?: boolean;
+}
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  plan: "free" | "pro";
+  /** First characters of the key, to recognise it */
+  prefix: string;
+  disabled: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** A new API key */
+export interface ApiKeyCreated {
+  key: ApiKey;
+  /** The full key. It is only shown here; store it now. */
+  secret: string;
+}
+
+export interface ApiKeyList {
+  count: number;
+  keys: ApiKey[];
+}
+
+export interface ApiKeyDetail {
+  key: ApiKey;
+  usage: {
+    limit: number;
+    remaining: number;
+    resetSeconds: number;
+    windowSeconds: number;
+  };
+}
+
+export interface InstrumentRefresh {
+  success: boolean;
+  size: number;
+  updatedAt: string;
+  providers: Record<string, unknown>;
+}
+
+export interface ConfigView {
+  environment: string;
+  /** Config files that were loaded, lowest priority first */
+  files: string[];
+  /** Effective settings in the shape of config/*.json; secrets read "[redacted]" when set */
+  settings: Record<string, unknown>;
+  /** Where each non-default setting came from, e.g. "env:PORT" or "file:config/production.json" */
+  sources: Record<string, string>;
+}
+
+export interface ProviderTest {
+  assetType: "stock" | "etf" | "crypto" | "index";
+}
+
+export interface ComparisonResult {
+  symbol: string;
+  success: boolean;
+  assetType?: "stock" | "etf" | "crypto" | "index";
+  company?: string;
+  currency?: string;
+  nativeCurrency?: string;
+  fx?: FxInfo | null;
+  quote?: {
+    currentPrice: number;
+    priceChange: number;
+    priceChangePercent: number;
+    marketCap: number | null;
+    volume: number | null;
+  };
+  fundamentals?: Fundamentals | null;
+  sentiment?: {
+    overall: "positive" | "negative" | "neutral";
+    score: number;
+    distribution?: SentimentDistribution;
+    articleCount: number;
+  } | null;
+  errors?: Record<string, string>;
+  error?: string;
+  cache?: CacheInfo;
+  performance?: ComparisonPerformance | null;
+}
+
+export interface AnalyzeQuery {
+  /** ISO code to convert prices to, e.g. EUR */
+  currency?: string;
+}
+
+export interface CompareSymbolsQuery {
+  /** Two or more comma-separated tickers, e.g. NVDA,AMD,SPY */
+  symbols: string;
+  /** 1d, 5d, 1mo, 3mo, 6mo, 1y, 2y, 5y or max (default 1y) */
+  range?: string;
+  /** Candle interval; defaults per range */
+  interval?: string;
+  /** ISO code to convert prices to, e.g. EUR */
+  currency?: string;
+}
+
+export interface GetWatchlistSummaryQuery {
+  /** ISO code to convert prices to, e.g. EUR */
+  currency?: string;
+}
+
+export interface GetAlertHistoryQuery {
+  /** Only events of this rule */
+  ruleId?: string;
+  /** Only events for this symbol */
+  symbol?: string;
+  /** Maximum number of events (default 50) */
+  limit?: number;
+}
+
+export interface GetEquityCurveQuery {
+  /** 1mo, 3mo, 6mo, 1y, 2y or 5y */
+  range?: string;
+}
+
+export interface SearchInstrumentsQuery {
+  /** Ticker or name fragment */
+  q: string;
+  /** Maximum number of results */
+  limit?: number;
+  /** Only this asset type */
+  type?: "stock" | "etf" | "crypto" | "index";
+}
+
+export interface GetNewsQuery {
+  /** Page size (default 20) */
+  limit?: number;
+  /** nextCursor from the previous page */
+  cursor?: string;
+  /** Comma-separated providers or publishers */
+  sources?: string;
+  /** Comma-separated categories */
+  category?: string;
+  /** Comma-separated sentiments */
+  sentiment?: string;
+  /** Comma-separated impact levels */
+  impact?: string;
+  /** Date (YYYY-MM-DD) or ISO timestamp */
+  from?: string;
+  /** Date (YYYY-MM-DD) or ISO timestamp */
+  to?: string;
+}
+
+export interface GetCandlesQuery {
+  /** 1d, 5d, 1mo, 3mo, 6mo, 1y, 2y, 5y or max (default 1y) */
+  range?: string;
+  /** Candle interval; defaults per range */
+  interval?: string;
+  /** ISO code to convert prices to, e.g. EUR */
+  currency?: string;
+}
+
+export interface GetIndicatorsQuery {
+  /** Comma-separated specs, e.g. sma:20,rsi:14,macd */
+  set?: string;
+  /** 1d, 5d, 1mo, 3mo, 6mo, 1y, 2y, 5y or max (default 1y) */
+  range?: string;
+  /** Candle interval; defaults per range */
+  interval?: string;
+}
+
+export interface StreamQuery {
+  /** Comma-separated tickers */
+  symbols: string;
+  /** ISO code to convert prices to, e.g. EUR */
+  currency?: string;
+  /** Resume after this event id (or send Last-Event-ID) */
+  lastEventId?: string;
+  /** API key, since EventSource cannot send an X-API-Key header */
+  api_key?: string;
+}
+
+export interface GetEarningsCalendarQuery {
+  /** Start date (default today) */
+  from?: string;
+  /** End date (default 14 days out) */
+  to?: string;
+  /** Comma-separated tickers */
+  symbols?: string;
+}
+
+export class ApiError extends Error {
+  status: number;
+  details?: FieldError[] | string | null;
+
+  constructor(status: number, body: Partial<ErrorBody>) {
+    super(body.error || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = body.details;
+  }
+
+  /** First field-level message, for validation errors */
+  get fieldMessage(): string | undefined {
+    return Array.isArray(this.details) && this.details.length > 0 ? `${this.details[0].field}: ${this.details[0].message}` : undefined;
+  }
+}
+
+export interface ApiClientOptions {
+  baseUrl?: string;
+  headers?: Record<string, string>;
+}
+
+type QueryValue = string | number | boolean | undefined | null;
+
+export function createApiClient({ baseUrl = '', headers = {} }: ApiClientOptions = {}) {
+  const buildUrl = (path: string, query: object = {}) => {
+    const search = Object.entries(query as Record<string, QueryValue>)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+      .join('&');
+    return `${baseUrl}${path}${search ? `?${search}` : ''}`;
+  };
+
+  const request = async <T>(method: string, path: string, { query, body }: { query?: object; body?: unknown } = {}): Promise<T> => {
+    const response = await fetch(buildUrl(path, query), {
+      method,
+      headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 204) return undefined as T;
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new ApiError(response.status, data);
+    return data as T;
+  };
+
+  return {
+    /** Service info and configured providers */
+    getServiceInfo: () =>
+      request<ServiceInfo>('GET', `/`),
+    /** This OpenAPI document */
+    getOpenApiSpec: () =>
+      request<Record<string, unknown>>('GET', `/api/openapi.json`),
+    /** Provider health, circuit breaker state and remaining quota */
+    getStatus: () =>
+      request<ProviderStatus>('GET', `/api/status`),
+    /** Full analysis of one symbol */
+    analyze: (body: AnalyzeRequest, query: AnalyzeQuery = {}) =>
+      request<AnalysisResponse>('POST', `/api/analyze`, { query, body }),
+    /** Analyze several symbols in one request */
+    analyzeBatch: (body: BatchRequest) =>
+      request<BatchResponse>('POST', `/api/analyze/batch`, { body }),
+    /** Relative performance, correlation and fundamentals of several symbols */
+    compareSymbols: (query: CompareSymbolsQuery) =>
+      request<ComparisonResponse>('GET', `/api/compare`, { query }),
+    /** All watchlists */
+    listWatchlists: () =>
+      request<WatchlistList>('GET', `/api/watchlists`),
+    /** Create a watchlist */
+    createWatchlist: (body: WatchlistInput) =>
+      request<Watchlist>('POST', `/api/watchlists`, { body }),
+    /** One watchlist */
+    getWatchlist: (id: string) =>
+      request<Watchlist>('GET', `/api/watchlists/${encodeURIComponent(id)}`),
+    /** Rename a watchlist or replace its symbols */
+    updateWatchlist: (id: string, body: WatchlistUpdate) =>
+      request<Watchlist>('PUT', `/api/watchlists/${encodeURIComponent(id)}`, { body }),
+    /** Delete a watchlist */
+    deleteWatchlist: (id: string) =>
+      request<void>('DELETE', `/api/watchlists/${encodeURIComponent(id)}`),
+    /** Price, change and sentiment per member */
+    getWatchlistSummary: (id: string, query: GetWatchlistSummaryQuery = {}) =>
+      request<WatchlistSummary>('GET', `/api/watchlists/${encodeURIComponent(id)}/summary`, { query }),
+    /** All alert rules and the scheduler state */
+    listAlerts: () =>
+      request<AlertRuleList>('GET', `/api/alerts`),
+    /** Create an alert rule */
+    createAlert: (body: AlertRuleInput) =>
+      request<AlertRule>('POST', `/api/alerts`, { body }),
+    /** Triggered alerts, newest first */
+    getAlertHistory: (query: GetAlertHistoryQuery = {}) =>
+      request<AlertHistory>('GET', `/api/alerts/history`, { query }),
+    /** Run one evaluation round now */
+    evaluateAlerts: () =>
+      request<AlertEvaluation>('POST', `/api/alerts/evaluate`),
+    /** One alert rule */
+    getAlert: (id: string) =>
+      request<AlertRule>('GET', `/api/alerts/${encodeURIComponent(id)}`),
+    /** Change parameters, webhooks, cooldown or enabled state */
+    updateAlert: (id: string, body: AlertRuleUpdate) =>
+      request<AlertRule>('PUT', `/api/alerts/${encodeURIComponent(id)}`, { body }),
+    /** Delete an alert rule */
+    deleteAlert: (id: string) =>
+      request<void>('DELETE', `/api/alerts/${encodeURIComponent(id)}`),
+    /** All portfolios */
+    listPortfolios: () =>
+      request<PortfolioList>('GET', `/api/portfolios`),
+    /** Create a portfolio */
+    createPortfolio: (body: PortfolioInput) =>
+      request<Portfolio>('POST', `/api/portfolios`, { body }),
+    /** Holdings at current prices with P&L and allocation */
+    getPortfolio: (id: string) =>
+      request<PortfolioValuation>('GET', `/api/portfolios/${encodeURIComponent(id)}`),
+    /** Rename a portfolio */
+    renamePortfolio: (id: string, body: PortfolioInput) =>
+      request<Portfolio>('PUT', `/api/portfolios/${encodeURIComponent(id)}`, { body }),
+    /** Delete a portfolio */
+    deletePortfolio: (id: string) =>
+      request<void>('DELETE', `/api/portfolios/${encodeURIComponent(id)}`),
+    /** Transactions of a portfolio */
+    listTransactions: (id: string) =>
+      request<TransactionList>('GET', `/api/portfolios/${encodeURIComponent(id)}/transactions`),
+    /** Record a buy, sell, dividend or fee */
+    addTransaction: (id: string, body: TransactionInput) =>
+      request<Transaction>('POST', `/api/portfolios/${encodeURIComponent(id)}/transactions`, { body }),
+    /** Delete a transaction */
+    deleteTransaction: (id: string, transactionId: string) =>
+      request<void>('DELETE', `/api/portfolios/${encodeURIComponent(id)}/transactions/${encodeURIComponent(transactionId)}`),
+    /** Daily market value and P&L */
+    getEquityCurve: (id: string, query: GetEquityCurveQuery = {}) =>
+      request<EquityCurve>('GET', `/api/portfolios/${encodeURIComponent(id)}/equity`, { query }),
+    /** Simulate a long-only strategy against buy-and-hold */
+    runBacktest: (body: BacktestRequest) =>
+      request<BacktestReport>('POST', `/api/backtest`, { body }),
+    /** Search the instrument index by ticker or name */
+    searchInstruments: (query: SearchInstrumentsQuery) =>
+      request<SearchResponse>('GET', `/api/search`, { query }),
+    /** Clustered news with filters and cursor paging */
+    getNews: (symbol: string, query: GetNewsQuery = {}) =>
+      request<NewsResponse>('GET', `/api/news/${encodeURIComponent(symbol)}`, { query }),
+    /** OHLCV candles for a range and interval */
+    getCandles: (symbol: string, query: GetCandlesQuery = {}) =>
+      request<CandlesResponse>('GET', `/api/candles/${encodeURIComponent(symbol)}`, { query }),
+    /** Technical indicators over the candles */
+    getIndicators: (symbol: string, query: GetIndicatorsQuery = {}) =>
+      request<IndicatorsResponse>('GET', `/api/indicators/${encodeURIComponent(symbol)}`, { query }),
+    /** Live quotes and daily candles as Server-Sent Events */
+    streamUrl: (query: StreamQuery) => buildUrl(`/api/stream`, query),
+    /** Connected clients and polled symbols */
+    getStreamStatus: () =>
+      request<StreamStatus>('GET', `/api/stream/status`),
+    /** Earnings reports in a date range */
+    getEarningsCalendar: (query: GetEarningsCalendarQuery = {}) =>
+      request<EarningsCalendar>('GET', `/api/earnings/calendar`, { query }),
+    /** Quarterly results, next report and surprise history */
+    getEarnings: (symbol: string) =>
+      request<EarningsResponse>('GET', `/api/earnings/${encodeURIComponent(symbol)}`),
+    /** Cache statistics and policies */
+    getCacheSummary: () =>
+      request<CacheSummary>('GET', `/api/admin/cache`),
+    /** Purge every cache entry of a symbol */
+    purgeCache: (symbol: string) =>
+      request<CachePurge>('DELETE', `/api/admin/cache/${encodeURIComponent(symbol)}`),
+    /** All issued API keys */
+    listApiKeys: () =>
+      request<ApiKeyList>('GET', `/api/admin/keys`),
+    /** Issue an API key */
+    createApiKey: (body: ApiKeyInput) =>
+      request<ApiKeyCreated>('POST', `/api/admin/keys`, { body }),
+    /** One API key and its usage in the current window */
+    getApiKey: (id: string) =>
+      request<ApiKeyDetail>('GET', `/api/admin/keys/${encodeURIComponent(id)}`),
+    /** Rename a key, change its plan or disable it */
+    updateApiKey: (id: string, body: ApiKeyUpdate) =>
+      request<ApiKey>('PUT', `/api/admin/keys/${encodeURIComponent(id)}`, { body }),
+    /** Revoke an API key */
+    deleteApiKey: (id: string) =>
+      request<void>('DELETE', `/api/admin/keys/${encodeURIComponent(id)}`),
+    /** Effective configuration with secrets redacted */
+    getConfig: () =>
+      request<ConfigView>('GET', `/api/config`),
+    /** Rebuild the instrument index from the providers */
+    refreshInstruments: () =>
+      request<InstrumentRefresh>('POST', `/api/admin/instruments/refresh`),
+    /** Call each provider once for a symbol */
+    testProviders: (symbol: string) =>
+      request<ProviderTest>('GET', `/api/test/${encodeURIComponent(symbol)}`),
+  };
+}
+
+export type ApiClient = ReturnType<typeof createApiClient>;
@@ -0,0 +1,86 @@
+const { createLogger } = require('../services/observability');
+const { isAdmin } = require('./requireAdmin');
+
+const log = createLogger('ratelimit');
+
+// X-API-Key of Authorization: Bearer. EventSource kan geen headers zetten, dus /api/stream mag ?api_key= gebruiken.
+// Via req.headers en niet req.get, zodat het ook werkt in de losse Vercel-function (api/analyze.js) zonder Express.
+function readApiKey(req) {
+  const header = req.headers['x-api-key'];
+  if (typeof header === 'string' && header) return header.trim();
+  const authorization = req.headers.authorization || '';
+  if (/^Bearer\s/i.test(authorization)) return authorization.slice(7).trim();
+  return typeof req.query?.api_key === 'string' ? req.query.api_key : null;
+}
+
+// Express zet req.ip; in de Vercel-function komt het adres van de client uit x-forwarded-for
+function clientAddress(req) {
+  if (req.ip) return req.ip;
+  const forwarded = req.headers['x-forwarded-for'];
+  return (typeof forwarded === 'string' && forwarded.split(',')[0].trim()) || req.socket?.remoteAddress || 'unknown';
+}
+
+// Headers volgens de IETF-draft voor RateLimit-velden; RateLimit-Reset in seconden
+function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.resetSeconds);
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+}
+
+// Identificeert de client (API key of IP-adres) en schrijft de punten van de route af. Een onbekende of
+// ingetrokken key krijgt een 401; zonder key geldt het anonymous-plan, tenzij `requireKey` aan staat. Een geldig
+// X-Admin-Token gaat er buiten om, anders kan de beheerder zichzelf buitensluiten (of geen eerste key aanmaken).
+function rateLimit({ limiter, apiKeys, costOf, requireKey = false }) {
+  return async (req, res, next) => {
+    if (isAdmin(req)) return next();
+
+    const secret = readApiKey(req);
+    let key = null;
+
+    if (secret) {
+      try {
+        key = await apiKeys.authenticate(secret);
+      } catch (error) {
+        log.error('API key lookup failed', { error: error.message });
+        return res.status(500).json({ error: 'Failed to check API key', details: error.message });
+      }
+      if (!key) {
+        return res.status(401).json({ error: 'Invalid API key', details: 'The key is unknown or has been revoked' });
+      }
+    } else if (requireKey) {
+      return res.status(401).json({ error: 'API key required', details: 'Send your key in the X-API-Key header' });
+    }
+
+    req.apiKey = key;
+    const plan = key ? key.plan : 'anonymous';
+    const cost = costOf(req);
+
+    const client = key ? `key:${key.id}` : `ip:${clientAddress(req)}`;
+    let result;
+    try {
+      result = await limiter.consume(client, cost, plan);
+    } catch (error) {
+      // Liever even geen limiet dan de hele API plat omdat de store hapert
+      log.error('Rate limit store failed, letting request through', { error: error.message });
+      return next();
+    }
+
+    setRateLimitHeaders(res, result);
+    if (result.allowed) return next();
+
+    log.info('Rate limited', { client, plan, cost, limit: result.limit, retryAfter: result.resetSeconds });
+    res.setHeader('Retry-After', result.resetSeconds);
+    res.status(429).json({
+      error: 'Too many requests',
+      details: `This request costs ${cost} point${cost === 1 ? '' : 's'}; ${result.remaining} of ${result.limit} are left in the current ${result.windowSeconds}s window`,
+      plan,
+      cost,
+      limit: result.limit,
+      remaining: result.remaining,
+      retryAfterSeconds: result.resetSeconds
+    });
+  };
+}
+
+module.exports = { rateLimit, readApiKey };
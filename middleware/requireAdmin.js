@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { getConfig } = require('../services/config');
+
+// Klopt het X-Admin-Token met ADMIN_TOKEN? Zonder ADMIN_TOKEN is niemand admin
+function isAdmin(req) {
+  const adminToken = getConfig().admin.token;
+  if (!adminToken) return false;
+
+  const expected = Buffer.from(adminToken);
+  const actual = Buffer.from(req.headers['x-admin-token'] || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Admin-routes zijn alleen actief als ADMIN_TOKEN gezet is; de client stuurt hem als X-Admin-Token
+function requireAdmin(req, res, next) {
+  if (!getConfig().admin.token) {
+    return res.status(403).json({ error: 'Admin API disabled', details: 'Set ADMIN_TOKEN to enable admin routes' });
+  }
+
+  if (!isAdmin(req)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
+module.exports = { requireAdmin, isAdmin };
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Genereert frontend/src/api/client.ts uit de OpenAPI-spec: een type per schema en per route een functie.
+// `node scripts/generate-client.js --check` faalt als het bestand niet meer bij de spec past.
+
+const fs = require('fs');
+const path = require('path');
+const { spec } = require('../services/openapi/spec');
+
+const OUTPUT = path.join(__dirname, '..', 'frontend', 'src', 'api', 'client.ts');
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+const pascal = name => name.charAt(0).toUpperCase() + name.slice(1);
+// Schema-namen die met ingebouwde TypeScript-globals botsen krijgen een andere naam in de client
+const RENAMED = { Error: 'ErrorBody' };
+const typeName = name => RENAMED[name] || name;
+const refName = schema => typeName(schema.$ref.split('/').pop());
+const propertyKey = name => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name));
+
+function comment(text, indent) {
+  return text ? `${indent}/** ${text.replace(/\*\//g, '*\\/')} */\n` : '';
+}
+
+function union(types) {
+  const unique = [...new Set(types)];
+  return unique.join(' | ');
+}
+
+function tsType(schema, indent = '') {
+  if (!schema || schema === true) return 'unknown';
+  if (schema.$ref) return refName(schema);
+  if (schema.oneOf || schema.anyOf) return union((schema.oneOf || schema.anyOf).map(option => tsType(option, indent)));
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.enum) return union(schema.enum.map(value => JSON.stringify(value)));
+
+  const types = schema.type === undefined ? ['object'] : [].concat(schema.type);
+  return union(types.map(type => {
+    switch (type) {
+      case 'null': return 'null';
+      case 'string': return 'string';
+      case 'number':
+      case 'integer': return 'number';
+      case 'boolean': return 'boolean';
+      case 'array': {
+        const item = tsType(schema.items, indent);
+        return /[ |]/.test(item) && !item.startsWith('{') ? `Array<${item}>` : `${item}[]`;
+      }
+      default: return objectType(schema, indent);
+    }
+  }));
+}
+
+function objectType(schema, indent) {
+  const properties = Object.entries(schema.properties || {});
+  if (properties.length === 0) {
+    const values = schema.additionalProperties;
+    return `Record<string, ${values && typeof values === 'object' ? tsType(values, indent) : 'unknown'}>`;
+  }
+
+  const inner = `${indent}  `;
+  const required = new Set(schema.required || []);
+  const lines = properties.map(([name, property]) =>
+    `${comment(property.description, inner)}${inner}${propertyKey(name)}${required.has(name) ? '' : '?'}: ${tsType(property, inner)};`);
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    lines.push(`${inner}[key: string]: unknown;`);
+  }
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+function renderSchema(name, schema) {
+  const type = tsType(schema);
+  const doc = comment(schema.description, '');
+  return type.startsWith('{') && type.endsWith('}')
+    ? `${doc}export interface ${name} ${type}`
+    : `${doc}export type ${name} = ${type};`;
+}
+
+function successResponse(operation) {
+  const [status, response] = Object.entries(operation.responses).find(([code]) => code.startsWith('2'));
+  const [contentType, content] = Object.entries(response.content || {})[0] || [];
+  return { status, contentType, schema: content?.schema };
+}
+
+function renderOperations() {
+  const queryTypes = [];
+  const methods = [];
+
+  for (const [template, item] of Object.entries(spec.paths)) {
+    for (const method of METHODS.filter(method => item[method])) {
+      const operation = item[method];
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])];
+      const pathParams = parameters.filter(parameter => parameter.in === 'path');
+      const queryParams = parameters.filter(parameter => parameter.in === 'query');
+      const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+      const response = successResponse(operation);
+
+      const args = pathParams.map(parameter => `${parameter.name}: string`);
+      if (bodySchema) args.push(`body: ${tsType(bodySchema)}`);
+
+      let queryArg = null;
+      if (queryParams.length > 0) {
+        const queryType = `${pascal(operation.operationId)}Query`;
+        const required = queryParams.some(parameter => parameter.required);
+        queryTypes.push(renderSchema(queryType, {
+          type: 'object',
+          properties: Object.fromEntries(queryParams.map(parameter => [parameter.name, { ...parameter.schema, description: parameter.description }])),
+          required: queryParams.filter(parameter => parameter.required).map(parameter => parameter.name)
+        }));
+        args.push(required ? `query: ${queryType}` : `query: ${queryType} = {}`);
+        queryArg = 'query';
+      }
+
+      const url = `\`${template.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`)}\``;
+      const options = [queryArg && 'query', bodySchema && 'body'].filter(Boolean);
+      const doc = comment(operation.summary, '    ');
+
+      if (response.contentType === 'text/event-stream') {
+        // EventSource doet zijn eigen requests; de client levert alleen de URL
+        methods.push(`${doc}    ${operation.operationId}Url: (${args.join(', ')}) => buildUrl(${url}${queryArg ? ', query' : ''}),`);
+      } else if (!response.contentType || response.contentType === 'application/json') {
+        const result = response.schema ? tsType(response.schema, '    ') : 'void';
+        methods.push(`${doc}    ${operation.operationId}: (${args.join(', ')}) =>\n      request<${result}>('${method.toUpperCase()}', ${url}${options.length ? `, { ${options.join(', ')} }` : ''}),`);
+      }
+    }
+  }
+  return { queryTypes, methods };
+}
+
+function render() {
+  const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => renderSchema(typeName(name), schema));
+  const { queryTypes, methods } = renderOperations();
+
+  return `// Generated by scripts/generate-client.js from the OpenAPI spec (services/openapi). Do not edit by hand;
+// run \`npm run generate:client\` in the backend after changing the spec.
+// ${spec.info.title} ${spec.info.version}
+
+${schemas.join('\n\n')}
+
+${queryTypes.join('\n\n')}
+
+export class ApiError extends Error {
+  status: number;
+  details?: FieldError[] | string | null;
+
+  constructor(status: number, body: Partial<ErrorBody>) {
+    super(body.error || \`Request failed with status \${status}\`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = body.details;
+  }
+
+  /** First field-level message, for validation errors */
+  get fieldMessage(): string | undefined {
+    return Array.isArray(this.details) && this.details.length > 0 ? \`\${this.details[0].field}: \${this.details[0].message}\` : undefined;
+  }
+}
+
+export interface ApiClientOptions {
+  baseUrl?: string;
+  headers?: Record<string, string>;
+}
+
+type QueryValue = string | number | boolean | undefined | null;
+
+export function createApiClient({ baseUrl = '', headers = {} }: ApiClientOptions = {}) {
+  const buildUrl = (path: string, query: object = {}) => {
+    const search = Object.entries(query as Record<string, QueryValue>)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => \`\${encodeURIComponent(key)}=\${encodeURIComponent(String(value))}\`)
+      .join('&');
+    return \`\${baseUrl}\${path}\${search ? \`?\${search}\` : ''}\`;
+  };
+
+  const request = async <T>(method: string, path: string, { query, body }: { query?: object; body?: unknown } = {}): Promise<T> => {
+    const response = await fetch(buildUrl(path, query), {
+      method,
+      headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 204) return undefined as T;
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new ApiError(response.status, data);
+    return data as T;
+  };
+
+  return {
+${methods.join('\n')}
+  };
+}
+
+export type ApiClient = ReturnType<typeof createApiClient>;
+`;
+}
+
+const output = render();
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (current !== output) {
+    console.error(`❌ ${path.relative(process.cwd(), OUTPUT)} is out of date; run npm run generate:client`);
+    process.exit(1);
+  }
+  console.log('✅ API client is up to date');
+} else {
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
@@ -1,1246 +1,944 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const axios = require('axios');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
 require('dotenv').config();
+const { ASSET_TYPES } = require('./services/instruments');
+const { resolveChartWindow } = require('./services/chartRanges');
+const { parseIndicatorSet, computeIndicators, DEFAULT_INDICATOR_SET } = require('./services/indicators');
+const { parseBatchRequest, mapWithConcurrency, readBatchLimits } = require('./services/batch');
+const { createWatchlistService } = require('./services/watchlists');
+const { createAlertService } = require('./services/alerts');
+const { createPortfolioService } = require('./services/portfolio');
+const { parseBacktestRequest, rangeFor, runBacktest } = require('./services/backtest');
+const { parseCompareQuery, compareSeries, readCompareLimits } = require('./services/compare');
+const { parseCurrency } = require('./services/fx');
+const { createQuoteStream, parseStreamQuery, readStreamLimits } = require('./services/stream');
+const { createAnalysisCore, convertFundamentals, currencyInfo } = require('./services/analysis');
+const { createAnalysisHandlers } = require('./services/analysis/handlers');
+const { createOpenApiValidator, createRouteCosts, serveDocs } = require('./services/openapi');
+const { createRateLimiter, readRateLimitConfig } = require('./services/rateLimit');
+const { createApiKeyService } = require('./services/apiKeys');
+const { requireAdmin } = require('./middleware/requireAdmin');
+const { rateLimit } = require('./middleware/rateLimit');
+const { createLogger, requestTracing, metricsHandler } = require('./services/observability');
+const { getConfig, describeConfig, corsOrigins, ConfigError } = require('./services/config');
+
+const log = createLogger('server');
+
+// Eerst de configuratie: met een ongeldige instelling starten we niet, en we melden alle fouten tegelijk
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError) || require.main !== module) throw error;
+  log.error('Invalid configuration, not starting', { problems: error.problems });
+  process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 3001;
 
 // Middleware
+// Als eerste: elke request krijgt een id dat in alle logregels en provider-calls terugkomt
+app.use(requestTracing());
 app.use(helmet());
 app.use(cors({
-  origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
+  origin: corsOrigins(),
   credentials: true
 }));
 app.use(express.json());
 
-const rateLimiter = new RateLimiterMemory({
-  keyPrefix: 'middleware',
-  points: 50,
-  duration: 60,
+// Prometheus-scrapes vóór de rate limiter, anders telt elke scrape mee
+app.get('/metrics', metricsHandler);
+
+// Punten per route (x-rate-limit-cost in de spec) tegen het budget van het plan van de API key
+const rateLimitConfig = readRateLimitConfig();
+const rateLimiter = createRateLimiter();
+const apiKeys = createApiKeyService();
+if (rateLimitConfig.enabled) {
+  app.use(rateLimit({ limiter: rateLimiter, apiKeys, costOf: createRouteCosts(), requireKey: rateLimitConfig.requireKey }));
+}
+
+// Requests en responses tegen de OpenAPI-spec (services/openapi); de spec staat op /api/openapi.json
+app.use(createOpenApiValidator().middleware());
+
+// Analyse, nieuws en earnings komen uit de gedeelde kern, net als in de serverless functions onder api/
+const core = createAnalysisCore();
+const { dataService, responseCache, marketData, fx } = core;
+const analysisHandlers = createAnalysisHandlers(core);
+const batchLimits = readBatchLimits();
+const compareLimits = readCompareLimits();
+const watchlists = createWatchlistService();
+
+const alerts = createAlertService(marketData);
+const portfolios = createPortfolioService({
+  data: marketData,
+  detectAssetType: symbol => dataService.detectAssetType(symbol)
+});
+const streamLimits = readStreamLimits();
+const quoteStream = createQuoteStream({
+  data: marketData,
+  fx,
+  detectAssetType: symbol => dataService.detectAssetType(symbol)
 });
 
-app.use(async (req, res, next) => {
-  try {
-    await rateLimiter.consume(req.ip);
-    next();
-  } catch (rejRes) {
-    res.status(429).send('Te veel verzoeken, probeer later opnieuw');
-  }
+const FX_ERROR_STATUS = { invalid: 400, unsupported: 400, unavailable: 503 };
+
+function sendCurrencyFailure(res, result) {
+  res.status(FX_ERROR_STATUS[result.code] || 500).json({ error: result.error, details: result.details });
+}
+
+// Routes
+app.get('/', (req, res) => {
+  res.json({ 
+    message: 'TradingAI Enhanced Backend with Asset-Specific Fundamentals',
+    timestamp: new Date().toISOString(),
+    dataSources: ['Yahoo Finance', 'CoinGecko', 'FMP', 'NewsAPI', 'Finnhub', 'Alpha Vantage', 'Polygon'],
+    features: ['Asset-Specific Fundamentals', 'Comprehensive News', 'Quarterly Earnings', 'Multiple News Sources'],
+    apiStatus: Object.fromEntries(Object.entries(config.providers.keys).map(([name, key]) => [name, Boolean(key)])),
+    providers: dataService.providers.describe(),
+    instruments: dataService.instruments.describe()
+  });
 });
 
-class EnhancedFinancialService {
-  constructor() {
-    this.alphavantageKey = process.env.ALPHA_VANTAGE_KEY;
-    this.newsApiKey = process.env.NEWS_API_KEY;
-    this.finnhubKey = process.env.FINNHUB_KEY;
-    this.fmpKey = process.env.FMP_KEY;
-    this.polygonKey = process.env.POLYGON_KEY;
-    this.iexKey = process.env.IEX_KEY;
-  }
+serveDocs(app);
 
-  detectAssetType(symbol) {
-    const cryptoSymbols = ['BTC', 'ETH', 'ADA', 'SOL', 'MATIC', 'AVAX', 'DOT', 'LINK', 'UNI', 'AAVE', 'DOGE', 'XRP', 'LTC', 'BCH'];
-    const etfSymbols = ['SPY', 'QQQ', 'VTI', 'ARKK', 'GLD', 'TQQQ', 'IWM', 'EFA', 'VEA'];
-    
-    if (cryptoSymbols.includes(symbol.toUpperCase())) return 'crypto';
-    if (etfSymbols.includes(symbol.toUpperCase())) return 'etf';
-    if (symbol.startsWith('^')) return 'index';
-    return 'stock';
-  }
+app.get('/api/status', analysisHandlers.status);
+app.post('/api/analyze', analysisHandlers.analyze);
 
-  convertToYahooSymbol(symbol) {
-    const assetType = this.detectAssetType(symbol);
-    if (assetType === 'crypto') {
-      return `${symbol.toUpperCase()}-USD`;
+// Eén symbool uit een batch: de quote valideert de ticker, daarna worden alleen de gevraagde velden opgehaald.
+// Mislukte velden komen in `errors` terecht zonder de rest van het symbool te laten vallen. `window` bepaalt de
+// candles van `chart` (standaard een jaar dagcandles, zoals /api/analyze).
+async function analyzeBatchSymbol(symbol, fields, currency, { window = { range: '1y', interval: '1d' } } = {}) {
+  const assetType = dataService.detectAssetType(symbol);
+  const cache = responseCache.forSymbol(symbol);
+  const isCrypto = assetType === 'crypto';
+
+  const { quote: primaryData, money } = await core.pricedQuote(cache, symbol, assetType, currency);
+  if (!primaryData.success) {
+    return { symbol, success: false, assetType, error: primaryData.error || 'No market data available' };
+  }
+  if (!money.success) {
+    return { symbol, success: false, assetType, error: money.error };
+  }
+
+  const wants = field => fields.includes(field);
+  const needsProfile = !isCrypto && wants('fundamentals');
+  const [fmpData, financials] = await Promise.all([
+    needsProfile ? cache.fetch('profile', () => dataService.getFMPFundamentals(symbol)) : { success: false },
+    needsProfile ? cache.fetch('financials', () => dataService.getFinancialStatements(symbol)) : { success: false }
+  ]);
+
+  // Met `chart` komt er in het fx-blok bij welke koersen de candles kregen (zie FxService.convertCandles)
+  let fxInfo = money.fx;
+  const loaders = {
+    quote: async () => ({
+      currentPrice: money.convert(primaryData.currentPrice),
+      priceChange: money.convert(primaryData.change),
+      priceChangePercent: parseFloat(primaryData.changePercent.toFixed(2)),
+      marketCap: primaryData.marketCap ? money.convert(primaryData.marketCap, 0) : null,
+      // Crypto-volume is een bedrag, aandelenvolume een aantal stukken
+      volume: primaryData.volume ? (isCrypto ? money.convert(primaryData.volume, 0) : primaryData.volume) : null
+    }),
+    chart: async () => {
+      const chart = await fx.convertCandles(await core.candles(cache, symbol, assetType, primaryData, window), money);
+      fxInfo = chart.fx;
+      return chart.candles;
+    },
+    fundamentals: async () => convertFundamentals(await dataService.generateFundamentals(primaryData, fmpData, assetType, financials), money),
+    // Zonder artikelen: een dashboard met een dozijn tickers heeft genoeg aan de score
+    sentiment: async () => {
+      const news = await cache.fetch('news', () => dataService.getComprehensiveNews(symbol));
+      const { articles, ...sentiment } = dataService.calculateSentimentScore(news);
+      return { ...sentiment, articleCount: articles.length };
+    },
+    earnings: async () => (isCrypto
+      ? { success: false, message: 'Earnings not applicable for cryptocurrency' }
+      : cache.fetch('earnings', () => dataService.getQuarterlyEarnings(symbol)))
+  };
+
+  const settled = await Promise.allSettled(fields.map(field => loaders[field]()));
+  const result = {
+    symbol,
+    success: true,
+    assetType,
+    company: fmpData.success ? fmpData.companyName : dataService.instruments.lookup(symbol)?.name || primaryData.name,
+    ...currencyInfo(money, fxInfo)
+  };
+  const errors = {};
+
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      result[fields[i]] = outcome.value;
+    } else {
+      result[fields[i]] = null;
+      errors[fields[i]] = outcome.reason?.message || 'Unknown error';
     }
-    return symbol.toUpperCase();
-  }
+  });
 
-  // Enhanced News Service with Multiple Sources
-  async getComprehensiveNews(symbol) {
-    try {
-      console.log(`📰 Fetching comprehensive news for: ${symbol}`);
-      
-      const companyNames = {
-        'AAPL': 'Apple Inc',
-        'MSFT': 'Microsoft Corporation', 
-        'GOOGL': 'Google Alphabet',
-        'AMZN': 'Amazon',
-        'TSLA': 'Tesla Inc',
-        'META': 'Meta Facebook',
-        'NVDA': 'Nvidia Corporation',
-        'BTC': 'Bitcoin',
-        'ETH': 'Ethereum'
-      };
-      
-      const companyName = companyNames[symbol.toUpperCase()] || symbol;
-      
-      const newsSources = await Promise.allSettled([
-        this.getNewsAPIArticles(companyName, symbol),
-        this.getFinnhubNews(symbol),
-        this.getAlphaVantageNews(symbol),
-        this.getPolygonNews(symbol)
-      ]);
-
-      let allArticles = [];
-      newsSources.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value) {
-          allArticles = allArticles.concat(result.value);
-        }
-      });
+  if (Object.keys(errors).length > 0) result.errors = errors;
+  result.cache = cache.info;
+  return result;
+}
 
-      const uniqueArticles = this.removeDuplicateArticles(allArticles);
-      const sortedArticles = this.sortArticlesByRelevance(uniqueArticles, symbol);
+app.post('/api/analyze/batch', async (req, res) => {
+  try {
+    const { symbols, fields, errors } = parseBatchRequest(req.body, batchLimits);
+    const requested = parseCurrency(req.body?.currency);
+    if (!requested.success) errors.push(...requested.details);
 
-      console.log(`✅ Comprehensive news: ${sortedArticles.length} unique articles from multiple sources`);
-      return sortedArticles.slice(0, 25);
-      
-    } catch (error) {
-      console.error(`❌ Comprehensive news error for ${symbol}:`, error.message);
-      return this.getMockNews(symbol);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid batch request', details: errors });
     }
-  }
-
-  async getNewsAPIArticles(companyName, symbol) {
-    try {
-      if (!this.newsApiKey) {
-        console.log('📰 No News API key configured');
-        return [];
-      }
 
-      console.log(`📰 Fetching NewsAPI articles for: ${companyName}`);
-      
-      const response = await axios.get('https://newsapi.org/v2/everything', {
-        params: {
-          q: `"${companyName}" OR "${symbol}" AND (earnings OR financial OR stock OR shares OR revenue OR profit)`,
-          language: 'en',
-          sortBy: 'publishedAt',
-          pageSize: 20,
-          domains: 'reuters.com,bloomberg.com,wsj.com,ft.com,cnbc.com,marketwatch.com,yahoo.com,finance.yahoo.com,barrons.com,investing.com',
-          apiKey: this.newsApiKey
-        },
-        timeout: 12000
-      });
+    log.info('Batch analysis started', { symbols, fields, currency: requested.currency });
 
-      if (response.data.status !== 'ok') {
-        throw new Error(`NewsAPI error: ${response.data.message}`);
+    const results = await mapWithConcurrency(symbols, batchLimits.concurrency, async symbol => {
+      try {
+        return await analyzeBatchSymbol(symbol, fields, requested.currency);
+      } catch (error) {
+        log.error('Batch analysis failed for symbol', { symbol, error: error.message });
+        return { symbol, success: false, error: error.message };
       }
+    });
 
-      const articles = response.data.articles.map(article => ({
-        headline: article.title,
-        summary: article.description || 'No summary available',
-        source: this.getSourceTier(article.source.name),
-        url: article.url,
-        publishedAt: article.publishedAt,
-        sentiment: this.analyzeTextSentiment(article.title + ' ' + (article.description || '')),
-        impact: this.getImpactLevel(article.title),
-        relevanceScore: this.calculateRelevanceScore(article.title, article.description, symbol),
-        category: this.categorizeNews(article.title),
-        sourceTier: this.getSourceTier(article.source.name),
-        fullArticle: article.content || `Read full article at: ${article.url}`
-      }));
-
-      console.log(`✅ NewsAPI: ${articles.length} articles fetched`);
-      return articles;
-      
-    } catch (error) {
-      console.error(`❌ NewsAPI error:`, error.message);
-      return [];
-    }
-  }
+    const failed = results.filter(result => !result.success).length;
+    log.info('Batch analysis complete', { succeeded: results.length - failed, failed });
 
-  async getFinnhubNews(symbol) {
-    try {
-      if (!this.finnhubKey) {
-        console.log('📰 No Finnhub key configured');
-        return [];
-      }
+    res.json({
+      requested: symbols.length,
+      succeeded: results.length - failed,
+      failed,
+      fields,
+      currency: requested.currency,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Batch server failed', { error: error.message });
+    res.status(500).json({
+      error: 'Internal server error during batch analysis',
+      details: error.message
+    });
+  }
+});
 
-      console.log(`📰 Fetching Finnhub news for: ${symbol}`);
-      
-      const response = await axios.get('https://finnhub.io/api/v1/company-news', {
-        params: {
-          symbol: symbol.toUpperCase(),
-          from: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          to: new Date().toISOString().split('T')[0],
-          token: this.finnhubKey
-        },
-        timeout: 10000
-      });
+// Relatieve prestaties: dezelfde velden per symbool als een batch, plus herleide koersen en correlaties.
+// Zonder `currency` blijft elk symbool in zijn eigen valuta; het rendement is dan ook in die valuta. Met
+// `currency` rekent de batch elke candle om tegen de koers van zijn eigen dag, zodat het rendement het
+// valutaverloop meeneemt; één vaste koers zou bij het herleiden naar 100 wegvallen. `fx.chart` per resultaat
+// zegt of dat lukte: bij `spot` is het rendement toch dat in de eigen valuta.
+const COMPARE_FIELDS = ['quote', 'chart', 'fundamentals', 'sentiment'];
 
-      const articles = response.data.slice(0, 15).map(article => ({
-        headline: article.headline,
-        summary: article.summary || 'No summary available',
-        source: 'Finnhub Financial News',
-        url: article.url,
-        publishedAt: new Date(article.datetime * 1000).toISOString(),
-        sentiment: this.analyzeTextSentiment(article.headline + ' ' + (article.summary || '')),
-        impact: this.getImpactLevel(article.headline),
-        relevanceScore: this.calculateRelevanceScore(article.headline, article.summary, symbol),
-        category: this.categorizeNews(article.headline),
-        sourceTier: 'tier1',
-        fullArticle: `Read full article at: ${article.url}`
-      }));
-
-      console.log(`✅ Finnhub: ${articles.length} articles fetched`);
-      return articles;
-      
-    } catch (error) {
-      console.error(`❌ Finnhub news error:`, error.message);
-      return [];
+app.get('/api/compare', async (req, res) => {
+  try {
+    const parsed = parseCompareQuery(req.query, compareLimits);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error, details: parsed.details });
     }
-  }
 
-  async getAlphaVantageNews(symbol) {
-    try {
-      if (!this.alphavantageKey) {
-        console.log('📰 No Alpha Vantage key configured');
-        return [];
+    const { symbols, window, currency } = parsed;
+    log.info('Comparison started', { symbols, range: window.range, interval: window.interval, currency });
+
+    const results = await mapWithConcurrency(symbols, batchLimits.concurrency, async symbol => {
+      try {
+        return await analyzeBatchSymbol(symbol, COMPARE_FIELDS, currency, { window });
+      } catch (error) {
+        log.error('Comparison failed for symbol', { symbol, error: error.message });
+        return { symbol, success: false, error: error.message };
       }
+    });
 
-      console.log(`📰 Fetching Alpha Vantage news for: ${symbol}`);
-      
-      const response = await axios.get('https://www.alphavantage.co/query', {
-        params: {
-          function: 'NEWS_SENTIMENT',
-          tickers: symbol.toUpperCase(),
-          apikey: this.alphavantageKey,
-          limit: 15
-        },
-        timeout: 10000
+    const charted = results.filter(result => result.success && result.chart?.length > 0);
+    if (charted.length < 2) {
+      const missing = results.filter(result => !charted.includes(result));
+      return res.status(502).json({
+        error: 'Not enough price history to compare',
+        details: missing.map(result => `${result.symbol}: ${result.error || result.errors?.chart || 'no candles in this range'}`).join('; ')
       });
+    }
 
-      if (response.data.feed) {
-        const articles = response.data.feed.map(article => ({
-          headline: article.title,
-          summary: article.summary || 'No summary available',
-          source: `Alpha Vantage (${article.source})`,
-          url: article.url,
-          publishedAt: article.time_published,
-          sentiment: this.convertAVSentiment(article.overall_sentiment_score),
-          impact: this.getImpactLevel(article.title),
-          relevanceScore: this.calculateRelevanceScore(article.title, article.summary, symbol),
-          category: this.categorizeNews(article.title),
-          sourceTier: 'tier2',
-          sentimentScore: parseFloat(article.overall_sentiment_score || 0),
-          fullArticle: `Read full article at: ${article.url}`
-        }));
-
-        console.log(`✅ Alpha Vantage: ${articles.length} articles fetched`);
-        return articles;
-      }
-      
-      return [];
-      
-    } catch (error) {
-      console.error(`❌ Alpha Vantage news error:`, error.message);
-      return [];
+    const comparison = compareSeries(Object.fromEntries(charted.map(result => [result.symbol, result.chart])));
+    if (!comparison.success) {
+      return res.status(422).json({ error: comparison.error });
     }
+
+    const { success, performance, ...report } = comparison;
+    log.info('Comparison complete', { symbols: report.correlation.symbols, points: report.series.length });
+
+    res.json({
+      symbols,
+      range: window.range,
+      interval: window.interval,
+      currency,
+      ...report,
+      // De candles zitten al in `series`
+      results: results.map(({ chart, ...result }) => (result.success ? { ...result, performance: performance[result.symbol] || null } : result)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Comparison server failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to compare symbols', details: error.message });
   }
+});
 
-  async getPolygonNews(symbol) {
-    try {
-      if (!this.polygonKey) {
-        console.log('📰 No Polygon key configured');
-        return [];
-      }
+const WATCHLIST_ERROR_STATUS = { invalid: 400, not_found: 404, conflict: 409 };
 
-      console.log(`📰 Fetching Polygon news for: ${symbol}`);
-      
-      const response = await axios.get(`https://api.polygon.io/v2/reference/news`, {
-        params: {
-          'ticker': symbol.toUpperCase(),
-          'published_utc.gte': new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          'order': 'desc',
-          'limit': 15,
-          'apiKey': this.polygonKey
-        },
-        timeout: 10000
-      });
+function sendWatchlistFailure(res, result) {
+  res.status(WATCHLIST_ERROR_STATUS[result.code] || 500).json({ error: result.error, details: result.details });
+}
 
-      if (response.data.results) {
-        const articles = response.data.results.map(article => ({
-          headline: article.title,
-          summary: article.description || 'No summary available',
-          source: `Polygon (${article.publisher.name})`,
-          url: article.article_url,
-          publishedAt: article.published_utc,
-          sentiment: this.analyzeTextSentiment(article.title + ' ' + (article.description || '')),
-          impact: this.getImpactLevel(article.title),
-          relevanceScore: this.calculateRelevanceScore(article.title, article.description, symbol),
-          category: this.categorizeNews(article.title),
-          sourceTier: 'tier1',
-          fullArticle: `Read full article at: ${article.article_url}`
-        }));
-
-        console.log(`✅ Polygon: ${articles.length} articles fetched`);
-        return articles;
-      }
-      
-      return [];
-      
-    } catch (error) {
-      console.error(`❌ Polygon news error:`, error.message);
-      return [];
-    }
+app.get('/api/watchlists', async (req, res) => {
+  try {
+    const items = await watchlists.list();
+    res.json({ count: items.length, watchlists: items });
+  } catch (error) {
+    log.error('Watchlist list failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read watchlists', details: error.message });
   }
+});
 
-  async getQuarterlyEarnings(symbol) {
-    try {
-      console.log(`📊 Fetching quarterly earnings for: ${symbol}`);
-      
-      const earningsData = await Promise.allSettled([
-        this.getFMPEarnings(symbol),
-        this.getAlphaVantageEarnings(symbol),
-        this.getPolygonEarnings(symbol)
-      ]);
-
-      for (const result of earningsData) {
-        if (result.status === 'fulfilled' && result.value.success) {
-          console.log(`✅ Earnings data found for ${symbol}`);
-          return result.value;
-        }
-      }
+app.post('/api/watchlists', async (req, res) => {
+  try {
+    const result = await watchlists.create(req.body);
+    if (!result.success) return sendWatchlistFailure(res, result);
 
-      console.log(`📊 No real earnings data, generating estimate for ${symbol}`);
-      return this.generateMockEarnings(symbol);
-      
-    } catch (error) {
-      console.error(`❌ Earnings error for ${symbol}:`, error.message);
-      return this.generateMockEarnings(symbol);
-    }
+    log.info('Watchlist created', { id: result.watchlist.id, name: result.watchlist.name, symbols: result.watchlist.symbols.length });
+    res.status(201).json(result.watchlist);
+  } catch (error) {
+    log.error('Watchlist create failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to create watchlist', details: error.message });
   }
+});
 
-  async getFMPEarnings(symbol) {
-    try {
-      if (!this.fmpKey) {
-        return { success: false };
-      }
-
-      const response = await axios.get(`https://financialmodelingprep.com/api/v3/income-statement/${symbol}`, {
-        params: { 
-          apikey: this.fmpKey,
-          limit: 4
-        },
-        timeout: 10000
-      });
+app.get('/api/watchlists/:id', async (req, res) => {
+  try {
+    const result = await watchlists.get(req.params.id);
+    if (!result.success) return sendWatchlistFailure(res, result);
+    res.json(result.watchlist);
+  } catch (error) {
+    log.error('Watchlist read failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read watchlist', details: error.message });
+  }
+});
 
-      if (response.data && response.data.length > 0) {
-        const latestQuarter = response.data[0];
-        const previousQuarter = response.data[1] || {};
-        
-        return {
-          success: true,
-          source: 'FMP',
-          latestQuarter: {
-            period: latestQuarter.period || 'Q4',
-            year: latestQuarter.calendarYear || new Date().getFullYear(),
-            revenue: latestQuarter.revenue || 0,
-            netIncome: latestQuarter.netIncome || 0,
-            eps: latestQuarter.eps || 0,
-            grossProfit: latestQuarter.grossProfit || 0,
-            operatingIncome: latestQuarter.operatingIncome || 0,
-            revenueGrowthYoY: this.calculateGrowth(latestQuarter.revenue, previousQuarter.revenue),
-            earningsGrowthYoY: this.calculateGrowth(latestQuarter.netIncome, previousQuarter.netIncome)
-          },
-          outlook: {
-            nextEarningsDate: this.estimateNextEarningsDate(),
-            analystExpectations: 'Data from FMP API',
-            guidance: latestQuarter.guidance || 'No guidance provided'
-          },
-          historicalQuarters: response.data.slice(0, 4).map(quarter => ({
-            period: `${quarter.period} ${quarter.calendarYear}`,
-            revenue: quarter.revenue || 0,
-            netIncome: quarter.netIncome || 0,
-            eps: quarter.eps || 0
-          }))
-        };
-      }
-      
-      return { success: false };
-      
-    } catch (error) {
-      console.error(`❌ FMP earnings error:`, error.message);
-      return { success: false };
-    }
+app.put('/api/watchlists/:id', async (req, res) => {
+  try {
+    const result = await watchlists.update(req.params.id, req.body);
+    if (!result.success) return sendWatchlistFailure(res, result);
+    res.json(result.watchlist);
+  } catch (error) {
+    log.error('Watchlist update failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to update watchlist', details: error.message });
   }
+});
 
-  async getAlphaVantageEarnings(symbol) {
-    try {
-      if (!this.alphavantageKey) {
-        return { success: false };
-      }
+app.delete('/api/watchlists/:id', async (req, res) => {
+  try {
+    const result = await watchlists.remove(req.params.id);
+    if (!result.success) return sendWatchlistFailure(res, result);
 
-      const response = await axios.get('https://www.alphavantage.co/query', {
-        params: {
-          function: 'EARNINGS',
-          symbol: symbol.toUpperCase(),
-          apikey: this.alphavantageKey
-        },
-        timeout: 10000
-      });
+    log.info('Watchlist deleted', { id: result.watchlist.id, name: result.watchlist.name });
+    res.status(204).end();
+  } catch (error) {
+    log.error('Watchlist delete failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete watchlist', details: error.message });
+  }
+});
+
+// Laatste koers, procentuele wijziging en nieuwssentiment per lid; een falend symbool krijgt alleen een error
+app.get('/api/watchlists/:id/summary', async (req, res) => {
+  try {
+    const result = await watchlists.get(req.params.id);
+    if (!result.success) return sendWatchlistFailure(res, result);
+
+    const requested = parseCurrency(req.query.currency);
+    if (!requested.success) return sendCurrencyFailure(res, requested);
+
+    const { watchlist } = result;
+    const members = await mapWithConcurrency(watchlist.symbols, batchLimits.concurrency, async symbol => {
+      try {
+        const assetType = dataService.detectAssetType(symbol);
+        const cache = responseCache.forSymbol(symbol);
+        const [{ quote, money }, news] = await Promise.all([
+          core.pricedQuote(cache, symbol, assetType, requested.currency),
+          cache.fetch('news', () => dataService.getComprehensiveNews(symbol))
+        ]);
+
+        if (!quote.success) {
+          return { symbol, success: false, assetType, error: quote.error || 'No market data available' };
+        }
+        if (!money.success) {
+          return { symbol, success: false, assetType, error: money.error };
+        }
 
-      if (response.data.quarterlyEarnings && response.data.quarterlyEarnings.length > 0) {
-        const latestQuarter = response.data.quarterlyEarnings[0];
-        
+        const sentiment = dataService.calculateSentimentScore(news);
         return {
+          symbol,
           success: true,
-          source: 'Alpha Vantage',
-          latestQuarter: {
-            period: this.extractQuarter(latestQuarter.fiscalDateEnding),
-            year: new Date(latestQuarter.fiscalDateEnding).getFullYear(),
-            revenue: 0,
-            netIncome: 0,
-            eps: parseFloat(latestQuarter.reportedEPS || 0),
-            estimatedEPS: parseFloat(latestQuarter.estimatedEPS || 0),
-            surprise: parseFloat(latestQuarter.surprise || 0),
-            surprisePercentage: parseFloat(latestQuarter.surprisePercentage || 0)
-          },
-          outlook: {
-            nextEarningsDate: this.estimateNextEarningsDate(),
-            analystExpectations: 'Data from Alpha Vantage',
-            guidance: 'Check company investor relations for guidance'
-          },
-          historicalQuarters: response.data.quarterlyEarnings.slice(0, 4).map(quarter => ({
-            period: this.extractQuarter(quarter.fiscalDateEnding),
-            eps: parseFloat(quarter.reportedEPS || 0),
-            estimatedEPS: parseFloat(quarter.estimatedEPS || 0),
-            surprise: parseFloat(quarter.surprise || 0)
-          }))
+          assetType,
+          name: dataService.instruments.lookup(symbol)?.name || quote.name,
+          currentPrice: money.convert(quote.currentPrice),
+          priceChangePercent: parseFloat(quote.changePercent.toFixed(2)),
+          currency: money.currency,
+          sentiment: { overall: sentiment.overall, score: sentiment.score }
         };
+      } catch (error) {
+        log.error('Watchlist summary failed for symbol', { symbol, error: error.message });
+        return { symbol, success: false, error: error.message };
       }
-      
-      return { success: false };
-      
-    } catch (error) {
-      console.error(`❌ Alpha Vantage earnings error:`, error.message);
-      return { success: false };
-    }
+    });
+
+    res.json({
+      id: watchlist.id,
+      name: watchlist.name,
+      members,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Watchlist summary failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to build watchlist summary', details: error.message });
   }
+});
 
-  async getPolygonEarnings(symbol) {
-    try {
-      if (!this.polygonKey) {
-        return { success: false };
-      }
+const ALERT_ERROR_STATUS = { invalid: 400, not_found: 404 };
 
-      const response = await axios.get(`https://api.polygon.io/v2/reference/financials/${symbol}`, {
-        params: {
-          'apiKey': this.polygonKey,
-          'limit': 4
-        },
-        timeout: 10000
-      });
+function sendAlertFailure(res, result) {
+  res.status(ALERT_ERROR_STATUS[result.code] || 500).json({ error: result.error, details: result.details });
+}
 
-      if (response.data.results && response.data.results.length > 0) {
-        const latestQuarter = response.data.results[0];
-        
-        return {
-          success: true,
-          source: 'Polygon',
-          latestQuarter: {
-            period: latestQuarter.period || 'Q4',
-            year: new Date(latestQuarter.end_date).getFullYear(),
-            revenue: latestQuarter.financials?.income_statement?.revenues?.value || 0,
-            netIncome: latestQuarter.financials?.income_statement?.net_income_loss?.value || 0,
-            eps: latestQuarter.financials?.income_statement?.basic_earnings_per_share?.value || 0,
-            grossProfit: latestQuarter.financials?.income_statement?.gross_profit?.value || 0,
-            operatingIncome: latestQuarter.financials?.income_statement?.operating_income_loss?.value || 0
-          },
-          outlook: {
-            nextEarningsDate: this.estimateNextEarningsDate(),
-            analystExpectations: 'Data from Polygon API',
-            guidance: 'Check company filings for guidance'
-          }
-        };
-      }
-      
-      return { success: false };
-      
-    } catch (error) {
-      console.error(`❌ Polygon earnings error:`, error.message);
-      return { success: false };
-    }
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const rules = await alerts.list();
+    res.json({ count: rules.length, rules, engine: alerts.describe() });
+  } catch (error) {
+    log.error('Alert list failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read alert rules', details: error.message });
   }
+});
 
-  // FIXED: Asset-specific fundamentals generation
-  generateFundamentals(primaryData, fmpData, assetType) {
-    console.log(`🔧 generateFundamentals called with assetType: ${assetType}`);
-    
-    if (assetType === 'crypto') {
-      console.log(`🔧 Generating CRYPTO fundamentals`);
-      return this.generateCryptoFundamentals(primaryData);
-    } else {
-      console.log(`🔧 Generating STOCK fundamentals`);
-      return this.generateStockFundamentals(primaryData, fmpData);
-    }
-  }
+app.post('/api/alerts', async (req, res) => {
+  try {
+    const result = await alerts.create(req.body);
+    if (!result.success) return sendAlertFailure(res, result);
 
-  generateStockFundamentals(primaryData, fmpData) {
-    const source = fmpData?.success ? fmpData : primaryData;
-    
-    if (source && source.success) {
-      return {
-        type: 'stock',
-        marketCap: (source.marketCap || 0) / 1000000000,
-        peRatio: source.peRatio || source.pe || 0,
-        eps: source.eps || 0,
-        dividendYield: (Math.random() * 5).toFixed(2),
-        debtToEquity: (Math.random() * 150).toFixed(1),
-        revenueGrowthYoY: (Math.random() * 40 - 20).toFixed(1),
-        revenueGrowthQoQ: (Math.random() * 20 - 10).toFixed(1),
-        earningsGrowthYoY: (Math.random() * 60 - 30).toFixed(1),
-        earningsGrowthQoQ: (Math.random() * 30 - 15).toFixed(1),
-        bookValue: (Math.random() * 100 + 10).toFixed(2),
-        roe: (Math.random() * 25).toFixed(1),
-        grossMargin: (Math.random() * 50 + 20).toFixed(1),
-        operatingMargin: (Math.random() * 30 + 5).toFixed(1),
-        beta: (Math.random() * 2 + 0.5).toFixed(2)
-      };
-    }
-    
-    return {
-      type: 'stock',
-      marketCap: 0, peRatio: 0, eps: 0, dividendYield: 0, debtToEquity: 0,
-      revenueGrowthYoY: 0, revenueGrowthQoQ: 0, earningsGrowthYoY: 0, earningsGrowthQoQ: 0,
-      bookValue: 0, roe: 0, grossMargin: 0, operatingMargin: 0, beta: 0
-    };
+    log.info('Alert created', { id: result.rule.id, type: result.rule.type, symbol: result.rule.symbol });
+    res.status(201).json(result.rule);
+  } catch (error) {
+    log.error('Alert create failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to create alert rule', details: error.message });
   }
+});
 
-  async generateCryptoFundamentals(primaryData) {
-    try {
-      const cryptoMetrics = await this.getCryptoMetrics(primaryData.symbol);
-      
-      return {
-        type: 'crypto',
-        marketCap: (primaryData.marketCap || 0) / 1000000000,
-        volume24h: (primaryData.volume || 0) / 1000000,
-        circulatingSupply: cryptoMetrics.circulatingSupply || this.getDefaultSupply(primaryData.symbol).circulating,
-        maxSupply: cryptoMetrics.maxSupply || this.getDefaultSupply(primaryData.symbol).max,
-        totalSupply: cryptoMetrics.totalSupply || this.getDefaultSupply(primaryData.symbol).circulating * 1.1,
-        marketDominance: cryptoMetrics.marketDominance || this.getDefaultSupply(primaryData.symbol).dominance,
-        priceChange7d: (Math.random() * 40 - 20).toFixed(1),
-        priceChange30d: (Math.random() * 60 - 30).toFixed(1),
-        allTimeHigh: cryptoMetrics.ath || primaryData.currentPrice * (1.5 + Math.random() * 2),
-        allTimeLow: cryptoMetrics.atl || primaryData.currentPrice * (0.1 + Math.random() * 0.3),
-        athDistance: cryptoMetrics.athDistance || (Math.random() * 80).toFixed(1),
-        volatility: (Math.random() * 100 + 50).toFixed(1),
-        liquidityScore: (Math.random() * 10).toFixed(1),
-        hodlerRatio: (Math.random() * 80 + 20).toFixed(1),
-        exchangeInflow: this.generateFlowData(),
-        whaleActivity: this.generateWhaleActivity(),
-        networkHealth: {
-          hashRate: cryptoMetrics.hashRate || 'N/A',
-          networkGrowth: (Math.random() * 20).toFixed(1),
-          activeAddresses: cryptoMetrics.activeAddresses || Math.floor(Math.random() * 1000000) + 100000,
-          transactionCount: Math.floor(Math.random() * 500000) + 100000
-        }
-      };
-    } catch (error) {
-      console.log('Using basic crypto fundamentals');
-      return this.getBasicCryptoFundamentals(primaryData);
-    }
+app.get('/api/alerts/history', async (req, res) => {
+  try {
+    const { ruleId, symbol, limit } = req.query;
+    const events = await alerts.history({ ruleId, symbol, limit });
+    res.json({ count: events.length, events });
+  } catch (error) {
+    log.error('Alert history failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read alert history', details: error.message });
   }
+});
 
-  async getCryptoMetrics(symbol) {
-    try {
-      const coinId = this.getCoinGeckoId(symbol);
-      
-      const [priceResponse, globalResponse] = await Promise.all([
-        axios.get(`https://api.coingecko.com/api/v3/coins/${coinId}`, {
-          params: {
-            localization: false,
-            tickers: false,
-            developer_data: false,
-            sparkline: false
-          },
-          timeout: 8000
-        }),
-        axios.get('https://api.coingecko.com/api/v3/global', { timeout: 8000 })
-      ]);
-
-      const coinData = priceResponse.data;
-      const globalData = globalResponse.data?.data;
-
-      return {
-        circulatingSupply: coinData.market_data?.circulating_supply || 0,
-        maxSupply: coinData.market_data?.max_supply,
-        totalSupply: coinData.market_data?.total_supply || 0,
-        marketDominance: globalData?.market_cap_percentage?.[symbol.toLowerCase()] || 0,
-        ath: coinData.market_data?.ath?.usd || 0,
-        atl: coinData.market_data?.atl?.usd || 0,
-        athDistance: Math.abs(coinData.market_data?.ath_change_percentage?.usd || 0),
-        hashRate: coinData.additional_data?.hash_rate || null,
-        activeAddresses: Math.floor(Math.random() * 1000000) + 100000
-      };
-    } catch (error) {
-      console.log('Failed to get detailed crypto metrics:', error.message);
-      return {};
-    }
+// Handmatige evaluatieronde, naast de scheduler; handig bij het testen van webhooks
+app.post('/api/alerts/evaluate', async (req, res) => {
+  try {
+    res.json(await alerts.evaluateAll());
+  } catch (error) {
+    log.error('Alert evaluation failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to evaluate alerts', details: error.message });
   }
+});
 
-  getDefaultSupply(symbol) {
-    const supplies = {
-      'BTC': { circulating: 19800000, max: 21000000, dominance: 45 },
-      'ETH': { circulating: 120000000, max: null, dominance: 20 },
-      'ADA': { circulating: 35000000000, max: 45000000000, dominance: 1.5 },
-      'SOL': { circulating: 460000000, max: null, dominance: 2.5 }
-    };
-    return supplies[symbol] || { circulating: 1000000, max: null, dominance: 0.1 };
+app.get('/api/alerts/:id', async (req, res) => {
+  try {
+    const result = await alerts.get(req.params.id);
+    if (!result.success) return sendAlertFailure(res, result);
+    res.json(result.rule);
+  } catch (error) {
+    log.error('Alert read failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read alert rule', details: error.message });
   }
+});
 
-  getBasicCryptoFundamentals(primaryData) {
-    const supply = this.getDefaultSupply(primaryData.symbol);
-
-    return {
-      type: 'crypto',
-      marketCap: (primaryData.marketCap || 0) / 1000000000,
-      volume24h: (primaryData.volume || 0) / 1000000,
-      circulatingSupply: supply.circulating,
-      maxSupply: supply.max || 'N/A',
-      totalSupply: supply.circulating * 1.1,
-      marketDominance: supply.dominance,
-      priceChange7d: (Math.random() * 40 - 20).toFixed(1),
-      priceChange30d: (Math.random() * 60 - 30).toFixed(1),
-      allTimeHigh: primaryData.currentPrice * (1.5 + Math.random() * 2),
-      allTimeLow: primaryData.currentPrice * (0.1 + Math.random() * 0.3),
-      athDistance: (Math.random() * 80).toFixed(1),
-      volatility: (Math.random() * 100 + 50).toFixed(1),
-      liquidityScore: (Math.random() * 10).toFixed(1),
-      hodlerRatio: (Math.random() * 80 + 20).toFixed(1),
-      exchangeInflow: this.generateFlowData(),
-      whaleActivity: this.generateWhaleActivity(),
-      networkHealth: {
-        hashRate: 'N/A',
-        networkGrowth: (Math.random() * 20).toFixed(1),
-        activeAddresses: Math.floor(Math.random() * 1000000) + 100000,
-        transactionCount: Math.floor(Math.random() * 500000) + 100000
-      }
-    };
+app.put('/api/alerts/:id', async (req, res) => {
+  try {
+    const result = await alerts.update(req.params.id, req.body);
+    if (!result.success) return sendAlertFailure(res, result);
+    res.json(result.rule);
+  } catch (error) {
+    log.error('Alert update failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to update alert rule', details: error.message });
   }
+});
 
-  generateFlowData() {
-    return {
-      inflow: (Math.random() * 1000).toFixed(0),
-      outflow: (Math.random() * 1000).toFixed(0),
-      netFlow: (Math.random() * 400 - 200).toFixed(0),
-      trend: Math.random() > 0.5 ? 'accumulation' : 'distribution'
-    };
+app.delete('/api/alerts/:id', async (req, res) => {
+  try {
+    const result = await alerts.remove(req.params.id);
+    if (!result.success) return sendAlertFailure(res, result);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Alert delete failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete alert rule', details: error.message });
   }
+});
 
-  generateWhaleActivity() {
-    return {
-      largeTransactions: Math.floor(Math.random() * 50) + 10,
-      whaleNetFlow: (Math.random() * 200 - 100).toFixed(0),
-      topHoldersPercent: (Math.random() * 30 + 40).toFixed(1),
-      activity: Math.random() > 0.6 ? 'high' : Math.random() > 0.3 ? 'medium' : 'low'
-    };
-  }
+const PORTFOLIO_ERROR_STATUS = { invalid: 400, not_found: 404, conflict: 409 };
 
-  // Utility functions for news processing
-  removeDuplicateArticles(articles) {
-    const seen = new Set();
-    return articles.filter(article => {
-      const key = article.headline.toLowerCase().substring(0, 50);
-      if (seen.has(key)) {
-        return false;
-      }
-      seen.add(key);
-      return true;
-    });
-  }
+function sendPortfolioFailure(res, result) {
+  res.status(PORTFOLIO_ERROR_STATUS[result.code] || 500).json({ error: result.error, details: result.details });
+}
 
-  sortArticlesByRelevance(articles, symbol) {
-    return articles.sort((a, b) => {
-      if (b.relevanceScore !== a.relevanceScore) {
-        return b.relevanceScore - a.relevanceScore;
-      }
-      
-      const tierWeight = { 'tier1': 3, 'tier2': 2, 'tier3': 1 };
-      const aTierWeight = tierWeight[a.sourceTier] || 1;
-      const bTierWeight = tierWeight[b.sourceTier] || 1;
-      
-      if (bTierWeight !== aTierWeight) {
-        return bTierWeight - aTierWeight;
-      }
-      
-      return new Date(b.publishedAt) - new Date(a.publishedAt);
-    });
+app.get('/api/portfolios', async (req, res) => {
+  try {
+    const items = await portfolios.list();
+    res.json({ count: items.length, portfolios: items });
+  } catch (error) {
+    log.error('Portfolio list failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read portfolios', details: error.message });
   }
+});
 
-  calculateRelevanceScore(headline, summary, symbol) {
-    let score = 0;
-    const text = (headline + ' ' + (summary || '')).toLowerCase();
-    const sym = symbol.toLowerCase();
-    
-    if (text.includes(sym)) score += 10;
-    
-    const keywords = ['earnings', 'revenue', 'profit', 'loss', 'guidance', 'outlook', 'forecast'];
-    keywords.forEach(keyword => {
-      if (text.includes(keyword)) score += 5;
-    });
-    
-    const highImpactWords = ['ceo', 'acquisition', 'merger', 'partnership', 'lawsuit'];
-    highImpactWords.forEach(word => {
-      if (text.includes(word)) score += 3;
-    });
-    
-    return score;
-  }
+app.post('/api/portfolios', async (req, res) => {
+  try {
+    const result = await portfolios.create(req.body);
+    if (!result.success) return sendPortfolioFailure(res, result);
 
-  categorizeNews(headline) {
-    const text = headline.toLowerCase();
-    
-    if (text.includes('earnings') || text.includes('revenue') || text.includes('profit')) {
-      return 'earnings';
-    } else if (text.includes('analyst') || text.includes('rating') || text.includes('target')) {
-      return 'analyst';
-    } else if (text.includes('merger') || text.includes('acquisition') || text.includes('partnership')) {
-      return 'corporate';
-    } else if (text.includes('lawsuit') || text.includes('regulation') || text.includes('investigation')) {
-      return 'legal';
-    } else {
-      return 'general';
-    }
+    log.info('Portfolio created', { id: result.portfolio.id, name: result.portfolio.name });
+    res.status(201).json(result.portfolio);
+  } catch (error) {
+    log.error('Portfolio create failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to create portfolio', details: error.message });
   }
+});
 
-  getSourceTier(sourceName) {
-    const tier1Sources = ['reuters', 'bloomberg', 'wall street journal', 'financial times', 'wsj'];
-    const tier2Sources = ['cnbc', 'marketwatch', 'barrons', 'yahoo finance'];
-    
-    const lowerSource = sourceName.toLowerCase();
-    
-    if (tier1Sources.some(source => lowerSource.includes(source))) {
-      return 'tier1';
-    } else if (tier2Sources.some(source => lowerSource.includes(source))) {
-      return 'tier2';
-    } else {
-      return 'tier3';
-    }
+// Holdings tegen actuele koersen, met kostprijs, P&L en allocatie
+app.get('/api/portfolios/:id', async (req, res) => {
+  try {
+    const result = await portfolios.valuation(req.params.id);
+    if (!result.success) return sendPortfolioFailure(res, result);
+
+    const { success, ...valuation } = result;
+    res.json(valuation);
+  } catch (error) {
+    log.error('Portfolio valuation failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to value portfolio', details: error.message });
   }
+});
+
+app.put('/api/portfolios/:id', async (req, res) => {
+  try {
+    const result = await portfolios.rename(req.params.id, req.body);
+    if (!result.success) return sendPortfolioFailure(res, result);
 
-  convertAVSentiment(score) {
-    const numScore = parseFloat(score || 0);
-    if (numScore > 0.1) return 'positive';
-    if (numScore < -0.1) return 'negative';
-    return 'neutral';
+    const { transactions, ...portfolio } = result.portfolio;
+    res.json(portfolio);
+  } catch (error) {
+    log.error('Portfolio update failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to update portfolio', details: error.message });
   }
+});
 
-  calculateGrowth(current, previous) {
-    if (!previous || previous === 0) return 0;
-    return ((current - previous) / Math.abs(previous)) * 100;
+app.delete('/api/portfolios/:id', async (req, res) => {
+  try {
+    const result = await portfolios.remove(req.params.id);
+    if (!result.success) return sendPortfolioFailure(res, result);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Portfolio delete failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete portfolio', details: error.message });
   }
+});
+
+app.get('/api/portfolios/:id/transactions', async (req, res) => {
+  try {
+    const result = await portfolios.get(req.params.id);
+    if (!result.success) return sendPortfolioFailure(res, result);
 
-  extractQuarter(dateString) {
-    const date = new Date(dateString);
-    const month = date.getMonth() + 1;
-    if (month <= 3) return 'Q1';
-    if (month <= 6) return 'Q2';
-    if (month <= 9) return 'Q3';
-    return 'Q4';
+    const { transactions } = result.portfolio;
+    res.json({ count: transactions.length, transactions });
+  } catch (error) {
+    log.error('Transaction list failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read transactions', details: error.message });
   }
+});
 
-  estimateNextEarningsDate() {
-    const now = new Date();
-    const nextQuarter = new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3 + 3, 15);
-    return nextQuarter.toISOString().split('T')[0];
+app.post('/api/portfolios/:id/transactions', async (req, res) => {
+  try {
+    const result = await portfolios.addTransaction(req.params.id, req.body);
+    if (!result.success) return sendPortfolioFailure(res, result);
+
+    const { type, symbol, date } = result.transaction;
+    log.info('Transaction recorded', { portfolioId: req.params.id, type, symbol, date });
+    res.status(201).json(result.transaction);
+  } catch (error) {
+    log.error('Transaction create failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to record transaction', details: error.message });
   }
+});
 
-  generateMockEarnings(symbol) {
-    return {
-      success: true,
-      source: 'Estimated',
-      latestQuarter: {
-        period: 'Q4',
-        year: 2024,
-        revenue: Math.floor(Math.random() * 10000000000),
-        netIncome: Math.floor(Math.random() * 2000000000),
-        eps: (Math.random() * 10).toFixed(2),
-        grossProfit: Math.floor(Math.random() * 5000000000),
-        operatingIncome: Math.floor(Math.random() * 3000000000),
-        revenueGrowthYoY: (Math.random() * 40 - 20).toFixed(1),
-        earningsGrowthYoY: (Math.random() * 60 - 30).toFixed(1)
-      },
-      outlook: {
-        nextEarningsDate: this.estimateNextEarningsDate(),
-        analystExpectations: 'Configure API keys for real earnings data',
-        guidance: 'No guidance available in demo mode'
-      },
-      historicalQuarters: [
-        { period: 'Q4 2024', revenue: Math.floor(Math.random() * 10000000000), eps: (Math.random() * 10).toFixed(2) },
-        { period: 'Q3 2024', revenue: Math.floor(Math.random() * 9000000000), eps: (Math.random() * 9).toFixed(2) },
-        { period: 'Q2 2024', revenue: Math.floor(Math.random() * 8000000000), eps: (Math.random() * 8).toFixed(2) },
-        { period: 'Q1 2024', revenue: Math.floor(Math.random() * 7000000000), eps: (Math.random() * 7).toFixed(2) }
-      ]
-    };
+app.delete('/api/portfolios/:id/transactions/:transactionId', async (req, res) => {
+  try {
+    const result = await portfolios.removeTransaction(req.params.id, req.params.transactionId);
+    if (!result.success) return sendPortfolioFailure(res, result);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Transaction delete failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete transaction', details: error.message });
   }
+});
 
-  async getYahooFinanceData(symbol) {
-    try {
-      const yahooSymbol = this.convertToYahooSymbol(symbol);
-      console.log(`📊 Fetching Yahoo Finance data for: ${yahooSymbol}`);
-      
-      const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${yahooSymbol}`, {
-        params: {
-          period1: Math.floor((Date.now() - 2 * 24 * 60 * 60 * 1000) / 1000),
-          period2: Math.floor(Date.now() / 1000),
-          interval: '1d'
-        },
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+app.get('/api/portfolios/:id/equity', async (req, res) => {
+  try {
+    const result = await portfolios.equityCurve(req.params.id, { range: req.query.range });
+    if (!result.success) return sendPortfolioFailure(res, result);
 
-      if (response.data?.chart?.result?.[0]) {
-        const result = response.data.chart.result[0];
-        const meta = result.meta;
-        
-        const currentPrice = meta.regularMarketPrice || meta.previousClose || 0;
-        const previousClose = meta.previousClose || currentPrice;
-        const change = currentPrice - previousClose;
-        const changePercent = (change / previousClose) * 100;
-        
-        return {
-          success: true,
-          symbol: meta.symbol,
-          name: meta.longName || meta.shortName || symbol,
-          currentPrice: currentPrice,
-          previousClose: previousClose,
-          change: change,
-          changePercent: changePercent,
-          volume: meta.regularMarketVolume || 0,
-          marketCap: meta.marketCap || 0,
-          currency: meta.currency || 'USD',
-          exchange: meta.exchangeName || 'Unknown'
-        };
-      }
-      
-      throw new Error('Invalid Yahoo Finance response');
-    } catch (error) {
-      console.error(`❌ Yahoo Finance error for ${symbol}:`, error.message);
-      return { success: false, error: error.message };
-    }
+    const { success, ...curve } = result;
+    res.json(curve);
+  } catch (error) {
+    log.error('Equity curve failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to build equity curve', details: error.message });
   }
+});
 
-  async getCryptoData(symbol) {
-    try {
-      console.log(`🪙 Fetching CoinGecko data for: ${symbol}`);
-      
-      const coinId = this.getCoinGeckoId(symbol);
-      const response = await axios.get(`https://api.coingecko.com/api/v3/simple/price`, {
-        params: {
-          ids: coinId,
-          vs_currencies: 'usd',
-          include_market_cap: true,
-          include_24hr_vol: true,
-          include_24hr_change: true
-        },
-        timeout: 10000
-      });
+app.post('/api/backtest', async (req, res) => {
+  try {
+    const { request, errors } = parseBacktestRequest(req.body);
 
-      if (response.data[coinId]) {
-        const data = response.data[coinId];
-        
-        return {
-          success: true,
-          name: symbol.toUpperCase(),
-          symbol: symbol.toUpperCase(),
-          currentPrice: data.usd,
-          change: data.usd_24h_change ? (data.usd * data.usd_24h_change / 100) : 0,
-          changePercent: data.usd_24h_change || 0,
-          marketCap: data.usd_market_cap || 0,
-          volume: data.usd_24h_vol || 0
-        };
-      }
-      
-      throw new Error('No crypto data available from CoinGecko');
-    } catch (error) {
-      console.error(`❌ CoinGecko error for ${symbol}:`, error.message);
-      return { success: false, error: error.message };
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid backtest request', details: errors });
     }
-  }
 
-  getCoinGeckoId(symbol) {
-    const coinMap = {
-      'BTC': 'bitcoin',
-      'ETH': 'ethereum',
-      'ADA': 'cardano',
-      'SOL': 'solana',
-      'MATIC': 'matic-network',
-      'AVAX': 'avalanche-2',
-      'DOT': 'polkadot',
-      'LINK': 'chainlink',
-      'UNI': 'uniswap',
-      'AAVE': 'aave',
-      'DOGE': 'dogecoin',
-      'XRP': 'ripple',
-      'LTC': 'litecoin',
-      'BCH': 'bitcoin-cash'
-    };
-    return coinMap[symbol.toUpperCase()] || symbol.toLowerCase();
-  }
+    const { symbol, interval } = request;
+    const range = rangeFor(request.from);
+    log.info('Backtest started', { symbol, from: request.from, to: request.to, range, interval });
 
-  async getDetailedChartData(symbol, period = '1y') {
-    try {
-      const yahooSymbol = this.convertToYahooSymbol(symbol);
-      console.log(`📈 Fetching chart data for: ${yahooSymbol}`);
-      
-      const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${yahooSymbol}`, {
-        params: {
-          period1: Math.floor((Date.now() - 365 * 24 * 60 * 60 * 1000) / 1000),
-          period2: Math.floor(Date.now() / 1000),
-          interval: '1d',
-          includePrePostMarketData: false
-        },
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+    const candles = await marketData.getCandles(symbol, { range, interval });
+    if (candles.length === 0) {
+      return res.status(404).json({ error: `No candle data available for ${symbol}` });
+    }
 
-      if (response.data?.chart?.result?.[0]) {
-        const result = response.data.chart.result[0];
-        const timestamps = result.timestamp || [];
-        const quote = result.indicators.quote[0];
-        
-        console.log(`📈 Processing ${timestamps.length} chart data points`);
-        
-        const chartData = timestamps.map((timestamp, i) => ({
-          time: new Date(timestamp * 1000).toISOString().split('T')[0],
-          open: parseFloat((quote.open[i] || quote.close[i] || 0).toFixed(2)),
-          high: parseFloat((quote.high[i] || quote.close[i] || 0).toFixed(2)), 
-          low: parseFloat((quote.low[i] || quote.close[i] || 0).toFixed(2)),
-          close: parseFloat((quote.close[i] || 0).toFixed(2)),
-          volume: parseInt(quote.volume[i] || 0),
-          displayDate: new Date(timestamp * 1000).toLocaleDateString('en-US', { 
-            month: 'short', 
-            day: 'numeric' 
-          })
-        })).filter(item => item.close > 0 && !isNaN(item.close));
-
-        const processedData = this.addTechnicalIndicators(chartData);
-        
-        console.log(`✅ Chart data: ${processedData.length} points, latest: ${processedData[processedData.length-1]?.close}`);
-        return processedData;
-      }
-      
-      throw new Error('No chart data in Yahoo response');
-    } catch (error) {
-      console.error(`❌ Chart data error for ${symbol}:`, error.message);
-      return [];
+    const assetType = dataService.detectAssetType(symbol);
+    const result = runBacktest(candles, request, { fractional: assetType === 'crypto' });
+    if (!result.success) {
+      return res.status(422).json({ error: result.error });
     }
-  }
 
-  addTechnicalIndicators(chartData) {
-    return chartData.map((item, index) => {
-      const sma20 = index >= 19 ? 
-        chartData.slice(index - 19, index + 1).reduce((sum, d) => sum + d.close, 0) / 20 : null;
-      
-      const sma50 = index >= 49 ? 
-        chartData.slice(index - 49, index + 1).reduce((sum, d) => sum + d.close, 0) / 50 : null;
-      
-      let ema12 = null;
-      if (index >= 11) {
-        const k = 2 / (12 + 1);
-        ema12 = index === 11 ? 
-          chartData.slice(0, 12).reduce((sum, d) => sum + d.close, 0) / 12 :
-          (item.close * k) + (chartData[index - 1].ema12 || item.close) * (1 - k);
-      }
+    const { success, ...report } = result;
+    log.info('Backtest complete', { symbol, trades: report.metrics.trades, totalReturnPct: report.metrics.totalReturnPct, buyAndHoldReturnPct: report.buyAndHold.totalReturnPct });
 
-      return {
-        ...item,
-        index: index,
-        sma20: sma20 ? parseFloat(sma20.toFixed(2)) : null,
-        sma50: sma50 ? parseFloat(sma50.toFixed(2)) : null,
-        ema12: ema12 ? parseFloat(ema12.toFixed(2)) : null
-      };
+    res.json({
+      symbol,
+      assetType,
+      interval,
+      initialCapital: request.initialCapital,
+      ...report,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    log.error('Backtest failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to run backtest', details: error.message });
   }
+});
 
-  async getFMPFundamentals(symbol) {
-    try {
-      if (!this.fmpKey) {
-        console.log('📊 No FMP key configured');
-        return { success: false };
-      }
+app.get('/api/search', (req, res) => {
+  const { q, limit, type } = req.query;
 
-      console.log(`📊 Fetching FMP fundamentals for: ${symbol}`);
-      
-      const response = await axios.get(`https://financialmodelingprep.com/api/v3/profile/${symbol}`, {
-        params: { apikey: this.fmpKey },
-        timeout: 10000
-      });
+  if (!q || !String(q).trim()) {
+    return res.status(400).json({ error: 'Query parameter "q" is required' });
+  }
+  if (type && !ASSET_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Unsupported type "${type}". Use one of: ${ASSET_TYPES.join(', ')}` });
+  }
 
-      if (response.data && response.data[0]) {
-        const profile = response.data[0];
-        
-        console.log(`✅ FMP data: ${profile.companyName} - ${profile.sector}`);
-        
-        return {
-          success: true,
-          companyName: profile.companyName,
-          sector: profile.sector || 'Unknown',
-          industry: profile.industry || 'Unknown',
-          description: profile.description || '',
-          marketCap: profile.mktCap || 0,
-          peRatio: profile.pe || 0,
-          eps: profile.eps || 0,
-          beta: profile.beta || 0,
-          website: profile.website || ''
-        };
-      }
-      
-      throw new Error('No FMP profile data');
-    } catch (error) {
-      console.error(`❌ FMP error for ${symbol}:`, error.message);
-      return { success: false, error: error.message };
+  const results = dataService.instruments.search(q, { limit, assetType: type });
+
+  res.json({
+    query: String(q),
+    count: results.length,
+    results,
+    index: dataService.instruments.describe()
+  });
+});
+
+app.get('/api/news/:symbol', analysisHandlers.news);
+
+app.get('/api/candles/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { range = '1y', interval } = req.query;
+
+    const window = resolveChartWindow(range, interval);
+    if (!window.success) {
+      return res.status(400).json({ error: 'Invalid chart range', details: window.error });
     }
-  }
 
-  getImpactLevel(headline) {
-    const highImpactWords = ['earnings', 'revenue', 'ceo', 'merger', 'acquisition', 'lawsuit', 'fda', 'bankruptcy'];
-    const mediumImpactWords = ['analyst', 'upgrade', 'downgrade', 'target', 'forecast', 'guidance'];
-    
-    const lowerHeadline = headline.toLowerCase();
-    
-    if (highImpactWords.some(word => lowerHeadline.includes(word))) {
-      return 'high';
-    } else if (mediumImpactWords.some(word => lowerHeadline.includes(word))) {
-      return 'medium';
-    } else {
-      return 'low';
+    const requested = parseCurrency(req.query.currency);
+    if (!requested.success) return sendCurrencyFailure(res, requested);
+
+    log.debug('Fetching candles', { symbol, range: window.range, interval: window.interval });
+
+    // De quote bepaalt in welke valuta de candles staan
+    const assetType = dataService.detectAssetType(symbol);
+    const cache = responseCache.forSymbol(symbol);
+    const { quote, money } = await core.pricedQuote(cache, symbol, assetType, requested.currency);
+    if (!quote.success) {
+      return res.status(502).json({ error: `No market data available for ${symbol.toUpperCase()}`, details: quote.error });
     }
-  }
+    if (!money.success) return sendCurrencyFailure(res, money);
 
-  analyzeTextSentiment(text) {
-    const positiveWords = ['gain', 'rise', 'up', 'bullish', 'buy', 'strong', 'growth', 'beat', 'exceed', 'upgrade', 'positive', 'profit', 'surge', 'rally', 'optimistic'];
-    const negativeWords = ['fall', 'drop', 'down', 'bearish', 'sell', 'weak', 'decline', 'miss', 'downgrade', 'negative', 'loss', 'crash', 'plunge', 'disappointing'];
-    
-    const lowerText = text.toLowerCase();
-    let score = 0;
-    
-    positiveWords.forEach(word => {
-      if (lowerText.includes(word)) score += 1;
-    });
-    
-    negativeWords.forEach(word => {
-      if (lowerText.includes(word)) score -= 1;
-    });
-    
-    if (score > 0) return 'positive';
-    if (score < 0) return 'negative';
-    return 'neutral';
-  }
+    const { candles, fx: fxInfo } = await fx.convertCandles(await core.candles(cache, symbol, assetType, quote, window), money);
 
-  getMockNews(symbol) {
-    return [
-      {
-        headline: `${symbol} Market Analysis Update`,
-        summary: `Latest analysis shows ${symbol} maintaining steady performance in current market conditions.`,
-        source: 'Financial Analysis',
-        sentiment: 'neutral',
-        impact: 'medium',
-        publishedAt: new Date().toISOString(),
-        fullArticle: `Configure NEWS_API_KEY environment variable for real news articles.`
-      }
-    ];
-  }
+    res.json({
+      symbol: symbol.toUpperCase(),
+      range: window.range,
+      interval: window.interval,
+      ...currencyInfo(money, fxInfo),
+      count: candles.length,
+      candles,
+      timestamp: new Date().toISOString(),
+      cache: cache.info
+    });
 
-  calculateSentimentScore(articles) {
-    let positive = 0, negative = 0, neutral = 0;
-    
-    articles.forEach(article => {
-      switch(article.sentiment) {
-        case 'positive': positive++; break;
-        case 'negative': negative++; break;
-        default: neutral++; break;
-      }
+  } catch (error) {
+    log.error('Candles endpoint failed', { error: error.message });
+    res.status(500).json({ 
+      error: 'Failed to fetch candles',
+      details: error.message 
     });
-    
-    const total = articles.length;
-    const score = total > 0 ? ((positive - negative) / total) * 100 : 0;
-    
-    let overall = 'neutral';
-    if (score > 20) overall = 'positive';
-    else if (score < -20) overall = 'negative';
-    
-    return {
-      overall,
-      score: parseFloat(score.toFixed(1)),
-      distribution: { positive, negative, neutral },
-      articles
-    };
   }
-}
+});
 
-const dataService = new EnhancedFinancialService();
+// Server-Sent Events: quote-ticks en de lopende dagcandle per symbool. Eén poll per symbool wordt over alle
+// verbonden clients verdeeld; EventSource hervat na een verbroken verbinding via Last-Event-ID.
+app.get('/api/stream', async (req, res) => {
+  try {
+    const parsed = parseStreamQuery(req.query, streamLimits);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error, details: parsed.details });
+    }
 
-// Routes
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'TradingAI Enhanced Backend with Asset-Specific Fundamentals',
-    timestamp: new Date().toISOString(),
-    dataSources: ['Yahoo Finance', 'CoinGecko', 'FMP', 'NewsAPI', 'Finnhub', 'Alpha Vantage', 'Polygon'],
-    features: ['Asset-Specific Fundamentals', 'Comprehensive News', 'Quarterly Earnings', 'Multiple News Sources'],
-    apiStatus: {
-      newsApi: !!process.env.NEWS_API_KEY,
-      fmp: !!process.env.FMP_KEY,
-      finnhub: !!process.env.FINNHUB_KEY,
-      alphaVantage: !!process.env.ALPHA_VANTAGE_KEY,
-      polygon: !!process.env.POLYGON_KEY,
-      iex: !!process.env.IEX_KEY
+    if (!quoteStream.hasCapacity()) {
+      return res.status(503).json({ error: 'Too many stream clients, try again later' });
     }
-  });
-});
 
-app.post('/api/analyze', async (req, res) => {
-  try {
-    const { symbol } = req.body;
-    
-    if (!symbol) {
-      return res.status(400).json({ error: 'Stock symbol is required' });
+    // Een onbekende valuta melden we nu, niet pas als er een tick binnenkomt
+    if (parsed.currency) {
+      const check = await fx.converter('USD', parsed.currency);
+      if (!check.success) return sendCurrencyFailure(res, check);
     }
 
-    console.log(`\n🔍 ENHANCED ANALYSIS ${symbol.toUpperCase()}`);
-    
-    const assetType = dataService.detectAssetType(symbol);
-    console.log(`📊 Asset type: ${assetType}`);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const connection = quoteStream.connect({
+      symbols: parsed.symbols,
+      currency: parsed.currency,
+      lastEventId: req.get('Last-Event-ID') || parsed.lastEventId,
+      write: chunk => res.write(chunk)
+    });
+    if (!connection.success) {
+      return res.end();
+    }
 
-    let primaryData, fmpData, earningsData;
+    log.info('Stream client connected', { symbols: parsed.symbols });
+    req.on('close', () => {
+      connection.close();
+      // 'close' komt van de socket, buiten de request-context; het id geven we daarom zelf mee
+      log.info('Stream client disconnected', { requestId: req.requestId, symbols: parsed.symbols });
+    });
 
-    if (assetType === 'crypto') {
-      primaryData = await dataService.getCryptoData(symbol);
-      fmpData = { success: false };
-      earningsData = { success: false, message: 'Earnings not applicable for cryptocurrency' };
+  } catch (error) {
+    log.error('Stream endpoint failed', { error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open stream', details: error.message });
     } else {
-      [primaryData, fmpData, earningsData] = await Promise.all([
-        dataService.getYahooFinanceData(symbol),
-        dataService.getFMPFundamentals(symbol),
-        dataService.getQuarterlyEarnings(symbol)
-      ]);
+      res.end();
     }
+  }
+});
 
-    if (!primaryData.success) {
-      console.error(`❌ Failed to get real data for ${symbol}: ${primaryData.error}`);
-      return res.status(500).json({ 
-        error: `Unable to fetch real market data for ${symbol}. Please check the symbol and try again.`,
-        details: primaryData.error 
-      });
+app.get('/api/stream/status', (req, res) => {
+  res.json({ ...quoteStream.describe(), maxSymbols: streamLimits.maxSymbols, timestamp: new Date().toISOString() });
+});
+
+app.get('/api/indicators/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { set = DEFAULT_INDICATOR_SET, range = '1y', interval } = req.query;
+
+    const window = resolveChartWindow(range, interval);
+    if (!window.success) {
+      return res.status(400).json({ error: 'Invalid chart range', details: window.error });
     }
 
-    const [chartData, comprehensiveNews] = await Promise.all([
-      dataService.getDetailedChartData(symbol, '1y'),
-      dataService.getComprehensiveNews(symbol)
-    ]);
+    const { requests, errors } = parseIndicatorSet(set);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid indicator set', details: errors });
+    }
 
-    const sentimentAnalysis = dataService.calculateSentimentScore(comprehensiveNews);
-    const fundamentals = dataService.generateFundamentals(primaryData, fmpData, assetType);
-    
-    console.log(`🔧 Generated fundamentals type: ${fundamentals.type || 'undefined'}`);
-    console.log(`🔧 Asset type passed: ${assetType}`);
+    log.debug('Computing indicators', { symbol, indicators: requests.map(request => request.id) });
 
-    const companyName = fmpData?.success ? fmpData.companyName : primaryData.name;
-    const sector = fmpData?.success ? fmpData.sector : (assetType === 'crypto' ? 'CRYPTOCURRENCY' : 'Technology');
+    const cache = responseCache.forSymbol(symbol);
+    const candles = await cache.fetch(
+      window.intraday ? 'intraday' : 'chart',
+      () => dataService.getDetailedChartData(symbol, window.range, window.interval),
+      { variant: `${window.range}:${window.interval}` }
+    );
 
-    console.log(`✅ ENHANCED ANALYSIS COMPLETE for ${symbol}`);
-    console.log(`💰 Real Price: ${primaryData.currentPrice}`);
-    console.log(`📈 Change: ${primaryData.changePercent.toFixed(2)}%`);
-    console.log(`📊 Chart points: ${chartData.length}`);
-    console.log(`📰 News articles: ${comprehensiveNews.length} from multiple sources`);
-    console.log(`📋 Earnings data: ${earningsData.success ? 'Available' : 'Not available'}`);
+    if (candles.length === 0) {
+      return res.status(404).json({ error: `No candles available for ${symbol.toUpperCase()}` });
+    }
 
     res.json({
       symbol: symbol.toUpperCase(),
-      company: companyName,
-      currentPrice: parseFloat(primaryData.currentPrice.toFixed(2)),
-      priceChange: parseFloat(primaryData.change.toFixed(2)),
-      priceChangePercent: parseFloat(primaryData.changePercent.toFixed(2)),
-      assetType,
-      sector: sector,
-      chartData: chartData,
-      fundamentals,
-      sentiment: sentimentAnalysis,
-      earnings: earningsData,
+      range: window.range,
+      interval: window.interval,
+      count: candles.length,
+      indicators: computeIndicators(candles, requests, { intraday: window.intraday }),
       timestamp: new Date().toISOString(),
-      dataSource: assetType === 'crypto' ? 'CoinGecko + Yahoo Finance' : 'Yahoo Finance + FMP + Multiple News Sources',
-      enhancedFeatures: {
-        assetSpecificFundamentals: true,
-        comprehensiveNews: true,
-        quarterlyEarnings: earningsData.success,
-        multipleSources: true,
-        sentimentAnalysis: true
-      }
+      cache: cache.info
     });
 
   } catch (error) {
-    console.error('❌ Server error:', error.message);
+    log.error('Indicators endpoint failed', { error: error.message });
     res.status(500).json({ 
-      error: 'Internal server error during analysis',
+      error: 'Failed to compute indicators',
       details: error.message 
     });
   }
 });
 
-app.get('/api/news/:symbol', async (req, res) => {
+// Vóór /api/earnings/:symbol, anders wordt "calendar" als symbool gelezen
+app.get('/api/earnings/calendar', analysisHandlers.earningsCalendar);
+app.get('/api/earnings/:symbol', analysisHandlers.earnings);
+
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    res.json(await responseCache.summary());
+  } catch (error) {
+    log.error('Cache summary failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read cache', details: error.message });
+  }
+});
+
+app.delete('/api/admin/cache/:symbol', requireAdmin, async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { limit = 20, sources = 'all' } = req.query;
+    const purgedKeys = await responseCache.purgeSymbol(symbol);
+
+    log.info('Cache purged', { symbol: symbol.toUpperCase(), entries: purgedKeys.length });
 
-    console.log(`📰 Fetching comprehensive news for: ${symbol}`);
-    
-    const comprehensiveNews = await dataService.getComprehensiveNews(symbol);
-    const limitedNews = comprehensiveNews.slice(0, parseInt(limit));
-    
     res.json({
       symbol: symbol.toUpperCase(),
-      totalArticles: comprehensiveNews.length,
-      returnedArticles: limitedNews.length,
-      articles: limitedNews,
-      sources: ['NewsAPI', 'Finnhub', 'Alpha Vantage', 'Polygon'],
+      purged: purgedKeys.length,
+      keys: purgedKeys,
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    log.error('Cache purge failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to purge cache', details: error.message });
+  }
+});
+
+// Wat deze instance daadwerkelijk gebruikt, zonder secrets; handig als twee deploys zich verschillend gedragen
+app.get('/api/config', requireAdmin, (req, res) => {
+  res.json(describeConfig());
+});
+
+app.post('/api/admin/instruments/refresh', requireAdmin, async (req, res) => {
+  try {
+    const result = await dataService.instruments.refresh(dataService.providers);
 
+    if (!result.success) {
+      return res.status(502).json({ error: 'Failed to refresh instrument index', details: result.error, providers: result.providers });
+    }
+
+    log.info('Instrument index refreshed', { instruments: result.size });
+    res.json(result);
   } catch (error) {
-    console.error('❌ News endpoint error:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to fetch news',
-      details: error.message 
-    });
+    log.error('Instrument refresh failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to refresh instrument index', details: error.message });
+  }
+});
+
+const API_KEY_ERROR_STATUS = { invalid: 400, not_found: 404 };
+
+function sendApiKeyFailure(res, result) {
+  res.status(API_KEY_ERROR_STATUS[result.code] || 500).json({ error: result.error, details: result.details });
+}
+
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const keys = await apiKeys.list();
+    res.json({ count: keys.length, keys });
+  } catch (error) {
+    log.error('API key list failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read API keys', details: error.message });
   }
 });
 
-app.get('/api/earnings/:symbol', async (req, res) => {
+// De volledige key staat alleen in deze response; opgeslagen wordt een hash
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
   try {
-    const { symbol } = req.params;
-    
-    console.log(`📊 Fetching earnings data for: ${symbol}`);
-    
-    const earningsData = await dataService.getQuarterlyEarnings(symbol);
-    
-    res.json({
-      symbol: symbol.toUpperCase(),
-      earnings: earningsData,
-      timestamp: new Date().toISOString()
-    });
+    const result = await apiKeys.create(req.body);
+    if (!result.success) return sendApiKeyFailure(res, result);
 
+    log.info('API key created', { id: result.key.id, name: result.key.name, plan: result.key.plan });
+    res.status(201).json({ key: result.key, secret: result.secret });
   } catch (error) {
-    console.error('❌ Earnings endpoint error:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to fetch earnings data',
-      details: error.message 
-    });
+    log.error('API key create failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to create API key', details: error.message });
+  }
+});
+
+app.get('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await apiKeys.get(req.params.id);
+    if (!result.success) return sendApiKeyFailure(res, result);
+
+    const usage = await rateLimiter.usage(`key:${result.key.id}`, result.key.plan);
+    res.json({ key: result.key, usage });
+  } catch (error) {
+    log.error('API key read failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to read API key', details: error.message });
+  }
+});
+
+app.put('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await apiKeys.update(req.params.id, req.body);
+    if (!result.success) return sendApiKeyFailure(res, result);
+
+    log.info('API key updated', { id: result.key.id, plan: result.key.plan, disabled: result.key.disabled });
+    res.json(result.key);
+  } catch (error) {
+    log.error('API key update failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to update API key', details: error.message });
+  }
+});
+
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await apiKeys.remove(req.params.id);
+    if (!result.success) return sendApiKeyFailure(res, result);
+
+    log.info('API key revoked', { id: result.key.id, name: result.key.name });
+    res.status(204).end();
+  } catch (error) {
+    log.error('API key delete failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
   }
 });
 
 app.get('/api/test/:symbol', async (req, res) => {
   const { symbol } = req.params;
-  
-  console.log(`🧪 Testing enhanced APIs for: ${symbol}`);
-  
+
   const assetType = dataService.detectAssetType(symbol);
   const results = { assetType };
 
@@ -1309,9 +1007,12 @@ module.exports = app;
 
 // ⬇️ start de server alleen wanneer dit bestand rechtstreeks wordt uitgevoerd
 if (require.main === module) {
-  const PORT = process.env.PORT || 3001;
-  app.listen(PORT, () => {
-    console.log(`Backend listening on http://localhost:${PORT}`);
+  const { port } = config.server;
+  app.listen(port, () => {
+    log.info('Backend listening', { url: `http://localhost:${port}`, environment: describeConfig().environment });
+    if (config.alerts.enabled) {
+      alerts.start();
+    }
   });
 }
 
@@ -0,0 +1,63 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { checkWebhookUrl, guardedLookup } = require('./targets');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// POST het event als JSON. Met een secret gaat er een HMAC-SHA256 van de body mee, zodat de
+// ontvanger kan controleren dat het bericht van ons komt. Retries alleen bij netwerkfouten en 5xx.
+// Privé- en loopback-adressen worden geweigerd, ook als een hostnaam er via DNS naartoe wijst, tenzij de host in `allowedHosts` staat.
+async function deliverWebhook(url, event, { secret, timeout = 5000, retries = 2, backoffMs = 500, allowedHosts = [] } = {}) {
+  const refused = checkWebhookUrl(url, allowedHosts);
+  if (refused) {
+    return { url, ok: false, status: null, attempts: 0, error: refused };
+  }
+
+  const lookup = guardedLookup(allowedHosts);
+  const agents = { httpAgent: new http.Agent({ lookup }), httpsAgent: new https.Agent({ lookup }) };
+  const body = JSON.stringify(event);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'TradingAI-Alerts/1.0',
+    'X-Alert-Event-Id': event.id
+  };
+  if (secret) {
+    headers['X-Alert-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  let lastError = null;
+  let status = null;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      // Geen redirects: een 3xx naar een intern adres zou de controle hierboven omzeilen
+      const response = await axios.post(url, body, { headers, timeout, maxRedirects: 0, validateStatus: () => true, ...agents });
+      status = response.status;
+
+      if (status >= 200 && status < 300) {
+        return { url, ok: true, status, attempts: attempt };
+      }
+      lastError = `HTTP ${status}`;
+      if (status < 500) {
+        return { url, ok: false, status, attempts: attempt, error: lastError };
+      }
+    } catch (error) {
+      lastError = error.message;
+      if (error.code === 'EPRIVATEADDRESS') {
+        return { url, ok: false, status: null, attempts: attempt, error: lastError };
+      }
+    }
+
+    if (attempt <= retries) {
+      await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+  }
+
+  return { url, ok: false, status, attempts: retries + 1, error: lastError };
+}
+
+module.exports = { deliverWebhook };
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { JsonFileStore, storagePath } = require('../storage');
+const { getConfig } = require('../config');
+const { mapWithConcurrency } = require('../batch');
+const { rsi } = require('../indicators');
+const { RULE_TYPES, RSI_RANGES, validateRule } = require('./rules');
+const { deliverWebhook } = require('./delivery');
+const { createLogger, runJob } = require('../observability');
+
+const log = createLogger('alerts');
+
+const MAX_HISTORY = 500;
+
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+// Regels, evaluatie, historie en webhook-levering. `data` levert quote, candles en sentiment aan
+// (zie createAlertService in server.js), zodat de engine los van de HTTP-laag te testen is.
+class AlertService {
+  constructor({ store, data, webhooks = [], secret = null, intervalSeconds = 60, concurrency = 4, delivery = {}, allowedHosts = [] }) {
+    this.store = store;
+    this.data = data;
+    this.defaultWebhooks = webhooks;
+    this.secret = secret;
+    this.intervalSeconds = intervalSeconds;
+    this.concurrency = concurrency;
+    this.delivery = { ...delivery, allowedHosts };
+    this.allowedHosts = allowedHosts;
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  async list() {
+    const data = await this.store.read();
+    return data.rules;
+  }
+
+  async get(id) {
+    const data = await this.store.read();
+    const rule = data.rules.find(item => item.id === id);
+    return rule ? { success: true, rule } : failure('not_found', `Alert rule ${id} not found`);
+  }
+
+  async create(input) {
+    const { changes, errors } = validateRule(input, null, { allowedHosts: this.allowedHosts });
+    if (errors.length > 0) return failure('invalid', 'Invalid alert rule', errors);
+
+    return this.store.update(data => {
+      const now = new Date().toISOString();
+      const rule = { id: crypto.randomUUID(), ...changes, state: {}, createdAt: now, updatedAt: now };
+      data.rules.push(rule);
+      return { success: true, rule };
+    });
+  }
+
+  async update(id, input) {
+    return this.store.update(data => {
+      const rule = data.rules.find(item => item.id === id);
+      if (!rule) return failure('not_found', `Alert rule ${id} not found`);
+
+      const { changes, errors } = validateRule(input, rule, { allowedHosts: this.allowedHosts });
+      if (errors.length > 0) return failure('invalid', 'Invalid alert rule', errors);
+
+      // Nieuwe parameters betekenen een nieuwe conditie: de vorige toestand telt niet meer
+      if (changes.params) rule.state = {};
+      Object.assign(rule, changes, { updatedAt: new Date().toISOString() });
+      return { success: true, rule };
+    });
+  }
+
+  async remove(id) {
+    return this.store.update(data => {
+      const index = data.rules.findIndex(item => item.id === id);
+      if (index === -1) return failure('not_found', `Alert rule ${id} not found`);
+      const [rule] = data.rules.splice(index, 1);
+      return { success: true, rule };
+    });
+  }
+
+  async history({ ruleId, symbol, limit = 50 } = {}) {
+    const data = await this.store.read();
+    const size = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_HISTORY);
+    return data.history
+      .filter(event => (!ruleId || event.ruleId === ruleId) && (!symbol || event.symbol === symbol.toUpperCase()))
+      .slice(0, size);
+  }
+
+  // Haalt per symbool alleen de data op die de regels nodig hebben, en elk onderdeel maar één keer
+  async loadSymbolData(symbol, rules) {
+    const cache = {};
+    const once = (key, loader) => {
+      if (!cache[key]) cache[key] = loader();
+      return cache[key];
+    };
+
+    const inputs = new Map();
+    for (const rule of rules) {
+      const type = RULE_TYPES[rule.type];
+      try {
+        if (type.requires === 'quote') {
+          const quote = await once('quote', () => this.data.getQuote(symbol));
+          if (!quote.success) throw new Error(quote.error || 'No quote available');
+          inputs.set(rule.id, { quote });
+        } else if (type.requires === 'candles') {
+          const { interval, period } = rule.params;
+          const candles = await once(`candles:${interval}`, () => this.data.getCandles(symbol, { range: RSI_RANGES[interval], interval }));
+          if (candles.length === 0) throw new Error('No candles available');
+          const values = rsi(candles.map(candle => candle.close), period);
+          inputs.set(rule.id, { rsi: values[values.length - 1] });
+        } else if (type.requires === 'sentiment') {
+          inputs.set(rule.id, { sentiment: await once('sentiment', () => this.data.getSentiment(symbol)) });
+        }
+      } catch (error) {
+        inputs.set(rule.id, { error: error.message });
+      }
+    }
+    return inputs;
+  }
+
+  // Edge-regels vuren alleen op een overgang; de eerste evaluatie legt de uitgangstoestand vast.
+  // Level-regels vuren zolang de conditie geldt. Beide respecteren de cooldown.
+  decide(rule, outcome, now) {
+    const type = RULE_TYPES[rule.type];
+    const previous = rule.state.conditionMet;
+    const cooledDown = !rule.state.lastTriggeredAt
+      || now - Date.parse(rule.state.lastTriggeredAt) >= rule.cooldownSeconds * 1000;
+
+    if (!outcome.met || !cooledDown) return false;
+    return type.trigger === 'level' || previous === false;
+  }
+
+  async evaluateAll() {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      const startedAt = Date.now();
+      const rules = (await this.list()).filter(rule => rule.enabled);
+      const bySymbol = new Map();
+      for (const rule of rules) {
+        if (!bySymbol.has(rule.symbol)) bySymbol.set(rule.symbol, []);
+        bySymbol.get(rule.symbol).push(rule);
+      }
+
+      const symbolInputs = await mapWithConcurrency([...bySymbol.keys()], this.concurrency,
+        symbol => this.loadSymbolData(symbol, bySymbol.get(symbol)));
+      const inputs = new Map(symbolInputs.flatMap(map => [...map.entries()]));
+
+      const now = Date.now();
+      const updates = new Map();
+      const events = [];
+
+      for (const rule of rules) {
+        const input = inputs.get(rule.id);
+        if (!input || input.error) {
+          updates.set(rule.id, { lastEvaluatedAt: new Date(now).toISOString(), lastError: input?.error || 'No data' });
+          continue;
+        }
+
+        const outcome = RULE_TYPES[rule.type].evaluate(input, rule.params);
+        const fire = this.decide(rule, outcome, now);
+        const state = {
+          conditionMet: outcome.met,
+          lastValue: outcome.value,
+          lastEvaluatedAt: new Date(now).toISOString(),
+          lastError: null
+        };
+
+        if (fire) {
+          const event = {
+            id: crypto.randomUUID(),
+            ruleId: rule.id,
+            ruleName: rule.name,
+            symbol: rule.symbol,
+            type: rule.type,
+            params: rule.params,
+            value: outcome.value,
+            message: `${rule.symbol} ${outcome.message}`,
+            triggeredAt: new Date(now).toISOString()
+          };
+          events.push({ event, webhooks: rule.webhooks.length > 0 ? rule.webhooks : this.defaultWebhooks });
+          state.lastTriggeredAt = event.triggeredAt;
+        }
+        updates.set(rule.id, state);
+      }
+
+      for (const entry of events) {
+        entry.event.deliveries = await Promise.all(entry.webhooks.map(url =>
+          deliverWebhook(url, entry.event, { secret: this.secret, ...this.delivery })));
+        log.info('Alert triggered', {
+          ruleId: entry.event.ruleId,
+          symbol: entry.event.symbol,
+          message: entry.event.message,
+          delivered: entry.event.deliveries.filter(delivery => delivery.ok).length,
+          webhooks: entry.webhooks.length
+        });
+      }
+
+      // Regels kunnen tijdens de run gewijzigd of verwijderd zijn; alleen bestaande regels bijwerken
+      await this.store.update(data => {
+        for (const rule of data.rules) {
+          if (updates.has(rule.id)) rule.state = { ...rule.state, ...updates.get(rule.id) };
+        }
+        data.history = [...events.map(entry => entry.event).reverse(), ...data.history].slice(0, MAX_HISTORY);
+      });
+
+      this.lastRun = {
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        evaluated: rules.length,
+        triggered: events.length
+      };
+      return { ...this.lastRun, events: events.map(entry => entry.event) };
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      runJob('alerts', () => this.evaluateAll())
+        .catch(error => log.error('Alert evaluation failed', { error: error.message }));
+    }, this.intervalSeconds * 1000);
+    this.timer.unref();
+    log.info('Alert scheduler started', { intervalSeconds: this.intervalSeconds });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  describe() {
+    return { scheduler: this.timer ? 'running' : 'stopped', intervalSeconds: this.intervalSeconds, lastRun: this.lastRun };
+  }
+}
+
+// ALERT_WEBHOOK_URLS geldt voor regels zonder eigen webhooks; ALERT_WEBHOOK_SECRET ondertekent de body.
+// Webhooks naar privé-adressen mogen alleen naar ALERT_WEBHOOK_ALLOWED_HOSTS en de hosts van ALERT_WEBHOOK_URLS,
+// die de beheerder zelf heeft ingesteld.
+function createAlertService(data, env = process.env) {
+  const config = getConfig(env).alerts;
+  const configuredHosts = config.webhookUrls.map(url => new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase());
+  return new AlertService({
+    store: new JsonFileStore(config.file || storagePath('alerts.json', env), { rules: [], history: [] }),
+    data,
+    webhooks: config.webhookUrls,
+    secret: config.webhookSecret,
+    intervalSeconds: config.intervalSeconds,
+    delivery: { timeout: config.webhookTimeoutMs },
+    allowedHosts: [...config.webhookAllowedHosts, ...configuredHosts]
+  });
+}
+
+module.exports = { AlertService, createAlertService, RULE_TYPES };
@@ -0,0 +1,193 @@
+const { normalizeSymbol } = require('../batch');
+const { checkWebhookUrl } = require('./targets');
+
+// Regeltypes. `trigger` bepaalt wanneer een regel afgaat:
+//  - edge: alleen op de overgang van niet-voldaan naar voldaan (kruisen, band verlaten, omslaan)
+//  - level: telkens als de conditie geldt, begrensd door de cooldown
+// `requires` zegt welke data de evaluator moet ophalen.
+const RULE_TYPES = {
+  price_cross: {
+    trigger: 'edge',
+    requires: 'quote',
+    params: {
+      direction: { default: 'above', oneOf: ['above', 'below'] },
+      price: { required: true, min: 0, exclusiveMin: true }
+    },
+    evaluate({ quote }, { direction, price }) {
+      const value = quote.currentPrice;
+      const met = direction === 'above' ? value >= price : value <= price;
+      return { met, value, message: `crossed ${direction} ${price} (now ${round(value)})` };
+    }
+  },
+  change_pct: {
+    trigger: 'level',
+    requires: 'quote',
+    params: {
+      threshold: { required: true, min: 0, exclusiveMin: true },
+      direction: { default: 'any', oneOf: ['up', 'down', 'any'] }
+    },
+    // Crypto-quotes rapporteren de 24-uurswijziging, aandelen de wijziging sinds de vorige slotkoers
+    evaluate({ quote }, { threshold, direction }) {
+      const value = quote.changePercent;
+      const met = direction === 'up' ? value >= threshold
+        : direction === 'down' ? value <= -threshold
+          : Math.abs(value) >= threshold;
+      return { met, value, message: `moved ${value >= 0 ? '+' : ''}${round(value)}% (threshold ${threshold}%)` };
+    }
+  },
+  rsi_band: {
+    trigger: 'edge',
+    requires: 'candles',
+    params: {
+      period: { default: 14, min: 2, max: 100, integer: true },
+      lower: { default: 30, min: 0, max: 100 },
+      upper: { default: 70, min: 0, max: 100 },
+      interval: { default: '1d', oneOf: ['1d', '60m', '15m'] }
+    },
+    evaluate({ rsi }, { lower, upper }) {
+      if (rsi === null) return { met: false, value: null, message: 'not enough candles for RSI' };
+      const side = rsi < lower ? `below ${lower}` : `above ${upper}`;
+      return { met: rsi < lower || rsi > upper, value: rsi, message: `RSI left ${lower}-${upper}: ${round(rsi)} is ${side}` };
+    }
+  },
+  sentiment: {
+    trigger: 'edge',
+    requires: 'sentiment',
+    params: {
+      target: { default: 'negative', oneOf: ['positive', 'negative', 'neutral'] }
+    },
+    evaluate({ sentiment }, { target }) {
+      return {
+        met: sentiment.overall === target,
+        value: sentiment.score,
+        message: `news sentiment flipped to ${sentiment.overall} (score ${sentiment.score})`
+      };
+    }
+  }
+};
+
+// Candle-bereik per RSI-interval: ruim genoeg voor de opwarmperiode
+const RSI_RANGES = { '1d': '6mo', '60m': '1mo', '15m': '5d' };
+
+const DEFAULT_COOLDOWN_SECONDS = 60 * 60;
+const MAX_WEBHOOKS = 5;
+
+function round(value) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(2)) : value;
+}
+
+function validateParam(name, spec, raw, errors) {
+  if (raw === undefined || raw === null || raw === '') {
+    if (spec.required) errors.push({ field: `params.${name}`, message: `${name} is required` });
+    return spec.default;
+  }
+
+  if (spec.oneOf) {
+    if (!spec.oneOf.includes(raw)) {
+      errors.push({ field: `params.${name}`, message: `${name} must be one of: ${spec.oneOf.join(', ')}` });
+    }
+    return raw;
+  }
+
+  const value = Number(raw);
+  const tooLow = spec.exclusiveMin ? value <= spec.min : value < spec.min;
+  if (!Number.isFinite(value) || (spec.integer && !Number.isInteger(value)) || tooLow || value > (spec.max ?? Infinity)) {
+    errors.push({ field: `params.${name}`, message: `Invalid ${name} "${raw}"` });
+  }
+  return value;
+}
+
+function validateWebhooks(raw, errors, allowedHosts) {
+  if (!Array.isArray(raw)) {
+    errors.push({ field: 'webhooks', message: 'Webhooks must be an array of URLs' });
+    return [];
+  }
+  if (raw.length > MAX_WEBHOOKS) {
+    errors.push({ field: 'webhooks', message: `At most ${MAX_WEBHOOKS} webhooks per rule` });
+  }
+
+  return [...new Set(raw)].filter(url => {
+    const problem = checkWebhookUrl(String(url), allowedHosts);
+    if (problem) errors.push({ field: 'webhooks', message: problem });
+    return !problem;
+  });
+}
+
+// Nieuwe regel: alles verplicht behalve wat een default heeft. Bij `existing` is het een update
+// waarin alleen de meegestuurde velden veranderen; type en symbool liggen dan vast. Webhooks naar
+// privé-adressen mogen alleen naar hosts in `allowedHosts`.
+function validateRule(input = {}, existing = null, { allowedHosts = [] } = {}) {
+  const errors = [];
+  const changes = {};
+
+  if (!existing) {
+    const symbol = normalizeSymbol(input.symbol);
+    if (!symbol) errors.push({ field: 'symbol', message: 'A valid symbol is required' });
+    changes.symbol = symbol;
+
+    if (!RULE_TYPES[input.type]) {
+      errors.push({ field: 'type', message: `Type must be one of: ${Object.keys(RULE_TYPES).join(', ')}` });
+      return { changes, errors };
+    }
+    changes.type = input.type;
+  } else {
+    for (const field of ['symbol', 'type']) {
+      if (input[field] !== undefined && String(input[field]).toUpperCase() !== String(existing[field]).toUpperCase()) {
+        errors.push({ field, message: `${field} cannot be changed; create a new rule instead` });
+      }
+    }
+  }
+
+  const type = RULE_TYPES[changes.type || existing.type];
+
+  if (!existing || input.params !== undefined) {
+    const rawParams = input.params && typeof input.params === 'object' ? input.params : {};
+    const base = existing && input.params !== undefined ? existing.params : {};
+    const params = {};
+    for (const [name, spec] of Object.entries(type.params)) {
+      params[name] = validateParam(name, spec, rawParams[name] ?? base[name], errors);
+    }
+    for (const name of Object.keys(rawParams).filter(name => !type.params[name])) {
+      errors.push({ field: `params.${name}`, message: `Unknown parameter for ${changes.type || existing.type}` });
+    }
+    if (params.lower !== undefined && params.upper !== undefined && params.lower >= params.upper) {
+      errors.push({ field: 'params', message: 'lower must be below upper' });
+    }
+    changes.params = params;
+  }
+
+  if (input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (name.length > 80) errors.push({ field: 'name', message: 'Name must be at most 80 characters' });
+    changes.name = name || null;
+  } else if (!existing) {
+    changes.name = null;
+  }
+
+  if (input.webhooks !== undefined) {
+    changes.webhooks = validateWebhooks(input.webhooks, errors, allowedHosts);
+  } else if (!existing) {
+    changes.webhooks = [];
+  }
+
+  if (input.cooldownSeconds !== undefined) {
+    const cooldown = Number(input.cooldownSeconds);
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > 7 * 24 * 60 * 60) {
+      errors.push({ field: 'cooldownSeconds', message: 'cooldownSeconds must be an integer between 0 and 604800' });
+    }
+    changes.cooldownSeconds = cooldown;
+  } else if (!existing) {
+    changes.cooldownSeconds = DEFAULT_COOLDOWN_SECONDS;
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') errors.push({ field: 'enabled', message: 'enabled must be a boolean' });
+    changes.enabled = input.enabled;
+  } else if (!existing) {
+    changes.enabled = true;
+  }
+
+  return { changes, errors };
+}
+
+module.exports = { RULE_TYPES, RSI_RANGES, DEFAULT_COOLDOWN_SECONDS, validateRule };
@@ -0,0 +1,71 @@
+const dns = require('dns');
+const net = require('net');
+
+// Webhook-regels komen van gewone API-clients; zonder deze controle post de server (ondertekend) naar
+// localhost, het cloud-metadata-adres of het interne netwerk. Hosts in `allowedHosts` mogen wel.
+
+// Loopback, link-local, privé, CGNAT, gereserveerd en multicast. IPv4-mapped IPv6 (::ffff:10.0.0.1)
+// toetst BlockList zelf tegen de IPv4-regels.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// new URL geeft IPv6-hosts tussen haken
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function isAllowedHost(host, allowedHosts) {
+  return allowedHosts.includes(host.toLowerCase());
+}
+
+// Foutmelding voor een webhook-URL, of null als hij mag. Hostnamen worden pas bij levering opgezocht
+// (zie guardedLookup); hier vallen alleen schema, literal IP-adressen en localhost-namen af.
+function checkWebhookUrl(raw, allowedHosts = []) {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (error) {
+    return `Invalid webhook URL "${raw}"`;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return `Invalid webhook URL "${raw}"`;
+
+  const host = hostOf(url);
+  if (isAllowedHost(host, allowedHosts)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    return `Webhook URL "${raw}" points to a private or loopback address`;
+  }
+  return null;
+}
+
+// dns.lookup voor de http(s)-agent van de levering: een hostnaam die naar een privé-adres wijst wordt bij
+// het verbinden geweigerd, dus ook als de DNS na het aanmaken van de regel is omgezet
+function guardedLookup(allowedHosts = []) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      if (isAllowedHost(hostname, allowedHosts)) return callback(null, address, family);
+
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      const blocked = addresses.find(isPrivateAddress);
+      if (blocked) {
+        const refused = new Error(`Webhook host ${hostname} resolves to private address ${blocked}`);
+        refused.code = 'EPRIVATEADDRESS';
+        return callback(refused);
+      }
+      return callback(null, address, family);
+    });
+  };
+}
+
+module.exports = { checkWebhookUrl, guardedLookup, isPrivateAddress };
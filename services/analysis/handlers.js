@@ -0,0 +1,60 @@
+const { ANALYSIS_ERROR_STATUS } = require('./index');
+const { createLogger } = require('../observability');
+
+const log = createLogger('analysis');
+
+// (req, res)-handlers rond de analysekern. Ze gebruiken alleen req.body, req.query, req.params en
+// res.status().json(), zodat Express en de Vercel-runtime ze allebei direct kunnen aanroepen.
+
+function sendAnalysisFailure(res, result) {
+  res.status(ANALYSIS_ERROR_STATUS[result.code] || 500).json({ error: result.error, details: result.details });
+}
+
+// Express zet het symbool in req.params, een Vercel-function krijgt het als ?symbol=
+function symbolParam(req) {
+  return req.params?.symbol ?? req.query?.symbol;
+}
+
+function handle(run, { label, error: message }) {
+  return async (req, res) => {
+    try {
+      const result = await run(req);
+      if (!result.success) return sendAnalysisFailure(res, result);
+      res.json(result.body);
+    } catch (error) {
+      log.error(label, { error: error.message });
+      res.status(500).json({
+        error: message,
+        details: error.message
+      });
+    }
+  };
+}
+
+function createAnalysisHandlers(core) {
+  return {
+    analyze: handle(
+      req => core.analyze({ symbol: req.body?.symbol, currency: req.body?.currency ?? req.query?.currency }),
+      { label: 'Server error', error: 'Internal server error during analysis' }
+    ),
+    news: handle(
+      req => core.news(symbolParam(req), req.query || {}),
+      { label: 'News endpoint error', error: 'Failed to fetch news' }
+    ),
+    earnings: handle(
+      req => core.earnings(symbolParam(req)),
+      { label: 'Earnings endpoint error', error: 'Failed to fetch earnings data' }
+    ),
+    earningsCalendar: handle(
+      req => core.calendar(req.query || {}),
+      { label: 'Earnings calendar error', error: 'Failed to fetch earnings calendar' }
+    ),
+    // 503 zodra een capability geen enkele bruikbare provider meer heeft, zodat een health check erop kan letten
+    status: (req, res) => {
+      const status = core.status();
+      res.status(status.status === 'down' ? 503 : 200).json(status);
+    }
+  };
+}
+
+module.exports = { createAnalysisHandlers, sendAnalysisFailure };
@@ -0,0 +1,319 @@
+const { createProviders } = require('../providers');
+const { createInstrumentIndex } = require('../instruments');
+const { createResponseCache } = require('../cache');
+const { createEarningsCalendar, parseCalendarQuery } = require('../earnings');
+const { createFxService, parseCurrency, cryptoQuoteCurrency, convertFields, FUNDAMENTAL_PRICE_FIELDS } = require('../fx');
+const { parseNewsQuery, filterNews, paginateNews } = require('../newsQuery');
+const { isIntraday } = require('../chartRanges');
+const { normalizeSymbol } = require('../batch');
+const { EnhancedFinancialService } = require('./financialService');
+const { createLogger, currentContext } = require('../observability');
+const { getConfig } = require('../config');
+
+const log = createLogger('analysis');
+
+// Gedeelde kern voor analyse, nieuws en earnings. server.js en de serverless functions in api/ bouwen
+// hun responses hier, zodat lokaal en op Vercel dezelfde velden en foutcodes terugkomen.
+
+const ANALYSIS_ERROR_STATUS = { invalid: 400, unsupported: 400, not_found: 404, upstream: 500, unavailable: 503 };
+
+const QUOTE_METHODS = ['getQuote', 'getCryptoQuote'];
+
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+// Crypto-paren buiten USD krijgen een eigen cache-entry; de USD-keys blijven zoals ze waren
+function pairVariant(currency, variant) {
+  return [variant, currency && currency !== 'USD' ? currency : null].filter(Boolean).join(':') || undefined;
+}
+
+function convertFundamentals(fundamentals, money) {
+  const fields = FUNDAMENTAL_PRICE_FIELDS[fundamentals?.type];
+  return money.rate === 1 || !fields ? fundamentals : convertFields(fundamentals, fields, money.convert);
+}
+
+// Valutablok voor elke response met bedragen; `fx` van FxService.convertCandles als er candles in zitten
+function currencyInfo(money, fx = money.fx) {
+  return { currency: money.currency, nativeCurrency: money.nativeCurrency, fx };
+}
+
+// Waarom een provider niet gevraagd is, per uitkomst van InstrumentedProvider
+const SKIP_REASONS = { skipped: 'circuit_open', deferred: 'quota' };
+
+// Providers die tijdens deze request zijn overgeslagen (circuit open of quotum op), één keer per provider/methode
+function skippedProviders() {
+  const skipped = new Map();
+  for (const call of currentContext()?.upstream || []) {
+    if (!SKIP_REASONS[call.outcome]) continue;
+    skipped.set(`${call.provider}:${call.method}`, {
+      provider: call.provider,
+      method: call.method,
+      reason: SKIP_REASONS[call.outcome],
+      retryAt: call.retryAt || null
+    });
+  }
+  return [...skipped.values()];
+}
+
+class AnalysisCore {
+  constructor({ dataService, responseCache, fx, earningsCalendar }) {
+    this.dataService = dataService;
+    this.responseCache = responseCache;
+    this.fx = fx;
+    this.earningsCalendar = earningsCalendar;
+
+    // Marktdata voor alerts, portefeuilles en de stream, via de response cache zodat ze upstream calls delen
+    // met de gewone routes. Crypto en aandelen blijven gesplitst op detectAssetType.
+    this.marketData = {
+      getQuote: symbol => responseCache.forSymbol(symbol).fetch('quote', () => (
+        dataService.detectAssetType(symbol) === 'crypto' ? dataService.getCryptoData(symbol) : dataService.getYahooFinanceData(symbol)
+      )),
+      getProfile: symbol => responseCache.forSymbol(symbol).fetch('profile', () => dataService.getFMPFundamentals(symbol)),
+      getCandles: (symbol, { range, interval }) => responseCache.forSymbol(symbol).fetch(
+        isIntraday(interval) ? 'intraday' : 'chart',
+        () => dataService.getDetailedChartData(symbol, range, interval),
+        { variant: `${range}:${interval}` }
+      ),
+      getSentiment: async symbol => {
+        const news = await responseCache.forSymbol(symbol).fetch('news', () => dataService.getComprehensiveNews(symbol));
+        return dataService.calculateSentimentScore(news);
+      }
+    };
+  }
+
+  // Quote plus omrekening naar `currency` (null = eigen valuta). Crypto vragen we zo mogelijk direct als paar
+  // op; kent de provider het paar niet, dan nemen we USD en rekent de converter om.
+  async pricedQuote(cache, symbol, assetType, currency) {
+    let quote;
+    if (assetType === 'crypto') {
+      const pair = cryptoQuoteCurrency(currency);
+      quote = await cache.fetch('quote', () => this.dataService.getCryptoData(symbol, pair), { variant: pairVariant(pair) });
+      if (!quote.success && pair !== 'USD') {
+        quote = await cache.fetch('quote', () => this.dataService.getCryptoData(symbol));
+      }
+    } else {
+      quote = await cache.fetch('quote', () => this.dataService.getYahooFinanceData(symbol));
+    }
+
+    if (!quote.success) return { quote };
+    return { quote, money: await this.fx.converter(quote.currency || 'USD', currency) };
+  }
+
+  // Candles in dezelfde valuta als de quote, zodat één converter voor beide geldt
+  candles(cache, symbol, assetType, quote, { range, interval }) {
+    const pair = assetType === 'crypto' ? quote.currency || 'USD' : undefined;
+    return cache.fetch(
+      isIntraday(interval) ? 'intraday' : 'chart',
+      () => this.dataService.getDetailedChartData(symbol, range, interval, pair),
+      { variant: pairVariant(pair, `${range}:${interval}`) }
+    );
+  }
+
+  async analyze({ symbol: rawSymbol, currency: rawCurrency } = {}) {
+    if (!rawSymbol) {
+      return failure('invalid', 'Stock symbol is required');
+    }
+    const symbol = normalizeSymbol(rawSymbol);
+    if (!symbol) {
+      return failure('invalid', 'Invalid symbol', [{ field: 'symbol', message: `Invalid symbol "${rawSymbol}"` }]);
+    }
+
+    const requested = parseCurrency(rawCurrency);
+    if (!requested.success) return requested;
+
+    const { dataService } = this;
+    const assetType = dataService.detectAssetType(symbol);
+    log.info('Analysis started', { symbol, assetType, currency: requested.currency });
+
+    const cache = this.responseCache.forSymbol(symbol);
+    let priced, fmpData, earningsData, financials;
+
+    if (assetType === 'crypto') {
+      priced = await this.pricedQuote(cache, symbol, assetType, requested.currency);
+      fmpData = { success: false };
+      earningsData = { success: false, message: 'Earnings not applicable for cryptocurrency' };
+    } else {
+      [priced, fmpData, earningsData, financials] = await Promise.all([
+        this.pricedQuote(cache, symbol, assetType, requested.currency),
+        cache.fetch('profile', () => dataService.getFMPFundamentals(symbol)),
+        cache.fetch('earnings', () => dataService.getQuarterlyEarnings(symbol)),
+        cache.fetch('financials', () => dataService.getFinancialStatements(symbol))
+      ]);
+    }
+
+    const { quote: primaryData, money } = priced;
+    if (!primaryData.success) {
+      const skippedQuote = skippedProviders().find(skipped => QUOTE_METHODS.includes(skipped.method));
+      if (skippedQuote) {
+        log.warn('Quote providers unavailable for analysis', { symbol, provider: skippedQuote.provider, retryAt: skippedQuote.retryAt });
+        return failure('unavailable', `Market data for ${symbol} is temporarily unavailable. Please try again later.`, primaryData.error);
+      }
+      log.error('No market data for analysis', { symbol, error: primaryData.error });
+      return failure('upstream', `Unable to fetch real market data for ${symbol}. Please check the symbol and try again.`, primaryData.error);
+    }
+    if (!money.success) return money;
+
+    const [chartData, comprehensiveNews] = await Promise.all([
+      this.candles(cache, symbol, assetType, primaryData, { range: '1y', interval: '1d' }),
+      cache.fetch('news', () => dataService.getComprehensiveNews(symbol))
+    ]);
+
+    const sentimentAnalysis = dataService.calculateSentimentScore(comprehensiveNews);
+    const fundamentals = await dataService.generateFundamentals(primaryData, fmpData, assetType, financials);
+    const chart = await this.fx.convertCandles(chartData, money);
+
+    const skipped = skippedProviders();
+    // Zonder FMP-profiel de instrument-index, zoals batch en compare; wat geen van beide weet blijft null
+    const instrument = dataService.instruments.lookup(symbol);
+    const companyName = fmpData?.success ? fmpData.companyName : instrument?.name || null;
+    const sector = fmpData?.success ? fmpData.sector : instrument?.sector || (assetType === 'crypto' ? 'CRYPTOCURRENCY' : null);
+
+    log.info('Analysis complete', {
+      symbol,
+      price: primaryData.currentPrice,
+      currency: money.nativeCurrency,
+      fxRate: money.fx?.rate,
+      changePercent: parseFloat(primaryData.changePercent.toFixed(2)),
+      fundamentals: fundamentals.type,
+      chartPoints: chartData.length,
+      newsArticles: comprehensiveNews.length,
+      earnings: earningsData.success,
+      skippedProviders: skipped.length || undefined
+    });
+
+    return {
+      success: true,
+      body: {
+        symbol,
+        company: companyName,
+        currentPrice: money.convert(primaryData.currentPrice),
+        priceChange: money.convert(primaryData.change),
+        priceChangePercent: parseFloat(primaryData.changePercent.toFixed(2)),
+        ...currencyInfo(money, chart.fx),
+        assetType,
+        sector: sector,
+        chartData: chart.candles,
+        fundamentals: convertFundamentals(fundamentals, money),
+        sentiment: sentimentAnalysis,
+        earnings: earningsData,
+        timestamp: new Date().toISOString(),
+        dataSource: assetType === 'crypto' ? 'CoinGecko + Yahoo Finance' : 'Yahoo Finance + FMP + Multiple News Sources',
+        enhancedFeatures: {
+          assetSpecificFundamentals: true,
+          comprehensiveNews: true,
+          quarterlyEarnings: earningsData.success,
+          multipleSources: true,
+          sentimentAnalysis: true
+        },
+        skippedProviders: skipped,
+        cache: cache.info
+      }
+    };
+  }
+
+  status() {
+    return this.dataService.providers.status();
+  }
+
+  async news(rawSymbol, rawQuery = {}) {
+    const symbol = normalizeSymbol(rawSymbol);
+    if (!symbol) {
+      return failure('invalid', 'Invalid symbol', [{ field: 'symbol', message: `Invalid symbol "${rawSymbol}"` }]);
+    }
+    const query = parseNewsQuery(rawQuery);
+    if (!query.success) return failure('invalid', query.error, query.details);
+
+    log.debug('Fetching news', { symbol, from: query.window.from, to: query.window.to });
+
+    const cache = this.responseCache.forSymbol(symbol);
+    const feed = await cache.fetch('news', () => this.dataService.fetchNewsFeed(symbol, query.window), { variant: query.variant });
+    const matching = filterNews(feed.articles, query.filters);
+    const page = paginateNews(matching, query);
+
+    return {
+      success: true,
+      body: {
+        symbol,
+        totalArticles: matching.length,
+        returnedArticles: page.articles.length,
+        totalSourceArticles: feed.sourceArticles,
+        articles: page.articles,
+        nextCursor: page.nextCursor,
+        filters: query.filters,
+        sources: [...new Set(matching.flatMap(article => article.story?.sources || [article.source]))],
+        providers: feed.providers,
+        timestamp: new Date().toISOString(),
+        cache: cache.info
+      }
+    };
+  }
+
+  async calendar(rawQuery = {}) {
+    const query = parseCalendarQuery(rawQuery);
+    if (!query.success) return query;
+
+    log.debug('Fetching earnings calendar', { from: query.from, to: query.to });
+
+    const { success, ...body } = await this.earningsCalendar.calendar(query);
+    return { success: true, body: { ...body, timestamp: new Date().toISOString() } };
+  }
+
+  async earnings(rawSymbol) {
+    const symbol = normalizeSymbol(rawSymbol);
+    if (!symbol) {
+      return failure('invalid', 'Invalid symbol', [{ field: 'symbol', message: `Invalid symbol "${rawSymbol}"` }]);
+    }
+    const { dataService, earningsCalendar } = this;
+    const isCrypto = dataService.detectAssetType(symbol) === 'crypto';
+
+    log.debug('Fetching earnings', { symbol });
+
+    const cache = this.responseCache.forSymbol(symbol);
+    const [earningsData, nextEarnings, surprises] = await Promise.all([
+      cache.fetch('earnings', () => dataService.getQuarterlyEarnings(symbol)),
+      isCrypto ? null : earningsCalendar.nextEarnings(symbol).catch(error => {
+        log.warn('Next earnings lookup failed', { symbol, error: error.message });
+        return null;
+      }),
+      isCrypto ? { success: false } : earningsCalendar.surpriseHistory(symbol).catch(error => ({ success: false, error: error.message }))
+    ]);
+
+    // De datum uit de kalender vervangt wat de earnings-provider zelf (niet) meegeeft
+    const earnings = earningsData.success && earningsData.outlook
+      ? { ...earningsData, outlook: { ...earningsData.outlook, nextEarningsDate: nextEarnings?.date || null, nextEarningsTime: nextEarnings?.time || null } }
+      : earningsData;
+    const { success: hasSurprises, error: surpriseError, code, ...surpriseHistory } = surprises;
+
+    return {
+      success: true,
+      body: {
+        symbol,
+        earnings,
+        nextEarnings,
+        surprises: hasSurprises ? surpriseHistory : null,
+        timestamp: new Date().toISOString(),
+        cache: cache.info
+      }
+    };
+  }
+}
+
+function createAnalysisCore(env = process.env) {
+  const dataService = new EnhancedFinancialService(createProviders(env), createInstrumentIndex(env), getConfig(env).news);
+  const responseCache = createResponseCache(env);
+  return new AnalysisCore({
+    dataService,
+    responseCache,
+    fx: createFxService({ providers: dataService.providers, cache: responseCache }),
+    earningsCalendar: createEarningsCalendar({ providers: dataService.providers }, env)
+  });
+}
+
+module.exports = {
+  AnalysisCore,
+  createAnalysisCore,
+  ANALYSIS_ERROR_STATUS,
+  convertFundamentals,
+  currencyInfo
+};
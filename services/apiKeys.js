@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { JsonFileStore, storagePath } = require('./storage');
+const { PLANS } = require('./rateLimit');
+const { getConfig } = require('./config');
+
+const MAX_NAME_LENGTH = 80;
+const KEY_PREFIX = 'tai_';
+// Zoveel tekens van de key bewaren we leesbaar, zodat een beheerder hem kan herkennen
+const VISIBLE_LENGTH = KEY_PREFIX.length + 6;
+
+// `anonymous` is het plan zonder key en kan dus niet aan een key hangen
+const KEY_PLANS = PLANS.filter(plan => plan !== 'anonymous');
+
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function validateKey(input, { partial = false } = {}) {
+  const errors = [];
+  const changes = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Name must be 1-${MAX_NAME_LENGTH} characters` });
+    } else {
+      changes.name = name;
+    }
+  }
+
+  if (input.plan !== undefined || !partial) {
+    const plan = input.plan === undefined ? 'free' : input.plan;
+    if (!KEY_PLANS.includes(plan)) {
+      errors.push({ field: 'plan', message: `Plan must be one of ${KEY_PLANS.join(', ')}` });
+    } else {
+      changes.plan = plan;
+    }
+  }
+
+  if (input.disabled !== undefined) {
+    if (typeof input.disabled !== 'boolean') {
+      errors.push({ field: 'disabled', message: 'Disabled must be true or false' });
+    } else {
+      changes.disabled = input.disabled;
+    }
+  }
+
+  return { changes, errors };
+}
+
+// Zonder hash; die verlaat de server nooit
+function publicKey({ hash, ...key }) {
+  return key;
+}
+
+// API keys met een plan. We bewaren alleen een SHA-256 van de key; de key zelf zie je één keer, bij het aanmaken.
+class ApiKeyService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async list() {
+    const data = await this.store.read();
+    return data.keys.map(publicKey);
+  }
+
+  async get(id) {
+    const data = await this.store.read();
+    const key = data.keys.find(item => item.id === id);
+    return key ? { success: true, key: publicKey(key) } : failure('not_found', `API key ${id} not found`);
+  }
+
+  async create(input = {}) {
+    const { changes, errors } = validateKey(input);
+    if (errors.length > 0) return failure('invalid', 'Invalid API key', errors);
+
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return this.store.update(data => {
+      const now = new Date().toISOString();
+      const key = {
+        id: crypto.randomUUID(),
+        ...changes,
+        prefix: secret.slice(0, VISIBLE_LENGTH),
+        hash: hashSecret(secret),
+        disabled: false,
+        createdAt: now,
+        updatedAt: now
+      };
+      data.keys.push(key);
+      return { success: true, key: publicKey(key), secret };
+    });
+  }
+
+  async update(id, input = {}) {
+    const { changes, errors } = validateKey(input, { partial: true });
+    if (errors.length > 0) return failure('invalid', 'Invalid API key', errors);
+
+    return this.store.update(data => {
+      const key = data.keys.find(item => item.id === id);
+      if (!key) return failure('not_found', `API key ${id} not found`);
+
+      Object.assign(key, changes, { updatedAt: new Date().toISOString() });
+      return { success: true, key: publicKey(key) };
+    });
+  }
+
+  async remove(id) {
+    return this.store.update(data => {
+      const index = data.keys.findIndex(item => item.id === id);
+      if (index === -1) return failure('not_found', `API key ${id} not found`);
+
+      const [key] = data.keys.splice(index, 1);
+      return { success: true, key: publicKey(key) };
+    });
+  }
+
+  // De key bij een meegestuurde secret, of null als hij onbekend of uitgeschakeld is
+  async authenticate(secret) {
+    if (typeof secret !== 'string' || !secret.startsWith(KEY_PREFIX)) return null;
+    const hash = hashSecret(secret);
+    const data = await this.store.read();
+    const key = data.keys.find(item => item.hash === hash);
+    return key && !key.disabled ? publicKey(key) : null;
+  }
+}
+
+// API_KEYS_FILE overschrijft de standaardlocatie in STORAGE_DIR
+function createApiKeyService(env = process.env) {
+  const file = getConfig(env).apiKeys.file || storagePath('api-keys.json', env);
+  return new ApiKeyService(new JsonFileStore(file, { keys: [] }));
+}
+
+module.exports = { ApiKeyService, createApiKeyService, KEY_PLANS };
@@ -0,0 +1,393 @@
+const { parseIndicatorSet, computeIndicators, INDICATORS } = require('./indicators');
+const { normalizeSymbol } = require('./batch');
+const { CHART_RANGES } = require('./chartRanges');
+
+// Declaratieve strategieën, doorgerekend over candles. Alleen long-posities; signalen worden op de
+// slotkoers van een candle bepaald en op de open van de volgende candle uitgevoerd (geen lookahead).
+
+const OPERATORS = ['crossesAbove', 'crossesBelow', '>', '<', '>=', '<='];
+const PRICE_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+const SIZING_TYPES = ['percent', 'amount', 'units'];
+const BACKTEST_INTERVALS = ['1d', '1wk'];
+// Kortste bereik dat `from` plus opwarmtijd dekt
+const BACKTEST_RANGES = ['3mo', '6mo', '1y', '2y', '5y'];
+const WARMUP_DAYS = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Het langste bereik moet `from` plus opwarmtijd nog dekken; verder terug zouden we stil later beginnen
+const MAX_LOOKBACK_DAYS = CHART_RANGES[BACKTEST_RANGES[BACKTEST_RANGES.length - 1]].days - WARMUP_DAYS;
+
+const DEFAULT_STRATEGY = {
+  indicators: { fast: 'sma:20', slow: 'sma:50' },
+  entry: { all: [{ left: 'fast', op: 'crossesAbove', right: 'slow' }] },
+  exit: { any: [{ left: 'fast', op: 'crossesBelow', right: 'slow' }] }
+};
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function numberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// "fast" → indicatorreeks, "m.signal" → lijn van een multi-line indicator, "close" → candleveld, 42 → constante.
+// `outputs` geeft per gedeclareerde naam de lijnen van een multi-line indicator, of null bij één lijn; een
+// operand die nooit een waarde krijgt zou anders stil nooit afgaan.
+function validateOperand(operand, outputs, field, errors) {
+  if (typeof operand === 'number' && Number.isFinite(operand)) return;
+  if (typeof operand === 'string') {
+    if (PRICE_FIELDS.includes(operand)) return;
+    const [name, key, ...rest] = operand.split('.');
+    if (Object.hasOwn(outputs, name)) {
+      const lines = outputs[name];
+      if (!lines && key === undefined) return;
+      if (lines && lines.includes(key) && rest.length === 0) return;
+      errors.push({
+        field,
+        message: lines
+          ? `"${name}" has several lines; use one of ${lines.map(line => `${name}.${line}`).join(', ')}`
+          : `"${name}" has a single line; use "${name}" without a key`
+      });
+      return;
+    }
+  }
+  errors.push({ field, message: `Unknown operand "${operand}". Use a number, ${PRICE_FIELDS.join('/')} or one of the declared indicators` });
+}
+
+function validateRuleSet(ruleSet, outputs, field, errors) {
+  const mode = ruleSet && Array.isArray(ruleSet.any) ? 'any' : 'all';
+  const conditions = Array.isArray(ruleSet) ? ruleSet : ruleSet?.[mode];
+
+  if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > 10) {
+    errors.push({ field, message: 'Provide 1-10 conditions as { all: [...] } or { any: [...] }' });
+    return null;
+  }
+
+  conditions.forEach((condition, i) => {
+    if (!OPERATORS.includes(condition?.op)) {
+      errors.push({ field: `${field}.${mode}[${i}].op`, message: `op must be one of: ${OPERATORS.join(', ')}` });
+      return;
+    }
+    validateOperand(condition.left, outputs, `${field}.${mode}[${i}].left`, errors);
+    validateOperand(condition.right, outputs, `${field}.${mode}[${i}].right`, errors);
+  });
+
+  return { mode, conditions };
+}
+
+// Valideert de hele backtest-aanvraag; fouten als [{ field, message }] zoals bij de indicators-route
+function parseBacktestRequest(body = {}, today = new Date().toISOString().slice(0, 10)) {
+  const errors = [];
+  const symbol = normalizeSymbol(body.symbol);
+  if (!symbol) errors.push({ field: 'symbol', message: 'A valid symbol is required' });
+
+  const interval = body.interval || '1d';
+  if (!BACKTEST_INTERVALS.includes(interval)) {
+    errors.push({ field: 'interval', message: `Interval must be one of: ${BACKTEST_INTERVALS.join(', ')}` });
+  }
+
+  const to = body.to === undefined ? today : body.to;
+  const defaultFrom = new Date(Date.parse(to) - 365 * DAY_MS).toISOString().slice(0, 10);
+  const from = body.from === undefined ? defaultFrom : body.from;
+  if (!isDate(from)) errors.push({ field: 'from', message: 'from must be YYYY-MM-DD' });
+  if (!isDate(to)) errors.push({ field: 'to', message: 'to must be YYYY-MM-DD' });
+  if (isDate(from) && isDate(to) && from >= to) errors.push({ field: 'from', message: 'from must be before to' });
+  const earliest = new Date(Date.parse(today) - MAX_LOOKBACK_DAYS * DAY_MS).toISOString().slice(0, 10);
+  if (isDate(from) && from < earliest) {
+    errors.push({ field: 'from', message: `from can be at most ${MAX_LOOKBACK_DAYS} days back (earliest ${earliest})` });
+  }
+
+  const initialCapital = body.initialCapital === undefined ? 10000 : body.initialCapital;
+  if (!numberInRange(initialCapital, 1, 1e12)) {
+    errors.push({ field: 'initialCapital', message: 'initialCapital must be a positive number' });
+  }
+
+  // De standaardregels verwijzen naar fast/slow en gelden dus alleen bij de standaardindicatoren; wie eigen
+  // indicatoren declareert krijgt geen stille exit op niet-bestaande lijnen
+  const supplied = body.strategy || {};
+  const raw = supplied.indicators === undefined ? { ...DEFAULT_STRATEGY, ...supplied } : supplied;
+
+  const indicators = [];
+  if (!raw.indicators || typeof raw.indicators !== 'object' || Array.isArray(raw.indicators)) {
+    errors.push({ field: 'strategy.indicators', message: 'indicators must map names to specs like "sma:20"' });
+  } else {
+    for (const [name, spec] of Object.entries(raw.indicators)) {
+      if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name) || PRICE_FIELDS.includes(name)) {
+        errors.push({ field: `strategy.indicators.${name}`, message: 'Indicator names must be identifiers and not a price field' });
+        continue;
+      }
+      const parsed = parseIndicatorSet(String(spec));
+      if (parsed.errors.length > 0 || parsed.requests.length !== 1) {
+        errors.push({ field: `strategy.indicators.${name}`, message: parsed.errors[0]?.message || 'Declare exactly one indicator per name' });
+        continue;
+      }
+      indicators.push({ name, request: parsed.requests[0] });
+    }
+  }
+
+  const outputs = Object.fromEntries(indicators.map(({ name, request }) => [name, INDICATORS[request.name].outputs || null]));
+  const entry = validateRuleSet(raw.entry, outputs, 'strategy.entry', errors);
+  const exit = raw.exit === undefined || raw.exit === null ? null : validateRuleSet(raw.exit, outputs, 'strategy.exit', errors);
+
+  const stopLossPct = raw.stopLossPct ?? null;
+  const takeProfitPct = raw.takeProfitPct ?? null;
+  if (stopLossPct !== null && !numberInRange(stopLossPct, 0.1, 99)) {
+    errors.push({ field: 'strategy.stopLossPct', message: 'stopLossPct must be between 0.1 and 99' });
+  }
+  if (takeProfitPct !== null && !numberInRange(takeProfitPct, 0.1, 1000)) {
+    errors.push({ field: 'strategy.takeProfitPct', message: 'takeProfitPct must be between 0.1 and 1000' });
+  }
+  if (!exit && stopLossPct === null && takeProfitPct === null) {
+    errors.push({ field: 'strategy.exit', message: 'Provide exit conditions, a stop-loss or a take-profit' });
+  }
+
+  const sizing = { type: 'percent', value: 100, ...(raw.sizing || {}) };
+  if (!SIZING_TYPES.includes(sizing.type)) {
+    errors.push({ field: 'strategy.sizing.type', message: `sizing.type must be one of: ${SIZING_TYPES.join(', ')}` });
+  } else if (!numberInRange(sizing.value, 0, sizing.type === 'percent' ? 100 : 1e12) || sizing.value === 0) {
+    errors.push({ field: 'strategy.sizing.value', message: 'sizing.value must be positive (at most 100 for percent)' });
+  }
+
+  const fees = { percent: 0, fixed: 0, ...(raw.fees || {}) };
+  if (!numberInRange(fees.percent, 0, 10)) errors.push({ field: 'strategy.fees.percent', message: 'fees.percent must be between 0 and 10' });
+  if (!numberInRange(fees.fixed, 0, 1e6)) errors.push({ field: 'strategy.fees.fixed', message: 'fees.fixed must be zero or positive' });
+
+  return {
+    errors,
+    request: {
+      symbol,
+      interval,
+      from,
+      to,
+      initialCapital,
+      strategy: { indicators, entry, exit, stopLossPct, takeProfitPct, sizing, fees }
+    }
+  };
+}
+
+// Het kortste bereik dat `from` inclusief opwarmperiode bevat
+function rangeFor(from, now = Date.now()) {
+  const days = (now - Date.parse(from)) / DAY_MS + WARMUP_DAYS;
+  return BACKTEST_RANGES.find(name => CHART_RANGES[name].days >= days) || '5y';
+}
+
+// { fast: [...], 'macd.signal': [...] }: één array per operand, even lang als de candles
+function buildSeries(candles, indicators) {
+  const computed = computeIndicators(candles, indicators.map(indicator => indicator.request));
+  const series = {};
+  for (const { name, request } of indicators) {
+    computed[request.id].values.forEach(({ time, ...point }, i) => {
+      for (const [key, value] of Object.entries(point)) {
+        const id = key === 'value' ? name : `${name}.${key}`;
+        (series[id] = series[id] || [])[i] = value;
+      }
+    });
+  }
+  return series;
+}
+
+function operandValue(operand, series, candles, i) {
+  if (typeof operand === 'number') return operand;
+  if (PRICE_FIELDS.includes(operand)) return candles[i]?.[operand] ?? null;
+  return series[operand]?.[i] ?? null;
+}
+
+function conditionHolds(condition, series, candles, i) {
+  const left = operandValue(condition.left, series, candles, i);
+  const right = operandValue(condition.right, series, candles, i);
+  if (left === null || right === null) return false;
+
+  switch (condition.op) {
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    case '<=': return left <= right;
+    default: {
+      const previousLeft = operandValue(condition.left, series, candles, i - 1);
+      const previousRight = operandValue(condition.right, series, candles, i - 1);
+      if (previousLeft === null || previousRight === null) return false;
+      return condition.op === 'crossesAbove'
+        ? previousLeft <= previousRight && left > right
+        : previousLeft >= previousRight && left < right;
+    }
+  }
+}
+
+function ruleSetHolds(ruleSet, series, candles, i) {
+  if (!ruleSet) return false;
+  const check = condition => conditionHolds(condition, series, candles, i);
+  return ruleSet.mode === 'any' ? ruleSet.conditions.some(check) : ruleSet.conditions.every(check);
+}
+
+function fee(notional, fees) {
+  return notional * (fees.percent / 100) + fees.fixed;
+}
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+// CAGR, drawdown, Sharpe (zonder risicovrije rente) en volatiliteit uit een equity-reeks
+function performance(equity, times, initialCapital) {
+  const final = equity[equity.length - 1];
+  const years = (Date.parse(times[times.length - 1]) - Date.parse(times[0])) / (365.25 * DAY_MS);
+
+  let peak = equity[0];
+  let maxDrawdown = 0;
+  const drawdowns = equity.map(value => {
+    peak = Math.max(peak, value);
+    const drawdown = peak > 0 ? (value - peak) / peak : 0;
+    maxDrawdown = Math.min(maxDrawdown, drawdown);
+    return drawdown;
+  });
+
+  const returns = equity.slice(1).map((value, i) => (equity[i] > 0 ? value / equity[i] - 1 : 0));
+  const mean = returns.reduce((sum, value) => sum + value, 0) / (returns.length || 1);
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length > 1 ? returns.length - 1 : 1);
+  const deviation = Math.sqrt(variance);
+  // Candles per jaar empirisch, zodat aandelen (252) en crypto (365) vanzelf goed gaan
+  const periodsPerYear = years > 0 ? returns.length / years : 0;
+
+  return {
+    metrics: {
+      finalEquity: round(final),
+      totalReturnPct: round((final / initialCapital - 1) * 100),
+      cagrPct: years > 0 && final > 0 ? round(((final / initialCapital) ** (1 / years) - 1) * 100) : null,
+      maxDrawdownPct: round(maxDrawdown * 100),
+      sharpe: deviation > 0 ? round((mean / deviation) * Math.sqrt(periodsPerYear)) : null,
+      volatilityPct: round(deviation * Math.sqrt(periodsPerYear) * 100)
+    },
+    drawdowns
+  };
+}
+
+function runBacktest(candles, request, { fractional = false } = {}) {
+  const { strategy, initialCapital } = request;
+  const series = buildSeries(candles, strategy.indicators);
+  const day = candle => String(candle.time).slice(0, 10);
+  const start = candles.findIndex(candle => day(candle) >= request.from);
+  const end = candles.reduce((last, candle, i) => (day(candle) <= request.to ? i : last), -1);
+
+  if (start === -1 || end < start + 1) {
+    return { success: false, error: `Not enough candles between ${request.from} and ${request.to}` };
+  }
+
+  const units = quantity => (fractional ? quantity : Math.floor(quantity));
+  let cash = initialCapital;
+  let position = null;
+  let pendingEntry = false;
+  let pendingExit = false;
+  const trades = [];
+  const equity = [];
+  const times = [];
+  let barsInMarket = 0;
+
+  const close = (i, price, reason) => {
+    const proceeds = position.quantity * price;
+    const exitFee = fee(proceeds, strategy.fees);
+    cash += proceeds - exitFee;
+    const pnl = proceeds - exitFee - position.cost;
+    trades.push({
+      entryTime: candles[position.entryIndex].time,
+      entryPrice: round(position.entryPrice, 4),
+      exitTime: candles[i].time,
+      exitPrice: round(price, 4),
+      quantity: round(position.quantity, 8),
+      fees: round(position.entryFee + exitFee),
+      pnl: round(pnl),
+      returnPct: round((pnl / position.cost) * 100),
+      bars: i - position.entryIndex,
+      exitReason: reason
+    });
+    position = null;
+  };
+
+  for (let i = start; i <= end; i++) {
+    const candle = candles[i];
+
+    // Orders van het vorige signaal gaan in tegen de open van deze candle
+    if (pendingExit && position) close(i, candle.open, 'signal');
+    if (pendingEntry && !position) {
+      const budget = strategy.sizing.type === 'percent' ? cash * (strategy.sizing.value / 100)
+        : strategy.sizing.type === 'amount' ? Math.min(strategy.sizing.value, cash)
+          : strategy.sizing.value * candle.open;
+      // Ruimte houden voor de instapkosten
+      let quantity = units(Math.max(budget - strategy.fees.fixed, 0) / (candle.open * (1 + strategy.fees.percent / 100)));
+      if (strategy.sizing.type === 'units') quantity = Math.min(strategy.sizing.value, quantity);
+      const entryFee = fee(quantity * candle.open, strategy.fees);
+      if (quantity > 0 && quantity * candle.open + entryFee <= cash + 1e-9) {
+        cash -= quantity * candle.open + entryFee;
+        position = { entryIndex: i, entryPrice: candle.open, quantity, entryFee, cost: quantity * candle.open + entryFee };
+      }
+    }
+    pendingEntry = false;
+    pendingExit = false;
+
+    // Stop-loss gaat voor take-profit als beide binnen één candle geraakt worden (conservatief)
+    if (position) {
+      const stop = strategy.stopLossPct !== null ? position.entryPrice * (1 - strategy.stopLossPct / 100) : null;
+      const target = strategy.takeProfitPct !== null ? position.entryPrice * (1 + strategy.takeProfitPct / 100) : null;
+      if (stop !== null && candle.low <= stop) {
+        close(i, Math.min(stop, candle.open), 'stopLoss');
+      } else if (target !== null && candle.high >= target) {
+        close(i, Math.max(target, candle.open), 'takeProfit');
+      }
+    }
+
+    if (i < end) {
+      if (!position && ruleSetHolds(strategy.entry, series, candles, i)) pendingEntry = true;
+      if (position && ruleSetHolds(strategy.exit, series, candles, i)) pendingExit = true;
+    } else if (position) {
+      close(i, candle.close, 'endOfTest');
+    }
+
+    if (position) barsInMarket++;
+    equity.push(cash + (position ? position.quantity * candle.close : 0));
+    times.push(candle.time);
+  }
+
+  // Buy-and-hold: alles op de eerste open kopen, met hetzelfde kostenmodel
+  const first = candles[start];
+  const holdQuantity = units(Math.max(initialCapital - strategy.fees.fixed, 0) / (first.open * (1 + strategy.fees.percent / 100)));
+  const holdCash = initialCapital - holdQuantity * first.open - fee(holdQuantity * first.open, strategy.fees);
+  const benchmark = candles.slice(start, end + 1).map((candle, i, window) => {
+    const value = holdCash + holdQuantity * candle.close;
+    return i === window.length - 1 ? value - fee(holdQuantity * candle.close, strategy.fees) : value;
+  });
+
+  const strategyPerformance = performance(equity, times, initialCapital);
+  const benchmarkPerformance = performance(benchmark, times, initialCapital);
+  const wins = trades.filter(trade => trade.pnl > 0);
+  const losses = trades.filter(trade => trade.pnl <= 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+
+  return {
+    success: true,
+    // from/to zijn de eerste en laatste candle; requestedFrom/requestedTo wat er gevraagd werd
+    period: { requestedFrom: request.from, requestedTo: request.to, from: times[0], to: times[times.length - 1], candles: times.length },
+    metrics: {
+      ...strategyPerformance.metrics,
+      trades: trades.length,
+      winRatePct: trades.length > 0 ? round((wins.length / trades.length) * 100) : null,
+      profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+      averageTradePct: trades.length > 0 ? round(trades.reduce((sum, trade) => sum + trade.returnPct, 0) / trades.length) : null,
+      exposurePct: round((barsInMarket / times.length) * 100),
+      totalFees: round(trades.reduce((sum, trade) => sum + trade.fees, 0))
+    },
+    buyAndHold: benchmarkPerformance.metrics,
+    comparison: {
+      excessReturnPct: round(strategyPerformance.metrics.totalReturnPct - benchmarkPerformance.metrics.totalReturnPct),
+      outperformed: strategyPerformance.metrics.finalEquity > benchmarkPerformance.metrics.finalEquity
+    },
+    trades,
+    equityCurve: times.map((time, i) => ({
+      time,
+      equity: round(equity[i]),
+      buyAndHold: round(benchmark[i]),
+      drawdownPct: round(strategyPerformance.drawdowns[i] * 100)
+    }))
+  };
+}
+
+module.exports = { OPERATORS, SIZING_TYPES, BACKTEST_INTERVALS, DEFAULT_STRATEGY, parseBacktestRequest, rangeFor, runBacktest, performance };
@@ -0,0 +1,74 @@
+const { getConfig } = require('./config');
+
+// Hulpmiddelen voor POST /api/analyze/batch: request-validatie en begrensde parallelliteit
+
+const BATCH_FIELDS = ['quote', 'chart', 'fundamentals', 'sentiment', 'earnings'];
+
+
+// Hoofdletters en een beperkte tekenset (Yahoo-suffixen als .AS, ^ voor indices); ongeldig → null
+function normalizeSymbol(raw) {
+  const symbol = typeof raw === 'string' ? raw.trim().toUpperCase() : '';
+  return symbol && /^[A-Z0-9^.\-=]{1,20}$/.test(symbol) ? symbol : null;
+}
+
+// { symbols, fields } → genormaliseerde, ontdubbelde symbolen; fouten als [{ field, message }]
+function parseBatchRequest(body = {}, { maxSymbols = readBatchLimits().maxSymbols } = {}) {
+  const errors = [];
+  const rawSymbols = typeof body.symbols === 'string' ? body.symbols.split(',') : body.symbols;
+
+  if (!Array.isArray(rawSymbols) || rawSymbols.length === 0) {
+    errors.push({ field: 'symbols', message: 'Provide a non-empty array of symbols' });
+  }
+
+  const symbols = [];
+  for (const raw of Array.isArray(rawSymbols) ? rawSymbols : []) {
+    const symbol = normalizeSymbol(raw);
+    if (!symbol) {
+      errors.push({ field: 'symbols', message: `Invalid symbol "${raw}"` });
+      continue;
+    }
+    if (!symbols.includes(symbol)) symbols.push(symbol);
+  }
+
+  if (symbols.length > maxSymbols) {
+    errors.push({ field: 'symbols', message: `At most ${maxSymbols} symbols per batch` });
+  }
+
+  let fields = BATCH_FIELDS;
+  if (body.fields !== undefined) {
+    const rawFields = typeof body.fields === 'string' ? body.fields.split(',') : body.fields;
+    if (!Array.isArray(rawFields) || rawFields.length === 0) {
+      errors.push({ field: 'fields', message: `Provide a non-empty array of: ${BATCH_FIELDS.join(', ')}` });
+    } else {
+      fields = [...new Set(rawFields.map(field => String(field).trim().toLowerCase()))];
+      for (const field of fields.filter(field => !BATCH_FIELDS.includes(field))) {
+        errors.push({ field: 'fields', message: `Unknown field "${field}". Use one of: ${BATCH_FIELDS.join(', ')}` });
+      }
+    }
+  }
+
+  return { symbols, fields, errors };
+}
+
+// Zoals Promise.all over items, maar met hooguit `limit` workers tegelijk; volgorde blijft behouden
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+// BATCH_MAX_SYMBOLS en BATCH_CONCURRENCY
+function readBatchLimits(env = process.env) {
+  return getConfig(env).batch;
+}
+
+module.exports = { BATCH_FIELDS, normalizeSymbol, parseBatchRequest, mapWithConcurrency, readBatchLimits };
@@ -0,0 +1,168 @@
+const path = require('path');
+const { MemoryCacheStore, FileCacheStore } = require('./stores');
+const { createLogger, recordCacheLookup } = require('../observability');
+const { getConfig } = require('../config');
+
+const log = createLogger('cache');
+
+// `provider` van de artikelen die financialService verzint als elke nieuwsbron faalt
+const PLACEHOLDER_PROVIDER = 'placeholder';
+
+// Mislukte, lege en noodoplossingsresultaten bewaren we niet: anders serveert de cache één storing een hele TTL lang
+function isCacheable(value) {
+  if (Array.isArray(value)) return value.length > 0 && !value.every(item => item?.provider === PLACEHOLDER_PROVIDER);
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.articles) && value.articles.length === 0) return false;
+    return value.success !== false;
+  }
+  return value !== undefined && value !== null;
+}
+
+class ResponseCache {
+  constructor({ store = new MemoryCacheStore(), policies = readPolicies() } = {}) {
+    this.store = store;
+    this.policies = policies;
+    this.inflight = new Map();
+    this.stats = { hits: 0, stale: 0, misses: 0, errors: 0 };
+  }
+
+  buildKey(type, symbol, variant) {
+    return [type, symbol.toUpperCase(), variant].filter(Boolean).join(':');
+  }
+
+  policy(type) {
+    return this.policies[type] || { ttl: 60, stale: 0 };
+  }
+
+  // Levert { value, cache } op; cache beschrijft hit/stale/miss voor de response-metadata
+  async fetch(type, symbol, loader, { variant } = {}) {
+    const key = this.buildKey(type, symbol, variant);
+    const { ttl, stale } = this.policy(type);
+
+    let entry = null;
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      this.stats.errors++;
+      log.error('Cache read failed', { key, error: error.message });
+    }
+
+    if (entry) {
+      const ageSeconds = (Date.now() - entry.storedAt) / 1000;
+
+      if (ageSeconds < ttl) {
+        this.stats.hits++;
+        recordCacheLookup(type, 'hit');
+        return { value: entry.value, cache: this.describe('hit', type, ageSeconds) };
+      }
+
+      if (ageSeconds < ttl + stale) {
+        this.stats.stale++;
+        recordCacheLookup(type, 'stale');
+        this.revalidate(key, loader).catch(error => {
+          log.warn('Background refresh failed', { key, error: error.message });
+        });
+        return { value: entry.value, cache: this.describe('stale', type, ageSeconds) };
+      }
+    }
+
+    this.stats.misses++;
+    recordCacheLookup(type, 'miss');
+    const value = await this.revalidate(key, loader);
+    return { value, cache: this.describe('miss', type, 0) };
+  }
+
+  // Verzamelt per request de cache-metadata van alle lookups voor één symbool
+  forSymbol(symbol) {
+    const info = {};
+    return {
+      info,
+      fetch: async (type, loader, options = {}) => {
+        const { value, cache } = await this.fetch(type, symbol, loader, options);
+        info[type] = cache;
+        return value;
+      }
+    };
+  }
+
+  // Gelijktijdige aanvragen voor dezelfde key delen één upstream call
+  revalidate(key, loader) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const pending = (async () => {
+      try {
+        const value = await loader();
+        if (isCacheable(value)) {
+          await this.store.set(key, { value, storedAt: Date.now() });
+        }
+        return value;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  describe(status, type, ageSeconds) {
+    return {
+      status,
+      ageSeconds: Math.round(ageSeconds),
+      ttlSeconds: this.policy(type).ttl
+    };
+  }
+
+  async purgeSymbol(symbol) {
+    const upper = symbol.toUpperCase();
+    const keys = await this.store.keys();
+    const matching = keys.filter(key => key.split(':')[1] === upper);
+    await Promise.all(matching.map(key => this.store.delete(key)));
+    return matching;
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  async summary() {
+    const keys = await this.store.keys();
+    return {
+      entries: keys.length,
+      stats: { ...this.stats },
+      policies: this.policies
+    };
+  }
+}
+
+// Seconden per type (CACHE_TTL_<TYPE>, CACHE_STALE_<TYPE>). Na `ttl` is een entry stale en wordt hij nog
+// `stale` seconden geserveerd terwijl we op de achtergrond verversen
+function readPolicies(env = process.env) {
+  const { ttl, stale } = getConfig(env).cache;
+  const policies = {};
+  for (const type of Object.keys(ttl)) {
+    policies[type] = { ttl: ttl[type], stale: stale[type] };
+  }
+  return policies;
+}
+
+// CACHE_STORE=file schrijft naar CACHE_DIR zodat de cache een herstart overleeft
+function createResponseCache(env = process.env) {
+  const config = getConfig(env).cache;
+  const store = config.store === 'file'
+    ? new FileCacheStore({ dir: config.dir || path.join(__dirname, '..', '..', '.cache', 'responses') })
+    : new MemoryCacheStore({ maxEntries: config.maxEntries });
+
+  return new ResponseCache({ store, policies: readPolicies(env) });
+}
+
+module.exports = {
+  ResponseCache,
+  createResponseCache,
+  readPolicies,
+  PLACEHOLDER_PROVIDER,
+  MemoryCacheStore,
+  FileCacheStore
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Beide stores delen dezelfde async interface: get, set, delete, keys, clear
+
+class MemoryCacheStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    return [...this.entries.keys()];
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+class FileCacheStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async get(key) {
+    try {
+      const raw = await fs.promises.readFile(this.filePath(key), 'utf8');
+      const record = JSON.parse(raw);
+      return record.key === key ? record.entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.promises.writeFile(this.filePath(key), JSON.stringify({ key, entry }));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+
+  async keys() {
+    const files = await fs.promises.readdir(this.dir);
+    const keys = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const raw = await fs.promises.readFile(path.join(this.dir, file), 'utf8');
+        keys.push(JSON.parse(raw).key);
+      } catch (error) {
+        // half geschreven of corrupt bestand: overslaan
+      }
+    }
+    return keys;
+  }
+
+  async clear() {
+    const files = await fs.promises.readdir(this.dir);
+    await Promise.all(files.map(file => fs.promises.rm(path.join(this.dir, file), { force: true })));
+  }
+}
+
+module.exports = { MemoryCacheStore, FileCacheStore };
@@ -0,0 +1,116 @@
+// Ondersteunde chart-bereiken met hun toegestane intervallen (Yahoo-conventies)
+const DAY = 24 * 60 * 60;
+
+const INTERVAL_SECONDS = {
+  '1m': 60,
+  '2m': 2 * 60,
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '30m': 30 * 60,
+  '60m': 60 * 60,
+  '1d': DAY,
+  '1wk': 7 * DAY,
+  '1mo': 30 * DAY
+};
+
+const INTRADAY_INTERVALS = ['1m', '2m', '5m', '15m', '30m', '60m'];
+
+// `sessions`: het bereik telt handelsdagen vanaf de laatste sessie in plaats van kalenderdagen vanaf nu,
+// anders is 1d in het weekend en vóór de opening leeg
+const CHART_RANGES = {
+  '1d': { days: 1, sessions: 1, defaultInterval: '5m', intervals: ['1m', '2m', '5m', '15m', '30m', '60m'] },
+  '5d': { days: 5, sessions: 5, defaultInterval: '15m', intervals: ['1m', '2m', '5m', '15m', '30m', '60m', '1d'] },
+  '1mo': { days: 30, defaultInterval: '1d', intervals: ['5m', '15m', '30m', '60m', '1d'] },
+  '3mo': { days: 90, defaultInterval: '1d', intervals: ['60m', '1d', '1wk'] },
+  '6mo': { days: 180, defaultInterval: '1d', intervals: ['60m', '1d', '1wk'] },
+  '1y': { days: 365, defaultInterval: '1d', intervals: ['1d', '1wk'] },
+  '2y': { days: 730, defaultInterval: '1d', intervals: ['1d', '1wk', '1mo'] },
+  '5y': { days: 1825, defaultInterval: '1wk', intervals: ['1d', '1wk', '1mo'] },
+  'max': { days: null, defaultInterval: '1mo', intervals: ['1wk', '1mo'] }
+};
+
+function isIntraday(interval) {
+  return INTRADAY_INTERVALS.includes(interval);
+}
+
+// Zet range/interval om naar een tijdvenster; ongeldige combinaties geven { success: false, error }
+function resolveChartWindow(range = '1y', interval, now = Date.now()) {
+  const normalizedRange = String(range).toLowerCase();
+  const config = CHART_RANGES[normalizedRange];
+
+  if (!config) {
+    return { success: false, error: `Unsupported range "${range}". Use one of: ${Object.keys(CHART_RANGES).join(', ')}` };
+  }
+
+  const resolvedInterval = interval ? String(interval).toLowerCase() : config.defaultInterval;
+  if (!config.intervals.includes(resolvedInterval)) {
+    return {
+      success: false,
+      error: `Interval "${interval}" is not available for range ${normalizedRange}. Use one of: ${config.intervals.join(', ')}`
+    };
+  }
+
+  const period2 = Math.floor(now / 1000);
+  const period1 = config.days === null ? 0 : period2 - config.days * DAY;
+
+  return {
+    success: true,
+    range: normalizedRange,
+    interval: resolvedInterval,
+    intraday: isIntraday(resolvedInterval),
+    sessions: config.sessions || null,
+    period1,
+    period2
+  };
+}
+
+function bucketStart(timestamp, interval) {
+  const date = new Date(timestamp * 1000);
+  if (interval === '1mo') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+  }
+  if (interval === '1wk') {
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / 1000;
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return dayStart - daysSinceMonday * DAY;
+  }
+  const size = INTERVAL_SECONDS[interval] || DAY;
+  return Math.floor(timestamp / size) * size;
+}
+
+// Voegt fijnere candles samen tot een grover interval (bv. dag → week)
+function resampleCandles(candles, interval) {
+  const buckets = new Map();
+
+  for (const candle of candles) {
+    const key = bucketStart(candle.timestamp, interval);
+    const bucket = buckets.get(key);
+
+    if (!bucket) {
+      buckets.set(key, { ...candle, timestamp: candle.timestamp });
+    } else {
+      bucket.high = Math.max(bucket.high, candle.high);
+      bucket.low = Math.min(bucket.low, candle.low);
+      bucket.close = candle.close;
+      bucket.volume += candle.volume || 0;
+    }
+  }
+
+  return [...buckets.values()];
+}
+
+// De candles van de laatste `sessions` handelsdagen (UTC-datum), hoe lang die ook geleden zijn
+function lastSessions(candles, sessions) {
+  const days = [...new Set(candles.map(candle => new Date(candle.timestamp * 1000).toISOString().slice(0, 10)))];
+  const first = days.slice(-sessions)[0];
+  return candles.filter(candle => new Date(candle.timestamp * 1000).toISOString().slice(0, 10) >= first);
+}
+
+module.exports = {
+  CHART_RANGES,
+  INTERVAL_SECONDS,
+  isIntraday,
+  lastSessions,
+  resolveChartWindow,
+  resampleCandles
+};
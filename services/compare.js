@@ -0,0 +1,128 @@
+const { normalizeSymbol } = require('./batch');
+const { resolveChartWindow } = require('./chartRanges');
+const { parseCurrency } = require('./fx');
+const { performance } = require('./backtest');
+const { getConfig } = require('./config');
+
+// GET /api/compare: koersen van een paar symbolen herleid naar 100 op de eerste gemeenschappelijke candle,
+// de correlatie van hun periode-rendementen en per symbool rendement, drawdown en volatiliteit.
+
+const BASE = 100;
+// Met minder gemeenschappelijke rendementen zegt een correlatie niets
+const MIN_OBSERVATIONS = 3;
+
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+// COMPARE_MAX_SYMBOLS
+function readCompareLimits(env = process.env) {
+  return getConfig(env).compare;
+}
+
+// ?symbols=NVDA,AMD,SPY[&range=1y][&interval=1d][&currency=EUR]
+function parseCompareQuery(query = {}, { maxSymbols = readCompareLimits().maxSymbols } = {}) {
+  const details = [];
+  const names = String(query.symbols || '').split(',').map(name => name.trim()).filter(Boolean);
+  const symbols = [];
+
+  for (const name of names) {
+    const symbol = normalizeSymbol(name);
+    if (!symbol) {
+      details.push({ field: 'symbols', message: `Invalid symbol "${name}"` });
+    } else if (!symbols.includes(symbol)) {
+      symbols.push(symbol);
+    }
+  }
+  if (symbols.length < 2) {
+    details.push({ field: 'symbols', message: 'Provide at least two different symbols, e.g. NVDA,AMD' });
+  }
+  if (symbols.length > maxSymbols) {
+    details.push({ field: 'symbols', message: `At most ${maxSymbols} symbols per comparison` });
+  }
+
+  const window = resolveChartWindow(query.range || '1y', query.interval);
+  if (!window.success) details.push({ field: query.interval ? 'interval' : 'range', message: window.error });
+
+  const requested = parseCurrency(query.currency);
+  if (!requested.success) details.push(...requested.details);
+
+  if (details.length > 0) return failure('invalid', 'Invalid comparison request', details);
+  return { success: true, symbols, window, currency: requested.currency };
+}
+
+// Alleen momenten waarop elk symbool een slotkoers heeft; naast aandelen verliest crypto zo zijn weekenden
+function alignCloses(candlesBySymbol) {
+  const symbols = Object.keys(candlesBySymbol);
+  const byTime = symbols.map(symbol => new Map(candlesBySymbol[symbol]
+    .filter(candle => Number.isFinite(candle.close) && candle.close > 0)
+    .map(candle => [candle.time, candle])));
+  const [first, ...rest] = byTime;
+  const times = [...first.keys()].filter(time => rest.every(candles => candles.has(time)));
+
+  return {
+    times,
+    labels: times.map(time => first.get(time).displayDate),
+    closes: Object.fromEntries(symbols.map((symbol, i) => [symbol, times.map(time => byTime[i].get(time).close)]))
+  };
+}
+
+function pearson(a, b) {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
+
+const periodReturns = closes => closes.slice(1).map((close, i) => close / closes[i] - 1);
+
+// { SYMBOL: candles } → herleide reeksen, correlatiematrix (in de volgorde van `symbols`) en prestaties per symbool
+function compareSeries(candlesBySymbol) {
+  const symbols = Object.keys(candlesBySymbol);
+  const { times, labels, closes } = alignCloses(candlesBySymbol);
+  if (times.length < 2) {
+    return failure('no_overlap', 'The symbols have no overlapping price history in this range');
+  }
+
+  const rebased = Object.fromEntries(symbols.map(symbol => [symbol, closes[symbol].map(close => (close / closes[symbol][0]) * BASE)]));
+  const returns = Object.fromEntries(symbols.map(symbol => [symbol, periodReturns(closes[symbol])]));
+  const observations = times.length - 1;
+
+  const matrix = symbols.map(a => symbols.map((b) => {
+    if (a === b) return 1;
+    return observations >= MIN_OBSERVATIONS ? round(pearson(returns[a], returns[b])) : null;
+  }));
+
+  // Zelfde maatstaven als de buy-and-hold van een backtest, met de herleide reeks als equity
+  const metrics = Object.fromEntries(symbols.map((symbol) => {
+    const { metrics: { finalEquity, ...rest } } = performance(rebased[symbol], times, BASE);
+    return [symbol, rest];
+  }));
+
+  return {
+    success: true,
+    base: BASE,
+    from: times[0],
+    to: times[times.length - 1],
+    series: times.map((time, i) => ({
+      time,
+      displayDate: labels[i],
+      values: Object.fromEntries(symbols.map(symbol => [symbol, round(rebased[symbol][i])]))
+    })),
+    correlation: { symbols, observations, matrix },
+    performance: metrics
+  };
+}
+
+module.exports = { parseCompareQuery, compareSeries, readCompareLimits };
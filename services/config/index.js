@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { schema, crossChecks } = require('./schema');
+
+// Eén geladen configuratie per proces, in lagen: standaardwaarden uit de schema, dan config/default.json,
+// config/<NODE_ENV>.json, het bestand in CONFIG_FILE en als laatste de env-variabelen. Alle fouten worden
+// verzameld en samen gemeld, zodat een deploy met drie typfouten niet drie keer hoeft te falen.
+
+const CONFIG_DIR = path.join(__dirname, '..', '..', 'config');
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+const FORMATS = {
+  // https://app.example.com of https://*.vercel.app; geen pad en geen losse *
+  origin: value => /^https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(value) || 'must be an origin like https://app.example.com (a leading *. matches any subdomain)',
+  url: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol) || 'must be an http(s) URL';
+    } catch {
+      return 'must be an http(s) URL';
+    }
+  }
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    const lines = problems.map(problem => `  - ${problem.field}: ${problem.message}`);
+    super(`Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${lines.join('\n')}`);
+    this.name = 'ConfigError';
+    this.code = 'invalid_config';
+    this.problems = problems;
+  }
+}
+
+const isGroup = node => node && typeof node === 'object' && !node.type;
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Alle instellingen als [{ path, setting }], in de volgorde van de schema
+function flatten(node, prefix = '') {
+  return Object.entries(node).flatMap(([key, child]) => {
+    const at = prefix ? `${prefix}.${key}` : key;
+    return isGroup(child) ? flatten(child, at) : [{ path: at, setting: child }];
+  });
+}
+
+const SETTINGS = flatten(schema);
+
+function parseNumber(setting, raw) {
+  const value = typeof raw === 'number' ? raw : String(raw).trim() === '' ? NaN : Number(raw);
+  if (!Number.isFinite(value) || (setting.type === 'integer' && !Number.isInteger(value))) {
+    return { error: setting.type === 'integer' ? 'must be a whole number' : 'must be a number' };
+  }
+  if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}` };
+  if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}` };
+  return { value };
+}
+
+// Eén ruwe waarde (string uit env, of wat er in een JSON-bestand staat) → { value } of { error }
+function parseValue(setting, raw) {
+  switch (setting.type) {
+    case 'integer':
+    case 'number':
+      return parseNumber(setting, raw);
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'enum': {
+      const text = String(raw).trim().toLowerCase();
+      return setting.values.includes(text) ? { value: text } : { error: `must be one of ${setting.values.join(', ')}` };
+    }
+    case 'list': {
+      if (!Array.isArray(raw) && typeof raw !== 'string') return { error: 'must be a list or a comma-separated string' };
+      const items = (Array.isArray(raw) ? raw : raw.split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean)
+        .map(item => (setting.lowercase ? item.toLowerCase() : item));
+      for (const item of items) {
+        const valid = setting.format ? FORMATS[setting.format](item) : true;
+        if (valid !== true) return { error: `"${item}" ${valid}` };
+      }
+      return { value: items };
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be a string' };
+      const text = String(raw).trim();
+      return { value: text ? (setting.lowercase ? text.toLowerCase() : text) : null };
+    }
+  }
+}
+
+function getIn(target, at) {
+  return at.split('.').reduce((node, key) => node?.[key], target);
+}
+
+function setIn(target, at, value) {
+  const keys = at.split('.');
+  const last = keys.pop();
+  const node = keys.reduce((parent, key) => (parent[key] = parent[key] || {}), target);
+  node[last] = value;
+}
+
+class ConfigLoader {
+  constructor() {
+    this.settings = {};
+    this.sources = {};
+    this.problems = [];
+  }
+
+  defaults() {
+    for (const { path: at, setting } of SETTINGS) {
+      const value = setting.type === 'map' ? { ...setting.default } : setting.default;
+      setIn(this.settings, at, Array.isArray(value) ? [...value] : value);
+    }
+  }
+
+  assign(at, setting, raw, source, field) {
+    const result = parseValue(setting, raw);
+    if (result.error) {
+      const got = setting.secret ? '' : ` (got ${JSON.stringify(raw)})`;
+      this.problems.push({ field, message: `${result.error}${got}` });
+      return;
+    }
+    setIn(this.settings, at, result.value);
+    this.sources[at] = source;
+  }
+
+  mapKeyError(setting, key) {
+    return setting.keys && !setting.keys.includes(key) ? `unknown name "${key}", expected one of ${setting.keys.join(', ')}` : null;
+  }
+
+  // Een JSON-bestand volgt de vorm van de config: { "server": { "port": 8080 } }. Onbekende sleutels zijn een fout.
+  file(data, label, node = schema, prefix = '') {
+    if (!isPlainObject(data)) {
+      this.problems.push({ field: `${label}${prefix ? ` ${prefix}` : ''}`, message: 'must be an object' });
+      return;
+    }
+    for (const [key, raw] of Object.entries(data)) {
+      const at = prefix ? `${prefix}.${key}` : key;
+      const child = node[key];
+      const field = `${label} ${at}`;
+      if (!child) {
+        this.problems.push({ field, message: 'unknown setting' });
+      } else if (isGroup(child)) {
+        this.file(raw, label, child, at);
+      } else if (child.type === 'map') {
+        if (!isPlainObject(raw)) {
+          this.problems.push({ field, message: 'must be an object' });
+          continue;
+        }
+        for (const [name, value] of Object.entries(raw)) {
+          const keyError = this.mapKeyError(child, name.toLowerCase());
+          if (keyError) this.problems.push({ field: `${field}.${name}`, message: keyError });
+          else this.assign(`${at}.${name.toLowerCase()}`, child.of, value, `file:${label}`, `${field}.${name}`);
+        }
+      } else {
+        this.assign(at, child, raw, `file:${label}`, field);
+      }
+    }
+  }
+
+  // Lege env-variabelen tellen als niet gezet, net als vóór deze module
+  env(env) {
+    for (const { path: at, setting } of SETTINGS) {
+      if (setting.type === 'map') {
+        const [before, after] = setting.env.split('{}');
+        for (const name of Object.keys(env)) {
+          if (!name.startsWith(before) || !name.endsWith(after) || name.length <= before.length + after.length) continue;
+          if (env[name] === undefined || env[name] === '') continue;
+          const key = name.slice(before.length, name.length - after.length).toLowerCase();
+          const keyError = this.mapKeyError(setting, key);
+          if (keyError) this.problems.push({ field: name, message: keyError });
+          else this.assign(`${at}.${key}`, setting.of, env[name], `env:${name}`, name);
+        }
+      } else if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+        this.assign(at, setting, env[setting.env], `env:${setting.env}`, setting.env);
+      }
+    }
+  }
+}
+
+// Bestanden in de lagen: default.json en <NODE_ENV>.json mogen ontbreken, CONFIG_FILE niet
+function configFiles(env, dir) {
+  const environment = env.NODE_ENV || 'development';
+  const files = [
+    { file: path.join(dir, 'default.json'), required: false },
+    { file: path.join(dir, `${environment}.json`), required: false }
+  ];
+  if (env.CONFIG_FILE) files.push({ file: path.resolve(env.CONFIG_FILE), required: true });
+  return files;
+}
+
+function loadConfig(env = process.env, { dir = CONFIG_DIR } = {}) {
+  const loader = new ConfigLoader();
+  const files = [];
+  loader.defaults();
+
+  for (const { file, required } of configFiles(env, dir)) {
+    const relative = path.relative(REPO_ROOT, file);
+    const label = relative.startsWith('..') ? file : relative;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' && !required) continue;
+      loader.problems.push({ field: label, message: error.code === 'ENOENT' ? 'file not found' : `unreadable: ${error.message}` });
+      continue;
+    }
+    files.push(label);
+    loader.file(data, label);
+  }
+
+  loader.env(env);
+
+  if (loader.problems.length === 0) {
+    for (const problem of crossChecks(loader.settings)) {
+      const source = loader.sources[problem.path];
+      const setting = SETTINGS.find(entry => entry.path === problem.path)?.setting;
+      loader.problems.push({ field: source?.startsWith('env:') ? source.slice(4) : setting?.env || problem.path, message: problem.message });
+    }
+  }
+  if (loader.problems.length > 0) throw new ConfigError(loader.problems);
+
+  return { environment: env.NODE_ENV || 'development', files, settings: loader.settings, sources: loader.sources };
+}
+
+// Per env-object één keer laden; de services krijgen allemaal dezelfde (gevalideerde) instellingen
+const loaded = new WeakMap();
+
+function load(env) {
+  if (!loaded.has(env)) loaded.set(env, loadConfig(env));
+  return loaded.get(env);
+}
+
+function getConfig(env = process.env) {
+  return load(env).settings;
+}
+
+// Secrets worden "[redacted]" (of null als ze niet gezet zijn); webhook-URLs houden alleen hun origin,
+// want tokens zitten vaak in het pad of de query
+function redactConfig(settings) {
+  const copy = JSON.parse(JSON.stringify(settings));
+  for (const { path: at, setting } of SETTINGS) {
+    const value = getIn(copy, at);
+    if (setting.secret) setIn(copy, at, value ? '[redacted]' : null);
+    else if (setting.format === 'url') setIn(copy, at, value.map(url => `${new URL(url).origin}/…`));
+  }
+  return copy;
+}
+
+// Voor GET /api/config: omgeving, geladen bestanden, de instellingen zonder secrets en waar elke afwijking
+// van de standaardwaarde vandaan komt
+function describeConfig(env = process.env) {
+  const { environment, files, settings, sources } = load(env);
+  return { environment, files, settings: redactConfig(settings), sources };
+}
+
+// CORS-origins voor de cors-middleware: een *. in de host wordt een regex op elk subdomein
+function corsOrigins(env = process.env) {
+  return getConfig(env).server.corsOrigins.map((origin) => {
+    if (!origin.includes('*')) return origin;
+    const [scheme, host] = origin.split('://*.');
+    return new RegExp(`^${scheme}://([a-z0-9-]+\\.)+${host.replace(/[.]/g, '\\.')}$`, 'i');
+  });
+}
+
+module.exports = { getConfig, loadConfig, describeConfig, redactConfig, corsOrigins, ConfigError };
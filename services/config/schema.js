@@ -0,0 +1,166 @@
+const { CAPABILITIES, DEFAULT_TIMEOUTS } = require('../providers/base');
+
+// Alle instellingen van de backend op één plek: pad in de config, env-variabele, type, standaardwaarde en
+// grenzen. Een `map` is een groep met dezelfde vorm per naam (QUOTA_<PROVIDER>_DAILY, CACHE_TTL_<TYPE>, …);
+// `{}` in de env-naam wordt de naam in hoofdletters. `secret` verdwijnt uit /api/config.
+
+const integer = (env, fallback, { min = 0, max } = {}) => ({ type: 'integer', env, default: fallback, min, max });
+const number = (env, fallback, { min = 0, max } = {}) => ({ type: 'number', env, default: fallback, min, max });
+const boolean = (env, fallback) => ({ type: 'boolean', env, default: fallback });
+const string = (env, options = {}) => ({ type: 'string', env, default: null, ...options });
+const secret = env => ({ type: 'string', env, default: null, secret: true });
+const oneOf = (env, values, fallback = null) => ({ type: 'enum', env, values, default: fallback });
+const list = (env, fallback = [], options = {}) => ({ type: 'list', env, default: fallback, ...options });
+const map = (env, of, { keys, fallback = {} } = {}) => ({ type: 'map', env, of, keys, default: fallback });
+
+// Seconden. Na `ttl` is een entry stale en wordt hij nog `stale` seconden geserveerd terwijl we op de achtergrond verversen
+const CACHE_POLICIES = {
+  quote: { ttl: 15, stale: 60 },
+  chart: { ttl: 15 * 60, stale: 60 * 60 },
+  intraday: { ttl: 60, stale: 2 * 60 },
+  news: { ttl: 10 * 60, stale: 30 * 60 },
+  earnings: { ttl: 6 * 60 * 60, stale: 24 * 60 * 60 },
+  profile: { ttl: 24 * 60 * 60, stale: 7 * 24 * 60 * 60 },
+  financials: { ttl: 12 * 60 * 60, stale: 3 * 24 * 60 * 60 },
+  fx: { ttl: 60 * 60, stale: 24 * 60 * 60 }
+};
+const CACHE_TYPES = Object.keys(CACHE_POLICIES);
+const policyField = field => Object.fromEntries(CACHE_TYPES.map(type => [type, CACHE_POLICIES[type][field]]));
+
+// Gratis tiers; 0 = geen limiet
+const DAILY_QUOTAS = { alphavantage: 25, newsapi: 100, fmp: 250 };
+const MINUTE_QUOTAS = { alphavantage: 5, polygon: 5, finnhub: 60, coingecko: 30 };
+
+// Punten per rate-limitvenster; `anonymous` geldt zonder API key
+const RATE_LIMIT_PLANS = { anonymous: 100, free: 300, pro: 3000 };
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const schema = {
+  server: {
+    port: integer('PORT', 3001, { min: 1, max: 65535 }),
+    // Exacte origins of met een wildcard voor de host: https://*.vercel.app
+    corsOrigins: list('CORS_ORIGINS', ['http://localhost:3000', 'http://127.0.0.1:3000'], { format: 'origin' })
+  },
+  storage: {
+    dir: string('STORAGE_DIR')
+  },
+  admin: {
+    token: secret('ADMIN_TOKEN')
+  },
+  providers: {
+    marketData: string('MARKET_DATA_PROVIDER', { lowercase: true }),
+    selection: map('PROVIDERS_{}', list(null, [], { lowercase: true }), { keys: CAPABILITIES }),
+    record: boolean('MARKET_DATA_RECORD', false),
+    fixtureDir: string('FIXTURE_DIR'),
+    keys: {
+      newsApi: secret('NEWS_API_KEY'),
+      fmp: secret('FMP_KEY'),
+      finnhub: secret('FINNHUB_KEY'),
+      alphaVantage: secret('ALPHA_VANTAGE_KEY'),
+      polygon: secret('POLYGON_KEY'),
+      iex: secret('IEX_KEY')
+    },
+    // request: gewone calls, slow: grote of trage endpoints (charts, nieuws), bulk: volledige lijsten
+    timeouts: {
+      request: integer('PROVIDER_TIMEOUT_MS', DEFAULT_TIMEOUTS.request, { min: 100 }),
+      slow: integer('PROVIDER_SLOW_TIMEOUT_MS', DEFAULT_TIMEOUTS.slow, { min: 100 }),
+      bulk: integer('PROVIDER_BULK_TIMEOUT_MS', DEFAULT_TIMEOUTS.bulk, { min: 100 })
+    },
+    breaker: {
+      enabled: boolean('PROVIDER_BREAKER_ENABLED', true),
+      failureThreshold: integer('PROVIDER_BREAKER_FAILURES', 5, { min: 1 }),
+      cooldownSeconds: integer('PROVIDER_BREAKER_COOLDOWN_SECONDS', 30, { min: 1 }),
+      maxCooldownSeconds: integer('PROVIDER_BREAKER_MAX_COOLDOWN_SECONDS', 10 * 60, { min: 1 }),
+      windowSize: integer('PROVIDER_HEALTH_WINDOW', 50, { min: 1 })
+    },
+    quota: {
+      enabled: boolean('QUOTA_ENABLED', true),
+      reservePercent: integer('QUOTA_RESERVE_PERCENT', 20, { max: 100 }),
+      maxWaitMs: integer('QUOTA_MAX_WAIT_MS', 3000),
+      backoffSeconds: integer('QUOTA_BACKOFF_SECONDS', 60),
+      daily: map('QUOTA_{}_DAILY', integer(null, 0), { fallback: DAILY_QUOTAS }),
+      perMinute: map('QUOTA_{}_PER_MINUTE', integer(null, 0), { fallback: MINUTE_QUOTAS })
+    }
+  },
+  news: {
+    maxArticles: integer('NEWS_MAX_ARTICLES', 25, { min: 1, max: 100 })
+  },
+  cache: {
+    store: oneOf('CACHE_STORE', ['memory', 'file'], 'memory'),
+    dir: string('CACHE_DIR'),
+    maxEntries: integer('CACHE_MAX_ENTRIES', 500, { min: 1 }),
+    ttl: map('CACHE_TTL_{}', integer(null, 0, { min: 1 }), { keys: CACHE_TYPES, fallback: policyField('ttl') }),
+    stale: map('CACHE_STALE_{}', integer(null, 0), { keys: CACHE_TYPES, fallback: policyField('stale') })
+  },
+  instruments: {
+    indexPath: string('INSTRUMENT_INDEX_PATH')
+  },
+  batch: {
+    maxSymbols: integer('BATCH_MAX_SYMBOLS', 25, { min: 1 }),
+    concurrency: integer('BATCH_CONCURRENCY', 4, { min: 1 })
+  },
+  compare: {
+    maxSymbols: integer('COMPARE_MAX_SYMBOLS', 8, { min: 2 })
+  },
+  stream: {
+    pollSeconds: integer('STREAM_POLL_SECONDS', 10, { min: 1 }),
+    heartbeatSeconds: integer('STREAM_HEARTBEAT_SECONDS', 15, { min: 1 }),
+    bufferSize: integer('STREAM_BUFFER_SIZE', 500, { min: 1 }),
+    maxSymbols: integer('STREAM_MAX_SYMBOLS', 20, { min: 1 }),
+    maxClients: integer('STREAM_MAX_CLIENTS', 200, { min: 1 })
+  },
+  watchlists: {
+    file: string('WATCHLIST_FILE')
+  },
+  portfolios: {
+    file: string('PORTFOLIO_FILE')
+  },
+  earnings: {
+    file: string('EARNINGS_FILE'),
+    calendarTtlHours: number('EARNINGS_CALENDAR_TTL_HOURS', 12)
+  },
+  alerts: {
+    enabled: boolean('ALERTS_ENABLED', true),
+    file: string('ALERTS_FILE'),
+    intervalSeconds: integer('ALERT_INTERVAL_SECONDS', 60, { min: 1 }),
+    webhookUrls: list('ALERT_WEBHOOK_URLS', [], { format: 'url' }),
+    webhookSecret: secret('ALERT_WEBHOOK_SECRET'),
+    webhookTimeoutMs: integer('ALERT_WEBHOOK_TIMEOUT_MS', 5000, { min: 100 }),
+    // Hostnamen of IP-adressen die een webhook mag bereiken ook al zijn ze privé of loopback
+    webhookAllowedHosts: list('ALERT_WEBHOOK_ALLOWED_HOSTS', [], { lowercase: true })
+  },
+  rateLimit: {
+    enabled: boolean('RATE_LIMIT_ENABLED', true),
+    windowSeconds: integer('RATE_LIMIT_WINDOW_SECONDS', 60, { min: 1 }),
+    plans: map('RATE_LIMIT_{}_POINTS', integer(null, 0, { min: 1 }), { keys: Object.keys(RATE_LIMIT_PLANS), fallback: RATE_LIMIT_PLANS }),
+    store: oneOf('RATE_LIMIT_STORE', ['memory', 'file'], 'memory'),
+    file: string('RATE_LIMIT_FILE')
+  },
+  apiKeys: {
+    file: string('API_KEYS_FILE'),
+    required: boolean('API_KEYS_REQUIRED', false)
+  },
+  openapi: {
+    // Zonder waarde: warn, behalve in productie (off)
+    responseValidation: oneOf('OPENAPI_RESPONSE_VALIDATION', ['off', 'warn', 'strict'])
+  },
+  // De logger leest deze zelf (hij moet ook werken als de config ongeldig is); hier voor validatie en /api/config
+  logging: {
+    level: oneOf('LOG_LEVEL', LOG_LEVELS, 'info'),
+    levels: string('LOG_LEVELS'),
+    format: oneOf('LOG_FORMAT', ['json', 'pretty'], 'json')
+  }
+};
+
+// Regels over meerdere instellingen heen; [{ path, message }]
+function crossChecks(config) {
+  const problems = [];
+  const { breaker } = config.providers;
+  if (breaker.maxCooldownSeconds < breaker.cooldownSeconds) {
+    problems.push({ path: 'providers.breaker.maxCooldownSeconds', message: `must be at least the cooldown (${breaker.cooldownSeconds})` });
+  }
+  return problems;
+}
+
+module.exports = { schema, crossChecks, CACHE_TYPES };
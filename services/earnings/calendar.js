@@ -0,0 +1,50 @@
+// Kalender-events van meerdere providers samenvoegen en ordenen. Puur rekenwerk, geen I/O.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Twee data voor hetzelfde aandeel binnen deze marge zijn één en hetzelfde kwartaalbericht
+const SAME_REPORT_DAYS = 20;
+const TIME_ORDER = { 'pre-market': 0, 'during-market': 1, 'post-market': 2 };
+
+const EVENT_FIELDS = ['time', 'fiscalPeriod', 'fiscalDateEnding', 'epsEstimate', 'epsActual', 'revenueEstimate', 'revenueActual'];
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Op datum, binnen een dag voorbeurs → tijdens → nabeurs → onbekend
+function compareEvents(a, b) {
+  return a.date.localeCompare(b.date)
+    || (TIME_ORDER[a.time] ?? 3) - (TIME_ORDER[b.time] ?? 3)
+    || a.symbol.localeCompare(b.symbol);
+}
+
+// `results` is [{ source, events }] in providervolgorde. De eerste provider bepaalt de datum,
+// latere vullen alleen velden aan die nog leeg zijn.
+function mergeEvents(results) {
+  const bySymbol = new Map();
+
+  for (const { source, events } of results) {
+    for (const raw of events) {
+      if (!raw.symbol || !isDate(raw.date)) continue;
+      const symbol = raw.symbol.toUpperCase();
+      const known = bySymbol.get(symbol) || [];
+      const existing = known.find(event => Math.abs(Date.parse(event.date) - Date.parse(raw.date)) <= SAME_REPORT_DAYS * DAY_MS);
+
+      if (existing) {
+        for (const field of EVENT_FIELDS) {
+          if (existing[field] === null && raw[field] !== null && raw[field] !== undefined) existing[field] = raw[field];
+        }
+        if (!existing.sources.includes(source)) existing.sources.push(source);
+      } else {
+        const event = { symbol, date: raw.date };
+        for (const field of EVENT_FIELDS) event[field] = raw[field] ?? null;
+        known.push({ ...event, sources: [source] });
+        bySymbol.set(symbol, known);
+      }
+    }
+  }
+
+  return [...bySymbol.values()].flat().sort(compareEvents);
+}
+
+module.exports = { compareEvents, mergeEvents, isDate };
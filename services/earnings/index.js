@@ -0,0 +1,186 @@
+const { JsonFileStore, storagePath } = require('../storage');
+const { getConfig } = require('../config');
+const { normalizeSymbol } = require('../batch');
+const { compareEvents, mergeEvents, isDate } = require('./calendar');
+const { summarizeSurprises } = require('./surprises');
+const { createLogger } = require('../observability');
+
+const log = createLogger('earnings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CALENDAR_DAYS = 14;
+const MAX_CALENDAR_DAYS = 90;
+// Zo ver vooruit zoeken we naar het volgende bericht van één aandeel
+const NEXT_REPORT_DAYS = 120;
+// Oudere events gaan bij een sync uit de opslag; de surprise-historie dekt het verleden
+const RETAIN_DAYS = 400;
+const SURPRISES_TTL_HOURS = 24;
+
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function parseCalendarQuery(query = {}, now = today()) {
+  const details = [];
+  const from = query.from === undefined ? now : String(query.from);
+  const to = query.to !== undefined ? String(query.to) : isDate(from) ? addDays(from, DEFAULT_CALENDAR_DAYS) : from;
+
+  if (!isDate(from)) details.push({ field: 'from', message: 'From must be YYYY-MM-DD' });
+  if (!isDate(to)) details.push({ field: 'to', message: 'To must be YYYY-MM-DD' });
+  if (details.length === 0) {
+    if (from > to) {
+      details.push({ field: 'from', message: 'From must be on or before to' });
+    } else if (Date.parse(to) - Date.parse(from) > MAX_CALENDAR_DAYS * DAY_MS) {
+      details.push({ field: 'to', message: `The date range cannot exceed ${MAX_CALENDAR_DAYS} days` });
+    }
+  }
+
+  let symbols = null;
+  if (query.symbols !== undefined) {
+    const names = String(query.symbols).split(',').map(name => name.trim()).filter(Boolean);
+    symbols = names.map(normalizeSymbol);
+    if (symbols.length === 0 || symbols.some(symbol => !symbol)) {
+      details.push({ field: 'symbols', message: 'Symbols must be a comma-separated list of valid tickers' });
+    }
+  }
+
+  if (details.length > 0) return failure('invalid', 'Invalid calendar query', details);
+  return { success: true, from, to, symbols };
+}
+
+// Bewaart aangekondigde kwartaalberichten (datum, voor- of nabeurs, consensus) en de beat/miss-historie
+// per aandeel. Een kalendervenster wordt bij de providers opgehaald zodra het niet recent gesynchroniseerd is.
+class EarningsCalendarService {
+  constructor({ store, providers, ttlHours = 12 }) {
+    this.store = store;
+    this.providers = providers;
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+  }
+
+  // Een marktbrede sync dekt ook elk afzonderlijk symbool
+  findSync(data, { from, to, symbol }, now = Date.now()) {
+    return data.syncs
+      .filter(sync => now - Date.parse(sync.at) < this.ttlMs)
+      .filter(sync => sync.from <= from && sync.to >= to && (sync.symbol === null || sync.symbol === (symbol || null)))
+      .sort((a, b) => b.at.localeCompare(a.at))[0] || null;
+  }
+
+  async sync({ from, to, symbol = null }) {
+    const calendarProviders = this.providers.list('calendar');
+    const results = await Promise.allSettled(
+      calendarProviders.map(provider => provider.getEarningsCalendar({ from, to, ...(symbol ? { symbol } : {}) }))
+    );
+
+    const answered = [];
+    const failed = [];
+    const responses = [];
+    results.forEach((result, index) => {
+      const provider = calendarProviders[index].name;
+      if (result.status === 'fulfilled' && result.value.success) {
+        answered.push({ provider, events: result.value.events.length });
+        responses.push({ source: result.value.source || provider, events: result.value.events });
+      } else {
+        failed.push({ provider, error: result.reason?.message || result.value?.error || 'No calendar returned' });
+      }
+    });
+
+    // Zonder enig antwoord houden we de opgeslagen data en proberen we het bij de volgende vraag opnieuw
+    if (answered.length === 0) {
+      log.warn('Earnings calendar: no provider answered', { from, to, symbol, failed });
+      return { synced: false, providers: { answered, failed } };
+    }
+
+    const events = mergeEvents(responses);
+    const now = new Date();
+    const retainFrom = addDays(now.toISOString().slice(0, 10), -RETAIN_DAYS);
+
+    await this.store.update(data => {
+      // Binnen het venster vervangen, zodat een verschoven datum niet dubbel blijft staan
+      data.events = data.events
+        .filter(event => event.date >= retainFrom)
+        .filter(event => !(event.date >= from && event.date <= to && (!symbol || event.symbol === symbol)))
+        .concat(events)
+        .sort(compareEvents);
+      data.syncs = data.syncs
+        .filter(sync => now - Date.parse(sync.at) < this.ttlMs)
+        .concat({ from, to, symbol, at: now.toISOString() });
+    });
+
+    log.info('Earnings calendar synced', { from, to, symbol, events: events.length });
+    return { synced: true, providers: { answered, failed } };
+  }
+
+  async ensureSynced(range) {
+    const data = await this.store.read();
+    return this.findSync(data, range) ? null : this.sync(range);
+  }
+
+  async calendar({ from, to, symbols = null }) {
+    const sync = await this.ensureSynced({ from, to });
+    const data = await this.store.read();
+    const events = data.events.filter(event =>
+      event.date >= from && event.date <= to && (!symbols || symbols.includes(event.symbol)));
+
+    return {
+      success: true,
+      from,
+      to,
+      count: events.length,
+      events,
+      syncedAt: this.findSync(data, { from, to })?.at || null,
+      ...(sync ? { providers: sync.providers } : {})
+    };
+  }
+
+  // Eerstvolgende bericht vanaf vandaag, of null als geen provider er een kent
+  async nextEarnings(symbol) {
+    const from = today();
+    const range = { from, to: addDays(from, NEXT_REPORT_DAYS), symbol };
+    await this.ensureSynced(range);
+    const data = await this.store.read();
+    return data.events.find(event => event.symbol === symbol && event.date >= from && event.date <= range.to) || null;
+  }
+
+  // De eerste provider met historie wint; bij falende providers serveren we de laatst opgeslagen versie
+  async surpriseHistory(symbol) {
+    const data = await this.store.read();
+    const stored = data.surprises[symbol];
+    const fresh = stored && Date.now() - Date.parse(stored.fetchedAt) < SURPRISES_TTL_HOURS * 60 * 60 * 1000;
+
+    if (!fresh) {
+      for (const provider of this.providers.list('surprises')) {
+        const result = await provider.getEarningsSurprises(symbol).catch(error => ({ success: false, error: error.message }));
+        if (result.success) {
+          const entry = { source: result.source || provider.name, fetchedAt: new Date().toISOString(), quarters: result.quarters };
+          await this.store.update(next => {
+            next.surprises[symbol] = entry;
+          });
+          return { success: true, source: entry.source, fetchedAt: entry.fetchedAt, ...summarizeSurprises(entry.quarters) };
+        }
+      }
+    }
+
+    if (!stored) return failure('not_found', `No earnings history available for ${symbol}`);
+    return { success: true, source: stored.source, fetchedAt: stored.fetchedAt, ...(fresh ? {} : { stale: true }), ...summarizeSurprises(stored.quarters) };
+  }
+}
+
+// EARNINGS_FILE overschrijft de standaardlocatie in STORAGE_DIR
+function createEarningsCalendar({ providers }, env = process.env) {
+  const config = getConfig(env).earnings;
+  return new EarningsCalendarService({
+    store: new JsonFileStore(config.file || storagePath('earnings.json', env), { events: [], syncs: [], surprises: {} }),
+    providers,
+    ttlHours: config.calendarTtlHours
+  });
+}
+
+module.exports = { EarningsCalendarService, createEarningsCalendar, parseCalendarQuery };
@@ -0,0 +1,53 @@
+// Beat/miss-historie van de winst per aandeel. Puur rekenwerk, geen I/O.
+
+function round(value, digits) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// Op centen vergeleken: 2.401 tegen een verwachting van 2.40 is gewoon in lijn
+function classify(actual, estimate) {
+  if (actual === null || estimate === null) return null;
+  const difference = Math.round(actual * 100) - Math.round(estimate * 100);
+  if (difference > 0) return 'beat';
+  if (difference < 0) return 'miss';
+  return 'inline';
+}
+
+function describeQuarter(quarter) {
+  const { epsActual: actual, epsEstimate: estimate } = quarter;
+  const surprise = actual !== null && estimate !== null ? round(actual - estimate, 4) : null;
+  return {
+    ...quarter,
+    surprise,
+    surprisePercent: surprise !== null && estimate !== 0 ? round((surprise / Math.abs(estimate)) * 100, 2) : null,
+    result: classify(actual, estimate)
+  };
+}
+
+// `quarters` staat nieuwste eerst, zoals de providers ze leveren; de streak telt vanaf het laatste kwartaal
+function summarizeSurprises(quarters) {
+  const described = quarters.map(describeQuarter);
+  const scored = described.filter(quarter => quarter.result !== null);
+  const count = result => scored.filter(quarter => quarter.result === result).length;
+
+  let streak = null;
+  if (scored.length > 0) {
+    const result = scored[0].result;
+    const length = scored.findIndex(quarter => quarter.result !== result);
+    streak = { result, length: length === -1 ? scored.length : length };
+  }
+
+  const percents = scored.map(quarter => quarter.surprisePercent).filter(value => value !== null);
+
+  return {
+    streak,
+    beats: count('beat'),
+    misses: count('miss'),
+    inline: count('inline'),
+    beatRate: scored.length > 0 ? round((count('beat') / scored.length) * 100, 1) : null,
+    averageSurprisePercent: percents.length > 0 ? round(percents.reduce((sum, value) => sum + value, 0) / percents.length, 2) : null,
+    quarters: described
+  };
+}
+
+module.exports = { classify, summarizeSurprises };
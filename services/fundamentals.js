@@ -0,0 +1,117 @@
+// Aandelenratio's uit echte jaarrekeningdata. Wat niet te berekenen is wordt null, met de reden in `unavailable`
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function ratio(numerator, denominator) {
+  if (!isNumber(numerator) || !isNumber(denominator) || denominator === 0) return null;
+  return numerator / denominator;
+}
+
+function growth(current, previous) {
+  if (!isNumber(current) || !isNumber(previous) || previous === 0) return null;
+  return ((current - previous) / Math.abs(previous)) * 100;
+}
+
+// Trailing twelve months: som van de laatste vier kwartalen, anders het laatste boekjaar
+function trailing(income, field) {
+  const quarters = income.quarterly.slice(0, 4);
+  if (quarters.length === 4 && quarters.every(quarter => isNumber(quarter[field]))) {
+    return quarters.reduce((sum, quarter) => sum + quarter[field], 0);
+  }
+  const latestYear = income.annual[0];
+  return latestYear && isNumber(latestYear[field]) ? latestYear[field] : null;
+}
+
+class RatioSheet {
+  constructor() {
+    this.values = {};
+    this.unavailable = {};
+  }
+
+  set(name, value, reason, digits = 2) {
+    if (isNumber(value)) {
+      this.values[name] = parseFloat(value.toFixed(digits));
+    } else {
+      this.values[name] = null;
+      this.unavailable[name] = reason;
+    }
+  }
+}
+
+function computeStockFundamentals({ quote = {}, profile = {}, financials = {} } = {}) {
+  const sheet = new RatioSheet();
+  const price = quote.success ? quote.currentPrice : null;
+  const hasProfile = !!profile.success;
+  const hasStatements = !!financials.success;
+
+  const statementsReason = hasStatements
+    ? null
+    : `Financial statements unavailable${financials.error ? `: ${financials.error}` : ''}`;
+  const income = hasStatements ? financials.income : { quarterly: [], annual: [] };
+  const quarterlyIncome = income.quarterly;
+  const latestBalance = hasStatements ? financials.balance.quarterly[0] : null;
+  const latestShares = quarterlyIncome[0]?.sharesOutstanding ?? income.annual[0]?.sharesOutstanding ?? null;
+
+  // Marktkapitalisatie in miljarden, zoals de frontend verwacht
+  const marketCap = (hasProfile && profile.marketCap) || quote.marketCap || (isNumber(price) && isNumber(latestShares) ? price * latestShares : null);
+  sheet.set('marketCap', isNumber(marketCap) && marketCap > 0 ? marketCap / 1000000000 : null, 'No market cap from profile, quote or share count');
+
+  const ttmEps = trailing(income, 'eps') ?? (hasProfile && profile.eps ? profile.eps : null);
+  sheet.set('eps', ttmEps, statementsReason || 'EPS not reported');
+
+  const peRatio = isNumber(ttmEps) && ttmEps > 0 ? ratio(price, ttmEps) : null;
+  sheet.set('peRatio', peRatio, !isNumber(price) ? 'No current price' : 'Requires positive trailing EPS', 1);
+
+  const lastDividend = hasProfile ? profile.lastDividend : null;
+  sheet.set(
+    'dividendYield',
+    isNumber(lastDividend) ? ratio(lastDividend * 100, price) : null,
+    !hasProfile ? 'Company profile unavailable' : !isNumber(price) ? 'No current price' : 'No dividend data'
+  );
+
+  if (latestBalance) {
+    const debtToEquity = ratio(latestBalance.totalDebt, latestBalance.totalEquity);
+    sheet.set('debtToEquity', isNumber(debtToEquity) ? debtToEquity * 100 : null, 'Debt or equity not reported', 1);
+    sheet.set('bookValue', ratio(latestBalance.totalEquity, latestShares), 'Equity or share count not reported');
+
+    const ttmNetIncome = trailing(income, 'netIncome');
+    const yearAgoBalance = financials.balance.quarterly[4];
+    const averageEquity = yearAgoBalance && isNumber(yearAgoBalance.totalEquity)
+      ? (latestBalance.totalEquity + yearAgoBalance.totalEquity) / 2
+      : latestBalance.totalEquity;
+    const roe = isNumber(averageEquity) && averageEquity > 0 ? ratio(ttmNetIncome, averageEquity) : null;
+    sheet.set('roe', isNumber(roe) ? roe * 100 : null, 'Requires net income and positive equity', 1);
+  } else {
+    const reason = statementsReason || 'Balance sheet unavailable';
+    sheet.set('debtToEquity', null, reason);
+    sheet.set('bookValue', null, reason);
+    sheet.set('roe', null, reason);
+  }
+
+  const yoyReason = statementsReason || 'Needs the same quarter of the previous year';
+  const qoqReason = statementsReason || 'Needs two consecutive quarters';
+  sheet.set('revenueGrowthYoY', growth(quarterlyIncome[0]?.revenue, quarterlyIncome[4]?.revenue) ?? growth(income.annual[0]?.revenue, income.annual[1]?.revenue), yoyReason, 1);
+  sheet.set('revenueGrowthQoQ', growth(quarterlyIncome[0]?.revenue, quarterlyIncome[1]?.revenue), qoqReason, 1);
+  sheet.set('earningsGrowthYoY', growth(quarterlyIncome[0]?.netIncome, quarterlyIncome[4]?.netIncome) ?? growth(income.annual[0]?.netIncome, income.annual[1]?.netIncome), yoyReason, 1);
+  sheet.set('earningsGrowthQoQ', growth(quarterlyIncome[0]?.netIncome, quarterlyIncome[1]?.netIncome), qoqReason, 1);
+
+  const ttmRevenue = trailing(income, 'revenue');
+  const grossMargin = ratio(trailing(income, 'grossProfit'), ttmRevenue);
+  const operatingMargin = ratio(trailing(income, 'operatingIncome'), ttmRevenue);
+  sheet.set('grossMargin', isNumber(grossMargin) ? grossMargin * 100 : null, statementsReason || 'Gross profit not reported', 1);
+  sheet.set('operatingMargin', isNumber(operatingMargin) ? operatingMargin * 100 : null, statementsReason || 'Operating income not reported', 1);
+
+  sheet.set('beta', hasProfile && profile.beta ? profile.beta : null, hasProfile ? 'Beta not reported' : 'Company profile unavailable');
+
+  return {
+    type: 'stock',
+    ...sheet.values,
+    unavailable: sheet.unavailable,
+    statementsSource: hasStatements ? financials.source : null,
+    statementsAsOf: quarterlyIncome[0]?.date || income.annual[0]?.date || null
+  };
+}
+
+module.exports = { computeStockFundamentals };
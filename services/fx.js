@@ -0,0 +1,180 @@
+// Valuta's en omrekening. Elke prijs komt in de valuta van zijn beurs (of paar) binnen; op verzoek rekenen
+// we om naar een basisvaluta met dagkoersen van de `fx`-providers, via de response cache (type `fx`).
+
+// Noteringen in subeenheden (Londen in pence, Johannesburg in cent, Tel Aviv in agorot)
+const MINOR_UNITS = {
+  GBp: { currency: 'GBP', factor: 0.01 },
+  GBX: { currency: 'GBP', factor: 0.01 },
+  ZAc: { currency: 'ZAR', factor: 0.01 },
+  ILA: { currency: 'ILS', factor: 0.01 }
+};
+
+// Crypto halen we in deze valuta's direct als paar op (BTC-EUR); andere valuta's lopen via USD en een FX-koers
+const CRYPTO_QUOTE_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD'];
+
+// Prijsvelden per soort object; ratio's en percentages zijn valuta-onafhankelijk
+const CANDLE_PRICE_FIELDS = ['open', 'high', 'low', 'close', 'sma20', 'sma50', 'ema12'];
+const FUNDAMENTAL_PRICE_FIELDS = {
+  stock: ['marketCap', 'eps', 'bookValue'],
+  crypto: ['marketCap', 'volume24h', 'allTimeHigh', 'allTimeLow']
+};
+
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+function normalizeCurrency(code) {
+  const raw = String(code || 'USD');
+  if (MINOR_UNITS[raw]) return MINOR_UNITS[raw];
+  return { currency: raw.toUpperCase(), factor: 1 };
+}
+
+// Query- of bodywaarde → ISO-code, null als er niets gevraagd is
+function parseCurrency(value) {
+  if (value === undefined || value === null || value === '') return { success: true, currency: null };
+  const currency = String(value).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return failure('invalid', 'Invalid currency', [{ field: 'currency', message: 'Currency must be a three-letter ISO code such as EUR' }]);
+  }
+  return { success: true, currency };
+}
+
+function cryptoQuoteCurrency(currency) {
+  return CRYPTO_QUOTE_CURRENCIES.includes(currency) ? currency : 'USD';
+}
+
+function round(value, digits) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// Kopie van `object` met de genoemde numerieke velden omgerekend; null en ontbrekende velden blijven staan
+function convertFields(object, fields, convert) {
+  if (!object || typeof object !== 'object') return object;
+  const result = { ...object };
+  for (const field of fields) {
+    const value = typeof result[field] === 'string' ? parseFloat(result[field]) : result[field];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      result[field] = convert(value);
+    }
+  }
+  return result;
+}
+
+class FxService {
+  constructor({ providers, cache }) {
+    this.providers = providers;
+    this.cache = cache;
+  }
+
+  // De eerste provider met koersen wint; de cache bewaart alleen geslaagde antwoorden
+  async loadRates(base) {
+    const errors = [];
+    for (const provider of this.providers.list('fx')) {
+      const result = await provider.getFxRates(base).catch(error => ({ success: false, error: error.message }));
+      if (result.success) return result;
+      errors.push(`${provider.name}: ${result.error}`);
+    }
+    return failure('unavailable', `No exchange rates available for ${base}`, errors);
+  }
+
+  async rates(base) {
+    const { value, cache } = await this.cache.fetch('fx', base, () => this.loadRates(base));
+    return { ...value, cache };
+  }
+
+  async loadHistory(from, to, start, end) {
+    const errors = [];
+    for (const provider of this.providers.list('fx')) {
+      const result = await provider.getFxHistory(from, to, start, end).catch(error => ({ success: false, error: error.message }));
+      if (result.success) return result;
+      errors.push(`${provider.name}: ${result.error}`);
+    }
+    return failure('unavailable', `No exchange rate history from ${from} to ${to}`, errors);
+  }
+
+  // { success, source, rates: { 'YYYY-MM-DD': koers } }, per paar en venster in de cache
+  async history(from, to, start, end) {
+    const { value } = await this.cache.fetch('fx', from, () => this.loadHistory(from, to, start, end), { variant: `${to}:${start}..${end}` });
+    return value;
+  }
+
+  // Candles tegen de koers van hun eigen dag: de laatste ECB-koers op of vóór die datum, zodat een grafiek of
+  // rendement in een andere valuta ook het valutaverloop bevat. Zonder koersreeks valt de omrekening terug op
+  // de spotkoers van `money`. Geeft { candles, fx }, met in `fx.chart` welke koersen zijn toegepast.
+  async convertCandles(candles, money) {
+    if (!money.fx || candles.length === 0) {
+      const converted = money.rate === 1 ? candles : candles.map(candle => convertFields(candle, CANDLE_PRICE_FIELDS, money.convert));
+      return { candles: converted, fx: money.fx };
+    }
+
+    const dayOf = candle => String(candle.time).slice(0, 10);
+    // Een week extra vooraan, zodat ook een eerste candle na een weekend of feestdag een eerdere koers heeft
+    const start = new Date(Date.parse(dayOf(candles[0])) - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const history = await this.history(money.fx.from, money.fx.to, start, dayOf(candles[candles.length - 1]));
+    if (!history.success) {
+      return {
+        candles: candles.map(candle => convertFields(candle, CANDLE_PRICE_FIELDS, money.convert)),
+        fx: { ...money.fx, chart: { applied: 'spot', asOf: money.fx.asOf, error: history.error } }
+      };
+    }
+
+    const dates = Object.keys(history.rates).sort();
+    const factor = normalizeCurrency(money.nativeCurrency).factor;
+    let index = 0;
+    const converted = candles.map(candle => {
+      while (index + 1 < dates.length && dates[index + 1] <= dayOf(candle)) index++;
+      const rate = factor * history.rates[dates[index]];
+      return convertFields(candle, CANDLE_PRICE_FIELDS, value => round(value * rate, 2));
+    });
+
+    return {
+      candles: converted,
+      fx: { ...money.fx, chart: { applied: 'daily', from: dates[0], to: dates[dates.length - 1], source: history.source } }
+    };
+  }
+
+  // { currency, rate, fx, convert } van `from` (zoals de provider hem levert, ook GBp) naar `to`; zonder `to` alleen
+  // naar de hoofdeenheid, zodat pence nooit als ponden de deur uit gaan
+  async converter(from, to = null) {
+    const native = normalizeCurrency(from);
+    const target = to || native.currency;
+
+    let rate = native.factor;
+    let fx = null;
+    if (native.currency !== target) {
+      const rates = await this.rates(native.currency);
+      if (!rates.success) return rates;
+      if (typeof rates.rates[target] !== 'number') {
+        return failure('unsupported', `No exchange rate from ${native.currency} to ${target}`,
+          [{ field: 'currency', message: `Supported currencies: ${Object.keys(rates.rates).sort().join(', ')}` }]);
+      }
+      rate *= rates.rates[target];
+      fx = { from: native.currency, to: target, rate: rates.rates[target], asOf: rates.date, source: rates.source, cache: rates.cache };
+    }
+
+    return {
+      success: true,
+      currency: target,
+      nativeCurrency: String(from || 'USD'),
+      rate,
+      fx,
+      convert: (value, digits = 2) => round(value * rate, digits)
+    };
+  }
+}
+
+function createFxService({ providers, cache }) {
+  return new FxService({ providers, cache });
+}
+
+module.exports = {
+  CRYPTO_QUOTE_CURRENCIES,
+  CANDLE_PRICE_FIELDS,
+  FUNDAMENTAL_PRICE_FIELDS,
+  normalizeCurrency,
+  parseCurrency,
+  cryptoQuoteCurrency,
+  convertFields,
+  FxService,
+  createFxService
+};
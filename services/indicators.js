@@ -0,0 +1,287 @@
+// Technische indicatoren over een candle-reeks. Elke functie levert een array even lang als de input,
+// met null zolang de opwarmperiode nog loopt.
+
+function round(value, digits = 4) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+}
+
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+// Start met de SMA van de eerste `period` waarden en bouwt daarna voort op de eigen vorige uitkomst
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  let previous = null;
+  let seedSum = 0;
+  let seedCount = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value === null || value === undefined) continue;
+
+    if (previous === null) {
+      seedSum += value;
+      seedCount++;
+      if (seedCount === period) {
+        previous = seedSum / period;
+        result[i] = previous;
+      }
+      continue;
+    }
+
+    previous = value * k + previous * (1 - k);
+    result[i] = previous;
+  }
+  return result;
+}
+
+// Wilder-smoothing, gebruikt door RSI en ATR
+function wilder(values, period, startIndex) {
+  const result = new Array(values.length).fill(null);
+  if (values.length - startIndex < period) return result;
+
+  let average = 0;
+  for (let i = startIndex; i < startIndex + period; i++) average += values[i];
+  average /= period;
+  result[startIndex + period - 1] = average;
+
+  for (let i = startIndex + period; i < values.length; i++) {
+    average = (average * (period - 1) + values[i]) / period;
+    result[i] = average;
+  }
+  return result;
+}
+
+function rsi(closes, period = 14) {
+  const gains = closes.map((close, i) => (i === 0 ? 0 : Math.max(close - closes[i - 1], 0)));
+  const losses = closes.map((close, i) => (i === 0 ? 0 : Math.max(closes[i - 1] - close, 0)));
+  const averageGain = wilder(gains, period, 1);
+  const averageLoss = wilder(losses, period, 1);
+
+  return closes.map((_, i) => {
+    if (averageGain[i] === null) return null;
+    if (averageLoss[i] === 0) return 100;
+    return 100 - 100 / (1 + averageGain[i] / averageLoss[i]);
+  });
+}
+
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null));
+  const signal = ema(line, signalPeriod);
+
+  return closes.map((_, i) => ({
+    macd: line[i],
+    signal: signal[i],
+    histogram: line[i] !== null && signal[i] !== null ? line[i] - signal[i] : null
+  }));
+}
+
+function bollinger(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+
+  return closes.map((_, i) => {
+    if (middle[i] === null) return { middle: null, upper: null, lower: null };
+    const window = closes.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, close) => sum + (close - middle[i]) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * multiplier;
+    return { middle: middle[i], upper: middle[i] + deviation, lower: middle[i] - deviation };
+  });
+}
+
+function atr(candles, period = 14) {
+  const trueRanges = candles.map((candle, i) => {
+    if (i === 0) return candle.high - candle.low;
+    const previousClose = candles[i - 1].close;
+    return Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - previousClose),
+      Math.abs(candle.low - previousClose)
+    );
+  });
+  return wilder(trueRanges, period, 0);
+}
+
+function stochastic(candles, kPeriod = 14, dPeriod = 3) {
+  const k = candles.map((candle, i) => {
+    if (i < kPeriod - 1) return null;
+    const window = candles.slice(i - kPeriod + 1, i + 1);
+    const highest = Math.max(...window.map(c => c.high));
+    const lowest = Math.min(...window.map(c => c.low));
+    return highest === lowest ? 50 : ((candle.close - lowest) / (highest - lowest)) * 100;
+  });
+
+  const d = k.map((_, i) => {
+    const window = k.slice(Math.max(0, i - dPeriod + 1), i + 1);
+    return window.length === dPeriod && window.every(value => value !== null)
+      ? window.reduce((sum, value) => sum + value, 0) / dPeriod
+      : null;
+  });
+
+  return k.map((value, i) => ({ k: value, d: d[i] }));
+}
+
+function obv(candles) {
+  let total = 0;
+  return candles.map((candle, i) => {
+    if (i > 0) {
+      if (candle.close > candles[i - 1].close) total += candle.volume;
+      else if (candle.close < candles[i - 1].close) total -= candle.volume;
+    }
+    return total;
+  });
+}
+
+// Bij intraday data begint de VWAP elke handelsdag opnieuw
+function vwap(candles, { resetDaily = false } = {}) {
+  let cumulativeVolume = 0;
+  let cumulativeValue = 0;
+  let currentDay = null;
+
+  return candles.map(candle => {
+    const day = String(candle.time).slice(0, 10);
+    if (resetDaily && day !== currentDay) {
+      cumulativeVolume = 0;
+      cumulativeValue = 0;
+      currentDay = day;
+    }
+
+    const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+    cumulativeVolume += candle.volume;
+    cumulativeValue += typicalPrice * candle.volume;
+    return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+  });
+}
+
+// name → parameters (met defaults) en de berekening; multi-line indicatoren leveren objecten met de sleutels in `outputs`
+const INDICATORS = {
+  sma: { params: [{ name: 'period', default: 20 }], compute: (candles, [period]) => sma(closesOf(candles), period) },
+  ema: { params: [{ name: 'period', default: 12 }], compute: (candles, [period]) => ema(closesOf(candles), period) },
+  rsi: { params: [{ name: 'period', default: 14 }], compute: (candles, [period]) => rsi(closesOf(candles), period) },
+  macd: {
+    params: [{ name: 'fast', default: 12 }, { name: 'slow', default: 26 }, { name: 'signal', default: 9 }],
+    outputs: ['macd', 'signal', 'histogram'],
+    compute: (candles, [fast, slow, signal]) => macd(closesOf(candles), fast, slow, signal)
+  },
+  bb: {
+    params: [{ name: 'period', default: 20 }, { name: 'stdDev', default: 2, float: true }],
+    outputs: ['upper', 'middle', 'lower'],
+    compute: (candles, [period, stdDev]) => bollinger(closesOf(candles), period, stdDev)
+  },
+  atr: { params: [{ name: 'period', default: 14 }], compute: (candles, [period]) => atr(candles, period) },
+  stoch: {
+    params: [{ name: 'kPeriod', default: 14 }, { name: 'dPeriod', default: 3 }],
+    outputs: ['k', 'd'],
+    compute: (candles, [kPeriod, dPeriod]) => stochastic(candles, kPeriod, dPeriod)
+  },
+  obv: { params: [], compute: candles => obv(candles) },
+  vwap: { params: [], compute: (candles, params, options) => vwap(candles, options) }
+};
+
+const INDICATOR_ALIASES = { bollinger: 'bb', stochastic: 'stoch' };
+
+const DEFAULT_INDICATOR_SET = 'sma:20,sma:50,ema:12,rsi:14,macd:12:26:9';
+
+function closesOf(candles) {
+  return candles.map(candle => candle.close);
+}
+
+// "rsi:14,macd:12:26:9" → [{ id, name, params }]; fouten worden per onderdeel verzameld
+function parseIndicatorSet(spec = DEFAULT_INDICATOR_SET) {
+  const requests = [];
+  const errors = [];
+
+  for (const part of String(spec).split(',').map(item => item.trim()).filter(Boolean)) {
+    const [rawName, ...rawParams] = part.split(':');
+    const name = INDICATOR_ALIASES[rawName.toLowerCase()] || rawName.toLowerCase();
+    const definition = INDICATORS[name];
+
+    if (!definition) {
+      errors.push({ field: part, message: `Unknown indicator "${rawName}". Use one of: ${Object.keys(INDICATORS).join(', ')}` });
+      continue;
+    }
+    if (rawParams.length > definition.params.length) {
+      errors.push({ field: part, message: `${name} takes at most ${definition.params.length} parameter(s)` });
+      continue;
+    }
+
+    const values = [];
+    let valid = true;
+    definition.params.forEach((param, i) => {
+      if (rawParams[i] === undefined || rawParams[i] === '') {
+        values.push(param.default);
+        return;
+      }
+      const value = param.float ? parseFloat(rawParams[i]) : Number(rawParams[i]);
+      const inRange = param.float ? value > 0 && value <= 10 : Number.isInteger(value) && value >= 1 && value <= 500;
+      if (!Number.isFinite(value) || !inRange) {
+        errors.push({ field: part, message: `Invalid ${param.name} "${rawParams[i]}"` });
+        valid = false;
+        return;
+      }
+      values.push(value);
+    });
+
+    if (valid) {
+      requests.push({ id: [name, ...values].join(':'), name, params: values });
+    }
+  }
+
+  if (requests.length === 0 && errors.length === 0) {
+    errors.push({ field: 'set', message: 'No indicators requested' });
+  }
+
+  return { requests, errors };
+}
+
+function computeIndicators(candles, requests, { intraday = false } = {}) {
+  const result = {};
+
+  for (const request of requests) {
+    const definition = INDICATORS[request.name];
+    const raw = definition.compute(candles, request.params, { resetDaily: intraday });
+    const paramNames = definition.params.map(param => param.name);
+
+    result[request.id] = {
+      name: request.name,
+      params: Object.fromEntries(paramNames.map((name, i) => [name, request.params[i]])),
+      values: raw.map((value, i) => {
+        if (value !== null && typeof value === 'object') {
+          const point = { time: candles[i].time };
+          for (const [key, field] of Object.entries(value)) point[key] = round(field);
+          return point;
+        }
+        return { time: candles[i].time, value: round(value) };
+      })
+    };
+  }
+
+  return result;
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  stochastic,
+  obv,
+  vwap,
+  INDICATORS,
+  DEFAULT_INDICATOR_SET,
+  parseIndicatorSet,
+  computeIndicators
+};
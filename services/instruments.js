@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+// Lokale index van bekende instrumenten: basis voor zoeken, asset-detectie en bedrijfsnamen.
+// De seed in data/ wordt overschreven door een ververste lijst zodra die op schijf staat.
+const SEED_PATH = path.join(__dirname, '..', 'data', 'instruments.json');
+const DEFAULT_INDEX_PATH = path.join(__dirname, '..', '.cache', 'instruments.json');
+
+const ASSET_TYPES = ['stock', 'etf', 'crypto', 'index'];
+const MAX_SEARCH_RESULTS = 50;
+
+// Rechtsvormen die in een nieuwszoekopdracht alleen ruis geven
+const CORPORATE_SUFFIXES = /[,.]?\s+(inc|incorporated|corp|corporation|co|company|ltd|limited|plc|n\.?v|s\.?a|se|ag|holdings?|group|class [a-c])\.?$/i;
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9^.\- ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function readIndexFile(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data.instruments) ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+class InstrumentIndex {
+  constructor({ indexPath = DEFAULT_INDEX_PATH, seedPath = SEED_PATH } = {}) {
+    this.indexPath = indexPath;
+    this.seedPath = seedPath;
+    this.load();
+  }
+
+  load() {
+    const seed = readIndexFile(this.seedPath) || { instruments: [] };
+    const refreshed = readIndexFile(this.indexPath);
+    const data = refreshed || seed;
+
+    this.seed = seed.instruments;
+    this.updatedAt = data.updatedAt || null;
+    this.source = refreshed ? data.source || 'refreshed' : 'seed';
+    this.setInstruments(data.instruments);
+  }
+
+  setInstruments(instruments) {
+    this.instruments = instruments;
+    this.bySymbol = new Map(instruments.map(instrument => [instrument.symbol, instrument]));
+  }
+
+  get size() {
+    return this.instruments.length;
+  }
+
+  lookup(symbol) {
+    return this.bySymbol.get(String(symbol || '').toUpperCase()) || null;
+  }
+
+  // Naam zonder rechtsvorm, geschikt als zoekterm voor nieuwsbronnen
+  companyName(symbol) {
+    const instrument = this.lookup(symbol);
+    if (!instrument) return String(symbol).toUpperCase();
+
+    let name = instrument.name;
+    while (CORPORATE_SUFFIXES.test(name)) {
+      name = name.replace(CORPORATE_SUFFIXES, '');
+    }
+    return name.trim() || instrument.name;
+  }
+
+  // Score per instrument: exacte ticker > ticker-prefix > woordprefix in naam/alias > substring
+  scoreMatch(instrument, query) {
+    const symbol = instrument.symbol.toLowerCase();
+    if (symbol === query) return 100;
+    if (symbol.split(/[.\-]/)[0] === query) return 90;
+    if (symbol.startsWith(query)) return 80;
+
+    const names = [instrument.name, ...(instrument.aliases || [])].map(normalize);
+    if (names.some(name => name === query)) return 75;
+    if (names.some(name => name.startsWith(query))) return 70;
+    if (names.some(name => name.split(' ').some(word => word.startsWith(query)))) return 60;
+    if (names.some(name => name.includes(query))) return 40;
+    if (symbol.includes(query)) return 30;
+    return 0;
+  }
+
+  search(query, { limit = 10, assetType } = {}) {
+    const normalizedQuery = normalize(query);
+    if (!normalizedQuery) return [];
+
+    const size = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_SEARCH_RESULTS);
+
+    return this.instruments
+      .filter(instrument => !assetType || instrument.assetType === assetType)
+      .map(instrument => ({ instrument, score: this.scoreMatch(instrument, normalizedQuery) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || (a.instrument.rank || Infinity) - (b.instrument.rank || Infinity))
+      .slice(0, size)
+      .map(({ instrument, score }) => ({
+        symbol: instrument.symbol,
+        name: instrument.name,
+        exchange: instrument.exchange,
+        assetType: instrument.assetType,
+        currency: instrument.currency || null,
+        score
+      }));
+  }
+
+  // Haalt alle instrumentlijsten op, voegt ze samen met de seed en schrijft het resultaat weg
+  async refresh(providers) {
+    const sources = providers.list('instruments');
+    if (sources.length === 0) {
+      return { success: false, error: 'No instrument providers configured' };
+    }
+
+    const results = await Promise.allSettled(sources.map(provider => provider.getInstruments()));
+    const merged = new Map(this.seed.map(instrument => [instrument.symbol, { ...instrument }]));
+    const report = {};
+    let nextRank = this.seed.reduce((max, instrument) => Math.max(max, instrument.rank || 0), 0) + 1;
+
+    results.forEach((result, i) => {
+      const name = sources[i].name;
+      if (result.status !== 'fulfilled' || !result.value?.success) {
+        report[name] = { success: false, error: result.reason?.message || result.value?.error || 'Unknown error' };
+        return;
+      }
+
+      let added = 0;
+      for (const instrument of result.value.instruments) {
+        if (!instrument.symbol || !instrument.name || !ASSET_TYPES.includes(instrument.assetType)) continue;
+
+        // Bij dubbele tickers (bv. een coin met dezelfde ticker als een aandeel) wint de eerste bron
+        const existing = merged.get(instrument.symbol);
+        if (existing) {
+          if (existing.assetType !== instrument.assetType) continue;
+          // Seed-gegevens (aliassen, rang, valuta) blijven leidend; de provider vult alleen aan
+          merged.set(instrument.symbol, {
+            ...instrument,
+            ...existing,
+            currency: existing.currency || instrument.currency || null
+          });
+          continue;
+        }
+
+        merged.set(instrument.symbol, { ...instrument, rank: nextRank++ });
+        added++;
+      }
+      report[name] = { success: true, received: result.value.instruments.length, added };
+    });
+
+    if (!Object.values(report).some(entry => entry.success)) {
+      return { success: false, error: 'All instrument providers failed', providers: report };
+    }
+
+    const data = {
+      updatedAt: new Date().toISOString(),
+      source: Object.keys(report).filter(name => report[name].success).join(','),
+      instruments: [...merged.values()].sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity))
+    };
+
+    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+    await fs.promises.writeFile(this.indexPath, JSON.stringify(data));
+
+    this.updatedAt = data.updatedAt;
+    this.source = data.source;
+    this.setInstruments(data.instruments);
+
+    return { success: true, size: this.size, updatedAt: this.updatedAt, providers: report };
+  }
+
+  describe() {
+    return { size: this.size, source: this.source, updatedAt: this.updatedAt };
+  }
+}
+
+// INSTRUMENT_INDEX_PATH bepaalt waar de ververste index bewaard wordt
+function createInstrumentIndex(env = process.env) {
+  return new InstrumentIndex({ indexPath: getConfig(env).instruments.indexPath || DEFAULT_INDEX_PATH });
+}
+
+module.exports = { InstrumentIndex, createInstrumentIndex, ASSET_TYPES };
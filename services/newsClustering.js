@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { aggregateSentiment } = require('./sentiment');
+
+// Groepeert (bijna) dubbele artikelen tot verhalen. Twee artikelen horen bij hetzelfde verhaal als hun
+// canonieke URL gelijk is, of als headline en samenvatting genoeg woorden en woordparen delen.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'from', 'by', 'with', 'as', 'is', 'are',
+  'was', 'were', 'be', 'been', 'its', 'it', 'this', 'that', 'after', 'over', 'amid', 'into', 'about', 'than', 'up',
+  'inc', 'corp', 'co', 'ltd', 'says', 'said', 'report', 'reports', 'news'
+]);
+
+// Queryparameters die alleen tracking zijn en niets aan het artikel veranderen
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref|referrer|src|source|cmpid|ncid|guccounter|yptr|soc_src|soc_trk)$/i;
+
+const HEADLINE_THRESHOLD = 0.5;
+const TEXT_THRESHOLD = 0.35;
+const MAX_STORY_SPAN_HOURS = 72;
+const TIER_RANK = { tier1: 3, tier2: 2, tier3: 1 };
+
+function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+    const pathname = parsed.pathname.replace(/\/amp\/?$/, '/').replace(/\/+$/, '') || '/';
+
+    return `${host}${pathname}${query}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Kleine letters, stopwoorden eruit en een grove meervoudsstam, zodat "estimates" en "estimate" samenvallen
+function terms(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+function shingles(words, size = 2) {
+  const result = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function fingerprint(article) {
+  const headlineTerms = terms(article.headline);
+  const textTerms = terms(`${article.headline} ${article.summary || ''}`);
+  return {
+    url: canonicalizeUrl(article.url),
+    headline: new Set(headlineTerms),
+    text: shingles(textTerms),
+    time: Date.parse(article.publishedAt)
+  };
+}
+
+function similarity(a, b) {
+  if (a.url && a.url === b.url) return 1;
+  if (!Number.isNaN(a.time) && !Number.isNaN(b.time) && Math.abs(a.time - b.time) > MAX_STORY_SPAN_HOURS * 3600000) {
+    return 0;
+  }
+  const headline = jaccard(a.headline, b.headline);
+  const text = jaccard(a.text, b.text);
+  return headline >= HEADLINE_THRESHOLD || text >= TEXT_THRESHOLD ? Math.max(headline, text) : 0;
+}
+
+// Beste bron eerst, dan de meest relevante, dan het oudste artikel (meestal het origineel)
+function compareRepresentatives(a, b) {
+  return (TIER_RANK[b.sourceTier] || 0) - (TIER_RANK[a.sourceTier] || 0)
+    || (b.relevanceScore || 0) - (a.relevanceScore || 0)
+    || (Date.parse(a.publishedAt) || 0) - (Date.parse(b.publishedAt) || 0);
+}
+
+function storyId(article) {
+  const key = canonicalizeUrl(article.url) || article.headline.toLowerCase();
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+const IMPACT_RANK = { low: 1, medium: 2, high: 3 };
+
+// Geeft per verhaal het representatieve artikel terug, met een `story`-blok over alle artikelen erin
+function clusterArticles(articles) {
+  const clusters = [];
+
+  for (const article of [...articles].sort(compareRepresentatives)) {
+    const print = fingerprint(article);
+    let best = null;
+    let bestScore = 0;
+
+    for (const cluster of clusters) {
+      const score = Math.max(...cluster.prints.map(existing => similarity(print, existing)));
+      if (score > bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      best.members.push(article);
+      best.prints.push(print);
+    } else {
+      clusters.push({ members: [article], prints: [print] });
+    }
+  }
+
+  return clusters.map(({ members }) => {
+    const [representative, ...related] = members;
+    const sentiment = aggregateSentiment(members);
+    const times = members.map(member => Date.parse(member.publishedAt)).filter(time => !Number.isNaN(time));
+
+    return {
+      ...representative,
+      impact: members.reduce((top, member) => ((IMPACT_RANK[member.impact] || 0) > (IMPACT_RANK[top] || 0) ? member.impact : top), representative.impact),
+      story: {
+        id: storyId(representative),
+        articleCount: members.length,
+        sources: [...new Set(members.map(member => member.source))],
+        sentiment: { overall: sentiment.overall, score: sentiment.score },
+        firstPublishedAt: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+        lastPublishedAt: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+        related: related.map(member => ({
+          headline: member.headline,
+          source: member.source,
+          provider: member.provider,
+          url: member.url,
+          publishedAt: member.publishedAt,
+          sentimentScore: member.sentimentScore
+        }))
+      }
+    };
+  });
+}
+
+module.exports = { canonicalizeUrl, clusterArticles };
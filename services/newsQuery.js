@@ -0,0 +1,183 @@
+// Filters, datumvenster en cursor-paginering voor /api/news/:symbol. De cursor is de sorteersleutel
+// van het laatst teruggegeven verhaal, zodat een pagina niet verschuift als er nieuws bijkomt.
+
+const NEWS_CATEGORIES = ['earnings', 'analyst', 'corporate', 'legal', 'general'];
+const NEWS_SENTIMENTS = ['positive', 'negative', 'neutral'];
+const NEWS_IMPACTS = ['low', 'medium', 'high'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 365;
+// Met een expliciet venster vragen we providers om meer dan hun standaard 15 artikelen
+const WINDOW_FETCH_LIMIT = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIER_RANK = { tier1: 3, tier2: 2, tier3: 1 };
+
+function parseList(value) {
+  if (value === undefined || value === '') return null;
+  return String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// YYYY-MM-DD of een volledige ISO-tijd; een kale `to`-datum telt tot het einde van die dag
+function parseBound(value, endOfDay) {
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const time = Date.parse(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    return Number.isNaN(time) ? null : time;
+  }
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+}
+
+function isoDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = ['r', 't', 'p'].every(field => typeof key[field] === 'number') && typeof key.k === 'string';
+    return valid ? key : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sortKey(article) {
+  return {
+    r: article.relevanceScore || 0,
+    t: TIER_RANK[article.sourceTier] || 1,
+    p: Date.parse(article.publishedAt) || 0,
+    k: article.story?.id || article.headline
+  };
+}
+
+// Relevantie, dan bron-tier, dan nieuwste eerst; de verhaal-id maakt de volgorde eenduidig
+function compareKeys(a, b) {
+  return (b.r - a.r) || (b.t - a.t) || (b.p - a.p) || (a.k < b.k ? -1 : a.k > b.k ? 1 : 0);
+}
+
+function compareArticles(a, b) {
+  return compareKeys(sortKey(a), sortKey(b));
+}
+
+function encodeCursor(article) {
+  return Buffer.from(JSON.stringify(sortKey(article))).toString('base64url');
+}
+
+function parseNewsQuery(query = {}) {
+  const details = [];
+  const filters = {};
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      details.push({ field: 'limit', message: `Limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+  }
+
+  const sources = parseList(query.sources);
+  if (sources && !(sources.length === 1 && sources[0] === 'all')) filters.sources = sources;
+
+  for (const [field, allowed] of [['category', NEWS_CATEGORIES], ['sentiment', NEWS_SENTIMENTS], ['impact', NEWS_IMPACTS]]) {
+    const values = parseList(query[field]);
+    if (!values) continue;
+    const unknown = values.filter(value => !allowed.includes(value));
+    if (unknown.length > 0) {
+      details.push({ field, message: `Unknown ${field} "${unknown.join(', ')}". Use one of: ${allowed.join(', ')}` });
+    } else {
+      filters[field] = values;
+    }
+  }
+
+  // Zonder from/to blijft het standaardvenster van de providers (laatste 7 dagen) en filteren we niet op datum
+  let window = {};
+  let variant = 'feed';
+  if (query.from !== undefined || query.to !== undefined) {
+    const to = query.to !== undefined ? parseBound(query.to, true) : Date.now();
+    const from = query.from !== undefined ? parseBound(query.from, false) : to - DEFAULT_WINDOW_DAYS * DAY_MS;
+
+    if (from === null) details.push({ field: 'from', message: 'From must be a date (YYYY-MM-DD) or ISO timestamp' });
+    if (to === null) details.push({ field: 'to', message: 'To must be a date (YYYY-MM-DD) or ISO timestamp' });
+    if (from !== null && to !== null) {
+      if (from > to) {
+        details.push({ field: 'from', message: 'From must be before to' });
+      } else if (to - from > MAX_WINDOW_DAYS * DAY_MS) {
+        details.push({ field: 'from', message: `The date range cannot exceed ${MAX_WINDOW_DAYS} days` });
+      } else {
+        filters.from = new Date(from).toISOString();
+        filters.to = new Date(to).toISOString();
+        window = { from: isoDate(from), to: isoDate(to), limit: WINDOW_FETCH_LIMIT };
+        variant = `feed:${window.from}:${window.to}`;
+      }
+    }
+  }
+
+  let after = null;
+  if (query.cursor !== undefined) {
+    after = decodeCursor(query.cursor);
+    if (!after) details.push({ field: 'cursor', message: 'Cursor is invalid' });
+  }
+
+  if (details.length > 0) {
+    return { success: false, error: 'Invalid news query', details };
+  }
+  return { success: true, limit, filters, window, variant, after };
+}
+
+function storySentiment(article) {
+  return article.story?.sentiment?.overall || article.sentiment || 'neutral';
+}
+
+// Een bronfilter matcht op provider (finnhub, polygon, …) of op de uitgever van een artikel in het verhaal
+function matchesSource(article, sources) {
+  const names = [
+    article.provider,
+    article.source,
+    ...(article.story?.sources || []),
+    ...(article.story?.related || []).map(related => related.provider)
+  ].filter(Boolean).map(name => name.toLowerCase());
+  return sources.some(source => names.some(name => name.includes(source)));
+}
+
+function filterNews(articles, filters) {
+  const from = filters.from ? Date.parse(filters.from) : null;
+  const to = filters.to ? Date.parse(filters.to) : null;
+
+  return articles.filter(article => {
+    if (filters.sources && !matchesSource(article, filters.sources)) return false;
+    if (filters.category && !filters.category.includes(article.category)) return false;
+    if (filters.sentiment && !filters.sentiment.includes(storySentiment(article))) return false;
+    if (filters.impact && !filters.impact.includes(article.impact)) return false;
+    if (from !== null || to !== null) {
+      const published = Date.parse(article.publishedAt);
+      if (Number.isNaN(published)) return false;
+      if (from !== null && published < from) return false;
+      if (to !== null && published > to) return false;
+    }
+    return true;
+  });
+}
+
+function paginateNews(articles, { limit, after }) {
+  const sorted = [...articles].sort(compareArticles);
+  const remaining = after ? sorted.filter(article => compareKeys(sortKey(article), after) > 0) : sorted;
+  const page = remaining.slice(0, limit);
+  return {
+    articles: page,
+    nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  NEWS_CATEGORIES,
+  NEWS_SENTIMENTS,
+  NEWS_IMPACTS,
+  compareArticles,
+  parseNewsQuery,
+  filterNews,
+  paginateNews
+};
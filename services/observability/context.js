@@ -0,0 +1,42 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Context per request (of achtergrondtaak): loopt mee door elke await, dus ook in de provider-calls
+const storage = new AsyncLocalStorage();
+
+// Alleen ids die we veilig in logs en headers kunnen zetten nemen we over van de client
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function newRequestId() {
+  return crypto.randomUUID();
+}
+
+function acceptRequestId(value) {
+  return typeof value === 'string' && REQUEST_ID_PATTERN.test(value) ? value : null;
+}
+
+function createContext(fields = {}) {
+  return { requestId: newRequestId(), upstream: [], ...fields };
+}
+
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+function currentContext() {
+  return storage.getStore() || null;
+}
+
+// Alerts en stream-polls lopen buiten een request; ze krijgen een eigen id zodat hun provider-calls te volgen zijn
+function runJob(job, fn) {
+  return runWithContext(createContext({ requestId: `${job}-${newRequestId().slice(0, 8)}`, job }), fn);
+}
+
+module.exports = {
+  newRequestId,
+  acceptRequestId,
+  createContext,
+  runWithContext,
+  currentContext,
+  runJob
+};
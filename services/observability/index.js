@@ -0,0 +1,112 @@
+const { MetricsRegistry, CONTENT_TYPE } = require('./metrics');
+const { createLogger, configureLogging, LEVELS } = require('./logger');
+const { acceptRequestId, createContext, runWithContext, currentContext, runJob, newRequestId } = require('./context');
+
+// Eén registry per proces; /metrics rendert hem in Prometheus-formaat
+const metrics = new MetricsRegistry();
+
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+
+const providerRequests = metrics.counter(
+  'provider_requests_total',
+  'Upstream provider calls by outcome (success, empty, error, timeout, rate_limited, unconfigured, skipped, deferred)',
+  ['provider', 'method', 'outcome']
+);
+const providerDuration = metrics.histogram('provider_request_duration_seconds', 'Upstream provider call latency', ['provider', 'method']);
+
+const cacheLookups = metrics.counter('cache_lookups_total', 'Response cache lookups by data type and status (hit, stale, miss)', ['type', 'status']);
+
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], gauge => gauge.set({}, process.memoryUsage().rss));
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', [], gauge => gauge.set({}, Math.round(process.uptime())));
+
+const httpLog = createLogger('http');
+
+// Zoveel upstream calls zetten we per request in de log, de traagste eerst
+const TRACE_LIMIT = 10;
+
+// Vult de context voor de rest van de request; provider-calls hangen hun timing eraan
+function recordProviderCall({ provider, method, symbol, durationMs, outcome, error, retryAt }) {
+  providerRequests.inc({ provider, method, outcome });
+  // Overgeslagen (circuit open) en uitgestelde (quotum op) calls hebben geen latency
+  if (outcome !== 'skipped' && outcome !== 'deferred') providerDuration.observe({ provider, method }, durationMs / 1000);
+
+  const context = currentContext();
+  if (context?.upstream) {
+    context.upstream.push({ provider, method, symbol, durationMs, outcome, ...(error ? { error } : {}), ...(retryAt ? { retryAt } : {}) });
+  }
+}
+
+function recordCacheLookup(type, status) {
+  cacheLookups.inc({ type, status });
+}
+
+// Een API key in de query (EventSource kan geen headers sturen) hoort niet in de logs
+function redactPath(url) {
+  return url.replace(/([?&]api_key=)[^&]*/g, '$1[redacted]');
+}
+
+// Routepatroon in plaats van het pad, zodat /api/analyze/AAPL en /MSFT één serie zijn
+function routeLabel(req, fallback) {
+  if (req.route?.path) return `${req.baseUrl || ''}${req.route.path}`;
+  return fallback || 'unmatched';
+}
+
+// Geeft elke request een id (X-Request-Id van de client of een nieuwe), logt hem bij afloop met de
+// upstream calls die hij deed en telt hem mee in de HTTP-metrics
+function requestTracing({ route } = {}) {
+  return (req, res, next) => {
+    const context = createContext({
+      requestId: acceptRequestId(req.headers?.['x-request-id']) || newRequestId()
+    });
+    const started = process.hrtime.bigint();
+    req.requestId = context.requestId;
+    res.setHeader('X-Request-Id', context.requestId);
+
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const labels = { method: req.method, route: routeLabel(req, route) };
+      httpRequests.inc({ ...labels, status: res.statusCode });
+      httpDuration.observe(labels, durationMs / 1000);
+
+      const upstream = [...context.upstream].sort((a, b) => b.durationMs - a.durationMs);
+      const level = res.statusCode >= 500 ? 'error' : 'info';
+      runWithContext(context, () => httpLog[level]('Request completed', {
+        method: req.method,
+        path: redactPath(req.originalUrl || req.url || ''),
+        route: labels.route,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs),
+        upstreamCalls: upstream.length || undefined,
+        upstream: upstream.length > 0 ? upstream.slice(0, TRACE_LIMIT) : undefined
+      }));
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    runWithContext(context, next);
+  };
+}
+
+function metricsHandler(req, res) {
+  res.setHeader('Content-Type', CONTENT_TYPE);
+  res.send(metrics.render());
+}
+
+module.exports = {
+  metrics,
+  createLogger,
+  configureLogging,
+  LEVELS,
+  requestTracing,
+  metricsHandler,
+  recordProviderCall,
+  recordCacheLookup,
+  currentContext,
+  runWithContext,
+  runJob
+};
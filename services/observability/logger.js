@@ -0,0 +1,104 @@
+const { currentContext } = require('./context');
+
+// Eén JSON-regel per logregel met tijd, niveau, module en (binnen een request) het request-id.
+// LOG_LEVEL zet het standaardniveau, LOG_LEVELS=providers=debug,cache=warn per module; een prefix
+// geldt ook voor submodules (providers → providers.fmp). LOG_FORMAT=pretty geeft leesbare regels voor lokaal werk.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+let config = null;
+const resolved = new Map();
+
+function parseLevel(value, fallback) {
+  const level = String(value || '').trim().toLowerCase();
+  return LEVELS[level] ? level : fallback;
+}
+
+function readLogConfig(env = process.env) {
+  const defaultLevel = parseLevel(env.LOG_LEVEL, DEFAULT_LEVEL);
+  const modules = [];
+  const invalid = [];
+
+  for (const entry of String(env.LOG_LEVELS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [module, level] = entry.split('=').map(part => (part || '').trim());
+    if (!module || !LEVELS[String(level).toLowerCase()]) {
+      invalid.push(entry);
+      continue;
+    }
+    modules.push({ module, level: level.toLowerCase() });
+  }
+
+  // Langste prefix eerst, zodat providers.fmp=error wint van providers=debug
+  modules.sort((a, b) => b.module.length - a.module.length);
+
+  return {
+    defaultLevel,
+    modules,
+    invalid,
+    format: String(env.LOG_FORMAT || '').trim().toLowerCase() === 'pretty' ? 'pretty' : 'json'
+  };
+}
+
+function configureLogging(env = process.env) {
+  config = readLogConfig(env);
+  resolved.clear();
+  if (config.invalid.length > 0) {
+    createLogger('logging').warn('Ignoring invalid LOG_LEVELS entries', { entries: config.invalid });
+  }
+  return config;
+}
+
+function getConfig() {
+  return config || configureLogging();
+}
+
+function levelFor(module) {
+  if (!resolved.has(module)) {
+    const { defaultLevel, modules } = getConfig();
+    const match = modules.find(entry => module === entry.module || module.startsWith(`${entry.module}.`));
+    resolved.set(module, match ? match.level : defaultLevel);
+  }
+  return resolved.get(module);
+}
+
+function serialize(value) {
+  if (value instanceof Error) return value.message;
+  return value;
+}
+
+function formatPretty(entry) {
+  const { time, level, module, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(level, module, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[levelFor(module)]) return;
+
+  const entry = { time: new Date().toISOString(), level, module, msg };
+  const context = currentContext();
+  if (context?.requestId) entry.requestId = context.requestId;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  const line = getConfig().format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function createLogger(module) {
+  return {
+    module,
+    debug: (msg, fields) => write('debug', module, msg, fields),
+    info: (msg, fields) => write('info', module, msg, fields),
+    warn: (msg, fields) => write('warn', module, msg, fields),
+    error: (msg, fields) => write('error', module, msg, fields),
+    enabled: level => LEVELS[level] >= LEVELS[levelFor(module)],
+    child: name => createLogger(`${module}.${name}`)
+  };
+}
+
+module.exports = { LEVELS, createLogger, configureLogging, readLogConfig };
@@ -0,0 +1,116 @@
+// /api/docs: één statische HTML-pagina uit de spec, zonder scripts of externe assets zodat de CSP van
+// helmet niets hoeft toe te laten. De ruwe spec staat op /api/openapi.json.
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JSON met $refs als links naar het schema onderaan de pagina
+function renderSchema(schema) {
+  const text = escapeHtml(JSON.stringify(schema, null, 2));
+  return `<pre>${text.replace(/&quot;#\/components\/schemas\/(\w+)&quot;/g, '<a href="#schema-$1">$1</a>')}</pre>`;
+}
+
+function schemaLink(schema) {
+  if (!schema) return '';
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    return `<a href="#schema-${name}">${name}</a>`;
+  }
+  return `<code>${escapeHtml(schema.type ? [].concat(schema.type).join(' | ') : 'object')}</code>`;
+}
+
+function renderParameters(parameters) {
+  if (parameters.length === 0) return '';
+  const rows = parameters.map(parameter => `
+        <tr>
+          <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td>
+          <td>${parameter.in}</td>
+          <td>${schemaLink(parameter.schema)}${parameter.schema.enum ? ` (${parameter.schema.enum.map(escapeHtml).join(', ')})` : ''}</td>
+          <td>${escapeHtml(parameter.description || '')}</td>
+        </tr>`).join('');
+  return `
+      <table>
+        <thead><tr><th>Parameter</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`;
+}
+
+function costNote(operation) {
+  const cost = operation['x-rate-limit-cost'];
+  if (!cost) return ' <em>(not rate limited)</em>';
+  return ` <em>(${cost} rate-limit point${cost === 1 ? '' : 's'})</em>`;
+}
+
+function renderOperation(template, method, item, operation) {
+  const parameters = [...(item.parameters || []), ...(operation.parameters || [])];
+  const requestSchema = operation.requestBody?.content?.['application/json']?.schema;
+  const responses = Object.entries(operation.responses).map(([status, response]) => {
+    const [type, content] = Object.entries(response.content || {})[0] || [];
+    const schema = content?.schema;
+    return `<li><strong>${status}</strong> ${escapeHtml(response.description)}${type && type !== 'application/json' ? ` (<code>${type}</code>)` : ''}${schema && type === 'application/json' ? ` — ${schemaLink(schema)}` : ''}</li>`;
+  }).join('');
+
+  return `
+    <section class="operation" id="${operation.operationId}">
+      <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(template)}</code></h3>
+      <p>${escapeHtml(operation.summary)}${operation.security ? ' <em>(requires <code>X-Admin-Token</code>)</em>' : ''}${costNote(operation)}</p>
+      ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+      ${renderParameters(parameters)}
+      ${requestSchema ? `<p>Request body: ${schemaLink(requestSchema)}</p>` : ''}
+      <ul>${responses}</ul>
+    </section>`;
+}
+
+function renderDocs(spec) {
+  const sections = spec.tags.map(({ name }) => {
+    const operations = [];
+    for (const [template, item] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(item)) {
+        if (method !== 'parameters' && operation.tags?.includes(name)) {
+          operations.push(renderOperation(template, method, item, operation));
+        }
+      }
+    }
+    return `\n  <h2>${escapeHtml(name)}</h2>${operations.join('')}`;
+  }).join('');
+
+  const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => `
+    <section class="schema" id="schema-${name}">
+      <h3>${name}</h3>
+      ${schema.description ? `<p>${escapeHtml(schema.description)}</p>` : ''}
+      ${renderSchema(schema)}
+    </section>`).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(spec.info.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+    h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: .25rem; margin-top: 2.5rem; }
+    .operation, .schema { margin: 1.25rem 0; }
+    .method { display: inline-block; min-width: 4rem; text-align: center; border-radius: 4px; color: #fff; font-size: .8rem; padding: .1rem .4rem; }
+    .get { background: #2563eb; } .post { background: #16a34a; } .put { background: #d97706; } .delete { background: #dc2626; } .patch { background: #7c3aed; }
+    table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+    th, td { text-align: left; border-bottom: 1px solid #f3f4f6; padding: .3rem .5rem; vertical-align: top; }
+    pre { background: #f9fafb; padding: .75rem; overflow-x: auto; font-size: .8rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>
+  <p>${escapeHtml(spec.info.description)}</p>
+  <p>Machine-readable: <a href="/api/openapi.json">/api/openapi.json</a> (OpenAPI ${spec.openapi}).</p>${sections}
+  <h2>Schemas</h2>${schemas}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocs };
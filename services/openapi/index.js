@@ -0,0 +1,170 @@
+const { spec } = require('./spec');
+const { validateSchema, coerceParameter } = require('./validator');
+const { renderDocs } = require('./docs');
+const { createLogger } = require('../observability');
+const { getConfig } = require('../config');
+
+const log = createLogger('openapi');
+
+// Request- en responsevalidatie tegen de spec. Requests met een fout type, ontbrekend verplicht veld of
+// onbekende enumwaarde krijgen een 400 met field-level details voordat de route ze ziet; de domeinregels
+// (datumvensters, symboolvorm, …) blijven bij de parsers van de routes.
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+const DEFAULT_ROUTE_COST = 1;
+
+// off: niet controleren, warn: afwijkingen loggen, strict: afwijkende responses vervangen door een 500.
+// Ongeldige waarden houdt de config al tegen.
+function readResponseMode(env = process.env) {
+  return getConfig(env).openapi.responseValidation || (env.NODE_ENV === 'production' ? 'off' : 'warn');
+}
+
+// /api/news/{symbol} → regex; vaste paden gaan voor paden met parameters (/api/earnings/calendar vóór {symbol})
+function compileOperations(document) {
+  const operations = [];
+  for (const [template, item] of Object.entries(document.paths)) {
+    const names = [];
+    const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    for (const method of METHODS.filter(method => item[method])) {
+      const operation = item[method];
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        regex: new RegExp(`^${pattern}/?$`),
+        names,
+        operation,
+        parameters: [...(item.parameters || []), ...(operation.parameters || [])]
+      });
+    }
+  }
+  return operations.sort((a, b) => a.names.length - b.names.length);
+}
+
+function pathOf(req) {
+  return (req.originalUrl || req.url || '').split('?')[0];
+}
+
+// Een kapotte escape (%E0%A4%A) gooit een URIError; null laat validateRequest er een 400 van maken
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+class OpenApiValidator {
+  constructor({ document = spec, responseMode = 'warn' } = {}) {
+    this.spec = document;
+    this.components = document.components;
+    this.responseMode = responseMode;
+    this.operations = compileOperations(document);
+  }
+
+  match(method, path) {
+    for (const entry of this.operations) {
+      if (entry.method !== method) continue;
+      const found = entry.regex.exec(path);
+      if (found) {
+        const params = {};
+        const malformed = [];
+        entry.names.forEach((name, i) => {
+          params[name] = decodeParam(found[i + 1]);
+          if (params[name] === null) malformed.push(name);
+        });
+        return { ...entry, params, malformed };
+      }
+    }
+    return null;
+  }
+
+  validateRequest(match, req) {
+    const details = (match.malformed || []).map(name => ({ field: name, message: 'Malformed percent-encoding in the path' }));
+    for (const parameter of match.parameters) {
+      if (parameter.in === 'path' && match.malformed?.includes(parameter.name)) continue;
+      const source = parameter.in === 'path' ? match.params : parameter.in === 'query' ? req.query || {} : null;
+      if (!source) continue;
+      const raw = source[parameter.name];
+      if (raw === undefined || raw === '') {
+        if (parameter.required) details.push({ field: parameter.name, message: `${parameter.name} is required` });
+        continue;
+      }
+      if (Array.isArray(raw)) {
+        details.push({ field: parameter.name, message: 'Pass this parameter once' });
+        continue;
+      }
+      details.push(...validateSchema(parameter.schema, coerceParameter(parameter.schema, raw, this.components), this.components, parameter.name));
+    }
+
+    const schema = match.operation.requestBody?.content?.['application/json']?.schema;
+    if (schema) {
+      details.push(...validateSchema(schema, req.body === undefined ? {} : req.body, this.components));
+    }
+    return details;
+  }
+
+  validateResponse(match, status, body) {
+    const response = match.operation.responses[status] || match.operation.responses.default;
+    if (!response) return [{ field: 'status', message: `Status ${status} is not documented` }];
+    const schema = response.content?.['application/json']?.schema;
+    return schema ? validateSchema(schema, body, this.components, 'response') : [];
+  }
+
+  // Controleert wat de route via res.json verstuurt; in strict-modus gaat een afwijkende body niet de deur uit
+  watchResponse(match, res) {
+    const send = res.json.bind(res);
+    res.json = body => {
+      const problems = this.validateResponse(match, res.statusCode, body);
+      if (problems.length === 0) return send(body);
+
+      log.warn('Response does not match the OpenAPI spec', {
+        method: match.method,
+        route: match.template,
+        status: res.statusCode,
+        problems: problems.slice(0, 5),
+        problemCount: problems.length
+      });
+      if (this.responseMode !== 'strict') return send(body);
+
+      res.status(500);
+      return send({ error: 'Response does not match the API contract', details: problems });
+    };
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      const match = this.match(req.method, pathOf(req));
+      if (!match) return next();
+
+      const details = this.validateRequest(match, req);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid request', details });
+      }
+
+      if (this.responseMode !== 'off') this.watchResponse(match, res);
+      next();
+    };
+  }
+}
+
+function createOpenApiValidator(env = process.env) {
+  return new OpenApiValidator({ document: spec, responseMode: readResponseMode(env) });
+}
+
+// Punten die een request de rate limiter kost, uit `x-rate-limit-cost` van de operatie; onbekende routes kosten 1
+function createRouteCosts(document = spec) {
+  const routes = new OpenApiValidator({ document, responseMode: 'off' });
+  return req => routes.match(req.method, pathOf(req))?.operation['x-rate-limit-cost'] ?? DEFAULT_ROUTE_COST;
+}
+
+// Statische routes voor de spec zelf en de leesbare documentatie
+function serveDocs(app, document = spec) {
+  const html = renderDocs(document);
+  app.get('/api/openapi.json', (req, res) => res.json(document));
+  app.get('/api/docs', (req, res) => res.type('html').send(html));
+}
+
+module.exports = { spec, OpenApiValidator, createOpenApiValidator, createRouteCosts, readResponseMode, serveDocs };
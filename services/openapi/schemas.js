@@ -0,0 +1,702 @@
+const { BATCH_FIELDS } = require('../batch');
+const { RULE_TYPES } = require('../alerts/rules');
+const { TRANSACTION_TYPES } = require('../portfolio/ledger');
+const { OPERATORS, SIZING_TYPES, BACKTEST_INTERVALS } = require('../backtest');
+const { ASSET_TYPES } = require('../instruments');
+const { NEWS_CATEGORIES, NEWS_SENTIMENTS, NEWS_IMPACTS } = require('../newsQuery');
+const { KEY_PLANS } = require('../apiKeys');
+
+// Schema's voor components.schemas in de OpenAPI-spec. Objecten sommen hun vaste velden op; extra velden
+// mogen (nieuwe providers voegen wel eens iets toe), maar de opgesomde velden moeten het juiste type hebben.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => (schema.$ref ? { anyOf: [schema, { type: 'null' }] } : { ...schema, type: [].concat(schema.type, 'null') });
+const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, required = Object.keys(properties), extra = {}) => ({ type: 'object', properties, required, ...extra });
+const map = values => ({ type: 'object', additionalProperties: values });
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const date = { type: 'string', format: 'date' };
+const timestamp = { type: 'string', format: 'date-time' };
+const enumOf = values => ({ type: 'string', enum: values });
+
+const SENTIMENTS = enumOf(NEWS_SENTIMENTS);
+
+const schemas = {
+  Error: object({
+    error: string,
+    details: {
+      description: 'Field-level problems for validation errors, otherwise an upstream message',
+      anyOf: [array(ref('FieldError')), string, { type: 'null' }]
+    }
+  }, ['error']),
+  FieldError: object({ field: string, message: string }),
+  RateLimitError: object({
+    error: string,
+    details: string,
+    plan: string,
+    cost: integer,
+    limit: integer,
+    remaining: integer,
+    retryAfterSeconds: integer
+  }),
+
+  CacheInfo: {
+    description: 'Cache status per data type that went into the response',
+    ...map(object({ status: enumOf(['hit', 'stale', 'miss']), ageSeconds: number, ttlSeconds: number }))
+  },
+  FxInfo: object({
+    from: string,
+    to: string,
+    rate: number,
+    asOf: string,
+    source: string,
+    cache: object({ status: string, ageSeconds: number, ttlSeconds: number }, []),
+    chart: {
+      ...object({
+        applied: enumOf(['daily', 'spot']),
+        from: date,
+        to: date,
+        asOf: string,
+        source: string,
+        error: string
+      }, ['applied']),
+      description: 'Only with candles. daily: each candle at the reference rate of its date (from/to span the rates used); spot: no rate history, every candle at `rate` (asOf)'
+    }
+  }, ['from', 'to', 'rate', 'asOf', 'source']),
+
+  Candle: object({
+    time: { type: 'string', description: 'YYYY-MM-DD for daily candles, an ISO timestamp for intraday' },
+    open: number,
+    high: number,
+    low: number,
+    close: number,
+    volume: nullable(number),
+    displayDate: string,
+    index: integer,
+    sma20: nullable(number),
+    sma50: nullable(number),
+    ema12: nullable(number)
+  }, ['time', 'open', 'high', 'low', 'close']),
+
+  StockFundamentals: object({
+    type: { type: 'string', const: 'stock' },
+    marketCap: { ...nullable(number), description: 'Billions in the response currency' },
+    peRatio: nullable(number),
+    eps: nullable(number),
+    dividendYield: { ...nullable(number), description: 'Percent' },
+    debtToEquity: nullable(number),
+    revenueGrowthYoY: nullable(number),
+    revenueGrowthQoQ: nullable(number),
+    earningsGrowthYoY: nullable(number),
+    earningsGrowthQoQ: nullable(number),
+    bookValue: nullable(number),
+    roe: nullable(number),
+    grossMargin: nullable(number),
+    operatingMargin: nullable(number),
+    beta: nullable(number),
+    unavailable: { ...map(string), description: 'Why a metric is null, keyed by metric name' },
+    statementsSource: nullable(string),
+    statementsAsOf: nullable(string)
+  }, ['type', 'marketCap', 'peRatio', 'eps', 'dividendYield', 'debtToEquity', 'revenueGrowthYoY', 'revenueGrowthQoQ',
+    'earningsGrowthYoY', 'earningsGrowthQoQ', 'bookValue', 'roe', 'grossMargin', 'operatingMargin', 'beta']),
+  CryptoFundamentals: object({
+    type: { type: 'string', const: 'crypto' },
+    marketCap: { ...number, description: 'Billions in the response currency' },
+    volume24h: { ...number, description: 'Millions in the response currency' },
+    circulatingSupply: number,
+    maxSupply: nullable(number),
+    totalSupply: number,
+    marketDominance: number,
+    priceChange7d: number,
+    priceChange30d: number,
+    allTimeHigh: number,
+    allTimeLow: number,
+    athDistance: number,
+    volatility: number,
+    liquidityScore: number,
+    hodlerRatio: number,
+    exchangeInflow: object({ inflow: number, outflow: number, netFlow: number, trend: enumOf(['accumulation', 'distribution']) }),
+    whaleActivity: object({ largeTransactions: integer, whaleNetFlow: number, topHoldersPercent: number, activity: enumOf(['high', 'medium', 'low']) }),
+    networkHealth: object({ hashRate: nullable(number), networkGrowth: number, activeAddresses: integer, transactionCount: integer })
+  }, ['type', 'marketCap', 'volume24h', 'circulatingSupply', 'maxSupply', 'totalSupply', 'marketDominance', 'priceChange7d',
+    'priceChange30d', 'allTimeHigh', 'allTimeLow', 'athDistance', 'volatility', 'liquidityScore', 'hodlerRatio']),
+  Fundamentals: { oneOf: [ref('StockFundamentals'), ref('CryptoFundamentals')] },
+
+  Story: object({
+    id: string,
+    articleCount: integer,
+    sources: array(string),
+    sentiment: object({ overall: SENTIMENTS, score: number }),
+    firstPublishedAt: string,
+    lastPublishedAt: string,
+    related: array(object({ headline: string, source: string, provider: string, url: nullable(string), publishedAt: string, sentimentScore: number }, ['headline', 'source']))
+  }),
+  NewsArticle: object({
+    headline: string,
+    summary: nullable(string),
+    source: string,
+    url: nullable(string),
+    publishedAt: string,
+    provider: string,
+    sourceTier: string,
+    sentiment: SENTIMENTS,
+    sentimentScore: number,
+    vendorSentimentScore: number,
+    impact: enumOf(NEWS_IMPACTS),
+    relevanceScore: number,
+    category: enumOf(NEWS_CATEGORIES),
+    story: ref('Story')
+  }, ['headline', 'source', 'publishedAt', 'sentiment', 'sentimentScore', 'impact']),
+  SentimentDistribution: object({ positive: number, neutral: number, negative: number }),
+  Sentiment: object({
+    overall: SENTIMENTS,
+    score: number,
+    distribution: ref('SentimentDistribution'),
+    vendorBlended: number,
+    articles: array(ref('NewsArticle'))
+  }, ['overall', 'score', 'distribution', 'articles']),
+
+  QuarterlyEarnings: object({
+    success: boolean,
+    source: string,
+    latestQuarter: object({
+      period: string,
+      year: string,
+      revenue: nullable(number),
+      netIncome: nullable(number),
+      eps: nullable(number),
+      revenueGrowthYoY: nullable(number),
+      earningsGrowthYoY: nullable(number)
+    }, ['period']),
+    outlook: object({
+      nextEarningsDate: nullable(string),
+      nextEarningsTime: nullable(string),
+      analystExpectations: string,
+      guidance: string
+    }, ['nextEarningsDate']),
+    historicalQuarters: array(object({ period: string, revenue: nullable(number), netIncome: nullable(number), eps: nullable(number) }, ['period'])),
+    message: string,
+    error: string
+  }, ['success']),
+  EarningsEvent: object({
+    symbol: string,
+    date,
+    time: nullable(string),
+    fiscalPeriod: nullable(string),
+    fiscalDateEnding: nullable(string),
+    epsEstimate: nullable(number),
+    epsActual: nullable(number),
+    revenueEstimate: nullable(number),
+    revenueActual: nullable(number),
+    sources: array(string)
+  }, ['symbol', 'date', 'sources']),
+  SurpriseHistory: object({
+    source: string,
+    fetchedAt: string,
+    streak: nullable(object({ result: enumOf(['beat', 'miss', 'inline']), length: integer })),
+    beats: integer,
+    misses: integer,
+    inline: integer,
+    beatRate: nullable(number),
+    averageSurprisePercent: nullable(number),
+    quarters: array(object({
+      fiscalPeriod: nullable(string),
+      fiscalDateEnding: nullable(string),
+      reportedDate: nullable(string),
+      reportTime: nullable(string),
+      epsActual: nullable(number),
+      epsEstimate: nullable(number),
+      surprise: nullable(number),
+      surprisePercent: nullable(number),
+      result: enumOf(['beat', 'miss', 'inline'])
+    }, ['epsActual', 'epsEstimate', 'result']))
+  }, ['beats', 'misses', 'inline', 'quarters']),
+  ProviderOutcome: object({
+    answered: array(map({})),
+    failed: array(map({}))
+  }),
+
+  AnalyzeRequest: object({
+    symbol: { type: 'string', minLength: 1, maxLength: 20, example: 'AAPL' },
+    currency: { type: 'string', description: 'ISO code to convert prices to, e.g. EUR' }
+  }, ['symbol']),
+  AnalysisResponse: object({
+    symbol: string,
+    company: nullable(string),
+    currentPrice: number,
+    priceChange: number,
+    priceChangePercent: number,
+    currency: string,
+    nativeCurrency: string,
+    fx: nullable(ref('FxInfo')),
+    assetType: enumOf(ASSET_TYPES),
+    sector: nullable(string),
+    chartData: array(ref('Candle')),
+    fundamentals: ref('Fundamentals'),
+    sentiment: ref('Sentiment'),
+    earnings: ref('QuarterlyEarnings'),
+    timestamp,
+    dataSource: string,
+    enhancedFeatures: map(boolean),
+    skippedProviders: array(ref('SkippedProvider')),
+    cache: ref('CacheInfo')
+  }),
+  SkippedProvider: object({
+    provider: string,
+    method: string,
+    reason: { ...enumOf(['circuit_open', 'quota']), description: 'Open circuit breaker or used-up upstream quota' },
+    retryAt: nullable(timestamp)
+  }),
+  ProviderQuota: object({
+    daily: nullable(object({ limit: integer, used: integer, remaining: integer, reserve: integer, resetsAt: timestamp })),
+    perMinute: nullable(object({ limit: integer, used: integer, remaining: integer })),
+    cost: { ...number, description: 'Share of the daily budget one call uses; 0 without a daily limit' },
+    deferred: integer,
+    blockedUntil: nullable(timestamp)
+  }),
+
+  ProviderHealth: object({
+    name: string,
+    configured: boolean,
+    state: enumOf(['closed', 'half_open', 'open']),
+    consecutiveFailures: integer,
+    successRate: { ...nullable(number), description: 'Share of successful calls in the recent window' },
+    latencyMs: object({ avg: nullable(number), p95: nullable(number) }),
+    window: integer,
+    totals: object({ calls: integer, failures: integer, skipped: integer }),
+    lastError: nullable(object({ message: string, outcome: string, method: string, at: timestamp }, ['message', 'outcome', 'at'])),
+    lastSuccessAt: nullable(timestamp),
+    openedAt: nullable(timestamp),
+    retryAt: nullable(timestamp),
+    quota: { ...nullable(ref('ProviderQuota')), description: 'Upstream budget; null for providers without limits' },
+    capabilities: array(string)
+  }),
+  ProviderStatus: object({
+    status: enumOf(['ok', 'degraded', 'down']),
+    checkedAt: timestamp,
+    providers: map(ref('ProviderHealth')),
+    capabilities: map(object({ providers: array(string), available: array(string) }))
+  }),
+
+  BatchRequest: object({
+    symbols: { description: 'Array of tickers or a comma-separated string', anyOf: [array(string, { minItems: 1 }), string] },
+    fields: array(enumOf(BATCH_FIELDS), { minItems: 1 }),
+    currency: string
+  }, ['symbols']),
+  BatchResult: object({
+    symbol: string,
+    success: boolean,
+    assetType: enumOf(ASSET_TYPES),
+    company: string,
+    currency: string,
+    nativeCurrency: string,
+    fx: nullable(ref('FxInfo')),
+    quote: object({ currentPrice: number, priceChange: number, priceChangePercent: number, marketCap: nullable(number), volume: nullable(number) }),
+    chart: nullable(array(ref('Candle'))),
+    fundamentals: nullable(ref('Fundamentals')),
+    sentiment: nullable(object({ overall: SENTIMENTS, score: number, distribution: ref('SentimentDistribution'), articleCount: integer }, ['overall', 'score', 'articleCount'])),
+    earnings: nullable(ref('QuarterlyEarnings')),
+    errors: map(string),
+    error: string,
+    cache: ref('CacheInfo')
+  }, ['symbol', 'success']),
+  BatchResponse: object({
+    requested: integer,
+    succeeded: integer,
+    failed: integer,
+    fields: array(enumOf(BATCH_FIELDS)),
+    currency: nullable(string),
+    results: array(ref('BatchResult')),
+    timestamp
+  }),
+  ComparisonPerformance: object({
+    totalReturnPct: number,
+    cagrPct: nullable(number),
+    maxDrawdownPct: number,
+    sharpe: nullable(number),
+    volatilityPct: nullable(number)
+  }, ['totalReturnPct', 'maxDrawdownPct']),
+  ComparisonResponse: object({
+    symbols: array(string),
+    range: string,
+    interval: string,
+    currency: nullable(string),
+    base: { ...number, description: 'Every series starts at this value' },
+    from: string,
+    to: string,
+    series: array(object({ time: string, displayDate: string, values: { ...map(number), description: 'Rebased close per symbol' } })),
+    correlation: object({
+      symbols: { ...array(string), description: 'Row and column order of the matrix' },
+      observations: { ...integer, description: 'Number of aligned period returns' },
+      matrix: { ...array(array(nullable(number))), description: 'Pearson correlation of period returns; null with fewer than 3 observations' }
+    }),
+    results: array(ref('ComparisonResult')),
+    timestamp
+  }),
+
+  WatchlistInput: object({
+    name: { type: 'string', minLength: 1, maxLength: 80 },
+    symbols: array(string)
+  }, ['name']),
+  WatchlistUpdate: object({
+    name: { type: 'string', minLength: 1, maxLength: 80 },
+    symbols: array(string)
+  }, []),
+  Watchlist: object({ id: string, name: string, symbols: array(string), createdAt: timestamp, updatedAt: timestamp }),
+  WatchlistList: object({ count: integer, watchlists: array(ref('Watchlist')) }),
+  WatchlistSummary: object({
+    id: string,
+    name: string,
+    members: array(object({
+      symbol: string,
+      success: boolean,
+      assetType: enumOf(ASSET_TYPES),
+      name: string,
+      currentPrice: number,
+      priceChangePercent: number,
+      currency: string,
+      sentiment: object({ overall: SENTIMENTS, score: number }),
+      error: string
+    }, ['symbol', 'success'])),
+    timestamp
+  }),
+
+  AlertRuleInput: object({
+    symbol: string,
+    type: enumOf(Object.keys(RULE_TYPES)),
+    params: { type: 'object', description: 'Parameters of the rule type, e.g. { "price": 200, "direction": "above" } for price_cross' },
+    name: nullable({ type: 'string', maxLength: 80 }),
+    webhooks: array(string, { maxItems: 5 }),
+    cooldownSeconds: { type: 'integer', minimum: 0, maximum: 604800 },
+    enabled: boolean
+  }, ['symbol', 'type']),
+  AlertRuleUpdate: object({
+    params: { type: 'object' },
+    name: nullable({ type: 'string', maxLength: 80 }),
+    webhooks: array(string, { maxItems: 5 }),
+    cooldownSeconds: { type: 'integer', minimum: 0, maximum: 604800 },
+    enabled: boolean
+  }, []),
+  AlertRule: object({
+    id: string,
+    symbol: string,
+    type: enumOf(Object.keys(RULE_TYPES)),
+    params: { type: 'object' },
+    name: nullable(string),
+    webhooks: array(string),
+    cooldownSeconds: integer,
+    enabled: boolean,
+    state: { type: 'object' },
+    createdAt: timestamp,
+    updatedAt: timestamp
+  }),
+  AlertRuleList: object({
+    count: integer,
+    rules: array(ref('AlertRule')),
+    engine: object({ scheduler: string, intervalSeconds: number, lastRun: nullable({ type: 'object' }) })
+  }),
+  AlertEvent: object({
+    id: string,
+    ruleId: string,
+    ruleName: nullable(string),
+    symbol: string,
+    type: string,
+    params: { type: 'object' },
+    value: nullable(number),
+    message: string,
+    triggeredAt: timestamp,
+    deliveries: array({ type: 'object' })
+  }, ['id', 'ruleId', 'symbol', 'type', 'message', 'triggeredAt']),
+  AlertHistory: object({ count: integer, events: array(ref('AlertEvent')) }),
+  AlertEvaluation: object({ startedAt: timestamp, durationMs: number, evaluated: integer, triggered: integer, events: array(ref('AlertEvent')) }),
+
+  PortfolioInput: object({ name: { type: 'string', minLength: 1, maxLength: 80 } }),
+  Portfolio: object({ id: string, name: string, createdAt: timestamp, updatedAt: timestamp }),
+  PortfolioList: object({
+    count: integer,
+    portfolios: array(object({ id: string, name: string, createdAt: timestamp, updatedAt: timestamp, transactionCount: integer }))
+  }),
+  Holding: object({
+    symbol: string,
+    assetType: enumOf(ASSET_TYPES),
+    sector: nullable(string),
+    quantity: number,
+    averageCost: number,
+    costBasis: number,
+    currentPrice: nullable(number),
+    marketValue: nullable(number),
+    unrealizedPnL: nullable(number),
+    unrealizedPnLPercent: nullable(number),
+    realizedPnL: number,
+    dividends: number,
+    weight: nullable(number),
+    error: string
+  }, ['symbol', 'quantity', 'costBasis', 'currentPrice', 'marketValue']),
+  PortfolioValuation: object({
+    id: string,
+    name: string,
+    holdings: array(ref('Holding')),
+    closedPositions: array(object({ symbol: string, realizedPnL: number, dividends: number })),
+    totals: object({
+      marketValue: number,
+      costBasis: number,
+      unrealizedPnL: number,
+      unrealizedPnLPercent: nullable(number),
+      realizedPnL: number,
+      dividends: number,
+      accountFees: number,
+      totalPnL: number
+    }),
+    allocation: object({
+      byAssetType: array(object({ assetType: string, marketValue: number, weight: nullable(number) })),
+      bySector: array(object({ sector: string, marketValue: number, weight: nullable(number) }))
+    }),
+    pricedHoldings: integer,
+    timestamp
+  }),
+  TransactionInput: object({
+    type: enumOf(TRANSACTION_TYPES),
+    date: { ...date, description: 'Defaults to today' },
+    symbol: string,
+    quantity: { type: 'number', exclusiveMinimum: 0 },
+    price: { type: 'number', exclusiveMinimum: 0 },
+    fee: { type: 'number', minimum: 0 },
+    amount: { type: 'number', exclusiveMinimum: 0 }
+  }, ['type']),
+  Transaction: object({
+    id: string,
+    type: enumOf(TRANSACTION_TYPES),
+    date,
+    symbol: nullable(string),
+    quantity: number,
+    price: number,
+    fee: number,
+    amount: number,
+    createdAt: timestamp
+  }, ['id', 'type', 'date', 'createdAt']),
+  TransactionList: object({ count: integer, transactions: array(ref('Transaction')) }),
+  EquityCurve: object({
+    id: string,
+    range: string,
+    from: date,
+    to: date,
+    points: array(object({ date, marketValue: number, costBasis: number, unrealizedPnL: number, realizedPnL: number, totalPnL: number }))
+  }),
+
+  BacktestCondition: object({
+    left: { anyOf: [string, number] },
+    op: enumOf(OPERATORS),
+    right: { anyOf: [string, number] }
+  }),
+  BacktestRuleSet: {
+    description: '{ all: [...] } or { any: [...] } with 1-10 conditions; a bare array means all',
+    anyOf: [
+      object({
+        all: array(ref('BacktestCondition'), { minItems: 1, maxItems: 10 }),
+        any: array(ref('BacktestCondition'), { minItems: 1, maxItems: 10 })
+      }, []),
+      array(ref('BacktestCondition'), { minItems: 1, maxItems: 10 })
+    ]
+  },
+  BacktestRequest: object({
+    symbol: string,
+    from: date,
+    to: date,
+    interval: enumOf(BACKTEST_INTERVALS),
+    initialCapital: { type: 'number', minimum: 1 },
+    strategy: object({
+      indicators: {
+        ...map(string),
+        description: 'Series names mapped to specs like "sma:20". Omitted: the SMA 20/50 crossover including its entry and exit; supplied: entry is required and exit has no default (a stop-loss or take-profit can replace it)'
+      },
+      entry: ref('BacktestRuleSet'),
+      exit: nullable(ref('BacktestRuleSet')),
+      stopLossPct: nullable(number),
+      takeProfitPct: nullable(number),
+      sizing: object({ type: enumOf(SIZING_TYPES), value: number }, []),
+      fees: object({ percent: number, fixed: number }, [])
+    }, [])
+  }, ['symbol']),
+  BacktestMetrics: object({
+    finalEquity: number,
+    totalReturnPct: number,
+    cagrPct: nullable(number),
+    maxDrawdownPct: number,
+    sharpe: nullable(number),
+    volatilityPct: nullable(number),
+    trades: integer,
+    winRatePct: nullable(number),
+    profitFactor: nullable(number),
+    averageTradePct: nullable(number),
+    exposurePct: number,
+    totalFees: number
+  }, ['finalEquity', 'totalReturnPct', 'maxDrawdownPct']),
+  BacktestReport: object({
+    symbol: string,
+    assetType: enumOf(ASSET_TYPES),
+    interval: enumOf(BACKTEST_INTERVALS),
+    initialCapital: number,
+    period: object({
+      requestedFrom: date,
+      requestedTo: date,
+      from: { ...string, description: 'First candle in the test; can be after requestedFrom (weekends, holidays)' },
+      to: string,
+      candles: integer
+    }),
+    metrics: ref('BacktestMetrics'),
+    buyAndHold: ref('BacktestMetrics'),
+    comparison: object({ excessReturnPct: number, outperformed: boolean }),
+    trades: array(object({
+      entryTime: string,
+      entryPrice: number,
+      exitTime: string,
+      exitPrice: number,
+      quantity: number,
+      fees: number,
+      pnl: number,
+      returnPct: number,
+      bars: integer,
+      exitReason: string
+    })),
+    equityCurve: array(object({ time: string, equity: number, buyAndHold: number, drawdownPct: number })),
+    timestamp
+  }),
+
+  Instrument: object({
+    symbol: string,
+    name: string,
+    exchange: nullable(string),
+    assetType: enumOf(ASSET_TYPES),
+    currency: nullable(string),
+    score: number
+  }, ['symbol', 'name', 'assetType']),
+  IndexInfo: object({ size: integer, source: string, updatedAt: nullable(string) }),
+  SearchResponse: object({ query: string, count: integer, results: array(ref('Instrument')), index: ref('IndexInfo') }),
+
+  NewsResponse: object({
+    symbol: string,
+    totalArticles: integer,
+    returnedArticles: integer,
+    totalSourceArticles: integer,
+    articles: array(ref('NewsArticle')),
+    nextCursor: nullable(string),
+    filters: { type: 'object' },
+    sources: array(string),
+    providers: ref('ProviderOutcome'),
+    timestamp,
+    cache: ref('CacheInfo')
+  }),
+  CandlesResponse: object({
+    symbol: string,
+    range: string,
+    interval: string,
+    currency: string,
+    nativeCurrency: string,
+    fx: nullable(ref('FxInfo')),
+    count: integer,
+    candles: array(ref('Candle')),
+    timestamp,
+    cache: ref('CacheInfo')
+  }),
+  IndicatorsResponse: object({
+    symbol: string,
+    range: string,
+    interval: string,
+    count: integer,
+    indicators: {
+      description: 'Keyed by the normalized spec, e.g. "sma:20" or "macd:12:26:9"',
+      ...map(object({ name: string, params: map(number), values: array(map({ type: ['string', 'number', 'null'] })) }))
+    },
+    timestamp,
+    cache: ref('CacheInfo')
+  }),
+  StreamStatus: object({
+    clients: integer,
+    pollSeconds: number,
+    heartbeatSeconds: number,
+    bufferedEvents: integer,
+    lastEventId: nullable(string),
+    symbols: array({ type: 'object' }),
+    maxSymbols: integer,
+    timestamp
+  }),
+
+  EarningsResponse: object({
+    symbol: string,
+    earnings: ref('QuarterlyEarnings'),
+    nextEarnings: nullable(ref('EarningsEvent')),
+    surprises: nullable(ref('SurpriseHistory')),
+    timestamp,
+    cache: ref('CacheInfo')
+  }),
+  EarningsCalendar: object({
+    from: date,
+    to: date,
+    count: integer,
+    events: array(ref('EarningsEvent')),
+    syncedAt: nullable(string),
+    providers: ref('ProviderOutcome'),
+    timestamp
+  }, ['from', 'to', 'count', 'events', 'timestamp']),
+
+  ServiceInfo: object({
+    message: string,
+    timestamp,
+    dataSources: array(string),
+    features: array(string),
+    apiStatus: map(boolean),
+    providers: map(array(string)),
+    instruments: ref('IndexInfo')
+  }),
+  CacheSummary: object({
+    entries: integer,
+    stats: object({ hits: integer, stale: integer, misses: integer, errors: integer }),
+    policies: map(object({ ttl: number, stale: number }))
+  }),
+  CachePurge: object({ symbol: string, purged: integer, keys: array(string), timestamp }),
+  ApiKeyInput: object({
+    name: { type: 'string', minLength: 1, maxLength: 80 },
+    plan: { ...enumOf(KEY_PLANS), description: 'Defaults to free' }
+  }, ['name']),
+  ApiKeyUpdate: object({
+    name: { type: 'string', minLength: 1, maxLength: 80 },
+    plan: enumOf(KEY_PLANS),
+    disabled: boolean
+  }, []),
+  ApiKey: object({
+    id: string,
+    name: string,
+    plan: enumOf(KEY_PLANS),
+    prefix: { ...string, description: 'First characters of the key, to recognise it' },
+    disabled: boolean,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  }),
+  ApiKeyCreated: {
+    ...object({ key: ref('ApiKey'), secret: { ...string, description: 'The full key. It is only shown here; store it now.' } }),
+    description: 'A new API key'
+  },
+  ApiKeyList: object({ count: integer, keys: array(ref('ApiKey')) }),
+  ApiKeyDetail: object({
+    key: ref('ApiKey'),
+    usage: object({ limit: integer, remaining: integer, resetSeconds: integer, windowSeconds: integer })
+  }),
+  InstrumentRefresh: object({ success: boolean, size: integer, updatedAt: string, providers: { type: 'object' } }),
+  ConfigView: object({
+    environment: string,
+    files: { ...array(string), description: 'Config files that were loaded, lowest priority first' },
+    settings: { type: 'object', description: 'Effective settings in the shape of config/*.json; secrets read "[redacted]" when set' },
+    sources: { ...map(string), description: 'Where each non-default setting came from, e.g. "env:PORT" or "file:config/production.json"' }
+  }),
+  ProviderTest: object({ assetType: enumOf(ASSET_TYPES) }, ['assetType'])
+};
+
+// Een batchresultaat zonder candles (die staan herleid in `series`), met de prestaties over de vergeleken periode
+const { chart, earnings, ...comparisonFields } = schemas.BatchResult.properties;
+schemas.ComparisonResult = object({ ...comparisonFields, performance: nullable(ref('ComparisonPerformance')) }, ['symbol', 'success']);
+
+module.exports = { schemas, ref };
@@ -0,0 +1,462 @@
+const { schemas, ref } = require('./schemas');
+const { version } = require('../../package.json');
+
+// De OpenAPI-beschrijving van elke route in server.js. Request-validatie, response-controle, /api/docs en
+// de gegenereerde TypeScript-client lezen allemaal dit ene document.
+
+const json = schema => ({ 'application/json': { schema } });
+
+function pathParam(name, description) {
+  return { name, in: 'path', required: true, description, schema: { type: 'string' } };
+}
+
+function query(name, schema, description) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+const symbolParam = pathParam('symbol', 'Ticker, e.g. AAPL or BTC');
+const idParam = name => pathParam(name, `${name === 'id' ? 'Resource' : 'Transaction'} id`);
+const currencyQuery = query('currency', { type: 'string' }, 'ISO code to convert prices to, e.g. EUR');
+const rangeQuery = query('range', { type: 'string' }, '1d, 5d, 1mo, 3mo, 6mo, 1y, 2y, 5y or max (default 1y)');
+const intervalQuery = query('interval', { type: 'string' }, 'Candle interval; defaults per range');
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Invalid admin token',
+  403: 'Admin API disabled',
+  404: 'Not found',
+  409: 'Conflict',
+  422: 'Request cannot be processed',
+  500: 'Internal error',
+  502: 'Upstream provider failed',
+  503: 'Temporarily unavailable'
+};
+
+function responses(success, ...errorCodes) {
+  const result = { ...success };
+  for (const code of [...errorCodes, 500]) {
+    result[code] = { description: ERROR_DESCRIPTIONS[code], content: json(ref('Error')) };
+  }
+  return result;
+}
+
+const ok = (schemaName, description = 'OK') => ({ 200: { description, content: json(ref(schemaName)) } });
+const created = schemaName => ({ 201: { description: 'Created', content: json(ref(schemaName)) } });
+const noContent = { 204: { description: 'Deleted' } };
+const body = schemaName => ({ required: true, content: json(ref(schemaName)) });
+const admin = [{ adminToken: [] }];
+
+const paths = {
+  '/': {
+    get: { operationId: 'getServiceInfo', tags: ['Meta'], summary: 'Service info and configured providers', responses: responses(ok('ServiceInfo')) }
+  },
+  '/api/openapi.json': {
+    get: {
+      operationId: 'getOpenApiSpec',
+      tags: ['Meta'],
+      summary: 'This OpenAPI document',
+      responses: { 200: { description: 'OpenAPI 3.1 document', content: json({ type: 'object' }) } }
+    }
+  },
+  '/api/docs': {
+    get: {
+      operationId: 'getApiDocs',
+      tags: ['Meta'],
+      summary: 'Human-readable API reference',
+      responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+    }
+  },
+  '/metrics': {
+    get: {
+      operationId: 'getMetrics',
+      tags: ['Meta'],
+      summary: 'Prometheus metrics',
+      description: 'HTTP, upstream provider and cache counters and latency histograms in the Prometheus text format. Not rate limited.',
+      responses: { 200: { description: 'Prometheus exposition format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } } }
+    }
+  },
+
+  '/api/status': {
+    get: {
+      operationId: 'getStatus',
+      tags: ['Meta'],
+      summary: 'Provider health, circuit breaker state and remaining quota',
+      description: 'Success rate, latency, last error and remaining upstream budget per provider, plus which providers are usable per capability. Returns 503 when a capability has no usable provider left.',
+      responses: {
+        200: { description: 'All capabilities have a usable provider', content: json(ref('ProviderStatus')) },
+        503: { description: 'At least one capability is down', content: json(ref('ProviderStatus')) }
+      }
+    }
+  },
+
+  '/api/analyze': {
+    post: {
+      operationId: 'analyze',
+      tags: ['Analysis'],
+      summary: 'Full analysis of one symbol',
+      description: 'Quote, one year of daily candles, fundamentals, news sentiment and earnings. `currency` may also be sent as a query parameter. `skippedProviders` lists providers left out because their circuit breaker was open or their quota was used up.',
+      parameters: [currencyQuery],
+      requestBody: body('AnalyzeRequest'),
+      responses: responses(ok('AnalysisResponse'), 400, 503)
+    }
+  },
+  '/api/analyze/batch': {
+    post: {
+      operationId: 'analyzeBatch',
+      tags: ['Analysis'],
+      summary: 'Analyze several symbols in one request',
+      requestBody: body('BatchRequest'),
+      responses: responses(ok('BatchResponse'), 400)
+    }
+  },
+  '/api/compare': {
+    get: {
+      operationId: 'compareSymbols',
+      tags: ['Analysis'],
+      summary: 'Relative performance, correlation and fundamentals of several symbols',
+      description: 'Closes rebased to 100 on the first date every symbol traded, the correlation matrix of their period returns, and quote, fundamentals, sentiment and performance per symbol. Without `currency` each symbol keeps its own currency. With `currency` the candles are converted at the rate of their own date, so returns include the exchange-rate moves; `fx.chart` per result says whether dated rates were applied. Returns 502 when fewer than two symbols have price history.',
+      parameters: [
+        { ...query('symbols', { type: 'string', minLength: 1 }, 'Two or more comma-separated tickers, e.g. NVDA,AMD,SPY'), required: true },
+        rangeQuery,
+        intervalQuery,
+        currencyQuery
+      ],
+      responses: responses(ok('ComparisonResponse'), 400, 422, 502)
+    }
+  },
+
+  '/api/watchlists': {
+    get: { operationId: 'listWatchlists', tags: ['Watchlists'], summary: 'All watchlists', responses: responses(ok('WatchlistList')) },
+    post: {
+      operationId: 'createWatchlist',
+      tags: ['Watchlists'],
+      summary: 'Create a watchlist',
+      requestBody: body('WatchlistInput'),
+      responses: responses(created('Watchlist'), 400, 409)
+    }
+  },
+  '/api/watchlists/{id}': {
+    parameters: [idParam('id')],
+    get: { operationId: 'getWatchlist', tags: ['Watchlists'], summary: 'One watchlist', responses: responses(ok('Watchlist'), 404) },
+    put: {
+      operationId: 'updateWatchlist',
+      tags: ['Watchlists'],
+      summary: 'Rename a watchlist or replace its symbols',
+      requestBody: body('WatchlistUpdate'),
+      responses: responses(ok('Watchlist'), 400, 404, 409)
+    },
+    delete: { operationId: 'deleteWatchlist', tags: ['Watchlists'], summary: 'Delete a watchlist', responses: responses(noContent, 404) }
+  },
+  '/api/watchlists/{id}/summary': {
+    parameters: [idParam('id')],
+    get: {
+      operationId: 'getWatchlistSummary',
+      tags: ['Watchlists'],
+      summary: 'Price, change and sentiment per member',
+      parameters: [currencyQuery],
+      responses: responses(ok('WatchlistSummary'), 400, 404, 503)
+    }
+  },
+
+  '/api/alerts': {
+    get: { operationId: 'listAlerts', tags: ['Alerts'], summary: 'All alert rules and the scheduler state', responses: responses(ok('AlertRuleList')) },
+    post: {
+      operationId: 'createAlert',
+      tags: ['Alerts'],
+      summary: 'Create an alert rule',
+      requestBody: body('AlertRuleInput'),
+      responses: responses(created('AlertRule'), 400)
+    }
+  },
+  '/api/alerts/history': {
+    get: {
+      operationId: 'getAlertHistory',
+      tags: ['Alerts'],
+      summary: 'Triggered alerts, newest first',
+      parameters: [
+        query('ruleId', { type: 'string' }, 'Only events of this rule'),
+        query('symbol', { type: 'string' }, 'Only events for this symbol'),
+        query('limit', { type: 'integer', minimum: 1 }, 'Maximum number of events (default 50)')
+      ],
+      responses: responses(ok('AlertHistory'))
+    }
+  },
+  '/api/alerts/evaluate': {
+    post: { operationId: 'evaluateAlerts', tags: ['Alerts'], summary: 'Run one evaluation round now', responses: responses(ok('AlertEvaluation')) }
+  },
+  '/api/alerts/{id}': {
+    parameters: [idParam('id')],
+    get: { operationId: 'getAlert', tags: ['Alerts'], summary: 'One alert rule', responses: responses(ok('AlertRule'), 404) },
+    put: {
+      operationId: 'updateAlert',
+      tags: ['Alerts'],
+      summary: 'Change parameters, webhooks, cooldown or enabled state',
+      requestBody: body('AlertRuleUpdate'),
+      responses: responses(ok('AlertRule'), 400, 404)
+    },
+    delete: { operationId: 'deleteAlert', tags: ['Alerts'], summary: 'Delete an alert rule', responses: responses(noContent, 404) }
+  },
+
+  '/api/portfolios': {
+    get: { operationId: 'listPortfolios', tags: ['Portfolios'], summary: 'All portfolios', responses: responses(ok('PortfolioList')) },
+    post: {
+      operationId: 'createPortfolio',
+      tags: ['Portfolios'],
+      summary: 'Create a portfolio',
+      requestBody: body('PortfolioInput'),
+      responses: responses(created('Portfolio'), 400, 409)
+    }
+  },
+  '/api/portfolios/{id}': {
+    parameters: [idParam('id')],
+    get: { operationId: 'getPortfolio', tags: ['Portfolios'], summary: 'Holdings at current prices with P&L and allocation', responses: responses(ok('PortfolioValuation'), 404, 409) },
+    put: {
+      operationId: 'renamePortfolio',
+      tags: ['Portfolios'],
+      summary: 'Rename a portfolio',
+      requestBody: body('PortfolioInput'),
+      responses: responses(ok('Portfolio'), 400, 404, 409)
+    },
+    delete: { operationId: 'deletePortfolio', tags: ['Portfolios'], summary: 'Delete a portfolio', responses: responses(noContent, 404) }
+  },
+  '/api/portfolios/{id}/transactions': {
+    parameters: [idParam('id')],
+    get: { operationId: 'listTransactions', tags: ['Portfolios'], summary: 'Transactions of a portfolio', responses: responses(ok('TransactionList'), 404) },
+    post: {
+      operationId: 'addTransaction',
+      tags: ['Portfolios'],
+      summary: 'Record a buy, sell, dividend or fee',
+      requestBody: body('TransactionInput'),
+      responses: responses(created('Transaction'), 400, 404, 409)
+    }
+  },
+  '/api/portfolios/{id}/transactions/{transactionId}': {
+    parameters: [idParam('id'), idParam('transactionId')],
+    delete: { operationId: 'deleteTransaction', tags: ['Portfolios'], summary: 'Delete a transaction', responses: responses(noContent, 404, 409) }
+  },
+  '/api/portfolios/{id}/equity': {
+    parameters: [idParam('id')],
+    get: {
+      operationId: 'getEquityCurve',
+      tags: ['Portfolios'],
+      summary: 'Daily market value and P&L',
+      parameters: [query('range', { type: 'string' }, '1mo, 3mo, 6mo, 1y, 2y or 5y')],
+      responses: responses(ok('EquityCurve'), 400, 404, 409)
+    }
+  },
+
+  '/api/backtest': {
+    post: {
+      operationId: 'runBacktest',
+      tags: ['Backtesting'],
+      summary: 'Simulate a long-only strategy against buy-and-hold',
+      requestBody: body('BacktestRequest'),
+      responses: responses(ok('BacktestReport'), 400, 404, 422)
+    }
+  },
+
+  '/api/search': {
+    get: {
+      operationId: 'searchInstruments',
+      tags: ['Market data'],
+      summary: 'Search the instrument index by ticker or name',
+      parameters: [
+        { ...query('q', { type: 'string', minLength: 1 }, 'Ticker or name fragment'), required: true },
+        query('limit', { type: 'integer', minimum: 1 }, 'Maximum number of results'),
+        query('type', { type: 'string', enum: schemas.Instrument.properties.assetType.enum }, 'Only this asset type')
+      ],
+      responses: responses(ok('SearchResponse'), 400)
+    }
+  },
+  '/api/news/{symbol}': {
+    parameters: [symbolParam],
+    get: {
+      operationId: 'getNews',
+      tags: ['Market data'],
+      summary: 'Clustered news with filters and cursor paging',
+      parameters: [
+        query('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Page size (default 20)'),
+        query('cursor', { type: 'string' }, 'nextCursor from the previous page'),
+        query('sources', { type: 'string' }, 'Comma-separated providers or publishers'),
+        query('category', { type: 'string' }, 'Comma-separated categories'),
+        query('sentiment', { type: 'string' }, 'Comma-separated sentiments'),
+        query('impact', { type: 'string' }, 'Comma-separated impact levels'),
+        query('from', { type: 'string' }, 'Date (YYYY-MM-DD) or ISO timestamp'),
+        query('to', { type: 'string' }, 'Date (YYYY-MM-DD) or ISO timestamp')
+      ],
+      responses: responses(ok('NewsResponse'), 400)
+    }
+  },
+  '/api/candles/{symbol}': {
+    parameters: [symbolParam],
+    get: {
+      operationId: 'getCandles',
+      tags: ['Market data'],
+      summary: 'OHLCV candles for a range and interval',
+      parameters: [rangeQuery, intervalQuery, currencyQuery],
+      responses: responses(ok('CandlesResponse'), 400, 502, 503)
+    }
+  },
+  '/api/indicators/{symbol}': {
+    parameters: [symbolParam],
+    get: {
+      operationId: 'getIndicators',
+      tags: ['Market data'],
+      summary: 'Technical indicators over the candles',
+      parameters: [query('set', { type: 'string' }, 'Comma-separated specs, e.g. sma:20,rsi:14,macd'), rangeQuery, intervalQuery],
+      responses: responses(ok('IndicatorsResponse'), 400, 404)
+    }
+  },
+  '/api/stream': {
+    get: {
+      operationId: 'stream',
+      tags: ['Market data'],
+      summary: 'Live quotes and daily candles as Server-Sent Events',
+      parameters: [
+        { ...query('symbols', { type: 'string', minLength: 1 }, 'Comma-separated tickers'), required: true },
+        currencyQuery,
+        query('lastEventId', { type: 'string' }, 'Resume after this event id (or send Last-Event-ID)'),
+        query('api_key', { type: 'string' }, 'API key, since EventSource cannot send an X-API-Key header')
+      ],
+      responses: responses({
+        200: { description: 'Event stream with snapshot, quote, candle and status events', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+      }, 400, 503)
+    }
+  },
+  '/api/stream/status': {
+    get: { operationId: 'getStreamStatus', tags: ['Market data'], summary: 'Connected clients and polled symbols', responses: responses(ok('StreamStatus')) }
+  },
+
+  '/api/earnings/calendar': {
+    get: {
+      operationId: 'getEarningsCalendar',
+      tags: ['Earnings'],
+      summary: 'Earnings reports in a date range',
+      parameters: [
+        query('from', { type: 'string', format: 'date' }, 'Start date (default today)'),
+        query('to', { type: 'string', format: 'date' }, 'End date (default 14 days out)'),
+        query('symbols', { type: 'string' }, 'Comma-separated tickers')
+      ],
+      responses: responses(ok('EarningsCalendar'), 400)
+    }
+  },
+  '/api/earnings/{symbol}': {
+    parameters: [symbolParam],
+    get: { operationId: 'getEarnings', tags: ['Earnings'], summary: 'Quarterly results, next report and surprise history', responses: responses(ok('EarningsResponse'), 400) }
+  },
+
+  '/api/admin/cache': {
+    get: { operationId: 'getCacheSummary', tags: ['Admin'], summary: 'Cache statistics and policies', security: admin, responses: responses(ok('CacheSummary'), 401, 403) }
+  },
+  '/api/admin/cache/{symbol}': {
+    parameters: [symbolParam],
+    delete: { operationId: 'purgeCache', tags: ['Admin'], summary: 'Purge every cache entry of a symbol', security: admin, responses: responses(ok('CachePurge'), 401, 403) }
+  },
+  '/api/admin/keys': {
+    get: { operationId: 'listApiKeys', tags: ['Admin'], summary: 'All issued API keys', security: admin, responses: responses(ok('ApiKeyList'), 401, 403) },
+    post: {
+      operationId: 'createApiKey',
+      tags: ['Admin'],
+      summary: 'Issue an API key',
+      description: 'The response contains the full key once; only a hash is stored.',
+      security: admin,
+      requestBody: body('ApiKeyInput'),
+      responses: responses(created('ApiKeyCreated'), 400, 401, 403)
+    }
+  },
+  '/api/admin/keys/{id}': {
+    parameters: [idParam('id')],
+    get: { operationId: 'getApiKey', tags: ['Admin'], summary: 'One API key and its usage in the current window', security: admin, responses: responses(ok('ApiKeyDetail'), 401, 403, 404) },
+    put: {
+      operationId: 'updateApiKey',
+      tags: ['Admin'],
+      summary: 'Rename a key, change its plan or disable it',
+      security: admin,
+      requestBody: body('ApiKeyUpdate'),
+      responses: responses(ok('ApiKey'), 400, 401, 403, 404)
+    },
+    delete: { operationId: 'deleteApiKey', tags: ['Admin'], summary: 'Revoke an API key', security: admin, responses: responses(noContent, 401, 403, 404) }
+  },
+  '/api/config': {
+    get: {
+      operationId: 'getConfig',
+      tags: ['Admin'],
+      summary: 'Effective configuration with secrets redacted',
+      description: 'The settings after layering defaults, config/<NODE_ENV>.json, CONFIG_FILE and environment variables, and the source of every override.',
+      security: admin,
+      responses: responses(ok('ConfigView'), 401, 403)
+    }
+  },
+  '/api/admin/instruments/refresh': {
+    post: {
+      operationId: 'refreshInstruments',
+      tags: ['Admin'],
+      summary: 'Rebuild the instrument index from the providers',
+      security: admin,
+      responses: responses(ok('InstrumentRefresh'), 401, 403, 502)
+    }
+  },
+  '/api/test/{symbol}': {
+    parameters: [symbolParam],
+    get: { operationId: 'testProviders', tags: ['Meta'], summary: 'Call each provider once for a symbol', responses: responses(ok('ProviderTest')) }
+  }
+};
+
+// Punten per request voor de rate limiter (services/rateLimit); ruwweg het aantal upstream calls erachter.
+// Niet genoemde operaties kosten 1. /metrics valt buiten de rate limiter.
+const ROUTE_COSTS = {
+  analyze: 10,
+  analyzeBatch: 25,
+  compareSymbols: 15,
+  getWatchlistSummary: 5,
+  evaluateAlerts: 5,
+  getEquityCurve: 5,
+  runBacktest: 5,
+  getNews: 3,
+  getCandles: 2,
+  getIndicators: 3,
+  stream: 5,
+  getEarningsCalendar: 2,
+  getEarnings: 3,
+  refreshInstruments: 5,
+  testProviders: 10
+};
+const UNLIMITED = ['getMetrics'];
+
+const rateLimited = {
+  401: { description: 'Invalid or missing API key', content: json(ref('Error')) },
+  429: {
+    description: 'Rate limit reached; see the Retry-After header',
+    content: json(ref('RateLimitError'))
+  }
+};
+
+for (const item of Object.values(paths)) {
+  for (const operation of Object.values(item).filter(value => value.operationId)) {
+    if (UNLIMITED.includes(operation.operationId)) continue;
+    operation['x-rate-limit-cost'] = ROUTE_COSTS[operation.operationId] || 1;
+    operation.responses = { ...rateLimited, ...operation.responses };
+  }
+}
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Malthus.ai market analysis API',
+    version,
+    description: 'Quotes, candles, fundamentals, news sentiment and earnings per symbol, plus watchlists, alerts, portfolios and backtests.'
+  },
+  tags: ['Meta', 'Analysis', 'Market data', 'Earnings', 'Watchlists', 'Alerts', 'Portfolios', 'Backtesting', 'Admin'].map(name => ({ name })),
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Optional unless API_KEYS_REQUIRED is set; selects the rate-limit plan' }
+    }
+  },
+  // Zonder key geldt het anonymous-plan
+  security: [{}, { apiKey: [] }]
+};
+
+module.exports = { spec };
@@ -0,0 +1,163 @@
+// Validatie tegen het deel van JSON Schema dat de spec gebruikt: $ref, type (ook als lijst), enum, const,
+// properties/required/additionalProperties, items, oneOf/anyOf, grenzen, pattern en de formats date en
+// date-time. Fouten komen terug als [{ field, message }], net als bij de handgeschreven parsers.
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+function resolveRef(schema, components) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const name = resolved.$ref.replace('#/components/schemas/', '');
+    resolved = components.schemas[name];
+    if (!resolved) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  }
+  return resolved;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function describeTypes(types) {
+  return types.length === 1 ? types[0] : `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}`;
+}
+
+function validate(schema, value, components, path, errors) {
+  schema = resolveRef(schema, components);
+  if (!schema || schema === true) return;
+  const field = path || 'body';
+
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    const outcomes = options.map(option => {
+      const optionErrors = [];
+      validate(option, value, components, path, optionErrors);
+      return optionErrors;
+    });
+    const passed = outcomes.filter(outcome => outcome.length === 0).length;
+    if (schema.oneOf ? passed !== 1 : passed === 0) {
+      // Valt er maar één alternatief af op inhoud (en niet op type of discriminator zoals type: "stock"), dan
+      // zijn diens eigen fouten het nuttigst
+      const closest = outcomes.filter(outcome => !outcome.some(error =>
+        (error.field === field && error.message.startsWith('Must be')) || error.message.startsWith('Must be "')));
+      if (passed === 0 && closest.length === 1) {
+        errors.push(...closest[0]);
+      } else {
+        errors.push({ field, message: passed === 0 ? 'Does not match any of the allowed shapes' : 'Matches more than one allowed shape' });
+      }
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field, message: `Must be ${describeTypes(types)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ field, message: `Must be ${JSON.stringify(schema.const)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `Must be one of: ${schema.enum.filter(option => option !== null).join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `Must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `Must match ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ field, message: schema.format === 'date' ? 'Must be a date (YYYY-MM-DD)' : 'Must be an ISO timestamp' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `Must be at least ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ field, message: `Must be greater than ${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `Must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `Must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `Must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validate(schema.items, item, components, join(path, i), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: join(path, name), message: `${name} is required` });
+    }
+    const properties = schema.properties || {};
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[name]) {
+        validate(properties[name], item, components, join(path, name), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: join(path, name), message: `Unknown field "${name}"` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validate(schema.additionalProperties, item, components, join(path, name), errors);
+      }
+    }
+  }
+}
+
+function validateSchema(schema, value, components, path = '') {
+  const errors = [];
+  validate(schema, value, components, path, errors);
+  return errors;
+}
+
+// Query- en padparameters komen als string binnen; zet ze om naar het type uit de spec. Wat niet om te
+// zetten is blijft een string, zodat de validatie er een nette fout over geeft.
+function coerceParameter(schema, raw, components) {
+  const resolved = resolveRef(schema, components) || {};
+  const types = Array.isArray(resolved.type) ? resolved.type : [resolved.type];
+  if (typeof raw !== 'string') return raw;
+  if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !Number.isNaN(Number(raw))) {
+    return Number(raw);
+  }
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+    return raw === 'true';
+  }
+  return raw;
+}
+
+module.exports = { validateSchema, coerceParameter, resolveRef };
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { JsonFileStore, storagePath } = require('../storage');
+const { getConfig } = require('../config');
+const { mapWithConcurrency } = require('../batch');
+const { CHART_RANGES } = require('../chartRanges');
+const { validateTransaction, sortTransactions, applyTransaction, replay } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bereiken met dagcandles, van kort naar lang; de equity curve kiest het kortste dat de historie dekt
+const EQUITY_RANGES = ['1mo', '3mo', '6mo', '1y', '2y', '5y'];
+
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+function money(value) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(2));
+}
+
+function percent(part, whole) {
+  return whole > 0 && Number.isFinite(part) ? parseFloat(((part / whole) * 100).toFixed(2)) : null;
+}
+
+function validateName(input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  return name && name.length <= 80 ? name : null;
+}
+
+// Groepeert holdings op een sleutel en geeft waarde en gewicht per groep
+function allocate(holdings, key, totalValue) {
+  const groups = new Map();
+  for (const holding of holdings) {
+    if (holding.marketValue === null) continue;
+    groups.set(holding[key], (groups.get(holding[key]) || 0) + holding.marketValue);
+  }
+  return [...groups.entries()]
+    .map(([name, value]) => ({ [key]: name, marketValue: money(value), weight: percent(value, totalValue) }))
+    .sort((a, b) => b.marketValue - a.marketValue);
+}
+
+// Portefeuilles met transacties. `data` levert quotes, profielen en dagcandles aan (zie server.js)
+class PortfolioService {
+  constructor({ store, data, detectAssetType, concurrency = 4 }) {
+    this.store = store;
+    this.data = data;
+    this.detectAssetType = detectAssetType;
+    this.concurrency = concurrency;
+  }
+
+  async list() {
+    const data = await this.store.read();
+    return data.portfolios.map(({ transactions, ...portfolio }) => ({ ...portfolio, transactionCount: transactions.length }));
+  }
+
+  async get(id) {
+    const data = await this.store.read();
+    const portfolio = data.portfolios.find(item => item.id === id);
+    return portfolio ? { success: true, portfolio } : failure('not_found', `Portfolio ${id} not found`);
+  }
+
+  async create(input = {}) {
+    const name = validateName(input);
+    if (!name) return failure('invalid', 'Invalid portfolio', [{ field: 'name', message: 'Name must be 1-80 characters' }]);
+
+    return this.store.update(data => {
+      const now = new Date().toISOString();
+      const portfolio = { id: crypto.randomUUID(), name, transactions: [], createdAt: now, updatedAt: now };
+      data.portfolios.push(portfolio);
+      return { success: true, portfolio };
+    });
+  }
+
+  async rename(id, input = {}) {
+    const name = validateName(input);
+    if (!name) return failure('invalid', 'Invalid portfolio', [{ field: 'name', message: 'Name must be 1-80 characters' }]);
+
+    return this.store.update(data => {
+      const portfolio = data.portfolios.find(item => item.id === id);
+      if (!portfolio) return failure('not_found', `Portfolio ${id} not found`);
+      Object.assign(portfolio, { name, updatedAt: new Date().toISOString() });
+      return { success: true, portfolio };
+    });
+  }
+
+  async remove(id) {
+    return this.store.update(data => {
+      const index = data.portfolios.findIndex(item => item.id === id);
+      if (index === -1) return failure('not_found', `Portfolio ${id} not found`);
+      const [portfolio] = data.portfolios.splice(index, 1);
+      return { success: true, portfolio };
+    });
+  }
+
+  // De hele historie wordt opnieuw afgespeeld, zodat ook een verkoop met terugwerkende kracht
+  // niet meer stukken kan verkopen dan er op die datum in bezit waren
+  async addTransaction(id, input) {
+    const { transaction, errors } = validateTransaction(input);
+    if (errors.length > 0) return failure('invalid', 'Invalid transaction', errors);
+
+    return this.store.update(data => {
+      const portfolio = data.portfolios.find(item => item.id === id);
+      if (!portfolio) return failure('not_found', `Portfolio ${id} not found`);
+
+      const record = { id: crypto.randomUUID(), ...transaction, createdAt: new Date().toISOString() };
+      const check = replay([...portfolio.transactions, record]);
+      if (!check.success) return failure('conflict', check.error);
+
+      portfolio.transactions.push(record);
+      portfolio.updatedAt = record.createdAt;
+      return { success: true, transaction: record };
+    });
+  }
+
+  async removeTransaction(id, transactionId) {
+    return this.store.update(data => {
+      const portfolio = data.portfolios.find(item => item.id === id);
+      if (!portfolio) return failure('not_found', `Portfolio ${id} not found`);
+
+      const remaining = portfolio.transactions.filter(transaction => transaction.id !== transactionId);
+      if (remaining.length === portfolio.transactions.length) {
+        return failure('not_found', `Transaction ${transactionId} not found`);
+      }
+
+      const check = replay(remaining);
+      if (!check.success) return failure('conflict', `Removing this transaction would break a later sale. ${check.error}`);
+
+      portfolio.transactions = remaining;
+      portfolio.updatedAt = new Date().toISOString();
+      return { success: true };
+    });
+  }
+
+  async describeHolding(position) {
+    const assetType = this.detectAssetType(position.symbol);
+    const isCrypto = assetType === 'crypto';
+
+    const [quote, profile] = await Promise.all([
+      this.data.getQuote(position.symbol).catch(error => ({ success: false, error: error.message })),
+      isCrypto ? { success: false } : this.data.getProfile(position.symbol).catch(() => ({ success: false }))
+    ]);
+
+    const sector = isCrypto ? 'Cryptocurrency'
+      : profile.success && profile.sector && profile.sector !== 'Unknown' ? profile.sector
+        : assetType === 'etf' ? 'ETF' : 'Unknown';
+    const price = quote.success ? quote.currentPrice : null;
+    const marketValue = price !== null ? position.quantity * price : null;
+    const unrealizedPnL = marketValue !== null ? marketValue - position.costBasis : null;
+
+    return {
+      symbol: position.symbol,
+      assetType,
+      sector,
+      quantity: parseFloat(position.quantity.toFixed(8)),
+      averageCost: money(position.costBasis / position.quantity),
+      costBasis: money(position.costBasis),
+      currentPrice: price,
+      marketValue: money(marketValue),
+      unrealizedPnL: money(unrealizedPnL),
+      unrealizedPnLPercent: unrealizedPnL !== null ? percent(unrealizedPnL, position.costBasis) : null,
+      realizedPnL: money(position.realizedPnL),
+      dividends: money(position.dividends),
+      ...(quote.success ? {} : { error: quote.error || 'No price available' })
+    };
+  }
+
+  async valuation(id) {
+    const result = await this.get(id);
+    if (!result.success) return result;
+
+    const { portfolio } = result;
+    const ledger = replay(portfolio.transactions);
+    if (!ledger.success) return failure('conflict', ledger.error);
+
+    const positions = [...ledger.positions.values()];
+    const open = positions.filter(position => position.quantity > 0);
+    const holdings = await mapWithConcurrency(open, this.concurrency, position => this.describeHolding(position));
+
+    const marketValue = holdings.reduce((sum, holding) => sum + (holding.marketValue || 0), 0);
+    for (const holding of holdings) {
+      holding.weight = holding.marketValue !== null ? percent(holding.marketValue, marketValue) : null;
+    }
+
+    const realizedPnL = positions.reduce((sum, position) => sum + position.realizedPnL, 0);
+    const dividends = positions.reduce((sum, position) => sum + position.dividends, 0);
+    const costBasis = open.reduce((sum, position) => sum + position.costBasis, 0);
+    const unrealizedPnL = holdings.reduce((sum, holding) => sum + (holding.unrealizedPnL || 0), 0);
+
+    return {
+      success: true,
+      id: portfolio.id,
+      name: portfolio.name,
+      holdings: holdings.sort((a, b) => (b.marketValue || 0) - (a.marketValue || 0)),
+      closedPositions: positions
+        .filter(position => position.quantity === 0)
+        .map(position => ({ symbol: position.symbol, realizedPnL: money(position.realizedPnL), dividends: money(position.dividends) })),
+      totals: {
+        marketValue: money(marketValue),
+        costBasis: money(costBasis),
+        unrealizedPnL: money(unrealizedPnL),
+        unrealizedPnLPercent: percent(unrealizedPnL, costBasis),
+        realizedPnL: money(realizedPnL),
+        dividends: money(dividends),
+        accountFees: money(ledger.accountFees),
+        totalPnL: money(unrealizedPnL + realizedPnL + dividends - ledger.accountFees)
+      },
+      allocation: {
+        byAssetType: allocate(holdings, 'assetType', marketValue),
+        bySector: allocate(holdings, 'sector', marketValue)
+      },
+      pricedHoldings: holdings.filter(holding => holding.marketValue !== null).length,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Dagelijkse waarde van de portefeuille: transacties worden op hun datum verwerkt en posities
+  // gewaardeerd tegen de laatst bekende slotkoers (aandelen hebben geen weekendkoersen, crypto wel)
+  async equityCurve(id, { range } = {}) {
+    const result = await this.get(id);
+    if (!result.success) return result;
+
+    const transactions = sortTransactions(result.portfolio.transactions);
+    if (transactions.length === 0) {
+      return { success: true, id, range: null, points: [] };
+    }
+
+    const firstDate = transactions[0].date;
+    let resolvedRange = range;
+    if (resolvedRange === undefined) {
+      const days = (Date.now() - Date.parse(firstDate)) / DAY_MS;
+      resolvedRange = EQUITY_RANGES.find(name => CHART_RANGES[name].days >= days + 5) || '5y';
+    } else if (!EQUITY_RANGES.includes(resolvedRange)) {
+      return failure('invalid', `Unsupported range "${range}". Use one of: ${EQUITY_RANGES.join(', ')}`);
+    }
+
+    const symbols = [...new Set(transactions.filter(tx => tx.symbol).map(tx => tx.symbol))];
+    const series = await mapWithConcurrency(symbols, this.concurrency, async symbol => {
+      const candles = await this.data.getCandles(symbol, { range: resolvedRange, interval: '1d' }).catch(() => []);
+      return new Map(candles.map(candle => [candle.time, candle.close]));
+    });
+    const closes = new Map(symbols.map((symbol, i) => [symbol, series[i]]));
+    const missing = symbols.filter(symbol => closes.get(symbol).size === 0);
+
+    const dates = [...new Set(series.flatMap(map => [...map.keys()]))].sort();
+    const state = { positions: new Map(), accountFees: 0 };
+    const lastPrice = new Map();
+    const points = [];
+    let next = 0;
+
+    const valueAt = (date) => {
+      if (state.positions.size === 0 && state.accountFees === 0) return;
+
+      let marketValue = 0;
+      let costBasis = 0;
+      let realized = -state.accountFees;
+      for (const position of state.positions.values()) {
+        marketValue += position.quantity * (lastPrice.get(position.symbol) || 0);
+        costBasis += position.costBasis;
+        realized += position.realizedPnL + position.dividends;
+      }
+
+      points.push({
+        date,
+        marketValue: money(marketValue),
+        costBasis: money(costBasis),
+        unrealizedPnL: money(marketValue - costBasis),
+        realizedPnL: money(realized),
+        totalPnL: money(marketValue - costBasis + realized)
+      });
+    };
+
+    for (const date of dates) {
+      while (next < transactions.length && transactions[next].date <= date) {
+        const transaction = transactions[next++];
+        applyTransaction(state, transaction);
+        // Zonder candle (nog) is de transactieprijs de beste schatting
+        if (transaction.price && !lastPrice.has(transaction.symbol)) lastPrice.set(transaction.symbol, transaction.price);
+      }
+      for (const symbol of symbols) {
+        if (closes.get(symbol).has(date)) lastPrice.set(symbol, closes.get(symbol).get(date));
+      }
+      valueAt(date);
+    }
+
+    // Transacties na de laatste candle (vandaag vóór de opening, in het weekend): de transactieprijs is
+    // dan recenter dan elke slotkoers. Eén slotpunt op de datum van de laatste transactie.
+    if (next < transactions.length) {
+      for (const transaction of transactions.slice(next)) {
+        applyTransaction(state, transaction);
+        if (transaction.price) lastPrice.set(transaction.symbol, transaction.price);
+      }
+      valueAt(transactions[transactions.length - 1].date);
+    }
+
+    return {
+      success: true,
+      id,
+      range: resolvedRange,
+      from: points[0]?.date || null,
+      to: points[points.length - 1]?.date || null,
+      points,
+      ...(missing.length > 0 ? { missingHistory: missing } : {})
+    };
+  }
+}
+
+// PORTFOLIO_FILE overschrijft de standaardlocatie in STORAGE_DIR
+function createPortfolioService({ data, detectAssetType }, env = process.env) {
+  return new PortfolioService({
+    store: new JsonFileStore(getConfig(env).portfolios.file || storagePath('portfolios.json', env), { portfolios: [] }),
+    data,
+    detectAssetType
+  });
+}
+
+module.exports = { PortfolioService, createPortfolioService };
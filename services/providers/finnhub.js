@@ -0,0 +1,102 @@
+const axios = require('axios');
+const { MarketDataProvider } = require('./base');
+const { daysAgo, normalizeReportTime, toNumber } = require('./helpers');
+
+class FinnhubProvider extends MarketDataProvider {
+  constructor({ apiKey, timeouts } = {}) {
+    super('finnhub', ['news', 'calendar', 'surprises'], { timeouts });
+    this.apiKey = apiKey;
+    this.baseUrl = 'https://finnhub.io/api/v1';
+  }
+
+  async getNews(symbol, { from = daysAgo(7), to = daysAgo(0), limit = 15 } = {}) {
+    if (!this.apiKey) {
+      throw new Error('No Finnhub key configured');
+    }
+
+    const response = await axios.get(`${this.baseUrl}/company-news`, {
+      params: {
+        symbol: symbol.toUpperCase(),
+        from,
+        to,
+        token: this.apiKey
+      },
+      timeout: this.timeouts.request
+    });
+
+    const articles = response.data.slice(0, limit).map(article => ({
+      headline: article.headline,
+      summary: article.summary || 'No summary available',
+      source: 'Finnhub Financial News',
+      url: article.url,
+      publishedAt: new Date(article.datetime * 1000).toISOString(),
+      sourceTier: 'tier1',
+      fullArticle: `Read full article at: ${article.url}`
+    }));
+
+    return articles;
+  }
+
+  async getEarningsCalendar({ from, to, symbol } = {}) {
+    try {
+      if (!this.apiKey) {
+        return { success: false, error: 'No Finnhub key configured' };
+      }
+
+      const response = await axios.get(`${this.baseUrl}/calendar/earnings`, {
+        params: {
+          from,
+          to,
+          ...(symbol ? { symbol: symbol.toUpperCase() } : {}),
+          token: this.apiKey
+        },
+        timeout: this.timeouts.slow
+      });
+
+      const events = (response.data.earningsCalendar || []).map(item => ({
+        symbol: item.symbol,
+        date: item.date,
+        time: normalizeReportTime(item.hour),
+        fiscalPeriod: item.quarter && item.year ? `Q${item.quarter} ${item.year}` : null,
+        fiscalDateEnding: null,
+        epsEstimate: toNumber(item.epsEstimate),
+        epsActual: toNumber(item.epsActual),
+        revenueEstimate: toNumber(item.revenueEstimate),
+        revenueActual: toNumber(item.revenueActual)
+      }));
+
+      return { success: true, source: 'Finnhub', events };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getEarningsSurprises(symbol) {
+    try {
+      if (!this.apiKey) {
+        return { success: false, error: 'No Finnhub key configured' };
+      }
+
+      const response = await axios.get(`${this.baseUrl}/stock/earnings`, {
+        params: { symbol: symbol.toUpperCase(), token: this.apiKey },
+        timeout: this.timeouts.request
+      });
+
+      const quarters = (response.data || []).map(item => ({
+        fiscalPeriod: item.quarter && item.year ? `Q${item.quarter} ${item.year}` : null,
+        fiscalDateEnding: item.period || null,
+        reportedDate: null,
+        epsActual: toNumber(item.actual),
+        epsEstimate: toNumber(item.estimate)
+      }));
+
+      return quarters.length > 0 ? { success: true, source: 'Finnhub', quarters } : { success: false, error: 'No Finnhub surprises' };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = { FinnhubProvider };
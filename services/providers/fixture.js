@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const { MarketDataProvider, CAPABILITIES } = require('./base');
+const { INTERVAL_SECONDS, lastSessions, resampleCandles } = require('../chartRanges');
+const { createLogger } = require('../observability');
+
+const log = createLogger('providers.fixture');
+
+// Crypto-paren buiten USD krijgen een eigen opname: crypto.eur.json, candles.1d.eur.json
+function pairSuffix(currency) {
+  return currency && currency.toUpperCase() !== 'USD' ? `.${currency.toLowerCase()}` : '';
+}
+
+// Serveert opgenomen JSON uit <dir>/<SYMBOL>/<naam>.json, zodat de backend offline draait
+class FixtureProvider extends MarketDataProvider {
+  constructor({ dir }) {
+    super('fixture', CAPABILITIES);
+    this.dir = dir;
+  }
+
+  fixturePath(symbol, name) {
+    return path.join(this.dir, symbol.toUpperCase(), `${name}.json`);
+  }
+
+  async readFixture(symbol, names) {
+    for (const name of names) {
+      try {
+        const raw = await fs.promises.readFile(this.fixturePath(symbol, name), 'utf8');
+        return JSON.parse(raw);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          log.error('Fixture unreadable', { symbol, fixture: name, error: error.message });
+        }
+      }
+    }
+    return null;
+  }
+
+  async getQuote(symbol) {
+    const quote = await this.readFixture(symbol, ['quote']);
+    return quote || { success: false, error: `No quote fixture for ${symbol}` };
+  }
+
+  // Ontbreekt het gevraagde interval, dan bouwen we het uit de dichtstbijzijnde fijnere opname.
+  // Het venster wordt verankerd aan de laatste opgenomen candle, zodat oude opnames bruikbaar blijven.
+  async getCandles(symbol, { interval = '1d', period1, period2, sessions, currency } = {}) {
+    let candles = null;
+    const suffix = pairSuffix(currency);
+
+    const exact = await this.readFixture(symbol, [`candles.${interval}${suffix}`, ...(interval === '1d' && !suffix ? ['candles'] : [])]);
+    if (exact) {
+      candles = exact.candles || exact;
+    } else {
+      const finer = Object.keys(INTERVAL_SECONDS)
+        .filter(name => INTERVAL_SECONDS[name] < INTERVAL_SECONDS[interval])
+        .reverse();
+      for (const source of finer) {
+        const data = await this.readFixture(symbol, [`candles.${source}${suffix}`]);
+        if (data) {
+          candles = resampleCandles(data.candles || data, interval);
+          break;
+        }
+      }
+    }
+
+    if (!candles) {
+      return { success: false, error: `No ${interval}${suffix} candle fixture for ${symbol}`, candles: [] };
+    }
+
+    if (sessions && candles.length > 0) {
+      candles = lastSessions(candles, sessions);
+    } else if (period1 && period2 && candles.length > 0) {
+      const windowStart = candles[candles.length - 1].timestamp - (period2 - period1);
+      candles = candles.filter(candle => candle.timestamp >= windowStart);
+    }
+
+    return { success: true, candles };
+  }
+
+  // news.json plus per-vendor opnames zoals news.finnhub.json
+  async getNews(symbol) {
+    const folder = path.join(this.dir, symbol.toUpperCase());
+    let files;
+    try {
+      files = await fs.promises.readdir(folder);
+    } catch (error) {
+      return [];
+    }
+
+    const names = files
+      .filter(file => /^news(\..+)?\.json$/.test(file))
+      .map(file => file.replace(/\.json$/, ''));
+
+    let articles = [];
+    for (const name of names) {
+      const data = await this.readFixture(symbol, [name]);
+      if (Array.isArray(data)) articles = articles.concat(data);
+    }
+    return articles;
+  }
+
+  // Marktbrede kalender in <dir>/earnings-calendar.json, gefilterd zoals een live provider dat doet
+  async getEarningsCalendar({ from, to, symbol } = {}) {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(path.join(this.dir, 'earnings-calendar.json'), 'utf8'));
+    } catch (error) {
+      return { success: false, error: 'No earnings calendar fixture' };
+    }
+    const events = (data.events || []).filter(event =>
+      (!from || event.date >= from) && (!to || event.date <= to) && (!symbol || event.symbol === symbol.toUpperCase()));
+    return { ...data, events };
+  }
+
+  async getEarningsSurprises(symbol) {
+    const surprises = await this.readFixture(symbol, ['surprises']);
+    return surprises || { success: false, error: `No surprises fixture for ${symbol}` };
+  }
+
+  async getEarnings(symbol) {
+    const earnings = await this.readFixture(symbol, ['earnings']);
+    return earnings || { success: false };
+  }
+
+  async getProfile(symbol) {
+    const profile = await this.readFixture(symbol, ['profile']);
+    return profile || { success: false, error: `No profile fixture for ${symbol}` };
+  }
+
+  async getFinancials(symbol) {
+    const financials = await this.readFixture(symbol, ['financials']);
+    return financials || { success: false, error: `No financials fixture for ${symbol}` };
+  }
+
+  async getInstruments() {
+    try {
+      const raw = await fs.promises.readFile(path.join(this.dir, 'instruments.json'), 'utf8');
+      const data = JSON.parse(raw);
+      return { success: true, source: 'fixture', instruments: data.instruments || data };
+    } catch (error) {
+      return { success: false, error: 'No instruments fixture' };
+    }
+  }
+
+  async getCryptoQuote(symbol, { currency = 'USD' } = {}) {
+    const quote = await this.readFixture(symbol, [`crypto${pairSuffix(currency)}`]);
+    return quote ? { currency: currency.toUpperCase(), ...quote } : { success: false, error: `No ${currency} crypto fixture for ${symbol}` };
+  }
+
+  async getCryptoMetrics(symbol, { currency = 'USD' } = {}) {
+    const metrics = await this.readFixture(symbol, [`crypto-metrics${pairSuffix(currency)}`]);
+    return metrics ? { currency: currency.toUpperCase(), ...metrics } : {};
+  }
+
+  // Eén opgenomen koersenset in <dir>/fx.json; andere bases rekenen we er kruislings uit
+  async getFxRates(base = 'USD') {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(path.join(this.dir, 'fx.json'), 'utf8'));
+    } catch (error) {
+      return { success: false, error: 'No exchange rate fixture' };
+    }
+
+    const recorded = { ...data.rates, [data.base]: 1 };
+    const pivot = recorded[base.toUpperCase()];
+    if (typeof pivot !== 'number') {
+      return { success: false, error: `Unsupported currency ${base}` };
+    }
+
+    const rates = {};
+    for (const [currency, rate] of Object.entries(recorded)) {
+      rates[currency] = parseFloat((rate / pivot).toFixed(6));
+    }
+    return { success: true, source: data.source || 'fixture', base: base.toUpperCase(), date: data.date, rates };
+  }
+
+  // Er is maar één opgenomen dag; de reeks bestaat dus uit die ene koers
+  async getFxHistory(base, target) {
+    const latest = await this.getFxRates(base);
+    if (!latest.success) return latest;
+    if (typeof latest.rates[target.toUpperCase()] !== 'number') {
+      return { success: false, error: `Unsupported currency ${target}` };
+    }
+    return {
+      success: true,
+      source: latest.source,
+      base: latest.base,
+      target: target.toUpperCase(),
+      rates: { [latest.date]: latest.rates[target.toUpperCase()] }
+    };
+  }
+}
+
+function writeFixture(dir, symbol, name, data) {
+  const folder = path.join(dir, symbol.toUpperCase());
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, `${name}.json`), JSON.stringify(data, null, 2));
+}
+
+function isUsable(result) {
+  if (Array.isArray(result)) return result.length > 0;
+  if (result && typeof result === 'object') return result.success !== false && Object.keys(result).length > 0;
+  return false;
+}
+
+// Wrapt een live adapter en schrijft elk bruikbaar antwoord weg als fixture
+class RecordingProvider extends MarketDataProvider {
+  constructor(inner, dir) {
+    super(inner.name, inner.capabilities);
+    this.inner = inner;
+    this.dir = dir;
+  }
+
+  isConfigured() {
+    return this.inner.isConfigured();
+  }
+
+  async record(symbol, name, promise) {
+    const result = await promise;
+    if (isUsable(result)) {
+      try {
+        writeFixture(this.dir, symbol, name, result);
+      } catch (error) {
+        log.error('Could not record fixture', { symbol, fixture: name, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  getQuote(symbol, options) {
+    return this.record(symbol, 'quote', this.inner.getQuote(symbol, options));
+  }
+
+  getCandles(symbol, options = {}) {
+    return this.record(symbol, `candles.${options.interval || '1d'}${pairSuffix(options.currency)}`, this.inner.getCandles(symbol, options));
+  }
+
+  getNews(symbol, options) {
+    return this.record(symbol, `news.${this.name}`, this.inner.getNews(symbol, options));
+  }
+
+  getEarnings(symbol, options) {
+    return this.record(symbol, 'earnings', this.inner.getEarnings(symbol, options));
+  }
+
+  getProfile(symbol, options) {
+    return this.record(symbol, 'profile', this.inner.getProfile(symbol, options));
+  }
+
+  getFinancials(symbol, options) {
+    return this.record(symbol, 'financials', this.inner.getFinancials(symbol, options));
+  }
+
+  // Geen symbool: de lijst landt naast de symboolmappen
+  async getInstruments(options) {
+    const result = await this.inner.getInstruments(options);
+    if (isUsable(result)) {
+      try {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, 'instruments.json'), JSON.stringify(result, null, 2));
+      } catch (error) {
+        log.error('Could not record fixture', { fixture: 'instruments', error: error.message });
+      }
+    }
+    return result;
+  }
+
+  // Alleen marktbrede opvragingen; een symboolfilter zou de opname onvolledig maken
+  async getEarningsCalendar(options = {}) {
+    const result = await this.inner.getEarningsCalendar(options);
+    if (isUsable(result) && !options.symbol) {
+      try {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, 'earnings-calendar.json'), JSON.stringify(result, null, 2));
+      } catch (error) {
+        log.error('Could not record fixture', { fixture: 'earnings-calendar', error: error.message });
+      }
+    }
+    return result;
+  }
+
+  getEarningsSurprises(symbol, options) {
+    return this.record(symbol, 'surprises', this.inner.getEarningsSurprises(symbol, options));
+  }
+
+  getCryptoQuote(symbol, options = {}) {
+    return this.record(symbol, `crypto${pairSuffix(options.currency)}`, this.inner.getCryptoQuote(symbol, options));
+  }
+
+  getCryptoMetrics(symbol, options = {}) {
+    return this.record(symbol, `crypto-metrics${pairSuffix(options.currency)}`, this.inner.getCryptoMetrics(symbol, options));
+  }
+
+  // Eén bestand voor alle bases: de fixture rekent andere bases uit de laatst opgenomen set
+  async getFxRates(base) {
+    const result = await this.inner.getFxRates(base);
+    if (isUsable(result)) {
+      try {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, 'fx.json'), JSON.stringify(result, null, 2));
+      } catch (error) {
+        log.error('Could not record fixture', { fixture: 'fx', error: error.message });
+      }
+    }
+    return result;
+  }
+
+  // Niet opgenomen: de fixture bouwt zijn reeks uit fx.json
+  getFxHistory(...args) {
+    return this.inner.getFxHistory(...args);
+  }
+}
+
+module.exports = { FixtureProvider, RecordingProvider, writeFixture };
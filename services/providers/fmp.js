@@ -0,0 +1,253 @@
+const axios = require('axios');
+const { MarketDataProvider } = require('./base');
+const { calculateGrowth, normalizeReportTime, toNumber } = require('./helpers');
+
+class FMPProvider extends MarketDataProvider {
+  constructor({ apiKey, timeouts } = {}) {
+    super('fmp', ['profile', 'earnings', 'financials', 'instruments', 'calendar', 'surprises'], { timeouts });
+    this.apiKey = apiKey;
+    this.baseUrl = 'https://financialmodelingprep.com/api/v3';
+  }
+
+  async getProfile(symbol) {
+    try {
+      if (!this.apiKey) {
+        return { success: false, error: 'No FMP key configured' };
+      }
+
+      const response = await axios.get(`${this.baseUrl}/profile/${symbol}`, {
+        params: { apikey: this.apiKey },
+        timeout: this.timeouts.request
+      });
+
+      if (response.data && response.data[0]) {
+        const profile = response.data[0];
+
+        return {
+          success: true,
+          companyName: profile.companyName,
+          sector: profile.sector || 'Unknown',
+          industry: profile.industry || 'Unknown',
+          description: profile.description || '',
+          marketCap: profile.mktCap || 0,
+          peRatio: profile.pe || 0,
+          eps: profile.eps || 0,
+          beta: profile.beta || 0,
+          lastDividend: profile.lastDiv ?? null,
+          website: profile.website || ''
+        };
+      }
+
+      throw new Error('No FMP profile data');
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Kwartaal- en jaarcijfers in een vendor-neutrale vorm voor de ratio-berekening
+  async getFinancials(symbol) {
+    try {
+      if (!this.apiKey) {
+        return { success: false, error: 'No FMP key configured' };
+      }
+
+      const get = (statement, params) => axios.get(`${this.baseUrl}/${statement}/${symbol}`, {
+        params: { apikey: this.apiKey, ...params },
+        timeout: this.timeouts.request
+      });
+
+      const [quarterlyIncome, annualIncome, quarterlyBalance] = await Promise.all([
+        get('income-statement', { period: 'quarter', limit: 8 }),
+        get('income-statement', { limit: 2 }),
+        get('balance-sheet-statement', { period: 'quarter', limit: 5 })
+      ]);
+
+      const toIncome = statement => ({
+        date: statement.date,
+        period: statement.period,
+        fiscalYear: statement.calendarYear,
+        revenue: statement.revenue ?? null,
+        grossProfit: statement.grossProfit ?? null,
+        operatingIncome: statement.operatingIncome ?? null,
+        netIncome: statement.netIncome ?? null,
+        eps: statement.epsdiluted ?? statement.eps ?? null,
+        sharesOutstanding: statement.weightedAverageShsOutDil ?? statement.weightedAverageShsOut ?? null
+      });
+
+      const toBalance = statement => ({
+        date: statement.date,
+        period: statement.period,
+        totalDebt: statement.totalDebt ?? null,
+        totalEquity: statement.totalStockholdersEquity ?? null
+      });
+
+      const financials = {
+        success: true,
+        source: 'FMP',
+        income: {
+          quarterly: (quarterlyIncome.data || []).map(toIncome),
+          annual: (annualIncome.data || []).map(toIncome)
+        },
+        balance: {
+          quarterly: (quarterlyBalance.data || []).map(toBalance)
+        }
+      };
+
+      if (financials.income.quarterly.length === 0 && financials.income.annual.length === 0) {
+        throw new Error('No FMP statements');
+      }
+
+      return financials;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getInstruments() {
+    try {
+      if (!this.apiKey) {
+        return { success: false, error: 'No FMP key configured' };
+      }
+
+      const response = await axios.get(`${this.baseUrl}/stock/list`, {
+        params: { apikey: this.apiKey },
+        timeout: this.timeouts.bulk
+      });
+
+      const instruments = (response.data || [])
+        .filter(item => item.symbol && item.name && ['stock', 'etf'].includes(item.type))
+        .map(item => ({
+          symbol: item.symbol.toUpperCase(),
+          name: item.name,
+          exchange: item.exchangeShortName || item.exchange || 'Unknown',
+          assetType: item.type,
+          currency: ['NASDAQ', 'NYSE', 'AMEX'].includes(item.exchangeShortName) ? 'USD' : null
+        }));
+
+      return { success: true, source: 'FMP', instruments };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getEarnings(symbol) {
+    try {
+      if (!this.apiKey) {
+        return { success: false };
+      }
+
+      // Vijf kwartalen: de laatste vier plus hetzelfde kwartaal een jaar eerder voor de YoY-groei
+      const response = await axios.get(`${this.baseUrl}/income-statement/${symbol}`, {
+        params: {
+          apikey: this.apiKey,
+          period: 'quarter',
+          limit: 5
+        },
+        timeout: this.timeouts.request
+      });
+
+      if (response.data && response.data.length > 0) {
+        const latestQuarter = response.data[0];
+        const yearAgoQuarter = response.data[4] || {};
+
+        return {
+          success: true,
+          source: 'FMP',
+          latestQuarter: {
+            period: latestQuarter.period || 'Q4',
+            year: latestQuarter.calendarYear || new Date().getFullYear(),
+            revenue: latestQuarter.revenue || 0,
+            netIncome: latestQuarter.netIncome || 0,
+            eps: latestQuarter.eps || 0,
+            grossProfit: latestQuarter.grossProfit || 0,
+            operatingIncome: latestQuarter.operatingIncome || 0,
+            revenueGrowthYoY: calculateGrowth(latestQuarter.revenue, yearAgoQuarter.revenue),
+            earningsGrowthYoY: calculateGrowth(latestQuarter.netIncome, yearAgoQuarter.netIncome)
+          },
+          outlook: {
+            nextEarningsDate: null,
+            analystExpectations: 'Data from FMP API',
+            guidance: latestQuarter.guidance || 'No guidance provided'
+          },
+          historicalQuarters: response.data.slice(0, 4).map(quarter => ({
+            period: `${quarter.period} ${quarter.calendarYear}`,
+            revenue: quarter.revenue || 0,
+            netIncome: quarter.netIncome || 0,
+            eps: quarter.eps || 0
+          }))
+        };
+      }
+
+      return { success: false };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Zonder symbool de marktbrede kalender; met symbool de historie + aankomende data van dat aandeel
+  async getEarningsCalendar({ from, to, symbol } = {}) {
+    try {
+      if (!this.apiKey) {
+        return { success: false, error: 'No FMP key configured' };
+      }
+
+      const response = symbol
+        ? await axios.get(`${this.baseUrl}/historical/earning_calendar/${symbol.toUpperCase()}`, {
+          params: { apikey: this.apiKey },
+          timeout: this.timeouts.request
+        })
+        : await axios.get(`${this.baseUrl}/earning_calendar`, {
+          params: { from, to, apikey: this.apiKey },
+          timeout: this.timeouts.slow
+        });
+
+      const events = (response.data || [])
+        .filter(item => item.symbol && item.date >= from && item.date <= to)
+        .map(item => ({
+          symbol: item.symbol,
+          date: item.date,
+          time: normalizeReportTime(item.time),
+          fiscalPeriod: null,
+          fiscalDateEnding: item.fiscalDateEnding || null,
+          epsEstimate: toNumber(item.epsEstimated),
+          epsActual: toNumber(item.eps),
+          revenueEstimate: toNumber(item.revenueEstimated),
+          revenueActual: toNumber(item.revenue)
+        }));
+
+      return { success: true, source: 'FMP', events };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getEarningsSurprises(symbol) {
+    try {
+      if (!this.apiKey) {
+        return { success: false, error: 'No FMP key configured' };
+      }
+
+      const response = await axios.get(`${this.baseUrl}/earnings-surprises/${symbol.toUpperCase()}`, {
+        params: { apikey: this.apiKey },
+        timeout: this.timeouts.request
+      });
+
+      const quarters = (response.data || []).map(item => ({
+        fiscalPeriod: null,
+        fiscalDateEnding: null,
+        reportedDate: item.date || null,
+        epsActual: toNumber(item.actualEarningResult),
+        epsEstimate: toNumber(item.estimatedEarning)
+      }));
+
+      return quarters.length > 0 ? { success: true, source: 'FMP', quarters } : { success: false, error: 'No FMP surprises' };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = { FMPProvider };
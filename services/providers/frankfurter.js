@@ -0,0 +1,57 @@
+const axios = require('axios');
+const { MarketDataProvider } = require('./base');
+
+// Dagkoersen van de ECB via frankfurter.app; geen key nodig, één keer per werkdag ververst
+class FrankfurterProvider extends MarketDataProvider {
+  constructor({ timeouts } = {}) {
+    super('frankfurter', ['fx'], { timeouts });
+    this.baseUrl = 'https://api.frankfurter.app';
+  }
+
+  async getFxRates(base = 'USD') {
+    try {
+      const response = await axios.get(`${this.baseUrl}/latest`, {
+        params: { from: base.toUpperCase() },
+        timeout: this.timeouts.request
+      });
+
+      if (response.data?.rates) {
+        return {
+          success: true,
+          source: 'ECB (Frankfurter)',
+          base: response.data.base,
+          date: response.data.date,
+          rates: { ...response.data.rates, [response.data.base]: 1 }
+        };
+      }
+
+      throw new Error('No rates in Frankfurter response');
+    } catch (error) {
+      return { success: false, error: error.response?.status === 404 ? `Unsupported currency ${base}` : error.message };
+    }
+  }
+
+  // Koersreeks van `base` naar `target` tussen twee datums (YYYY-MM-DD); alleen ECB-werkdagen staan erin
+  async getFxHistory(base, target, start, end) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/${start}..${end}`, {
+        params: { from: base.toUpperCase(), to: target.toUpperCase() },
+        timeout: this.timeouts.request
+      });
+
+      const rates = {};
+      for (const [date, day] of Object.entries(response.data?.rates || {})) {
+        if (typeof day[target.toUpperCase()] === 'number') rates[date] = day[target.toUpperCase()];
+      }
+      if (Object.keys(rates).length > 0) {
+        return { success: true, source: 'ECB (Frankfurter)', base: base.toUpperCase(), target: target.toUpperCase(), rates };
+      }
+
+      throw new Error('No rates in Frankfurter response');
+    } catch (error) {
+      return { success: false, error: error.response?.status === 404 ? `Unsupported currency ${base}` : error.message };
+    }
+  }
+}
+
+module.exports = { FrankfurterProvider };
@@ -0,0 +1,175 @@
+const { createLogger, metrics } = require('../observability');
+const { getConfig } = require('../config');
+
+// Gezondheid per provider plus een circuit breaker. Na `failureThreshold` mislukte calls op rij gaat het
+// circuit open en slaan we de provider over tot `cooldown` verstreken is; daarna mag één call als probe door.
+// Slaagt die, dan gaat het circuit weer dicht; faalt hij, dan gaat het open met een twee keer zo lange cooldown.
+
+// Uitkomsten (zie instrumented.js) die tegen de provider tellen; een ontbrekende key of lege data niet
+const FAILURE_OUTCOMES = ['error', 'timeout', 'rate_limited'];
+const CIRCUIT_STATES = ['closed', 'half_open', 'open'];
+
+function readBreakerConfig(env = process.env) {
+  return getConfig(env).providers.breaker;
+}
+
+class ProviderUnavailableError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider} skipped: circuit open after repeated failures, retrying after ${retryAt}`);
+    this.name = 'ProviderUnavailableError';
+    this.code = 'circuit_open';
+    this.provider = provider;
+    this.retryAt = retryAt;
+  }
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+class ProviderHealth {
+  constructor(name, { configured = true, config = readBreakerConfig() } = {}) {
+    this.name = name;
+    this.configured = configured;
+    this.config = config;
+    this.log = createLogger(`providers.${name}`);
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.cooldownMs = config.cooldownSeconds * 1000;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.probing = false;
+
+    // Laatste `windowSize` calls voor succesratio en latency
+    this.recent = [];
+    this.totals = { calls: 0, failures: 0, skipped: 0 };
+    this.lastError = null;
+    this.lastSuccessAt = null;
+  }
+
+  // Mag er nu een call naar de provider? Na de cooldown laten we precies één probe door
+  acquire(now = Date.now()) {
+    if (!this.config.enabled || this.state === 'closed') return { allowed: true };
+
+    if (this.state === 'open' && now >= Date.parse(this.retryAt)) {
+      this.state = 'half_open';
+      this.probing = false;
+    }
+    if (this.state === 'half_open' && !this.probing) {
+      this.probing = true;
+      return { allowed: true, probe: true };
+    }
+    return { allowed: false, retryAt: this.retryAt };
+  }
+
+  record(outcome, { method, durationMs, error } = {}, now = Date.now()) {
+    if (outcome === 'unconfigured') {
+      this.probing = false;
+      return;
+    }
+
+    const failed = FAILURE_OUTCOMES.includes(outcome);
+    this.totals.calls++;
+    this.recent.push({ failed, durationMs });
+    if (this.recent.length > this.config.windowSize) this.recent.shift();
+
+    if (!failed) {
+      this.lastSuccessAt = new Date(now).toISOString();
+      this.consecutiveFailures = 0;
+      // Alleen de probe sluit het circuit; een call die al liep toen het openging telt alleen mee in de cijfers
+      if (this.state === 'half_open') this.close();
+      return;
+    }
+
+    this.totals.failures++;
+    this.consecutiveFailures++;
+    this.lastError = { message: error || outcome, outcome, method, at: new Date(now).toISOString() };
+
+    if (this.state === 'half_open') {
+      // Probe mislukt: langer wachten, tot het maximum
+      this.open(now, Math.min(this.cooldownMs * 2, this.config.maxCooldownSeconds * 1000));
+    } else if (this.state === 'closed' && this.config.enabled && this.consecutiveFailures >= this.config.failureThreshold) {
+      this.open(now, this.config.cooldownSeconds * 1000);
+    }
+  }
+
+  recordSkip() {
+    this.totals.skipped++;
+  }
+
+  open(now, cooldownMs) {
+    this.state = 'open';
+    this.probing = false;
+    this.cooldownMs = cooldownMs;
+    this.openedAt = new Date(now).toISOString();
+    this.retryAt = new Date(now + cooldownMs).toISOString();
+    this.log.warn('Circuit opened', {
+      provider: this.name,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt: this.retryAt,
+      lastError: this.lastError?.message
+    });
+  }
+
+  close() {
+    this.log.info('Circuit closed', { provider: this.name, downSince: this.openedAt });
+    this.state = 'closed';
+    this.probing = false;
+    this.cooldownMs = this.config.cooldownSeconds * 1000;
+    this.openedAt = null;
+    this.retryAt = null;
+  }
+
+  // Beschikbaar = er mag nu (of na de cooldown bij de volgende call) iets door
+  available(now = Date.now()) {
+    if (!this.configured) return false;
+    return this.state !== 'open' || now >= Date.parse(this.retryAt);
+  }
+
+  snapshot() {
+    const failures = this.recent.filter(call => call.failed).length;
+    const latencies = this.recent.map(call => call.durationMs).sort((a, b) => a - b);
+    return {
+      name: this.name,
+      configured: this.configured,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      successRate: this.recent.length > 0 ? parseFloat(((this.recent.length - failures) / this.recent.length).toFixed(3)) : null,
+      latencyMs: {
+        avg: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+        p95: percentile(latencies, 0.95)
+      },
+      window: this.recent.length,
+      totals: { ...this.totals },
+      lastError: this.lastError,
+      lastSuccessAt: this.lastSuccessAt,
+      openedAt: this.openedAt,
+      retryAt: this.retryAt
+    };
+  }
+}
+
+// De laatst aangemaakte tracker per provider, voor de gauge op /metrics
+const trackers = new Map();
+
+metrics.gauge('provider_circuit_state', 'Circuit breaker state per provider (0 closed, 1 half-open, 2 open)', ['provider'], gauge => {
+  for (const [name, health] of trackers) {
+    gauge.set({ provider: name }, CIRCUIT_STATES.indexOf(health.state));
+  }
+});
+
+function createProviderHealth(name, options) {
+  const health = new ProviderHealth(name, options);
+  trackers.set(name, health);
+  return health;
+}
+
+module.exports = {
+  ProviderHealth,
+  ProviderUnavailableError,
+  createProviderHealth,
+  readBreakerConfig,
+  FAILURE_OUTCOMES
+};
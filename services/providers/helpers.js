@@ -0,0 +1,63 @@
+// Gedeelde helpers voor de provider-adapters
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+function getSourceTier(sourceName) {
+  const tier1Sources = ['reuters', 'bloomberg', 'wall street journal', 'financial times', 'wsj'];
+  const tier2Sources = ['cnbc', 'marketwatch', 'barrons', 'yahoo finance'];
+
+  const lowerSource = (sourceName || '').toLowerCase();
+
+  if (tier1Sources.some(source => lowerSource.includes(source))) {
+    return 'tier1';
+  } else if (tier2Sources.some(source => lowerSource.includes(source))) {
+    return 'tier2';
+  } else {
+    return 'tier3';
+  }
+}
+
+function calculateGrowth(current, previous) {
+  if (!previous || previous === 0) return 0;
+  return ((current - previous) / Math.abs(previous)) * 100;
+}
+
+function extractQuarter(dateString) {
+  const date = new Date(dateString);
+  const month = date.getMonth() + 1;
+  if (month <= 3) return 'Q1';
+  if (month <= 6) return 'Q2';
+  if (month <= 9) return 'Q3';
+  return 'Q4';
+}
+
+// bmo/amc (Finnhub, FMP) en pre-market/post-market (Alpha Vantage) naar één notatie
+function normalizeReportTime(value) {
+  const time = String(value || '').toLowerCase();
+  if (['bmo', 'pre-market'].includes(time)) return 'pre-market';
+  if (['amc', 'post-market'].includes(time)) return 'post-market';
+  if (['dmh', 'during-market'].includes(time)) return 'during-market';
+  return null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || value === 'None') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+module.exports = {
+  BROWSER_HEADERS,
+  getSourceTier,
+  calculateGrowth,
+  extractQuarter,
+  normalizeReportTime,
+  toNumber,
+  daysAgo
+};
@@ -0,0 +1,175 @@
+const path = require('path');
+const { CAPABILITIES, CAPABILITY_METHODS } = require('./base');
+const { YahooFinanceProvider } = require('./yahoo');
+const { CoinGeckoProvider } = require('./coingecko');
+const { FMPProvider } = require('./fmp');
+const { FinnhubProvider } = require('./finnhub');
+const { AlphaVantageProvider } = require('./alphaVantage');
+const { PolygonProvider } = require('./polygon');
+const { NewsAPIProvider } = require('./newsApi');
+const { FrankfurterProvider } = require('./frankfurter');
+const { FixtureProvider, RecordingProvider } = require('./fixture');
+const { InstrumentedProvider } = require('./instrumented');
+const { createProviderHealth, readBreakerConfig } = require('./health');
+const { createQuotaManager } = require('./quota');
+const { getConfig } = require('../config');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+// Volgorde telt: nieuws vraagt alle providers, de rest neemt de eerste die slaagt. Providers met een dagquotum
+// schuiven naar achteren naarmate een call een groter deel van hun budget kost (zie ProviderSet.list)
+const DEFAULT_PROVIDERS = {
+  quotes: ['yahoo'],
+  candles: ['yahoo'],
+  news: ['newsapi', 'finnhub', 'alphavantage', 'polygon'],
+  earnings: ['fmp', 'alphavantage', 'polygon'],
+  profile: ['fmp'],
+  financials: ['fmp'],
+  crypto: ['coingecko'],
+  instruments: ['fmp', 'coingecko'],
+  calendar: ['finnhub', 'fmp'],
+  surprises: ['finnhub', 'alphavantage', 'fmp'],
+  fx: ['frankfurter']
+};
+
+const factories = new Map();
+
+// Een factory krijgt de providers-sectie van de config (keys, timeouts, …) en de env
+function registerProvider(name, factory) {
+  factories.set(name.toLowerCase(), factory);
+}
+
+registerProvider('yahoo', ({ timeouts }) => new YahooFinanceProvider({ timeouts }));
+registerProvider('coingecko', ({ timeouts }) => new CoinGeckoProvider({ timeouts }));
+registerProvider('fmp', ({ keys, timeouts }) => new FMPProvider({ apiKey: keys.fmp, timeouts }));
+registerProvider('finnhub', ({ keys, timeouts }) => new FinnhubProvider({ apiKey: keys.finnhub, timeouts }));
+registerProvider('alphavantage', ({ keys, timeouts }) => new AlphaVantageProvider({ apiKey: keys.alphaVantage, timeouts }));
+registerProvider('polygon', ({ keys, timeouts }) => new PolygonProvider({ apiKey: keys.polygon, timeouts }));
+registerProvider('newsapi', ({ keys, timeouts }) => new NewsAPIProvider({ apiKey: keys.newsApi, timeouts }));
+registerProvider('frankfurter', ({ timeouts }) => new FrankfurterProvider({ timeouts }));
+registerProvider('fixture', ({ fixtureDir }) => new FixtureProvider({ dir: fixtureDir || DEFAULT_FIXTURE_DIR }));
+
+// Lager is beter: providers zonder quotum eerst, dan de goedkoopste; een uitgeput quotum helemaal achteraan
+function quotaRank(provider) {
+  if (!provider.quota) return 0;
+  return (provider.quota.exhausted() ? 2 : 0) + provider.quota.cost;
+}
+
+class ProviderSet {
+  constructor(byCapability, instances = new Map()) {
+    this.byCapability = byCapability;
+    this.instances = instances;
+  }
+
+  // Stabiel gesorteerd, dus bij gelijke kosten blijft de geconfigureerde volgorde staan
+  list(capability) {
+    return [...(this.byCapability[capability] || [])].sort((a, b) => quotaRank(a) - quotaRank(b));
+  }
+
+  primary(capability) {
+    return this.list(capability)[0] || null;
+  }
+
+  describe() {
+    const summary = {};
+    for (const capability of CAPABILITIES) {
+      summary[capability] = this.list(capability).map(provider => provider.name);
+    }
+    return summary;
+  }
+
+  // Gezondheid en quotum per provider, en per capability. Een capability zonder geconfigureerde provider (bijv.
+  // geen nieuws-keys) telt niet als storing; wel als al zijn providers een open circuit of een op quotum hebben.
+  status() {
+    const providers = {};
+    for (const [name, provider] of this.instances) {
+      providers[name] = {
+        ...provider.health.snapshot(),
+        quota: provider.quota ? provider.quota.snapshot() : null,
+        capabilities: CAPABILITIES.filter(capability => this.list(capability).includes(provider))
+      };
+    }
+
+    const capabilities = {};
+    let degraded = false;
+    let down = false;
+    for (const capability of CAPABILITIES) {
+      const list = this.list(capability);
+      const configured = list.filter(provider => provider.health.configured);
+      const available = configured
+        .filter(provider => provider.health.available() && !provider.quota?.exhausted())
+        .map(provider => provider.name);
+      capabilities[capability] = { providers: list.map(provider => provider.name), available };
+
+      if (configured.length === 0) continue;
+      if (available.length === 0) down = true;
+      else if (available.length < configured.length) degraded = true;
+    }
+
+    return {
+      status: down ? 'down' : degraded ? 'degraded' : 'ok',
+      checkedAt: new Date().toISOString(),
+      providers,
+      capabilities
+    };
+  }
+}
+
+// PROVIDERS_<CAPABILITY>=a,b overschrijft per capability, MARKET_DATA_PROVIDER=fixture alles tegelijk
+function createProviders(env = process.env) {
+  const config = getConfig(env).providers;
+  const instances = new Map();
+  const recordDir = config.record ? (config.fixtureDir || DEFAULT_FIXTURE_DIR) : null;
+  const breaker = readBreakerConfig(env);
+  const quotas = createQuotaManager(env);
+
+  const instantiate = (name) => {
+    if (!instances.has(name)) {
+      const factory = factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown market-data provider "${name}". Registered: ${[...factories.keys()].join(', ')}`);
+      }
+      let provider = factory(config, env);
+      if (recordDir && name !== 'fixture') {
+        provider = new RecordingProvider(provider, recordDir);
+      }
+      // Buitenste laag, zodat ook opgenomen calls in de metrics en de request-trace staan
+      const configured = provider.isConfigured();
+      const health = createProviderHealth(name, { configured, config: breaker });
+      const methods = provider.capabilities.flatMap(capability => CAPABILITY_METHODS[capability]);
+      const quota = quotas.forProvider(name, { methods, configured });
+      instances.set(name, new InstrumentedProvider(provider, health, quota));
+    }
+    return instances.get(name);
+  };
+
+  const globalProvider = config.marketData;
+  const byCapability = {};
+
+  for (const capability of CAPABILITIES) {
+    const explicit = config.selection[capability]?.length > 0 ? config.selection[capability] : null;
+    let names = explicit || DEFAULT_PROVIDERS[capability];
+
+    if (!explicit && globalProvider && instantiate(globalProvider).supports(capability)) {
+      names = [globalProvider];
+    }
+
+    byCapability[capability] = names.map(name => {
+      const provider = instantiate(name);
+      if (!provider.supports(capability)) {
+        throw new Error(`Provider "${name}" does not support "${capability}"`);
+      }
+      return provider;
+    });
+  }
+
+  return new ProviderSet(byCapability, instances);
+}
+
+module.exports = {
+  registerProvider,
+  createProviders,
+  ProviderSet,
+  DEFAULT_PROVIDERS,
+  DEFAULT_FIXTURE_DIR
+};
@@ -0,0 +1,100 @@
+const { MarketDataProvider, CAPABILITY_METHODS } = require('./base');
+const { createLogger, recordProviderCall } = require('../observability');
+const { ProviderUnavailableError, createProviderHealth } = require('./health');
+const { QuotaExceededError } = require('./quota');
+
+// Adapters melden een ontbrekende key als "No FMP key configured"; dat is geen storing van de upstream
+const UNCONFIGURED_PATTERN = /^No .+ key configured$/;
+const TIMEOUT_PATTERN = /timeout|timed out/i;
+const RATE_LIMIT_PATTERN = /status code 429|rate limit|too many requests/i;
+const NOT_FOUND_PATTERN = /status code 404/;
+
+// Zonder foutmelding (of met een 404) heeft de upstream wel geantwoord, maar geen data voor dit symbool;
+// een onbekende ticker mag het circuit van een gezonde provider niet openzetten
+function classifyFailure(error) {
+  if (error === undefined || error === null) return 'empty';
+  const message = error instanceof Error ? error.message : String(error || '');
+  if (error?.response?.status === 404 || NOT_FOUND_PATTERN.test(message)) return 'empty';
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT' || TIMEOUT_PATTERN.test(message)) return 'timeout';
+  if (error?.response?.status === 429 || RATE_LIMIT_PATTERN.test(message)) return 'rate_limited';
+  if (UNCONFIGURED_PATTERN.test(message)) return 'unconfigured';
+  return 'error';
+}
+
+// Meet elke capability-methode van een adapter: latency, uitkomst en het request-id waarbinnen hij liep.
+// Is het quotum van de provider op, dan gooit de call een QuotaExceededError; staat zijn circuit open, dan een
+// ProviderUnavailableError. Alle aanroepers vangen rejections al af, zodat ze meteen naar de volgende provider
+// (of hun fallback) gaan.
+// Adapters gooien óf geven { success: false, error } terug; beide tellen als mislukte call, { success: false }
+// zonder error als lege.
+class InstrumentedProvider extends MarketDataProvider {
+  constructor(inner, health = createProviderHealth(inner.name, { configured: inner.isConfigured() }), quota = null) {
+    super(inner.name, inner.capabilities);
+    this.inner = inner;
+    this.health = health;
+    this.quota = quota;
+    this.log = createLogger(`providers.${inner.name}`);
+
+    for (const capability of inner.capabilities) {
+      for (const method of CAPABILITY_METHODS[capability]) {
+        this[method] = (...args) => this.call(method, args);
+      }
+    }
+  }
+
+  async call(method, args) {
+    const symbol = typeof args[0] === 'string' ? args[0] : args[0]?.symbol;
+
+    const budget = this.quota ? await this.quota.acquire(method) : { allowed: true };
+    if (!budget.allowed) {
+      throw this.skip(method, symbol, 'deferred', new QuotaExceededError(this.name, budget));
+    }
+
+    const gate = this.health.acquire();
+    if (!gate.allowed) {
+      budget.release?.();
+      this.health.recordSkip();
+      throw this.skip(method, symbol, 'skipped', new ProviderUnavailableError(this.name, gate.retryAt));
+    }
+
+    const started = process.hrtime.bigint();
+    const finish = (outcome, error) => {
+      const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+      recordProviderCall({ provider: this.name, method, symbol, durationMs, outcome, error });
+      this.health.record(outcome, { method, durationMs, error });
+      if (outcome === 'rate_limited') this.quota?.backoff();
+
+      const fields = { provider: this.name, method, symbol, durationMs, outcome, error, probe: gate.probe };
+      if (['success', 'empty', 'unconfigured'].includes(outcome)) {
+        this.log.debug('Provider call', fields);
+      } else {
+        this.log.warn('Provider call failed', fields);
+      }
+    };
+
+    let result;
+    try {
+      result = await this.inner[method](...args);
+    } catch (error) {
+      finish(classifyFailure(error), error.message);
+      throw error;
+    }
+
+    if (result && typeof result === 'object' && result.success === false) {
+      finish(classifyFailure(result.error), result.error);
+    } else {
+      finish('success');
+    }
+    return result;
+  }
+
+  // Call die niet naar de upstream ging: wel in de metrics en de request-trace, met wanneer het weer kan
+  skip(method, symbol, outcome, error) {
+    const { retryAt } = error;
+    recordProviderCall({ provider: this.name, method, symbol, durationMs: 0, outcome, error: error.message, retryAt });
+    this.log.debug('Provider skipped', { provider: this.name, method, symbol, outcome, retryAt });
+    return error;
+  }
+}
+
+module.exports = { InstrumentedProvider, classifyFailure };
@@ -0,0 +1,49 @@
+const axios = require('axios');
+const { MarketDataProvider } = require('./base');
+const { getSourceTier } = require('./helpers');
+
+class NewsAPIProvider extends MarketDataProvider {
+  constructor({ apiKey, timeouts } = {}) {
+    super('newsapi', ['news'], { timeouts });
+    this.apiKey = apiKey;
+    this.baseUrl = 'https://newsapi.org/v2';
+  }
+
+  async getNews(symbol, { companyName = symbol, from, to, limit = 20 } = {}) {
+    if (!this.apiKey) {
+      throw new Error('No News API key configured');
+    }
+
+    const response = await axios.get(`${this.baseUrl}/everything`, {
+      params: {
+        q: `"${companyName}" OR "${symbol}" AND (earnings OR financial OR stock OR shares OR revenue OR profit)`,
+        language: 'en',
+        sortBy: 'publishedAt',
+        pageSize: Math.min(limit, 100),
+        ...(from ? { from } : {}),
+        ...(to ? { to } : {}),
+        domains: 'reuters.com,bloomberg.com,wsj.com,ft.com,cnbc.com,marketwatch.com,yahoo.com,finance.yahoo.com,barrons.com,investing.com',
+        apiKey: this.apiKey
+      },
+      timeout: this.timeouts.slow
+    });
+
+    if (response.data.status !== 'ok') {
+      throw new Error(`NewsAPI error: ${response.data.message}`);
+    }
+
+    const articles = response.data.articles.map(article => ({
+      headline: article.title,
+      summary: article.description || 'No summary available',
+      source: article.source.name,
+      url: article.url,
+      publishedAt: article.publishedAt,
+      sourceTier: getSourceTier(article.source.name),
+      fullArticle: article.content || `Read full article at: ${article.url}`
+    }));
+
+    return articles;
+  }
+}
+
+module.exports = { NewsAPIProvider };
@@ -0,0 +1,91 @@
+const axios = require('axios');
+const { MarketDataProvider } = require('./base');
+const { daysAgo } = require('./helpers');
+
+class PolygonProvider extends MarketDataProvider {
+  constructor({ apiKey, timeouts } = {}) {
+    super('polygon', ['news', 'earnings'], { timeouts });
+    this.apiKey = apiKey;
+    this.baseUrl = 'https://api.polygon.io/v2/reference';
+  }
+
+  async getNews(symbol, { from = daysAgo(7), to, limit = 15 } = {}) {
+    if (!this.apiKey) {
+      throw new Error('No Polygon key configured');
+    }
+
+    const response = await axios.get(`${this.baseUrl}/news`, {
+      params: {
+        'ticker': symbol.toUpperCase(),
+        'published_utc.gte': from,
+        ...(to ? { 'published_utc.lte': `${to}T23:59:59Z` } : {}),
+        'order': 'desc',
+        'limit': limit,
+        'apiKey': this.apiKey
+      },
+      timeout: this.timeouts.request
+    });
+
+    if (response.data.results) {
+      const articles = response.data.results.map(article => ({
+        headline: article.title,
+        summary: article.description || 'No summary available',
+        source: `Polygon (${article.publisher.name})`,
+        url: article.article_url,
+        publishedAt: article.published_utc,
+        sourceTier: 'tier1',
+        fullArticle: `Read full article at: ${article.article_url}`
+      }));
+
+      return articles;
+    }
+
+    return [];
+  }
+
+  async getEarnings(symbol) {
+    try {
+      if (!this.apiKey) {
+        return { success: false };
+      }
+
+      const response = await axios.get(`${this.baseUrl}/financials/${symbol}`, {
+        params: {
+          'apiKey': this.apiKey,
+          'limit': 4
+        },
+        timeout: this.timeouts.request
+      });
+
+      if (response.data.results && response.data.results.length > 0) {
+        const latestQuarter = response.data.results[0];
+
+        return {
+          success: true,
+          source: 'Polygon',
+          latestQuarter: {
+            period: latestQuarter.period || 'Q4',
+            year: new Date(latestQuarter.end_date).getFullYear(),
+            revenue: latestQuarter.financials?.income_statement?.revenues?.value || 0,
+            netIncome: latestQuarter.financials?.income_statement?.net_income_loss?.value || 0,
+            eps: latestQuarter.financials?.income_statement?.basic_earnings_per_share?.value || 0,
+            grossProfit: latestQuarter.financials?.income_statement?.gross_profit?.value || 0,
+            operatingIncome: latestQuarter.financials?.income_statement?.operating_income_loss?.value || 0
+          },
+          outlook: {
+            nextEarningsDate: null,
+            analystExpectations: 'Data from Polygon API',
+            guidance: 'Check company filings for guidance'
+          }
+        };
+      }
+
+      return { success: false };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = { PolygonProvider };
@@ -0,0 +1,281 @@
+const { createLogger, metrics } = require('../observability');
+const { JsonFileStore, storagePath } = require('../storage');
+const { getConfig } = require('../config');
+
+// Upstream-quota per provider: een daglimiet (telt door over herstarts, per UTC-dag) en/of een limiet per minuut.
+// Elke call reserveert vooraf een plek. Is het minuutbudget op, dan wacht een belangrijke call kort op de
+// volgende vrije plek; nieuws en earnings worden dan uitgesteld, net als wanneer het dagbudget in de reserve
+// komt die we voor quotes, profielen en financials bewaren.
+
+const log = createLogger('providers.quota');
+
+// Tellingen hooguit zo vaak naar schijf
+const FLUSH_MS = 1000;
+
+// Mogen wachten of uitgesteld worden zonder dat de kern van een analyse ontbreekt
+const LOW_PRIORITY_METHODS = ['getNews', 'getEarnings', 'getEarningsCalendar', 'getEarningsSurprises'];
+
+const MINUTE_MS = 60 * 1000;
+
+// De laatst aangemaakte quota per provider, voor de gauge op /metrics
+const trackers = new Map();
+
+// De limieten komen uit QUOTA_<PROVIDER>_DAILY en QUOTA_<PROVIDER>_PER_MINUTE (standaard de gratis tiers, zie
+// services/config/schema.js); 0 of niet gezet = geen limiet
+function readQuotaConfig(env = process.env) {
+  return { ...getConfig(env).providers.quota, file: storagePath('quota.json', env) };
+}
+
+function limitsFor(name, config) {
+  return {
+    daily: config.daily[name] || null,
+    perMinute: config.perMinute[name] || null
+  };
+}
+
+function utcDate(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class QuotaExceededError extends Error {
+  constructor(provider, { reason, retryAt }) {
+    const why = reason === 'reserved' ? 'daily budget reserved for high-priority calls' : `${reason} quota used up`;
+    super(`${provider} deferred: ${why}, retrying after ${retryAt}`);
+    this.name = 'QuotaExceededError';
+    this.code = 'quota_exceeded';
+    this.provider = provider;
+    this.reason = reason;
+    this.retryAt = retryAt;
+  }
+}
+
+class ProviderQuota {
+  constructor(name, { limits, methods = [], manager, config }) {
+    this.name = name;
+    this.limits = limits;
+    this.manager = manager;
+    this.config = config;
+
+    // Een reserve heeft alleen zin als de provider ook belangrijke calls doet (FMP wel, NewsAPI niet)
+    const hasHighPriority = methods.some(method => !LOW_PRIORITY_METHODS.includes(method));
+    this.reserve = limits.daily && hasHighPriority ? Math.ceil(limits.daily * config.reservePercent / 100) : 0;
+
+    this.used = 0;
+    this.minute = [];
+    this.blockedUntil = 0;
+    this.deferred = 0;
+    this.warned = { low: false, exhausted: false };
+  }
+
+  // Aandeel van het dagbudget dat één call kost; providers zonder daglimiet zijn gratis
+  get cost() {
+    return this.limits.daily ? 1 / this.limits.daily : 0;
+  }
+
+  remaining() {
+    return this.limits.daily ? Math.max(0, this.limits.daily - this.used) : null;
+  }
+
+  exhausted(now = Date.now()) {
+    this.manager.rollover(now);
+    return (this.limits.daily !== null && this.used >= this.limits.daily) || now < this.blockedUntil;
+  }
+
+  // Wanneer komt er een plek vrij in het minuutvenster (0 = nu)
+  minuteWait(now) {
+    this.minute = this.minute.filter(at => now - at < MINUTE_MS);
+    const blocked = Math.max(0, this.blockedUntil - now);
+    if (!this.limits.perMinute || this.minute.length < this.limits.perMinute) return blocked;
+    return Math.max(blocked, this.minute[0] + MINUTE_MS - now);
+  }
+
+  // Reserveert een call of zegt waarom niet. Belangrijke calls wachten maximaal `maxWaitMs` op het minuutvenster.
+  async acquire(method) {
+    await this.manager.ready;
+    const lowPriority = LOW_PRIORITY_METHODS.includes(method);
+
+    for (;;) {
+      const now = Date.now();
+      this.manager.rollover(now);
+
+      if (this.limits.daily !== null && this.used >= this.limits.daily) {
+        return this.reject('daily', nextUtcMidnight(now));
+      }
+      if (lowPriority && this.reserve > 0 && this.remaining() <= this.reserve) {
+        return this.reject('reserved', nextUtcMidnight(now));
+      }
+
+      const wait = this.minuteWait(now);
+      if (wait === 0) break;
+      if (lowPriority || wait > this.config.maxWaitMs) {
+        return this.reject('minute', now + wait);
+      }
+      await sleep(wait);
+    }
+
+    const now = Date.now();
+    this.minute.push(now);
+    if (this.limits.daily !== null) {
+      this.used++;
+      this.manager.changed();
+      this.warnIfLow();
+    }
+    return { allowed: true, release: () => this.release(now) };
+  }
+
+  // Gereserveerde call ging toch niet door (bijv. circuit open): plek teruggeven
+  release(at) {
+    const index = this.minute.indexOf(at);
+    if (index !== -1) this.minute.splice(index, 1);
+    if (this.limits.daily !== null && this.used > 0) {
+      this.used--;
+      this.manager.changed();
+    }
+  }
+
+  reject(reason, retryAt) {
+    this.deferred++;
+    return { allowed: false, reason, retryAt: new Date(retryAt).toISOString() };
+  }
+
+  // De upstream gaf een 429: ons budget klopt niet met het hunne, dus even helemaal niets
+  backoff(now = Date.now()) {
+    this.blockedUntil = now + this.config.backoffSeconds * 1000;
+    log.warn('Upstream rate limit hit, backing off', { provider: this.name, until: new Date(this.blockedUntil).toISOString() });
+  }
+
+  warnIfLow() {
+    const remaining = this.remaining();
+    if (remaining === 0 && !this.warned.exhausted) {
+      this.warned.exhausted = true;
+      log.warn('Daily quota used up', { provider: this.name, limit: this.limits.daily });
+    } else if (this.reserve > 0 && remaining <= this.reserve && !this.warned.low) {
+      this.warned.low = true;
+      log.warn('Daily quota low, deferring low-priority calls', { provider: this.name, remaining, limit: this.limits.daily });
+    }
+  }
+
+  resetDay() {
+    this.used = 0;
+    this.warned = { low: false, exhausted: false };
+  }
+
+  snapshot(now = Date.now()) {
+    this.manager.rollover(now);
+    this.minuteWait(now);
+    return {
+      daily: this.limits.daily === null ? null : {
+        limit: this.limits.daily,
+        used: this.used,
+        remaining: this.remaining(),
+        reserve: this.reserve,
+        resetsAt: new Date(nextUtcMidnight(now)).toISOString()
+      },
+      perMinute: this.limits.perMinute === null ? null : {
+        limit: this.limits.perMinute,
+        used: this.minute.length,
+        remaining: Math.max(0, this.limits.perMinute - this.minute.length)
+      },
+      cost: parseFloat(this.cost.toFixed(4)),
+      deferred: this.deferred,
+      blockedUntil: this.blockedUntil > now ? new Date(this.blockedUntil).toISOString() : null
+    };
+  }
+}
+
+// Houdt de dagtellingen van alle providers bij in één bestand (storage/quota.json), zodat een herstart
+// het budget niet opnieuw vrijgeeft. Schrijven gebeurt gebundeld, hooguit eens per FLUSH_MS.
+class QuotaManager {
+  constructor({ env = process.env, config = readQuotaConfig(env), store = new JsonFileStore(config.file, { date: null, used: {} }) } = {}) {
+    this.config = config;
+    this.store = store;
+    this.quotas = new Map();
+    this.date = utcDate(Date.now());
+    this.flushTimer = null;
+    this.ready = this.load();
+  }
+
+  // Tellingen van vandaag uit een vorige run; quota's die al bestaan krijgen ze er meteen bij
+  async load() {
+    let data;
+    try {
+      data = await this.store.read();
+    } catch (error) {
+      // Zonder de oude tellingen tellen we vanaf nul; liever dat dan alle provider-calls blokkeren
+      log.error('Could not load quota usage', { error: error.message });
+      return;
+    }
+    if (data.date !== this.date) return;
+    for (const [name, quota] of this.quotas) {
+      quota.used = Math.max(quota.used, data.used?.[name] || 0);
+    }
+  }
+
+  // Geen quota (null) voor providers zonder limieten of zonder key; die calls doen toch geen upstream-request
+  forProvider(name, { methods, configured = true } = {}) {
+    if (!this.config.enabled || !configured) return null;
+    const limits = limitsFor(name, this.config);
+    if (limits.daily === null && limits.perMinute === null) return null;
+
+    const quota = new ProviderQuota(name, { limits, methods, manager: this, config: this.config });
+    this.quotas.set(name, quota);
+    trackers.set(name, quota);
+    return quota;
+  }
+
+  rollover(now) {
+    const today = utcDate(now);
+    if (today === this.date) return;
+    this.date = today;
+    for (const quota of this.quotas.values()) quota.resetDay();
+    this.changed();
+  }
+
+  changed() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FLUSH_MS);
+    this.flushTimer.unref?.();
+  }
+
+  flush() {
+    const used = {};
+    for (const [name, quota] of this.quotas) {
+      if (quota.limits.daily !== null) used[name] = quota.used;
+    }
+    return this.store.update(data => {
+      data.date = this.date;
+      data.used = used;
+    }).catch(error => log.error('Could not save quota usage', { error: error.message }));
+  }
+}
+
+metrics.gauge('provider_quota_remaining', 'Remaining upstream calls per provider and quota window', ['provider', 'window'], gauge => {
+  for (const [name, quota] of trackers) {
+    const { daily, perMinute } = quota.snapshot();
+    if (daily) gauge.set({ provider: name, window: 'day' }, daily.remaining);
+    if (perMinute) gauge.set({ provider: name, window: 'minute' }, perMinute.remaining);
+  }
+});
+
+function createQuotaManager(env = process.env) {
+  return new QuotaManager({ env });
+}
+
+module.exports = {
+  QuotaManager,
+  ProviderQuota,
+  QuotaExceededError,
+  createQuotaManager,
+  readQuotaConfig,
+  LOW_PRIORITY_METHODS
+};
@@ -0,0 +1,100 @@
+const axios = require('axios');
+const { MarketDataProvider } = require('./base');
+const { BROWSER_HEADERS } = require('./helpers');
+
+class YahooFinanceProvider extends MarketDataProvider {
+  constructor({ timeouts } = {}) {
+    super('yahoo', ['quotes', 'candles'], { timeouts });
+    this.baseUrl = 'https://query1.finance.yahoo.com/v8/finance/chart';
+  }
+
+  // Crypto is een paar: BTC-USD, BTC-EUR, …
+  toYahooSymbol(symbol, assetType, currency = 'USD') {
+    if (assetType === 'crypto') {
+      return `${symbol.toUpperCase()}-${currency.toUpperCase()}`;
+    }
+    return symbol.toUpperCase();
+  }
+
+  async getQuote(symbol, { assetType, currency } = {}) {
+    try {
+      const yahooSymbol = this.toYahooSymbol(symbol, assetType, currency);
+      const response = await axios.get(`${this.baseUrl}/${yahooSymbol}`, {
+        params: {
+          period1: Math.floor((Date.now() - 2 * 24 * 60 * 60 * 1000) / 1000),
+          period2: Math.floor(Date.now() / 1000),
+          interval: '1d'
+        },
+        timeout: this.timeouts.request,
+        headers: BROWSER_HEADERS
+      });
+
+      if (response.data?.chart?.result?.[0]) {
+        const meta = response.data.chart.result[0].meta;
+
+        const currentPrice = meta.regularMarketPrice || meta.previousClose || 0;
+        const previousClose = meta.previousClose || currentPrice;
+        const change = currentPrice - previousClose;
+        const changePercent = (change / previousClose) * 100;
+
+        return {
+          success: true,
+          symbol: meta.symbol,
+          name: meta.longName || meta.shortName || symbol,
+          currentPrice: currentPrice,
+          previousClose: previousClose,
+          change: change,
+          changePercent: changePercent,
+          volume: meta.regularMarketVolume || 0,
+          marketCap: meta.marketCap || 0,
+          currency: meta.currency || 'USD',
+          exchange: meta.exchangeName || 'Unknown',
+          marketTime: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000).toISOString() : null
+        };
+      }
+
+      throw new Error('Invalid Yahoo Finance response');
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // `sessions` vraagt Yahoo's eigen range=1d|5d: die telt vanaf de laatste handelsdag
+  async getCandles(symbol, { assetType, currency, period1, period2, sessions, interval = '1d' } = {}) {
+    try {
+      const yahooSymbol = this.toYahooSymbol(symbol, assetType, currency);
+      const response = await axios.get(`${this.baseUrl}/${yahooSymbol}`, {
+        params: {
+          ...(sessions ? { range: `${sessions}d` } : { period1, period2 }),
+          interval,
+          includePrePostMarketData: false
+        },
+        timeout: this.timeouts.slow,
+        headers: BROWSER_HEADERS
+      });
+
+      if (response.data?.chart?.result?.[0]) {
+        const result = response.data.chart.result[0];
+        const timestamps = result.timestamp || [];
+        const quote = result.indicators.quote[0];
+
+        const candles = timestamps.map((timestamp, i) => ({
+          timestamp,
+          open: quote.open[i] || quote.close[i] || 0,
+          high: quote.high[i] || quote.close[i] || 0,
+          low: quote.low[i] || quote.close[i] || 0,
+          close: quote.close[i] || 0,
+          volume: quote.volume[i] || 0
+        }));
+
+        return { success: true, currency: result.meta?.currency || null, candles };
+      }
+
+      throw new Error('No chart data in Yahoo response');
+    } catch (error) {
+      return { success: false, error: error.message, candles: [] };
+    }
+  }
+}
+
+module.exports = { YahooFinanceProvider };
@@ -0,0 +1,73 @@
+const { MemoryRateLimitStore, FileRateLimitStore } = require('./stores');
+const { storagePath } = require('../storage');
+const { getConfig } = require('../config');
+const { schema } = require('../config/schema');
+
+// Rate limiting in punten per venster. Elke route kost een aantal punten (`x-rate-limit-cost` in de
+// OpenAPI-spec), elk plan heeft een budget per venster. Zonder API key geldt `anonymous`, per IP-adres.
+
+// Namen van de plannen; de punten per venster (RATE_LIMIT_<PLAN>_POINTS) staan in de config
+const PLANS = schema.rateLimit.plans.keys;
+
+function readRateLimitConfig(env = process.env) {
+  const { rateLimit, apiKeys } = getConfig(env);
+  return {
+    ...rateLimit,
+    file: rateLimit.file || storagePath('rate-limits.json', env),
+    requireKey: apiKeys.required
+  };
+}
+
+class RateLimiter {
+  constructor({ store = new MemoryRateLimitStore(), plans = readRateLimitConfig().plans, windowSeconds = readRateLimitConfig().windowSeconds } = {}) {
+    this.store = store;
+    this.plans = plans;
+    this.windowSeconds = windowSeconds;
+  }
+
+  limitFor(plan) {
+    return this.plans[plan] ?? this.plans.anonymous;
+  }
+
+  describe(limit, points, resetAt) {
+    return {
+      limit,
+      remaining: Math.max(0, limit - points),
+      resetSeconds: Math.max(0, Math.ceil((resetAt - Date.now()) / 1000)),
+      windowSeconds: this.windowSeconds
+    };
+  }
+
+  // Telt `cost` punten bij; past het niet meer, dan gaan ze terug zodat goedkopere requests nog wel door kunnen
+  async consume(key, cost, plan) {
+    const limit = this.limitFor(plan);
+    const window = await this.store.increment(key, cost, this.windowSeconds * 1000);
+    if (window.points <= limit) {
+      return { allowed: true, cost, ...this.describe(limit, window.points, window.resetAt) };
+    }
+
+    await this.store.increment(key, -cost, this.windowSeconds * 1000);
+    return { allowed: false, cost, ...this.describe(limit, window.points - cost, window.resetAt) };
+  }
+
+  async usage(key, plan) {
+    const limit = this.limitFor(plan);
+    const window = await this.store.get(key);
+    return this.describe(limit, window?.points || 0, window?.resetAt || Date.now());
+  }
+}
+
+function createRateLimiter(env = process.env) {
+  const config = readRateLimitConfig(env);
+  const store = config.store === 'file' ? new FileRateLimitStore({ file: config.file }) : new MemoryRateLimitStore();
+  return new RateLimiter({ store, plans: config.plans, windowSeconds: config.windowSeconds });
+}
+
+module.exports = {
+  RateLimiter,
+  createRateLimiter,
+  readRateLimitConfig,
+  PLANS,
+  MemoryRateLimitStore,
+  FileRateLimitStore
+};
@@ -0,0 +1,86 @@
+const { JsonFileStore } = require('../storage');
+
+// Vaste vensters per sleutel. Alle stores delen dezelfde async interface:
+//   increment(key, points, windowMs) → { points, resetAt }   punten bijtellen (negatief = teruggeven)
+//   get(key)                         → { points, resetAt } | null
+//   reset(key)
+// Teruggeven aan een verlopen venster doet niets. Een Redis-backend past hier één op één op: INCRBY key points,
+// PEXPIRE key windowMs NX en PTTL voor resetAt (teruggeven alleen als de sleutel nog bestaat, in een Lua-script).
+
+// Zoveel sleutels voordat we verlopen vensters opruimen
+const SWEEP_THRESHOLD = 1000;
+
+function isLive(window, now) {
+  return Boolean(window) && window.resetAt > now;
+}
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  async increment(key, points, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!isLive(window, now)) {
+      if (points < 0) return { points: 0, resetAt: now };
+      window = { points: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.points += points;
+
+    if (this.windows.size > SWEEP_THRESHOLD) this.sweep(now);
+    return { ...window };
+  }
+
+  async get(key) {
+    const window = this.windows.get(key);
+    return isLive(window, Date.now()) ? { ...window } : null;
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep(now) {
+    for (const [key, window] of this.windows) {
+      if (!isLive(window, now)) this.windows.delete(key);
+    }
+  }
+}
+
+// Overleeft een herstart, maar schrijft bij elke request: bedoeld voor één instance met weinig verkeer
+class FileRateLimitStore {
+  constructor({ file }) {
+    this.store = new JsonFileStore(file, { windows: {} });
+  }
+
+  increment(key, points, windowMs) {
+    return this.store.update(data => {
+      const now = Date.now();
+      for (const [name, window] of Object.entries(data.windows)) {
+        if (!isLive(window, now)) delete data.windows[name];
+      }
+
+      const window = data.windows[key] || { points: 0, resetAt: now + windowMs };
+      if (!data.windows[key] && points < 0) return { points: 0, resetAt: now };
+      window.points += points;
+      data.windows[key] = window;
+      return { ...window };
+    });
+  }
+
+  async get(key) {
+    const data = await this.store.read();
+    const window = data.windows[key];
+    return isLive(window, Date.now()) ? { ...window } : null;
+  }
+
+  async reset(key) {
+    await this.store.update(data => {
+      delete data.windows[key];
+    });
+  }
+}
+
+module.exports = { MemoryRateLimitStore, FileRateLimitStore };
@@ -0,0 +1,220 @@
+// Lexicon-gebaseerde sentimentscore voor financieel nieuws. Woorden krijgen een gewicht tussen -3 en +3,
+// negaties draaien het teken om en versterkers schalen het; per artikel levert dat een score in [-1, 1].
+
+const LEXICON = {
+  // positief
+  beat: 2, beats: 2, beating: 2, topped: 2, tops: 2, exceed: 2, exceeds: 2, exceeded: 2, outperform: 2, outperforms: 2,
+  surge: 2.5, surges: 2.5, surged: 2.5, soar: 2.5, soars: 2.5, soared: 2.5, jump: 1.5, jumps: 1.5, jumped: 1.5,
+  rally: 2, rallies: 2, rallied: 2, gain: 1.5, gains: 1.5, gained: 1.5, rise: 1.5, rises: 1.5, rose: 1.5, climb: 1.5, climbs: 1.5, climbed: 1.5,
+  rebound: 1.5, rebounds: 1.5, recover: 1, recovers: 1, recovery: 1, advance: 1, advances: 1,
+  upgrade: 2, upgrades: 2, upgraded: 2, raise: 1, raises: 1.5, raised: 1.5, boost: 1.5, boosts: 1.5, boosted: 1.5,
+  strong: 1.5, stronger: 1.5, strength: 1.5, robust: 1.5, solid: 1, healthy: 1, resilient: 1, steady: 0.5,
+  growth: 1, grow: 1, grows: 1, grew: 1, expand: 1, expands: 1, expansion: 1, accelerating: 1.5, accelerate: 1.5,
+  profit: 1, profitable: 1.5, profitability: 1, record: 1.5, bullish: 2.5, optimistic: 2, optimism: 2, confident: 1.5,
+  buy: 1, overweight: 1.5, positive: 1.5, win: 1.5, wins: 1.5, won: 1.5, approval: 1.5, approved: 1.5, approves: 1.5,
+  breakthrough: 2, innovative: 1, dividend: 0.5, buyback: 1, inflows: 1, demand: 0.5, upside: 1.5, momentum: 1,
+  // negatief
+  miss: -2, misses: -2, missed: -2, lag: -1, lags: -1, lagged: -1, underperform: -2, underperforms: -2,
+  plunge: -2.5, plunges: -2.5, plunged: -2.5, plummet: -2.5, plummets: -2.5, crash: -3, crashes: -3, crashed: -3,
+  tumble: -2, tumbles: -2, tumbled: -2, slump: -2, slumps: -2, slumped: -2, sink: -1.5, sinks: -1.5, sank: -1.5,
+  fall: -1.5, falls: -1.5, fell: -1.5, drop: -1.5, drops: -1.5, dropped: -1.5, slip: -1, slips: -1, slipped: -1,
+  decline: -1.5, declines: -1.5, declined: -1.5, declining: -1.5, slide: -1.5, slides: -1.5, slid: -1.5,
+  downgrade: -2, downgrades: -2, downgraded: -2, cut: -1, cuts: -1.5, slash: -2, slashes: -2, slashed: -2,
+  weak: -1.5, weaker: -1.5, weakness: -1.5, soft: -1, sluggish: -1.5, disappointing: -2, disappoint: -2, disappoints: -2,
+  loss: -1.5, losses: -1.5, lose: -1.5, loses: -1.5, lost: -1.5, deficit: -1, bearish: -2.5, pessimistic: -2, concern: -1, concerns: -1,
+  worry: -1.5, worries: -1.5, fears: -1.5, fear: -1.5, risk: -0.5, risks: -0.5, uncertainty: -1, volatile: -0.5, volatility: -0.5,
+  sell: -1, underweight: -1.5, negative: -1.5, lawsuit: -1.5, sued: -1.5, probe: -1.5, investigation: -1.5, fined: -1.5,
+  penalty: -1.5, recall: -1.5, fraud: -3, scandal: -2.5, bankruptcy: -3, bankrupt: -3, default: -2, layoffs: -1.5,
+  warn: -1.5, warns: -1.5, warning: -1.5, halt: -1.5, halts: -1.5, outflows: -1, shortage: -1, downside: -1.5, headwinds: -1.5
+};
+
+// Vaste combinaties die anders verkeerd gelezen worden ("price target" is neutraal, "beat estimates" extra positief)
+const PHRASES = {
+  'price target': 0,
+  'raises guidance': 2.5,
+  'raised guidance': 2.5,
+  'cuts guidance': -2.5,
+  'cut guidance': -2.5,
+  'lowers guidance': -2.5,
+  'lowered guidance': -2.5,
+  'time high': 2,
+  'record high': 2,
+  'beat estimates': 2.5,
+  'beats estimates': 2.5,
+  'missed estimates': -2.5,
+  'misses estimates': -2.5,
+  'short seller': -1,
+  'sell off': -2,
+  'selloff': -2
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', 'without', 'nor', 'neither', 'hardly', 'barely', 'lack', 'lacks', 'lacking']);
+// "failed to beat": het werkwoord zelf telt niet, het negeert wat volgt
+const NEGATING_VERBS = new Set(['fail', 'fails', 'failed', 'failing', 'unable']);
+
+const INTENSIFIERS = {
+  very: 1.5, extremely: 1.8, sharply: 1.6, significantly: 1.4, substantially: 1.4, strongly: 1.5, deeply: 1.4,
+  massive: 1.6, huge: 1.5, big: 1.3, biggest: 1.5, steep: 1.5, steeply: 1.5, record: 1.3,
+  slightly: 0.5, modestly: 0.6, marginally: 0.5, somewhat: 0.7, mildly: 0.6, little: 0.7
+};
+
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.75;
+const HEADLINE_WEIGHT = 1.5;
+// Normalisatie à la VADER: x / sqrt(x² + alpha) houdt de score in (-1, 1)
+const NORMALIZATION_ALPHA = 15;
+const LABEL_THRESHOLD = 0.2;
+
+// Alpha Vantage geeft ~[-0.35, 0.35] voor (somewhat) bullish/bearish; geschaald naar onze [-1, 1]
+const VENDOR_SCALE = 2;
+const VENDOR_WEIGHT = 0.6;
+
+const TIER_WEIGHTS = { tier1: 1, tier2: 0.8, tier3: 0.6 };
+const RECENCY_HALF_LIFE_HOURS = 48;
+const MIN_RECENCY_WEIGHT = 0.1;
+
+function clamp(value, min = -1, max = 1) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value, digits = 3) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// Woorden en zinsgrenzen (".") als tokens; "n't" wordt een losse "not"
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/n['’]t\b/g, ' not')
+    .replace(/['’]s\b/g, '')
+    .replace(/[.!?;:]+(\s|$)/g, ' . ')
+    .replace(/[^a-z0-9.\s-]/g, ' ')
+    .replace(/-/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function scoreTokens(tokens) {
+  let total = 0;
+  let matches = 0;
+  let negateFor = 0;
+  let multiplier = 1;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token === '.') {
+      negateFor = 0;
+      multiplier = 1;
+      continue;
+    }
+
+    const pair = `${token} ${tokens[i + 1]}`;
+    let value;
+    if (PHRASES[pair] !== undefined) {
+      value = PHRASES[pair];
+      i++;
+    } else if (NEGATORS.has(token)) {
+      negateFor = NEGATION_SCOPE;
+      continue;
+    } else if (NEGATING_VERBS.has(token) && tokens[i + 1] === 'to') {
+      negateFor = NEGATION_SCOPE + 1;
+      i++;
+      continue;
+    } else if (INTENSIFIERS[token] !== undefined && LEXICON[tokens[i + 1]] !== undefined) {
+      multiplier = INTENSIFIERS[token];
+      continue;
+    } else {
+      value = LEXICON[token];
+    }
+
+    if (value !== undefined && value !== 0) {
+      let contribution = value * multiplier;
+      if (negateFor > 0) contribution *= NEGATION_FACTOR;
+      total += contribution;
+      matches++;
+      multiplier = 1;
+    }
+    if (negateFor > 0) negateFor--;
+  }
+
+  return { total, matches };
+}
+
+function labelFor(score) {
+  if (score > LABEL_THRESHOLD) return 'positive';
+  if (score < -LABEL_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+function scoreText(text) {
+  const { total, matches } = scoreTokens(tokenize(text));
+  const score = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+  return { score: round(score), label: labelFor(score), matches };
+}
+
+// Headline telt zwaarder dan de samenvatting; een vendor-score wordt ingemengd als die er is
+function scoreArticle({ headline = '', summary = '', vendorScore } = {}) {
+  const headlineScore = scoreTokens(tokenize(headline));
+  const summaryScore = scoreTokens(tokenize(summary));
+  const total = headlineScore.total * HEADLINE_WEIGHT + summaryScore.total;
+  const lexicon = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+
+  const hasVendor = typeof vendorScore === 'number' && Number.isFinite(vendorScore);
+  const vendor = hasVendor ? clamp(vendorScore * VENDOR_SCALE) : null;
+  const score = hasVendor ? lexicon * (1 - VENDOR_WEIGHT) + vendor * VENDOR_WEIGHT : lexicon;
+
+  return {
+    score: round(score),
+    label: labelFor(score),
+    lexicon: round(lexicon),
+    vendor: hasVendor ? round(vendor) : null,
+    matches: headlineScore.matches + summaryScore.matches
+  };
+}
+
+function articleWeight(article, now) {
+  const tier = TIER_WEIGHTS[article.sourceTier] || TIER_WEIGHTS.tier3;
+  const relevance = 0.5 + 0.5 * Math.min((article.relevanceScore || 0) / 20, 1);
+  const published = Date.parse(article.publishedAt);
+  const ageHours = Number.isNaN(published) ? null : Math.max(0, (now - published) / 3600000);
+  const recency = ageHours === null ? 0.5 : Math.max(MIN_RECENCY_WEIGHT, 0.5 ** (ageHours / RECENCY_HALF_LIFE_HOURS));
+  return { weight: tier * relevance * recency, tier, relevance, recency };
+}
+
+// Een geclusterd verhaal telt één keer mee, met de score over al zijn artikelen.
+// Artikelen zonder continue score (bv. mock-nieuws) vallen terug op hun label
+function articleScore(article) {
+  if (article.story?.sentiment) return article.story.sentiment.score / 100;
+  if (typeof article.sentimentScore === 'number') return article.sentimentScore;
+  return article.sentiment === 'positive' ? 0.5 : article.sentiment === 'negative' ? -0.5 : 0;
+}
+
+// Gewogen gemiddelde over artikelen (bron-tier × relevantie × recency), geschaald naar -100..100
+function aggregateSentiment(articles, { now = Date.now() } = {}) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  const distribution = { positive: 0, negative: 0, neutral: 0 };
+
+  for (const article of articles) {
+    const { weight } = articleWeight(article, now);
+    weightedSum += articleScore(article) * weight;
+    totalWeight += weight;
+    const label = article.story?.sentiment?.overall || article.sentiment;
+    distribution[label in distribution ? label : 'neutral']++;
+  }
+
+  const score = totalWeight > 0 ? (weightedSum / totalWeight) * 100 : 0;
+  let overall = 'neutral';
+  if (score > 15) overall = 'positive';
+  else if (score < -15) overall = 'negative';
+
+  return {
+    overall,
+    score: parseFloat(score.toFixed(1)),
+    distribution,
+    vendorBlended: articles.filter(article => article.sentimentDetail?.vendor !== null && article.sentimentDetail?.vendor !== undefined).length
+  };
+}
+
+module.exports = { tokenize, scoreText, scoreArticle, articleWeight, aggregateSentiment };
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('./observability');
+const { getConfig } = require('./config');
+
+const log = createLogger('storage');
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', 'storage');
+
+// Eén JSON-document op schijf. Schrijven gaat via een tijdelijk bestand + rename zodat een crash
+// nooit een half bestand achterlaat, en updates worden achter elkaar uitgevoerd. Alleen een ontbrekend
+// bestand begint leeg; een onleesbaar of kapot bestand is een fout, anders schrijft de volgende update
+// de lege standaardwaarden over alle bewaarde gegevens heen.
+class JsonFileStore {
+  constructor(file, defaults = {}) {
+    this.file = file;
+    this.defaults = defaults;
+    this.data = null;
+    this.queue = Promise.resolve();
+  }
+
+  async read() {
+    if (this.data === null) {
+      try {
+        this.data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          log.error('Could not read store', { file: this.file, error: error.message });
+          throw new Error(`Could not read ${path.basename(this.file)}: ${error.message}`);
+        }
+        this.data = structuredClone(this.defaults);
+      }
+    }
+    return this.data;
+  }
+
+  // `mutate` krijgt een kopie van het document en mag die aanpassen; de returnwaarde gaat terug naar de
+  // aanroeper. Pas als het schrijven lukt wordt de kopie het document in het geheugen.
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const draft = structuredClone(await this.read());
+      const result = await mutate(draft);
+      await this.write(draft);
+      this.data = draft;
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async write(data) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(data, null, 2));
+    await fs.promises.rename(temp, this.file);
+  }
+}
+
+// STORAGE_DIR bepaalt waar alle persistente gegevens (watchlists e.d.) landen. Op Vercel is alleen de
+// tijdelijke map schrijfbaar; daar leeft de opslag dus zo lang als de function-instance.
+function storagePath(name, env = process.env) {
+  const dir = getConfig(env).storage.dir || (env.VERCEL ? path.join(os.tmpdir(), 'storage') : DEFAULT_STORAGE_DIR);
+  return path.join(dir, name);
+}
+
+module.exports = { JsonFileStore, storagePath };
@@ -0,0 +1,323 @@
+const { normalizeSymbol } = require('../batch');
+const { parseCurrency, convertFields, CANDLE_PRICE_FIELDS } = require('../fx');
+const { formatEvent, formatComment, formatRetry } = require('./sse');
+const { createLogger, runJob } = require('../observability');
+const { getConfig } = require('../config');
+
+const log = createLogger('stream');
+
+const QUOTE_PRICE_FIELDS = ['price', 'change'];
+// De laatste dagcandle komt uit dezelfde cache-entry als de grafiek van /api/analyze
+const SEED_RANGE = { range: '1y', interval: '1d' };
+
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+// ?symbols=AAPL,BTC[&currency=EUR][&lastEventId=…]; de browser stuurt bij een reconnect zelf Last-Event-ID
+function parseStreamQuery(query = {}, { maxSymbols = readStreamLimits().maxSymbols } = {}) {
+  const details = [];
+  const names = String(query.symbols || '').split(',').map(name => name.trim()).filter(Boolean);
+  const symbols = [];
+
+  if (names.length === 0) {
+    details.push({ field: 'symbols', message: 'Provide a comma-separated list of symbols' });
+  }
+  for (const name of names) {
+    const symbol = normalizeSymbol(name);
+    if (!symbol) {
+      details.push({ field: 'symbols', message: `Invalid symbol "${name}"` });
+    } else if (!symbols.includes(symbol)) {
+      symbols.push(symbol);
+    }
+  }
+  if (symbols.length > maxSymbols) {
+    details.push({ field: 'symbols', message: `At most ${maxSymbols} symbols per stream` });
+  }
+
+  const requested = parseCurrency(query.currency);
+  if (!requested.success) details.push(...requested.details);
+
+  if (details.length > 0) return failure('invalid', 'Invalid stream request', details);
+  return { success: true, symbols, currency: requested.currency, lastEventId: query.lastEventId ? String(query.lastEventId) : null };
+}
+
+// Eén poll per symbool, ongeacht het aantal luisteraars. Ticks en candle-updates krijgen een oplopend id
+// (`<boot>-<seq>`) en blijven in een ringbuffer staan, zodat een client na een reconnect precies de
+// gemiste events krijgt. Is de buffer al verder, of is de server herstart, dan volgt een snapshot.
+class QuoteStream {
+  constructor({ data, fx, detectAssetType, pollSeconds = 10, heartbeatSeconds = 15, bufferSize = 500, maxClients = 200, retryMs = 3000 }) {
+    this.data = data;
+    this.fx = fx;
+    this.detectAssetType = detectAssetType;
+    this.pollSeconds = pollSeconds;
+    this.heartbeatSeconds = heartbeatSeconds;
+    this.bufferSize = bufferSize;
+    this.maxClients = maxClients;
+    this.retryMs = retryMs;
+    this.bootId = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+    this.channels = new Map();
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  hasCapacity() {
+    return this.clients.size < this.maxClients;
+  }
+
+  connect({ symbols, currency = null, lastEventId = null, write }) {
+    if (!this.hasCapacity()) {
+      return failure('busy', `Too many stream clients (max ${this.maxClients})`);
+    }
+
+    const client = { symbols, currency, write, queue: Promise.resolve(), converters: new Map(), closed: false };
+    this.clients.add(client);
+    client.write(formatRetry(this.retryMs));
+
+    const missed = this.replay(lastEventId, symbols);
+    if (missed) {
+      missed.forEach(event => this.deliver(client, event));
+    } else {
+      this.deliver(client, this.snapshot(symbols));
+    }
+
+    symbols.forEach(symbol => this.join(symbol, client));
+    this.startHeartbeat();
+    return { success: true, close: () => this.disconnect(client) };
+  }
+
+  disconnect(client) {
+    if (client.closed) return;
+    client.closed = true;
+    this.clients.delete(client);
+    client.symbols.forEach(symbol => this.leave(symbol, client));
+    if (this.clients.size === 0) this.stopHeartbeat();
+  }
+
+  join(symbol, client) {
+    let channel = this.channels.get(symbol);
+    if (!channel) {
+      channel = { symbol, assetType: this.detectAssetType(symbol), clients: new Set(), quote: null, candle: null, error: null, polling: false };
+      // Eigen context per poll: de timer zou anders de context van de eerste client erven
+      const poll = () => runJob('stream', () => this.poll(channel));
+      channel.timer = setInterval(poll, this.pollSeconds * 1000);
+      channel.timer.unref();
+      this.channels.set(symbol, channel);
+      log.info('Streaming symbol', { symbol, pollSeconds: this.pollSeconds });
+      poll();
+    }
+    channel.clients.add(client);
+  }
+
+  leave(symbol, client) {
+    const channel = this.channels.get(symbol);
+    if (!channel) return;
+    channel.clients.delete(client);
+    if (channel.clients.size === 0) {
+      clearInterval(channel.timer);
+      this.channels.delete(symbol);
+      log.info('Stopped streaming symbol', { symbol });
+    }
+  }
+
+  async poll(channel) {
+    if (channel.polling) return;
+    channel.polling = true;
+    try {
+      const quote = await this.data.getQuote(channel.symbol);
+      if (!quote.success) throw new Error(quote.error || 'No quote available');
+      if (!channel.candle) await this.seedCandle(channel);
+      this.applyQuote(channel, quote);
+
+      if (channel.error) {
+        channel.error = null;
+        this.publish(channel, 'status', { symbol: channel.symbol, status: 'ok' });
+      }
+    } catch (error) {
+      // Alleen de overgang melden, niet elke mislukte poll
+      if (channel.error !== error.message) {
+        channel.error = error.message;
+        log.warn('Stream poll failed', { symbol: channel.symbol, error: error.message });
+        this.publish(channel, 'status', { symbol: channel.symbol, status: 'error', error: error.message });
+      }
+    } finally {
+      channel.polling = false;
+    }
+  }
+
+  async seedCandle(channel) {
+    const candles = await this.data.getCandles(channel.symbol, SEED_RANGE).catch(() => []);
+    const last = candles[candles.length - 1];
+    if (last) {
+      const { time, open, high, low, close, volume } = last;
+      channel.candle = { time, open, high, low, close, volume };
+    }
+  }
+
+  // De dagcandle volgt de ticks: een nieuwe handelsdag opent een nieuwe candle, anders schuiven high/low/close mee
+  applyQuote(channel, quote) {
+    const tick = {
+      symbol: channel.symbol,
+      assetType: channel.assetType,
+      price: quote.currentPrice,
+      change: quote.change,
+      changePercent: quote.changePercent,
+      volume: quote.volume || null,
+      currency: quote.currency || 'USD',
+      marketTime: quote.marketTime || new Date().toISOString()
+    };
+    const previous = channel.quote;
+    channel.quote = tick;
+    if (!previous || previous.price !== tick.price || previous.volume !== tick.volume) {
+      this.publish(channel, 'quote', tick);
+    }
+
+    const day = tick.marketTime.slice(0, 10);
+    const current = channel.candle;
+    let next;
+    if (!current || current.time < day) {
+      next = { time: day, open: tick.price, high: tick.price, low: tick.price, close: tick.price, volume: channel.assetType === 'crypto' ? 0 : tick.volume || 0 };
+    } else if (current.time === day) {
+      next = {
+        ...current,
+        high: Math.max(current.high, tick.price),
+        low: Math.min(current.low, tick.price),
+        close: tick.price,
+        // Crypto-quotes geven 24h-omzet in geld, geen dagvolume in stuks
+        volume: channel.assetType === 'crypto' ? current.volume : tick.volume || current.volume
+      };
+    } else {
+      return;
+    }
+
+    channel.candle = next;
+    if (!current || ['open', 'high', 'low', 'close', 'volume'].some(field => current[field] !== next[field]) || current.time !== next.time) {
+      this.publish(channel, 'candle', { symbol: channel.symbol, interval: '1d', currency: tick.currency, candle: next });
+    }
+  }
+
+  publish(channel, type, data) {
+    this.seq += 1;
+    const event = { id: `${this.bootId}-${this.seq}`, seq: this.seq, type, symbol: channel.symbol, data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    channel.clients.forEach(client => this.deliver(client, event));
+  }
+
+  // null betekent: niet te overbruggen, stuur een snapshot
+  replay(lastEventId, symbols) {
+    if (!lastEventId) return null;
+    const [bootId, rawSeq] = lastEventId.split('-');
+    const seq = Number(rawSeq);
+    if (bootId !== this.bootId || !Number.isInteger(seq) || seq > this.seq) return null;
+    if (seq === this.seq) return [];
+
+    const oldest = this.buffer[0]?.seq;
+    if (oldest === undefined || seq < oldest - 1) return null;
+    return this.buffer.filter(event => event.seq > seq && symbols.includes(event.symbol));
+  }
+
+  snapshot(symbols) {
+    const state = {};
+    for (const symbol of symbols) {
+      const channel = this.channels.get(symbol);
+      state[symbol] = channel
+        ? { quote: channel.quote, candle: channel.candle && { symbol, interval: '1d', currency: channel.quote?.currency || 'USD', candle: channel.candle }, error: channel.error }
+        : { quote: null, candle: null, error: null };
+    }
+    return { id: `${this.bootId}-${this.seq}`, type: 'snapshot', data: { symbols: state } };
+  }
+
+  // Per client op volgorde, ook al is omrekenen async
+  deliver(client, event) {
+    client.queue = client.queue
+      .then(async () => {
+        if (client.closed) return;
+        const data = await this.localize(client, event);
+        client.write(formatEvent({ id: event.id, event: event.type, data }));
+      })
+      .catch(error => log.error('Stream delivery failed', { error: error.message }));
+  }
+
+  async converterFor(client, currency) {
+    if (!client.converters.has(currency)) {
+      client.converters.set(currency, await this.fx.converter(currency, client.currency));
+    }
+    return client.converters.get(currency);
+  }
+
+  // Lukt omrekenen niet, dan gaan de bedragen ongewijzigd mee; `currency` zegt dan welke valuta het is
+  async localizeQuote(client, tick) {
+    if (!tick) return tick;
+    const money = await this.converterFor(client, tick.currency);
+    if (!money.success || money.rate === 1) return money.success ? { ...tick, currency: money.currency } : tick;
+    const fields = tick.assetType === 'crypto' ? [...QUOTE_PRICE_FIELDS, 'volume'] : QUOTE_PRICE_FIELDS;
+    return { ...convertFields(tick, fields, money.convert), currency: money.currency };
+  }
+
+  async localizeCandle(client, update) {
+    if (!update) return update;
+    const money = await this.converterFor(client, update.currency);
+    if (!money.success || money.rate === 1) return money.success ? { ...update, currency: money.currency } : update;
+    return { ...update, currency: money.currency, candle: convertFields(update.candle, CANDLE_PRICE_FIELDS, money.convert) };
+  }
+
+  async localize(client, event) {
+    if (event.type === 'quote') return this.localizeQuote(client, event.data);
+    if (event.type === 'candle') return this.localizeCandle(client, event.data);
+    if (event.type === 'snapshot') {
+      const symbols = {};
+      for (const [symbol, state] of Object.entries(event.data.symbols)) {
+        symbols[symbol] = { ...state, quote: await this.localizeQuote(client, state.quote), candle: await this.localizeCandle(client, state.candle) };
+      }
+      return { symbols };
+    }
+    return event.data;
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      const frame = formatComment(`heartbeat ${new Date().toISOString()}`);
+      this.clients.forEach(client => client.write(frame));
+    }, this.heartbeatSeconds * 1000);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  describe() {
+    return {
+      clients: this.clients.size,
+      pollSeconds: this.pollSeconds,
+      heartbeatSeconds: this.heartbeatSeconds,
+      bufferedEvents: this.buffer.length,
+      lastEventId: `${this.bootId}-${this.seq}`,
+      symbols: [...this.channels.values()].map(channel => ({
+        symbol: channel.symbol,
+        clients: channel.clients.size,
+        lastTick: channel.quote?.marketTime || null,
+        error: channel.error
+      }))
+    };
+  }
+}
+
+function readStreamLimits(env = process.env) {
+  const { maxSymbols, maxClients } = getConfig(env).stream;
+  return { maxSymbols, maxClients };
+}
+
+// STREAM_POLL_SECONDS bepaalt hoe vaak de quote-cache per symbool gelezen wordt; nieuwe upstream data
+// komt zo vaak als CACHE_TTL_QUOTE toelaat
+function createQuoteStream({ data, fx, detectAssetType }, env = process.env) {
+  const { pollSeconds, heartbeatSeconds, bufferSize, maxClients } = getConfig(env).stream;
+  return new QuoteStream({ data, fx, detectAssetType, pollSeconds, heartbeatSeconds, bufferSize, maxClients });
+}
+
+module.exports = { QuoteStream, createQuoteStream, parseStreamQuery, readStreamLimits };
@@ -0,0 +1,22 @@
+// Server-Sent Events framing. Elke regel van de payload krijgt zijn eigen `data:`-prefix; een regel die
+// met een dubbele punt begint is commentaar en houdt proxies en de browser wakker.
+
+function formatEvent({ id, event, data }) {
+  const lines = [];
+  if (id !== undefined) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+  for (const line of JSON.stringify(data).split('\n')) {
+    lines.push(`data: ${line}`);
+  }
+  return `${lines.join('\n')}\n\n`;
+}
+
+function formatComment(text) {
+  return `: ${text}\n\n`;
+}
+
+function formatRetry(milliseconds) {
+  return `retry: ${milliseconds}\n\n`;
+}
+
+module.exports = { formatEvent, formatComment, formatRetry };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { JsonFileStore, storagePath } = require('./storage');
+const { getConfig } = require('./config');
+const { normalizeSymbol } = require('./batch');
+
+const MAX_NAME_LENGTH = 80;
+const MAX_SYMBOLS = 100;
+
+// Fouten dragen een code zodat de route er een statuscode bij kan kiezen
+function failure(code, error, details) {
+  return { success: false, code, error, ...(details ? { details } : {}) };
+}
+
+function validateWatchlist(input, { partial = false } = {}) {
+  const errors = [];
+  const changes = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Name must be 1-${MAX_NAME_LENGTH} characters` });
+    } else {
+      changes.name = name;
+    }
+  }
+
+  if (input.symbols !== undefined) {
+    if (!Array.isArray(input.symbols)) {
+      errors.push({ field: 'symbols', message: 'Symbols must be an array' });
+    } else {
+      const symbols = [];
+      for (const raw of input.symbols) {
+        const symbol = normalizeSymbol(raw);
+        if (!symbol) {
+          errors.push({ field: 'symbols', message: `Invalid symbol "${raw}"` });
+        } else if (!symbols.includes(symbol)) {
+          symbols.push(symbol);
+        }
+      }
+      if (symbols.length > MAX_SYMBOLS) {
+        errors.push({ field: 'symbols', message: `At most ${MAX_SYMBOLS} symbols per watchlist` });
+      }
+      changes.symbols = symbols;
+    }
+  } else if (!partial) {
+    changes.symbols = [];
+  }
+
+  return { changes, errors };
+}
+
+class WatchlistService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async list() {
+    const data = await this.store.read();
+    return data.watchlists;
+  }
+
+  async get(id) {
+    const data = await this.store.read();
+    const watchlist = data.watchlists.find(item => item.id === id);
+    return watchlist ? { success: true, watchlist } : failure('not_found', `Watchlist ${id} not found`);
+  }
+
+  async create(input = {}) {
+    const { changes, errors } = validateWatchlist(input);
+    if (errors.length > 0) return failure('invalid', 'Invalid watchlist', errors);
+
+    return this.store.update(data => {
+      if (this.nameTaken(data, changes.name)) {
+        return failure('conflict', `A watchlist named "${changes.name}" already exists`);
+      }
+
+      const now = new Date().toISOString();
+      const watchlist = { id: crypto.randomUUID(), ...changes, createdAt: now, updatedAt: now };
+      data.watchlists.push(watchlist);
+      return { success: true, watchlist };
+    });
+  }
+
+  async update(id, input = {}) {
+    const { changes, errors } = validateWatchlist(input, { partial: true });
+    if (errors.length > 0) return failure('invalid', 'Invalid watchlist', errors);
+
+    return this.store.update(data => {
+      const watchlist = data.watchlists.find(item => item.id === id);
+      if (!watchlist) return failure('not_found', `Watchlist ${id} not found`);
+      if (changes.name && this.nameTaken(data, changes.name, id)) {
+        return failure('conflict', `A watchlist named "${changes.name}" already exists`);
+      }
+
+      Object.assign(watchlist, changes, { updatedAt: new Date().toISOString() });
+      return { success: true, watchlist };
+    });
+  }
+
+  async remove(id) {
+    return this.store.update(data => {
+      const index = data.watchlists.findIndex(item => item.id === id);
+      if (index === -1) return failure('not_found', `Watchlist ${id} not found`);
+
+      const [watchlist] = data.watchlists.splice(index, 1);
+      return { success: true, watchlist };
+    });
+  }
+
+  nameTaken(data, name, exceptId) {
+    return data.watchlists.some(item => item.id !== exceptId && item.name.toLowerCase() === name.toLowerCase());
+  }
+}
+
+// WATCHLIST_FILE overschrijft de standaardlocatie in STORAGE_DIR
+function createWatchlistService(env = process.env) {
+  const file = getConfig(env).watchlists.file || storagePath('watchlists.json', env);
+  return new WatchlistService(new JsonFileStore(file, { watchlists: [] }));
+}
+
+module.exports = { WatchlistService, createWatchlistService };
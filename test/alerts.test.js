@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { validateRule } = require('../services/alerts/rules');
+const { deliverWebhook } = require('../services/alerts/delivery');
+const { guardedLookup } = require('../services/alerts/targets');
+
+const RULE = { symbol: 'AAPL', type: 'price_cross', params: { price: 200 } };
+
+function webhookErrors(webhooks, allowedHosts) {
+  return validateRule({ ...RULE, webhooks }, null, { allowedHosts }).errors;
+}
+
+test('rule webhooks may not point at loopback, link-local or private addresses', () => {
+  for (const url of ['http://localhost:4000/hook', 'http://127.0.0.1/hook', 'http://169.254.169.254/latest', 'https://10.1.2.3/', 'http://[::1]/', 'http://[::ffff:192.168.1.1]/']) {
+    assert.match(webhookErrors([url])[0]?.message || '', /private or loopback/, url);
+  }
+  assert.match(webhookErrors(['ftp://example.com/hook'])[0].message, /Invalid webhook URL/);
+  assert.deepStrictEqual(webhookErrors(['https://hooks.example.com/alerts']), []);
+  assert.deepStrictEqual(webhookErrors(['http://localhost:4000/hook'], ['localhost']), []);
+});
+
+test('a hostname that resolves to a private address is refused at delivery', async () => {
+  await new Promise((resolve) => {
+    guardedLookup([])('localhost', {}, (error) => {
+      assert.strictEqual(error?.code, 'EPRIVATEADDRESS');
+      resolve();
+    });
+  });
+});
+
+test('an allowed private host still receives the webhook', async (t) => {
+  let received = 0;
+  const server = http.createServer((req, res) => { received++; res.end('ok'); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  const refused = await deliverWebhook(url, { id: 'evt-1' }, { retries: 0 });
+  assert.strictEqual(refused.ok, false);
+  assert.strictEqual(received, 0);
+
+  const delivered = await deliverWebhook(url, { id: 'evt-2' }, { retries: 0, allowedHosts: ['127.0.0.1'] });
+  assert.strictEqual(delivered.ok, true);
+  assert.strictEqual(received, 1);
+});
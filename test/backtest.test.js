@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBacktestRequest } = require('../services/backtest');
+
+const TODAY = '2026-01-01';
+
+function entryErrors(indicators, left, right) {
+  const parsed = parseBacktestRequest({
+    symbol: 'AAPL',
+    strategy: { indicators, entry: { all: [{ left, op: 'crossesAbove', right }] }, exit: null }
+  }, TODAY);
+  return parsed.errors.filter(error => error.field.startsWith('strategy.entry'));
+}
+
+test('a line of a multi-line indicator must be one of its outputs', () => {
+  assert.deepStrictEqual(entryErrors({ m: 'macd' }, 'm.macd', 'm.signal'), []);
+  assert.deepStrictEqual(entryErrors({ band: 'bb:20', st: 'stoch' }, 'close', 'band.lower'), []);
+
+  const [unknownKey] = entryErrors({ m: 'macd' }, 'm.foo', 0);
+  assert.match(unknownKey.message, /m\.macd, m\.signal, m\.histogram/);
+});
+
+test('a multi-line indicator needs a key and a single-line indicator takes none', () => {
+  const [bare] = entryErrors({ m: 'macd' }, 'm', 0);
+  assert.strictEqual(bare.field, 'strategy.entry.all[0].left');
+  assert.match(bare.message, /several lines/);
+
+  const [keyed] = entryErrors({ fast: 'sma:20' }, 'close', 'fast.value');
+  assert.strictEqual(keyed.field, 'strategy.entry.all[0].right');
+  assert.match(keyed.message, /single line/);
+});
+
+test('from beyond the longest supported range is rejected', () => {
+  const tooOld = parseBacktestRequest({ symbol: 'AAPL', from: '2020-01-01' }, TODAY);
+  const [error] = tooOld.errors.filter(entry => entry.field === 'from');
+  assert.match(error.message, /earliest 2021-05-02/);
+
+  assert.deepStrictEqual(parseBacktestRequest({ symbol: 'AAPL', from: '2021-05-02' }, TODAY).errors, []);
+});
+
+test('own indicators do not inherit the default entry and exit', () => {
+  const ownOnly = parseBacktestRequest({
+    symbol: 'AAPL',
+    strategy: { indicators: { r: 'rsi:14' }, entry: { all: [{ left: 'r', op: '<', right: 30 }] }, stopLossPct: 5 }
+  }, TODAY);
+  assert.deepStrictEqual(ownOnly.errors, []);
+  assert.strictEqual(ownOnly.request.strategy.exit, null);
+
+  const noEntry = parseBacktestRequest({ symbol: 'AAPL', strategy: { indicators: { r: 'rsi:14' }, stopLossPct: 5 } }, TODAY);
+  assert.deepStrictEqual(noEntry.errors.map(error => error.field), ['strategy.entry']);
+
+  const defaults = parseBacktestRequest({ symbol: 'AAPL', strategy: { stopLossPct: 5 } }, TODAY);
+  assert.deepStrictEqual(defaults.errors, []);
+  assert.notStrictEqual(defaults.request.strategy.exit, null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ResponseCache, PLACEHOLDER_PROVIDER } = require('../services/cache');
+
+const POLICIES = { news: { ttl: 600, stale: 0 } };
+
+async function loadsTwice(value) {
+  const cache = new ResponseCache({ policies: POLICIES });
+  let calls = 0;
+  const loader = async () => { calls++; return value; };
+  await cache.fetch('news', 'AAPL', loader);
+  const second = await cache.fetch('news', 'AAPL', loader);
+  return { calls, status: second.cache.status };
+}
+
+test('placeholder news and empty feeds are not cached', async () => {
+  const placeholder = [{ headline: 'AAPL Market Analysis Update', provider: PLACEHOLDER_PROVIDER }];
+  assert.strictEqual((await loadsTwice(placeholder)).calls, 2);
+  assert.strictEqual((await loadsTwice({ articles: [], sourceArticles: 0 })).calls, 2);
+});
+
+test('real articles are served from the cache', async () => {
+  const { calls, status } = await loadsTwice([{ headline: 'Apple beats estimates', provider: 'newsapi' }]);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(status, 'hit');
+});
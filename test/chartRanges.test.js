@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { resolveChartWindow, lastSessions } = require('../services/chartRanges');
+const { YahooFinanceProvider } = require('../services/providers/yahoo');
+
+const at = iso => Date.parse(iso) / 1000;
+
+test('1d and 5d ask Yahoo for trading sessions instead of a calendar window', async (t) => {
+  const calls = [];
+  t.mock.method(axios, 'get', async (url, options) => {
+    calls.push(options.params);
+    return { data: { chart: { result: [{ meta: {}, timestamp: [], indicators: { quote: [{}] } }] } } };
+  });
+  const yahoo = new YahooFinanceProvider();
+
+  // Zondag: een venster van 24 uur terug bevat geen enkele candle
+  const sunday = resolveChartWindow('1d', undefined, Date.parse('2025-12-28T12:00:00Z'));
+  await yahoo.getCandles('AAPL', sunday);
+  assert.deepStrictEqual(calls[0], { range: '1d', interval: '5m', includePrePostMarketData: false });
+
+  await yahoo.getCandles('AAPL', resolveChartWindow('1mo', '1d'));
+  assert.strictEqual(calls[1].range, undefined);
+  assert.ok(calls[1].period1 > 0);
+});
+
+test('lastSessions keeps whole trading days back from the most recent one', () => {
+  const candles = ['2025-12-24T15:00:00Z', '2025-12-26T14:30:00Z', '2025-12-26T20:55:00Z']
+    .map(iso => ({ timestamp: at(iso), close: 1 }));
+  assert.deepStrictEqual(lastSessions(candles, 1).map(candle => candle.timestamp), [at('2025-12-26T14:30:00Z'), at('2025-12-26T20:55:00Z')]);
+  assert.strictEqual(lastSessions(candles, 5).length, 3);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { FMPProvider } = require('../services/providers/fmp');
+
+// Kwartaalcijfers zoals FMP ze teruggeeft voor /income-statement/AAPL?period=quarter&limit=5
+const quarterly = require('./fixtures/fmp/AAPL.income-statement.quarter.json');
+
+test('getEarnings asks FMP for quarterly statements and compares with the same quarter a year earlier', async (t) => {
+  const calls = [];
+  t.mock.method(axios, 'get', async (url, options) => {
+    calls.push({ url, params: options.params });
+    return { data: quarterly };
+  });
+
+  const earnings = await new FMPProvider({ apiKey: 'test' }).getEarnings('AAPL');
+
+  assert.strictEqual(calls.length, 1);
+  assert.match(calls[0].url, /\/income-statement\/AAPL$/);
+  assert.strictEqual(calls[0].params.period, 'quarter');
+
+  assert.strictEqual(earnings.success, true);
+  assert.strictEqual(earnings.latestQuarter.period, 'Q3');
+  assert.strictEqual(earnings.latestQuarter.revenue, 94036000000);
+  // Q3 2025 tegen Q3 2024, niet tegen het vorige kwartaal
+  assert.strictEqual(earnings.latestQuarter.revenueGrowthYoY.toFixed(2), '9.63');
+  assert.deepStrictEqual(earnings.historicalQuarters.map(quarter => quarter.period), ['Q3 2025', 'Q2 2025', 'Q1 2025', 'Q4 2024']);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FxService } = require('../services/fx');
+const { ResponseCache } = require('../services/cache');
+
+// Koersen USD→EUR op twee werkdagen; het weekend ertussen heeft er geen
+const HISTORY = { success: true, source: 'test', rates: { '2025-12-24': 0.9, '2025-12-29': 0.8 } };
+
+function service(history) {
+  const provider = {
+    name: 'test',
+    getFxRates: async () => ({ success: true, source: 'test', date: '2025-12-29', rates: { USD: 1, EUR: 0.8 } }),
+    getFxHistory: async () => history
+  };
+  return new FxService({ providers: { list: () => [provider] }, cache: new ResponseCache({ policies: {} }) });
+}
+
+const candles = ['2025-12-24', '2025-12-27', '2025-12-29'].map(time => ({ time, close: 100, volume: 5 }));
+
+test('candles are converted at the rate of their own date', async () => {
+  const fx = service(HISTORY);
+  const { candles: converted, fx: info } = await fx.convertCandles(candles, await fx.converter('USD', 'EUR'));
+
+  // De zaterdag krijgt de koers van de laatste werkdag ervoor
+  assert.deepStrictEqual(converted.map(candle => candle.close), [90, 90, 80]);
+  assert.strictEqual(converted[0].volume, 5);
+  assert.deepStrictEqual(info.chart, { applied: 'daily', from: '2025-12-24', to: '2025-12-29', source: 'test' });
+});
+
+test('without a rate history every candle gets the spot rate and the fx block says so', async () => {
+  const fx = service({ success: false, error: 'down' });
+  const { candles: converted, fx: info } = await fx.convertCandles(candles, await fx.converter('USD', 'EUR'));
+
+  assert.deepStrictEqual(converted.map(candle => candle.close), [80, 80, 80]);
+  assert.strictEqual(info.chart.applied, 'spot');
+  assert.strictEqual(info.chart.asOf, '2025-12-29');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OpenApiValidator, createRouteCosts } = require('../services/openapi');
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('a malformed percent-encoding in the path is a 400, not a thrown URIError', () => {
+  const validator = new OpenApiValidator({ responseMode: 'off' });
+  const req = { method: 'GET', originalUrl: '/api/news/%E0%A4%A', query: {} };
+  const res = fakeResponse();
+  let passed = false;
+
+  validator.middleware()(req, res, () => { passed = true; });
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(res.body.details, [{ field: 'symbol', message: 'Malformed percent-encoding in the path' }]);
+});
+
+test('the route costs of a malformed path do not throw', () => {
+  const costOf = createRouteCosts();
+  assert.doesNotThrow(() => costOf({ method: 'GET', originalUrl: '/api/news/%E0%A4%A' }));
+});
+
+test('a well-formed escape is still decoded', () => {
+  const validator = new OpenApiValidator({ responseMode: 'off' });
+  const match = validator.match('GET', '/api/news/BRK%2EB');
+  assert.strictEqual(match.params.symbol, 'BRK.B');
+  assert.deepStrictEqual(match.malformed, []);
+});
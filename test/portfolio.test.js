@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore } = require('../services/storage');
+const { PortfolioService } = require('../services/portfolio');
+
+const TODAY = new Date().toISOString().slice(0, 10);
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+function createService(t, candles) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new PortfolioService({
+    store: new JsonFileStore(path.join(dir, 'portfolios.json'), { portfolios: [] }),
+    data: { getCandles: async () => candles },
+    detectAssetType: () => 'stock'
+  });
+}
+
+test('a buy dated after the last candle still shows up in the equity curve', async (t) => {
+  const service = createService(t, [
+    { time: daysAgo(3), close: 200 },
+    { time: daysAgo(2), close: 210 }
+  ]);
+  const { portfolio } = await service.create({ name: 'Test' });
+  await service.addTransaction(portfolio.id, { type: 'buy', symbol: 'AAPL', quantity: 10, price: 220, date: TODAY });
+
+  const curve = await service.equityCurve(portfolio.id);
+
+  assert.strictEqual(curve.success, true);
+  assert.deepStrictEqual(curve.points, [
+    { date: TODAY, marketValue: 2200, costBasis: 2200, unrealizedPnL: 0, realizedPnL: 0, totalPnL: 0 }
+  ]);
+  assert.strictEqual(curve.to, TODAY);
+});
+
+test('earlier trades are valued at the closes and a later trade adds a final point', async (t) => {
+  const service = createService(t, [
+    { time: daysAgo(3), close: 200 },
+    { time: daysAgo(2), close: 210 }
+  ]);
+  const { portfolio } = await service.create({ name: 'Test' });
+  await service.addTransaction(portfolio.id, { type: 'buy', symbol: 'AAPL', quantity: 10, price: 195, date: daysAgo(3) });
+  await service.addTransaction(portfolio.id, { type: 'buy', symbol: 'AAPL', quantity: 5, price: 220, date: TODAY });
+
+  const { points } = await service.equityCurve(portfolio.id);
+
+  assert.deepStrictEqual(points.map(point => [point.date, point.marketValue]), [
+    [daysAgo(3), 2000],
+    [daysAgo(2), 2100],
+    [TODAY, 3300]
+  ]);
+});
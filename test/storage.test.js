@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore } = require('../services/storage');
+
+function tempFile(t, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'watchlists.json');
+  if (contents !== undefined) fs.writeFileSync(file, contents);
+  return file;
+}
+
+test('a missing file starts from the defaults', async (t) => {
+  const store = new JsonFileStore(tempFile(t), { watchlists: [] });
+  assert.deepStrictEqual(await store.read(), { watchlists: [] });
+});
+
+test('a corrupt file is an error and is never overwritten', async (t) => {
+  const file = tempFile(t, '{"watchlists": [');
+  const store = new JsonFileStore(file, { watchlists: [] });
+
+  await assert.rejects(store.read(), /Could not read watchlists\.json/);
+  await assert.rejects(store.update((data) => { data.watchlists.push({ id: 'x' }); }));
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"watchlists": [');
+});
+
+test('a failed write leaves the document in memory unchanged', async (t) => {
+  const file = tempFile(t, JSON.stringify({ watchlists: [{ id: 'a' }] }));
+  const store = new JsonFileStore(file, { watchlists: [] });
+  t.mock.method(store, 'write', async () => { throw new Error('disk full'); });
+
+  await assert.rejects(store.update((data) => { data.watchlists.push({ id: 'b' }); }), /disk full/);
+  assert.deepStrictEqual((await store.read()).watchlists, [{ id: 'a' }]);
+});